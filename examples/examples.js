@@ -66,13 +66,12 @@ async function example3_ZeroKnowledgeProofs() {
   const actualKarma = 750;
   const minRequired = 500;
   const maxAllowed = 1000;
-  const secretSalt = 'random_salt_12345';
   
+  // Pedersen commitment + range proof; the blinding factor is random
   const proof = await ZKPProver.proveKarmaRange(
     actualKarma,
     minRequired,
-    maxAllowed,
-    secretSalt
+    maxAllowed
   );
   
   console.log('ZK Proof generated:', proof.commitment.substring(0, 32) + '...');
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * SRCP007 - Signaling Server
+ *
+ * Runs a DID-authenticated PeerJS server (src/signaling-server.js):
+ *   node scripts/signaling-server.js [port] [host]
+ * Defaults: port 9000 (or $PORT), host 127.0.0.1 (or $HOST); $PEER_PATH
+ * and $PEER_KEY set the PeerJS path and key (default / and peerjs).
+ */
+
+import { SignalingServer } from '../src/signaling-server.js';
+
+const port = Number(process.argv[2] || process.env.PORT || 9000);
+const host = process.argv[3] || process.env.HOST || '127.0.0.1';
+const path = process.env.PEER_PATH || '/';
+const key = process.env.PEER_KEY || 'peerjs';
+
+const server = new SignalingServer({ path, key });
+const listening = await server.listen(port, host);
+console.log(`📡 SRCP007 signaling server on http://${host}:${listening}${server.path} (key: ${key})`);
+console.log(`   P2PTransport peerServers: [{ host: '${host}', port: ${listening}, path: '${server.path}', key: '${key}', secure: false, authenticate: true }]`);
+
+const shutdown = async () => {
+  console.log('\n🛑 Shutting down signaling server...');
+  await server.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * SRCP007 - WebSocket Relay Server
+ *
+ * Runs a relay for WebSocketTransport (src/websocket-transport.js):
+ *   node scripts/websocket-relay.js [port] [host]
+ * Defaults: port 8080 (or $PORT), host 127.0.0.1 (or $HOST).
+ */
+
+import { WebSocketRelay } from '../src/websocket-relay.js';
+
+const port = Number(process.argv[2] || process.env.PORT || 8080);
+const host = process.argv[3] || process.env.HOST || '127.0.0.1';
+
+const relay = new WebSocketRelay();
+const listening = await relay.listen(port, host);
+console.log(`🔌 SRCP007 WebSocket relay on ws://${host}:${listening}`);
+
+const shutdown = async () => {
+  console.log('\n🛑 Shutting down relay...');
+  await relay.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,285 @@
+/**
+ * SRCP007 - Anonymous Ballots
+ *
+ * One-voter-one-vote elections whose votes cannot be linked to a DID,
+ * recorded and tallied from the ledger alone:
+ *
+ *   1. Organizer   createElection()  - 'ballot:election' entry: options,
+ *                                      eligible DIDs, windows (pulses)
+ *   2. Voter       registerVoter()   - 'ballot:register' entry, signed by
+ *                                      the voter's DID, publishing a fresh
+ *                                      voting key (ring-signature.js)
+ *   3. Organizer   closeRegistration() - 'ballot:close' entry freezing the
+ *                                      ring: the registered voting keys
+ *   4. Voter       castBallot()      - 'ballot:vote' entry, signed by a
+ *                                      throwaway identity, carrying a
+ *                                      linkable ring signature over the
+ *                                      frozen ring
+ *   5. Anyone      tallyElection()   - verifies every ballot against the
+ *                                      frozen ring and counts one per key
+ *                                      image
+ *
+ * The ring signature proves a registered voter cast the ballot without
+ * revealing which; its key image, fixed per voter and election, makes a
+ * second ballot by the same voter detectable. Only the first ballot for a
+ * key image (in ledger order) counts.
+ *
+ * Entry pulses are chosen by their authors, so the ring is not rebuilt
+ * from registrations at tally time: a registration appended later with a
+ * backdated pulse would change it and void every ballot. The organizer
+ * freezes it instead, and only keys of valid registrations may be in it.
+ * Voting opens after registration closes, so every ballot is signed over
+ * the same, final ring. Choices are public; ballots are anonymous, not
+ * secret. Submitting a ballot over the same connection that registered the
+ * voter links them at the network level - use a separate path.
+ *
+ * @module ballot
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+import { generateRingKey, ringSign, ringVerify } from './ring-signature.js';
+
+export const ELECTION_ACTION = 'ballot:election';
+export const REGISTER_ACTION = 'ballot:register';
+export const CLOSE_ACTION = 'ballot:close';
+export const VOTE_ACTION = 'ballot:vote';
+
+/**
+ * Open an election
+ *
+ * @param {Ledger} ledger - Ledger to record it on
+ * @param {Identity} organizer - Organizing identity
+ * @param {object} definition - {
+ *   title, options: choice strings,
+ *   eligible: DIDs allowed to register (null: any DID),
+ *   registrationEnds: last registration pulse,
+ *   votingEnds: last voting pulse
+ * }
+ * @param {number} pulse - Creation pulse
+ * @returns {Promise<object>} Election (the entry's data)
+ */
+export async function createElection(ledger, organizer, { title, options, eligible = null, registrationEnds, votingEnds }, pulse) {
+  if (!Array.isArray(options) || options.length < 2 || new Set(options).size !== options.length) {
+    throw new Error('Election requires at least two distinct options');
+  }
+  if (!Number.isInteger(registrationEnds) || !Number.isInteger(votingEnds) ||
+      registrationEnds < pulse || votingEnds <= registrationEnds) {
+    throw new Error('Election requires pulse <= registrationEnds < votingEnds');
+  }
+
+  const body = {
+    title,
+    options,
+    eligible,
+    organizer: organizer.did,
+    opened: pulse,
+    registrationEnds,
+    votingEnds
+  };
+  const election = { id: `urn:srcp:election:${await Canonical.hash(body)}`, ...body };
+
+  await ledger.createEntry(organizer, ELECTION_ACTION, election, pulse);
+  return election;
+}
+
+/**
+ * Look up an election by ID
+ * Only the entry its organizer signed counts, and only if the ID is the
+ * hash of its definition: copies under the same ID with other options,
+ * eligible DIDs or organizer are ignored on every replica.
+ */
+export async function getElection(ledger, electionId) {
+  for (const entry of ledger.getEntriesByAction(ELECTION_ACTION)) {
+    const { id, ...body } = entry.data;
+    if (id === electionId && entry.did === body.organizer &&
+        id === `urn:srcp:election:${await Canonical.hash(body)}`) {
+      return entry.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Register `voter` and publish a fresh voting key
+ *
+ * @returns {Promise<object>} Voting key { electionId, secret, publicKey } -
+ *   private; needed to cast the ballot
+ */
+export async function registerVoter(ledger, voter, election, pulse) {
+  if (pulse < election.opened || pulse > election.registrationEnds) {
+    throw new Error(`Registration for ${election.id} is closed`);
+  }
+  if (election.eligible && !election.eligible.includes(voter.did)) {
+    throw new Error(`${voter.did} is not eligible for ${election.id}`);
+  }
+  if ((await ledger.getEntriesByDID(voter.did)).some(e =>
+    e.action === REGISTER_ACTION && e.data.electionId === election.id)) {
+    throw new Error(`${voter.did} is already registered for ${election.id}`);
+  }
+
+  const key = generateRingKey();
+  await ledger.createEntry(voter, REGISTER_ACTION, { electionId: election.id, votingKey: key.publicKey }, pulse);
+  return { electionId: election.id, ...key };
+}
+
+/**
+ * Registered voting keys, in ledger order: the ring closeRegistration()
+ * freezes. Counts the first registration of each eligible DID inside the
+ * window.
+ */
+export function getVoterRing(ledger, election) {
+  const voters = new Set();
+  const ring = [];
+  for (const entry of ledger.getEntriesByAction(REGISTER_ACTION)) {
+    const { electionId, votingKey } = entry.data;
+    if (electionId !== election.id || !entry.did || voters.has(entry.did) || ring.includes(votingKey)) continue;
+    if (entry.pulse < election.opened || entry.pulse > election.registrationEnds) continue;
+    if (election.eligible && !election.eligible.includes(entry.did)) continue;
+
+    voters.add(entry.did);
+    ring.push(votingKey);
+  }
+  return ring;
+}
+
+/**
+ * Close registration, freezing the voter ring (organizer only)
+ *
+ * @param {number} pulse - After registrationEnds, at most votingEnds
+ * @returns {Promise<string[]>} The frozen ring
+ */
+export async function closeRegistration(ledger, organizer, election, pulse) {
+  if (organizer.did !== election.organizer) {
+    throw new Error(`Only the organizer can close registration for ${election.id}`);
+  }
+  if (pulse <= election.registrationEnds || pulse > election.votingEnds) {
+    throw new Error(`Registration for ${election.id} closes after pulse ${election.registrationEnds}`);
+  }
+  if (getClosedRing(ledger, election)) {
+    throw new Error(`Registration for ${election.id} is already closed`);
+  }
+
+  const ring = getVoterRing(ledger, election);
+  await ledger.createEntry(organizer, CLOSE_ACTION, { electionId: election.id, ring }, pulse);
+  return ring;
+}
+
+/**
+ * The ring frozen by the organizer, or null while registration is open
+ * Throws if the organizer froze conflicting rings, or keys that no valid
+ * registration published.
+ */
+export function getClosedRing(ledger, election) {
+  const closes = ledger.getEntriesByAction(CLOSE_ACTION).filter(entry =>
+    entry.data.electionId === election.id &&
+    entry.did === election.organizer &&
+    entry.pulse > election.registrationEnds &&
+    Array.isArray(entry.data.ring));
+  if (closes.length === 0) return null;
+
+  const ring = closes[0].data.ring;
+  if (closes.some(entry => Canonical.encode(entry.data.ring) !== Canonical.encode(ring))) {
+    throw new Error(`Organizer of ${election.id} froze conflicting voter rings`);
+  }
+  const registered = new Set(getVoterRing(ledger, election));
+  if (new Set(ring).size !== ring.length || !ring.every(key => registered.has(key))) {
+    throw new Error(`Voter ring of ${election.id} includes unregistered keys`);
+  }
+  return ring;
+}
+
+function requireClosedRing(ledger, election) {
+  const ring = getClosedRing(ledger, election);
+  if (!ring) {
+    throw new Error(`Registration for ${election.id} has not been closed`);
+  }
+  return ring;
+}
+
+function ballotMessage(electionId, choice) {
+  return { domain: 'srcp-ballot/vote', electionId, choice };
+}
+
+/**
+ * Cast an anonymous ballot
+ * The entry is signed by a throwaway identity, never by the voter's DID.
+ *
+ * @param {Ledger} ledger - Ledger holding the election
+ * @param {object} votingKey - From registerVoter()
+ * @param {object} election - Election
+ * @param {string} choice - One of election.options
+ * @param {number} pulse - Voting pulse, after registrationEnds; the
+ *   organizer must have closed registration
+ * @returns {Promise<LedgerEntry>}
+ */
+export async function castBallot(ledger, votingKey, election, choice, pulse) {
+  if (votingKey.electionId !== election.id) {
+    throw new Error('Voting key belongs to another election');
+  }
+  if (pulse <= election.registrationEnds || pulse > election.votingEnds) {
+    throw new Error(`Voting for ${election.id} is closed`);
+  }
+  if (!election.options.includes(choice)) {
+    throw new Error(`Unknown option: ${choice}`);
+  }
+
+  const ring = requireClosedRing(ledger, election);
+  const signature = await ringSign(ballotMessage(election.id, choice), ring, votingKey.secret, election.id);
+
+  const courier = await Identity.create('ballot');
+  return await ledger.createEntry(courier, VOTE_ACTION, {
+    electionId: election.id,
+    choice,
+    ring: await Canonical.hash(ring),
+    signature
+  }, pulse);
+}
+
+/**
+ * Count an election from the ledger
+ * Deterministic: every replica of the ledger computes the same result.
+ *
+ * @returns {Promise<object>} {
+ *   electionId, counts: option -> votes, voters: ring size,
+ *   accepted: ballot entry hashes, rejected: [{ hash, reason }]
+ * }
+ */
+export async function tallyElection(ledger, electionId) {
+  const election = await getElection(ledger, electionId);
+  if (!election) {
+    throw new Error(`Unknown election: ${electionId}`);
+  }
+
+  const ring = requireClosedRing(ledger, election);
+  const ringHash = await Canonical.hash(ring);
+  const counts = Object.fromEntries(election.options.map(option => [option, 0]));
+  const seen = new Set();
+  const accepted = [];
+  const rejected = [];
+
+  for (const entry of ledger.getEntriesByAction(VOTE_ACTION)) {
+    const { electionId: id, choice, ring: ballotRing, signature } = entry.data;
+    if (id !== electionId) continue;
+
+    const reject = reason => rejected.push({ hash: entry.hash, reason });
+    if (entry.pulse <= election.registrationEnds || entry.pulse > election.votingEnds) {
+      reject('Cast outside the voting window');
+    } else if (!election.options.includes(choice)) {
+      reject(`Unknown option: ${choice}`);
+    } else if (ballotRing !== ringHash) {
+      reject('Signed over a different voter ring');
+    } else if (!(await ringVerify(ballotMessage(electionId, choice), ring, signature, electionId))) {
+      reject('Invalid ring signature');
+    } else if (seen.has(signature.keyImage)) {
+      reject('Voter already cast a ballot');
+    } else {
+      seen.add(signature.keyImage);
+      counts[choice]++;
+      accepted.push(entry.hash);
+    }
+  }
+
+  return { electionId, counts, voters: ring.length, accepted, rejected };
+}
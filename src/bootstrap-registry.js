@@ -11,6 +11,8 @@
 import { Identity } from './identity.js';
 import { Ledger, LedgerEntry } from './ledger.js';
 import { Federation } from './federation.js';
+import { publishPrekeys, findPrekeyBundle } from './x3dh.js';
+import { advertiseMailbox, findMailbox } from './mailbox.js';
 
 export class BootstrapRegistry {
   constructor(identity, transport, adapters = {}) {
@@ -119,6 +121,47 @@ export class BootstrapRegistry {
     console.log('[BootstrapRegistry] Service registered:', serviceInfo.name);
   }
 
+  /**
+   * Publish our X3DH prekey bundle (createPrekeys(), x3dh.js) so peers can
+   * open encrypted sessions with us while we are offline
+   */
+  async publishPrekeys(bundle) {
+    const entry = await publishPrekeys(this.publicLedger, this.identity, bundle, this.clock.now());
+
+    await this.broadcastRegistryUpdate(entry);
+    await this.saveRegistry();
+
+    console.log('[BootstrapRegistry] Prekeys published:', this.identity.did);
+    return entry;
+  }
+
+  /**
+   * Latest valid prekey bundle published by `did`, or null
+   */
+  async getPrekeyBundle(did) {
+    return await findPrekeyBundle(this.publicLedger, did);
+  }
+
+  /**
+   * Advertise the relays holding our mail while we are offline (mailbox.js)
+   */
+  async advertiseMailbox(relays) {
+    const entry = await advertiseMailbox(this.publicLedger, this.identity, relays, this.clock.now());
+
+    await this.broadcastRegistryUpdate(entry);
+    await this.saveRegistry();
+
+    console.log('[BootstrapRegistry] Mailbox advertised:', this.identity.did, relays);
+    return entry;
+  }
+
+  /**
+   * Latest mailbox advertised by `did`: { relays, publicKey }, or null
+   */
+  async getMailbox(did) {
+    return await findMailbox(this.publicLedger, did);
+  }
+
   /**
    * Publish public content to the registry ledger
    */
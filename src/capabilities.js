@@ -0,0 +1,325 @@
+/**
+ * SRCP007 - Capability Tokens (UCAN-style delegation)
+ *
+ * Lets a DID grant another DID a narrow permission - "post to my feed",
+ * "spend up to 10 tokens" - without sharing its private key:
+ *
+ * {
+ *   type: 'srcp-capability', version: 1,
+ *   issuer, audience,                     - DIDs: granter and grantee
+ *   capabilities: [{ resource, ability, caveats }],
+ *   issuedAt, notBefore, expires,         - logical pulses
+ *   proofs: [...],                        - parent tokens, for re-delegation
+ *   publicKey, signature                  - issuer's key and signature
+ * }
+ *
+ * Resources are owned by the DID they start with: `<did>` or
+ * `<did>/<path>`, e.g. `did:srcp:ab12/feed`. A token without proofs is only
+ * valid for resources of its issuer. A token with proofs is valid if a
+ * proof was issued to its issuer and grants at least as much (attenuation):
+ *
+ *   resource  - same, or a sub-path ('did/feed' covers 'did/feed/photos')
+ *   ability   - same, '*', or a 'ns/*' wildcard covering 'ns/<action>'
+ *   caveats   - every caveat of the grant must be met: numbers are upper
+ *               limits, other values must be equal
+ *
+ * Built-in consumers:
+ *   Kernel            - payload { onBehalfOf, capability }: resource
+ *                       `<owner>/kernel`, ability `tx/<type>`
+ *   MessagingProtocol - resource `<owner>/messaging`, ability `message/send`
+ *   PublicFeed        - resource `<owner>/feed`, ability `feed/post`
+ *
+ * Outside the kernel, where a token travels without a signed transaction,
+ * the grantee wraps it in a signed invocation (createInvocation) binding it
+ * to one payload.
+ *
+ * @module capabilities
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+
+export const CAPABILITY_TYPE = 'srcp-capability';
+export const CAPABILITY_VERSION = 1;
+
+const MAX_CHAIN_DEPTH = 16;
+
+/**
+ * Thrown when an action is not covered by a valid capability
+ */
+export class CapabilityError extends Error {
+  constructor(reason) {
+    super(`Capability denied: ${reason}`);
+    this.name = 'CapabilityError';
+    this.code = 'CAPABILITY_DENIED';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Owner DID of a resource
+ */
+export function resourceOwner(resource) {
+  return resource.split('/')[0];
+}
+
+function resourceCovers(granted, requested) {
+  return requested === granted || requested.startsWith(`${granted}/`);
+}
+
+function abilityCovers(granted, requested) {
+  if (granted === '*' || granted === requested) return true;
+  return granted.endsWith('/*') && requested.startsWith(granted.slice(0, -1));
+}
+
+function caveatsCover(granted = {}, requested = {}) {
+  return Object.entries(granted).every(([key, limit]) => {
+    if (!(key in requested)) return false;
+    if (typeof limit === 'number') {
+      return typeof requested[key] === 'number' && requested[key] <= limit;
+    }
+    return Canonical.encode(requested[key]) === Canonical.encode(limit);
+  });
+}
+
+/**
+ * Check capability `granted` includes everything `requested` asks for
+ *
+ * @param {object} granted - { resource, ability, caveats }
+ * @param {object} requested - { resource, ability, caveats }
+ * @returns {boolean}
+ */
+export function capabilityCovers(granted, requested) {
+  return resourceCovers(granted.resource, requested.resource) &&
+    abilityCovers(granted.ability, requested.ability) &&
+    caveatsCover(granted.caveats, requested.caveats);
+}
+
+function unsigned(token) {
+  const { signature, ...body } = token;
+  return body;
+}
+
+/**
+ * Content hash of a token (signature included)
+ */
+export async function capabilityId(token) {
+  return await Canonical.hash(token);
+}
+
+/**
+ * Grant `capabilities` to `audienceDID`
+ *
+ * To re-delegate, pass the tokens you received as `proofs`; the grant must
+ * attenuate them and may not outlive them.
+ *
+ * @param {Identity} issuer - Granting identity
+ * @param {string} audienceDID - Grantee
+ * @param {object[]} capabilities - [{ resource, ability, caveats }]
+ * @param {object} options - { pulse: issuance pulse, expires, notBefore, proofs }
+ * @returns {Promise<object>} Signed token
+ */
+export async function delegateCapability(issuer, audienceDID, capabilities, { pulse, expires, notBefore = pulse, proofs = [] }) {
+  if (!Number.isInteger(pulse) || !Number.isInteger(expires) || expires < notBefore) {
+    throw new Error('Capability requires integer pulse and expires >= notBefore');
+  }
+  if (!Array.isArray(capabilities) || capabilities.length === 0) {
+    throw new Error('Capability requires at least one capability');
+  }
+
+  const grants = capabilities.map(({ resource, ability, caveats = {} }) => {
+    if (typeof resource !== 'string' || !resource.startsWith('did:') || typeof ability !== 'string') {
+      throw new Error(`Invalid capability: ${resource} ${ability}`);
+    }
+    return { resource, ability, caveats };
+  });
+
+  for (const grant of grants) {
+    if (proofs.length === 0) {
+      if (resourceOwner(grant.resource) !== issuer.did) {
+        throw new Error(`${issuer.did} does not own ${grant.resource}; pass proofs to re-delegate`);
+      }
+    } else if (!proofs.some(proof =>
+      proof.audience === issuer.did &&
+      expires <= proof.expires &&
+      notBefore >= proof.notBefore &&
+      proof.capabilities.some(granted => capabilityCovers(granted, grant))
+    )) {
+      throw new Error(`No proof grants ${grant.ability} on ${grant.resource} to ${issuer.did}`);
+    }
+  }
+
+  const body = {
+    type: CAPABILITY_TYPE,
+    version: CAPABILITY_VERSION,
+    issuer: issuer.did,
+    audience: audienceDID,
+    capabilities: grants,
+    issuedAt: pulse,
+    notBefore,
+    expires,
+    proofs,
+    publicKey: issuer.publicKeyJWK
+  };
+
+  return { ...body, signature: await issuer.sign(body) };
+}
+
+/**
+ * Grantee side: bind a token to one payload, signed by the grantee
+ *
+ * @param {Identity} invoker - Audience of the token
+ * @param {object} token - Capability token
+ * @param {object} options - { resource, ability, caveats, payload }
+ * @returns {Promise<object>} Invocation
+ */
+export async function createInvocation(invoker, token, { resource, ability, caveats = {}, payload }) {
+  const body = {
+    capability: token,
+    invoker: invoker.did,
+    resource,
+    ability,
+    caveats,
+    payloadHash: await Canonical.hash(payload),
+    publicKey: invoker.publicKeyJWK
+  };
+  return { ...body, signature: await invoker.sign(body) };
+}
+
+/**
+ * Checks tokens and invocations
+ *
+ * Verification is deterministic for a given pulse. Callers without a
+ * transaction pulse (messaging, feeds) give the verifier a clock.
+ */
+export class CapabilityVerifier {
+  /**
+   * @param {object} options - {
+   *   resolver: DIDResolver for rotated keys,
+   *   clock: { now() } used when verify() gets no pulse
+   * }
+   */
+  constructor({ resolver = null, clock = null } = {}) {
+    this.resolver = resolver;
+    this.clock = clock;
+  }
+
+  /**
+   * Check `token` lets `invoker` perform `ability` on `resource`
+   *
+   * @param {object} token - Capability token
+   * @param {object} request - { invoker, resource, ability, caveats, pulse }
+   * @returns {Promise<object>} { valid, reason, owner }
+   */
+  async verify(token, { invoker, resource, ability, caveats = {}, pulse = null }) {
+    if (pulse === null) {
+      if (!this.clock) {
+        return { valid: false, reason: 'Capability verification needs a pulse or clock', owner: null };
+      }
+      pulse = this.clock.now();
+    }
+
+    if (!token || token.audience !== invoker) {
+      return { valid: false, reason: `Capability not issued to ${invoker}`, owner: null };
+    }
+
+    const reason = await this._verifyChain(token, { resource, ability, caveats }, pulse, 0);
+    return { valid: reason === null, reason, owner: reason === null ? resourceOwner(resource) : null };
+  }
+
+  /**
+   * verify(), throwing CapabilityError when denied
+   */
+  async authorize(token, request) {
+    const result = await this.verify(token, request);
+    if (!result.valid) {
+      throw new CapabilityError(result.reason);
+    }
+    return result;
+  }
+
+  /**
+   * Check an invocation made with createInvocation() for `payload`
+   *
+   * @param {object} invocation - Signed invocation
+   * @param {*} payload - The payload it was made for
+   * @param {object} request - { invoker, resource, ability, pulse } the
+   *   receiver expects; resource and ability must match the invocation
+   * @returns {Promise<object>} { valid, reason, owner }
+   */
+  async verifyInvocation(invocation, payload, { invoker, resource, ability, pulse = null }) {
+    const denied = reason => ({ valid: false, reason, owner: null });
+
+    if (!invocation || invocation.invoker !== invoker ||
+        invocation.resource !== resource || invocation.ability !== ability) {
+      return denied('Invocation does not match the action');
+    }
+    if (invocation.payloadHash !== await Canonical.hash(payload)) {
+      return denied('Invocation was made for another payload');
+    }
+
+    const { signature, ...body } = invocation;
+    if (!(await Identity.verify(invocation.publicKey, body, signature, { did: invoker, resolver: this.resolver }))) {
+      return denied(`Invalid invocation signature from ${invoker}`);
+    }
+
+    return await this.verify(invocation.capability, {
+      invoker,
+      resource,
+      ability,
+      caveats: invocation.caveats,
+      pulse
+    });
+  }
+
+  // Returns an error message, or null if `token` grants `requested` at `pulse`
+  async _verifyChain(token, requested, pulse, depth) {
+    if (depth >= MAX_CHAIN_DEPTH) {
+      return 'Capability chain too deep';
+    }
+    if (!token || token.type !== CAPABILITY_TYPE || token.version !== CAPABILITY_VERSION ||
+        !Array.isArray(token.capabilities) || !Array.isArray(token.proofs)) {
+      return 'Malformed capability';
+    }
+
+    const signed = await Identity.verify(token.publicKey, unsigned(token), token.signature, {
+      did: token.issuer,
+      pulse: token.issuedAt,
+      resolver: this.resolver
+    });
+    if (!signed) {
+      return `Invalid capability signature from ${token.issuer}`;
+    }
+
+    if (pulse < token.notBefore) {
+      return 'Capability not yet valid';
+    }
+    if (pulse > token.expires) {
+      return 'Capability expired';
+    }
+
+    const grants = token.capabilities.filter(granted => capabilityCovers(granted, requested));
+    if (grants.length === 0) {
+      return `Capability does not grant ${requested.ability} on ${requested.resource}`;
+    }
+
+    if (token.proofs.length === 0) {
+      return resourceOwner(requested.resource) === token.issuer
+        ? null
+        : `${token.issuer} does not own ${requested.resource}`;
+    }
+
+    // Some proof, issued to this token's issuer, must grant what this token grants
+    let reason = `No proof delegates ${requested.ability} on ${requested.resource} to ${token.issuer}`;
+    for (const proof of token.proofs) {
+      if (!proof || proof.audience !== token.issuer) continue;
+      for (const grant of grants) {
+        const error = await this._verifyChain(proof, grant, pulse, depth + 1);
+        if (error === null) return null;
+        reason = error;
+      }
+    }
+    return reason;
+  }
+}
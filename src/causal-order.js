@@ -0,0 +1,95 @@
+/**
+ * SRCP007 - Deterministic Total Order
+ *
+ * The one ordering every node uses to merge and replay concurrent history,
+ * so replicas holding the same set of items converge on the same sequence:
+ *
+ *   1. Causal stamp (wall, counter, node DID) - see createCausalClock()
+ *   2. Hash, lexicographically - breaks any remaining tie
+ *
+ * Items without a stamp (created before causal clocks) order as if
+ * stamped { wall: 0, counter: pulse, node: '' }.
+ *
+ * Ledger entries are additionally kept in per-DID chain order: an entry
+ * never precedes its own predecessor (prevHash), whatever its stamp says.
+ *
+ * @module causal-order
+ * @version 1.0.0
+ */
+
+import { compareStamps } from './clock.js';
+
+const UNSTAMPED_NODE = '';
+
+function stampOf(item) {
+  return item.stamp || { wall: 0, counter: item.pulse || 0, node: UNSTAMPED_NODE };
+}
+
+/**
+ * Compare two stamped items ({ stamp?, pulse?, hash })
+ *
+ * @returns {number} negative, zero or positive
+ */
+export function compareCausal(a, b) {
+  const byStamp = compareStamps(stampOf(a), stampOf(b));
+  if (byStamp !== 0) return byStamp;
+  if (a.hash === b.hash) return 0;
+  return a.hash < b.hash ? -1 : 1;
+}
+
+/**
+ * Kernel transactions in total order (new array)
+ */
+export function orderTransactions(transactions) {
+  return [...transactions].sort(compareCausal);
+}
+
+/**
+ * Ledger entries in total order, respecting each DID's hash chain
+ *
+ * Entries are taken in causal order; a linked entry whose predecessor has
+ * not been placed yet waits and is placed right after it. Entries whose
+ * predecessor never appears are placed last, in causal order.
+ *
+ * @param {LedgerEntry[]} entries - Deduplicated entries
+ * @param {object} options - { present: hashes already in the target ledger }
+ * @returns {LedgerEntry[]} Ordered entries (new array)
+ */
+export function orderEntries(entries, { present = [] } = {}) {
+  const sorted = [...entries].sort(compareCausal);
+  const placed = new Set(present);
+  const waiting = new Map(); // prevHash -> entries waiting on it
+  const ordered = [];
+
+  const place = (entry) => {
+    const queue = [entry];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      ordered.push(current);
+      placed.add(current.hash);
+
+      const next = waiting.get(current.hash);
+      if (next) {
+        waiting.delete(current.hash);
+        queue.push(...next);
+      }
+    }
+  };
+
+  for (const entry of sorted) {
+    if (entry.prevHash && !placed.has(entry.prevHash)) {
+      if (!waiting.has(entry.prevHash)) waiting.set(entry.prevHash, []);
+      waiting.get(entry.prevHash).push(entry);
+    } else {
+      place(entry);
+    }
+  }
+
+  // Orphans: predecessor missing from this set
+  const orphans = Array.from(waiting.values()).flat().sort(compareCausal);
+  for (const entry of orphans) {
+    if (!placed.has(entry.hash)) place(entry);
+  }
+
+  return ordered;
+}
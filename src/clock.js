@@ -33,3 +33,91 @@ export function createLogicalClock(start = 0) {
     }
   });
 }
+
+/**
+ * Hybrid logical clock adapter carrying a node DID
+ * 
+ * Stamps are { wall, counter, node }. `wall` follows an optional injected
+ * physical clock (anything with now()); without one it stays at `start`
+ * and the clock is a plain Lamport clock. Stamps respect causality: a
+ * stamp issued after receive(remote) is always greater than `remote`.
+ * 
+ * @param {string} node - DID of the stamping node (final tie-break)
+ * @param {object} options - { physical, start }
+ */
+export function createCausalClock(node, { physical = null, start = 0 } = {}) {
+  if (typeof node !== 'string' || !node) {
+    throw new Error('Causal clock requires a node DID');
+  }
+  
+  let wall = start;
+  let counter = 0;
+  
+  const physicalNow = () => (physical ? physical.now() : wall);
+  const current = () => Object.freeze({ wall, counter, node });
+  
+  return Object.freeze({
+    node,
+    
+    // Stamp a local event (or a message about to be sent)
+    tick() {
+      const pt = physicalNow();
+      if (pt > wall) {
+        wall = pt;
+        counter = 0;
+      } else {
+        counter++;
+      }
+      return current();
+    },
+    
+    // Merge a remote stamp and stamp its receipt
+    receive(remote) {
+      assertStamp(remote);
+      
+      const pt = physicalNow();
+      const nextWall = Math.max(wall, remote.wall, pt);
+      
+      if (nextWall === wall && nextWall === remote.wall) {
+        counter = Math.max(counter, remote.counter) + 1;
+      } else if (nextWall === wall) {
+        counter++;
+      } else if (nextWall === remote.wall) {
+        counter = remote.counter + 1;
+      } else {
+        counter = 0;
+      }
+      wall = nextWall;
+      
+      return current();
+    },
+    
+    // Latest stamp issued, without advancing
+    peek() {
+      return current();
+    },
+    
+    getState() {
+      return { wall, counter, node };
+    }
+  });
+}
+
+/**
+ * Total order on causal stamps: wall, then counter, then node DID
+ * 
+ * @returns {number} negative, zero or positive
+ */
+export function compareStamps(a, b) {
+  if (a.wall !== b.wall) return a.wall < b.wall ? -1 : 1;
+  if (a.counter !== b.counter) return a.counter < b.counter ? -1 : 1;
+  if (a.node !== b.node) return a.node < b.node ? -1 : 1;
+  return 0;
+}
+
+function assertStamp(stamp) {
+  if (!stamp || !Number.isInteger(stamp.wall) || !Number.isInteger(stamp.counter) ||
+      typeof stamp.node !== 'string') {
+    throw new Error('Invalid causal stamp: expected { wall, counter, node }');
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * SRCP007 - Verifiable Credentials
+ *
+ * W3C VC-shaped attestations from one did:srcp DID (the issuer) about
+ * another (the subject), e.g. "skill verified" or "member":
+ *
+ * {
+ *   '@context': [...],
+ *   id: 'urn:srcp:credential:<hash>',
+ *   type: ['VerifiableCredential', 'SkillCredential'],
+ *   issuer, issuancePulse, expirationPulse,
+ *   credentialSubject: { id: subject DID, claimDigests: [...] },
+ *   proof: { type, created, verificationMethod, publicKey, signature }
+ * }
+ *
+ * Claims are never in the credential itself. Each claim becomes a
+ * disclosure { salt, name, value }; the issuer signs only the sorted
+ * digests of the disclosures. The holder keeps the disclosures and reveals
+ * a chosen subset in a presentation, signed by the holder over a verifier
+ * challenge; undisclosed claims (names included) stay hidden.
+ *
+ * Revocation is a signed ledger entry by the issuer (action
+ * 'credential:revoke'), so every replica of the ledger agrees on the
+ * revocation list.
+ *
+ * Salts come from the platform CSPRNG - issuing is NOT deterministic;
+ * verification is.
+ *
+ * @module credentials
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+
+export const CREDENTIAL_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+export const REVOKE_ACTION = 'credential:revoke';
+const PROOF_TYPE = 'SrcpEcdsaP256Signature';
+
+async function disclosureDigest({ salt, name, value }) {
+  return await Canonical.hash({ salt, name, value });
+}
+
+function unsigned(credential) {
+  const { proof, ...body } = credential;
+  return body;
+}
+
+function invalid(reason) {
+  return { valid: false, reason };
+}
+
+/**
+ * Issue a credential about `subjectDID`
+ *
+ * @param {Identity} issuer - Issuing identity
+ * @param {string} subjectDID - DID the claims are about
+ * @param {object} claims - Field -> value (canonically encodable)
+ * @param {object} options - { type, pulse, expires: last valid pulse }
+ * @returns {Promise<object>} { credential, disclosures } - give both to the
+ *   holder; disclosures are private
+ */
+export async function issueCredential(issuer, subjectDID, claims, { type = null, pulse, expires = null }) {
+  if (!Number.isInteger(pulse)) {
+    throw new Error('Credential requires an issuance pulse');
+  }
+
+  const disclosures = Object.keys(claims).sort().map(name => ({
+    salt: Canonical.randomHex(16),
+    name,
+    value: claims[name]
+  }));
+  const claimDigests = (await Promise.all(disclosures.map(disclosureDigest))).sort();
+
+  const body = {
+    '@context': [CREDENTIAL_CONTEXT],
+    type: type ? ['VerifiableCredential', type] : ['VerifiableCredential'],
+    issuer: issuer.did,
+    issuancePulse: pulse,
+    expirationPulse: expires,
+    credentialSubject: { id: subjectDID, claimDigests }
+  };
+  body.id = `urn:srcp:credential:${await Canonical.hash(body)}`;
+
+  const credential = {
+    ...body,
+    proof: {
+      type: PROOF_TYPE,
+      created: pulse,
+      verificationMethod: issuer.did,
+      publicKey: issuer.publicKeyJWK,
+      signature: await issuer.sign(body)
+    }
+  };
+
+  return { credential, disclosures };
+}
+
+/**
+ * Verify a credential's issuer signature, validity window and revocation
+ *
+ * @param {object} credential - Issued credential
+ * @param {object} options - {
+ *   pulse: verification pulse (checks expiry and revocation up to it),
+ *   resolver: DIDResolver for rotated issuer keys,
+ *   ledger: Ledger holding revocations
+ * }
+ * @returns {Promise<object>} { valid, reason }
+ */
+export async function verifyCredential(credential, { pulse = null, resolver = null, ledger = null } = {}) {
+  if (!credential || !credential.proof || !credential.credentialSubject) {
+    return invalid('Malformed credential');
+  }
+
+  const body = unsigned(credential);
+  const { id, ...content } = body;
+  if (id !== `urn:srcp:credential:${await Canonical.hash(content)}`) {
+    return invalid('Credential ID does not match its content');
+  }
+
+  const { proof } = credential;
+  if (proof.type !== PROOF_TYPE || proof.verificationMethod !== credential.issuer) {
+    return invalid('Unsupported credential proof');
+  }
+
+  const signed = await Identity.verify(proof.publicKey, body, proof.signature, {
+    did: credential.issuer,
+    pulse: credential.issuancePulse,
+    resolver
+  });
+  if (!signed) {
+    return invalid('Invalid issuer signature');
+  }
+
+  if (pulse !== null) {
+    if (pulse < credential.issuancePulse) {
+      return invalid('Credential not yet issued');
+    }
+    if (credential.expirationPulse !== null && pulse > credential.expirationPulse) {
+      return invalid('Credential expired');
+    }
+  }
+
+  if (ledger && await isCredentialRevoked(ledger, credential, pulse)) {
+    return invalid('Credential revoked');
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Present a credential, disclosing only `fields`
+ *
+ * @param {Identity} holder - Subject of the credential
+ * @param {object} credential - Issued credential
+ * @param {object[]} disclosures - Disclosures from issueCredential()
+ * @param {string[]} fields - Claim names to reveal
+ * @param {object} options - { challenge: verifier nonce, pulse }
+ * @returns {Promise<object>} Presentation
+ */
+export async function presentCredential(holder, credential, disclosures, fields, { challenge, pulse }) {
+  if (credential.credentialSubject.id !== holder.did) {
+    throw new Error(`Credential subject ${credential.credentialSubject.id} is not the holder ${holder.did}`);
+  }
+
+  const disclosed = fields.map(field => {
+    const disclosure = disclosures.find(d => d.name === field);
+    if (!disclosure) {
+      throw new Error(`No disclosure for claim: ${field}`);
+    }
+    return disclosure;
+  });
+
+  const body = {
+    type: ['VerifiablePresentation'],
+    holder: holder.did,
+    verifiableCredential: credential,
+    disclosures: disclosed,
+    challenge,
+    pulse
+  };
+
+  return {
+    ...body,
+    proof: {
+      type: PROOF_TYPE,
+      verificationMethod: holder.did,
+      publicKey: holder.publicKeyJWK,
+      signature: await holder.sign(body)
+    }
+  };
+}
+
+/**
+ * Verify a presentation and return the disclosed claims
+ *
+ * @param {object} presentation - From presentCredential()
+ * @param {object} options - { challenge: the nonce the verifier issued, pulse, resolver, ledger }
+ * @returns {Promise<object>} { valid, reason, issuer, subject, type, claims }
+ */
+export async function verifyPresentation(presentation, { challenge, pulse = null, resolver = null, ledger = null }) {
+  if (!presentation || !presentation.proof || !presentation.verifiableCredential) {
+    return invalid('Malformed presentation');
+  }
+  if (presentation.challenge !== challenge) {
+    return invalid('Presentation challenge mismatch');
+  }
+
+  const { proof, ...body } = presentation;
+  const credential = presentation.verifiableCredential;
+
+  if (presentation.holder !== credential.credentialSubject.id) {
+    return invalid('Presentation holder is not the credential subject');
+  }
+
+  const signed = await Identity.verify(proof.publicKey, body, proof.signature, {
+    did: presentation.holder,
+    pulse: presentation.pulse,
+    resolver
+  });
+  if (!signed) {
+    return invalid('Invalid holder signature');
+  }
+
+  const status = await verifyCredential(credential, { pulse, resolver, ledger });
+  if (!status.valid) {
+    return status;
+  }
+
+  const digests = new Set(credential.credentialSubject.claimDigests);
+  const claims = {};
+  for (const disclosure of presentation.disclosures) {
+    if (!digests.has(await disclosureDigest(disclosure))) {
+      return invalid(`Disclosure does not match the credential: ${disclosure.name}`);
+    }
+    claims[disclosure.name] = disclosure.value;
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    issuer: credential.issuer,
+    subject: credential.credentialSubject.id,
+    type: credential.type,
+    claims
+  };
+}
+
+/**
+ * Revoke a credential by appending a signed entry to the ledger
+ * Only entries by the credential's issuer count as revocations.
+ *
+ * @returns {Promise<LedgerEntry>}
+ */
+export async function revokeCredential(ledger, issuer, credential, pulse, { reason = null } = {}) {
+  if (credential.issuer !== issuer.did) {
+    throw new Error(`Only the issuer ${credential.issuer} can revoke ${credential.id}`);
+  }
+  return await ledger.createEntry(issuer, REVOKE_ACTION, { credentialId: credential.id, reason }, pulse);
+}
+
+/**
+ * Check the ledger's revocation list for `credential`
+ *
+ * @param {Ledger} ledger - Ledger holding revocations
+ * @param {object} credential - Credential to look up
+ * @param {number|null} pulse - Only count revocations at or before this pulse
+ * @returns {Promise<boolean>}
+ */
+export async function isCredentialRevoked(ledger, credential, pulse = null) {
+  const entries = await ledger.getEntriesByDID(credential.issuer);
+  return entries.some(entry =>
+    entry.action === REVOKE_ACTION &&
+    entry.data.credentialId === credential.id &&
+    (pulse === null || entry.pulse <= pulse)
+  );
+}
@@ -0,0 +1,179 @@
+/**
+ * SRCP007 - Liquid Delegation
+ *
+ * A DID may hand its vote on a topic to another DID, who may hand it on
+ * again. The delegation graph lives on the ledger as 'delegation:set'
+ * entries signed by the delegator:
+ *
+ *   { topic, delegate, subject }
+ *
+ *   topic     what the delegation covers: a claim Category
+ *             (truthrank-engine.js) or any other string, e.g. 'governance'
+ *   delegate  DID receiving the vote; null revokes
+ *   subject   optional proposal / claim ID - overrides the topic-wide
+ *             delegation for that one subject only
+ *
+ * The latest entry per delegator wins. Voting directly always overrides a
+ * delegation: a chain stops at the first DID that cast a ballot, and that
+ * DID votes with the weight of everyone behind it. Weight whose chain
+ * reaches no ballot is not counted.
+ *
+ * delegate() refuses edges that would close a cycle. Entries recorded
+ * concurrently can still form one, so getDelegations() adds edges in
+ * ledger order (topic-wide first, then the subject's) and drops any edge
+ * that closes a cycle - every replica of the ledger resolves the same graph.
+ *
+ * @module delegation
+ * @version 1.0.0
+ */
+
+import { KarmaSystem } from './karma.js';
+
+export const DELEGATE_ACTION = 'delegation:set';
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || !value) {
+    throw new Error(`Delegation requires a ${field}`);
+  }
+}
+
+/**
+ * Chain of DIDs followed from `did` through `delegations` (did first)
+ * Stops at a DID with no delegate, or before revisiting one.
+ */
+export function delegationChain(delegations, did) {
+  const chain = [did];
+  const seen = new Set(chain);
+  let next = delegations.get(did);
+  while (next && !seen.has(next)) {
+    chain.push(next);
+    seen.add(next);
+    next = delegations.get(next);
+  }
+  return chain;
+}
+
+/**
+ * Whether delegating from `from` to `to` would close a cycle
+ */
+export function wouldCreateCycle(delegations, from, to) {
+  return delegationChain(delegations, to).includes(from);
+}
+
+// Latest delegate per delegator, in the order those entries were recorded
+function latestEdges(entries) {
+  const latest = new Map();
+  for (const entry of entries) {
+    latest.delete(entry.did);
+    latest.set(entry.did, entry.data.delegate);
+  }
+  return latest;
+}
+
+/**
+ * Delegation graph for `topic` as recorded on `ledger`
+ *
+ * @param {Ledger} ledger - Ledger holding the entries
+ * @param {string} topic - Topic
+ * @param {object} options - {
+ *   subject: proposal / claim ID whose overrides apply,
+ *   pulse: ignore entries recorded after this pulse
+ * }
+ * @returns {Map<string, string>} delegator DID -> delegate DID, acyclic
+ */
+export function getDelegations(ledger, topic, { subject = null, pulse = Infinity } = {}) {
+  const entries = ledger.getEntriesByAction(DELEGATE_ACTION)
+    .filter(e => e.did && e.data.topic === topic && e.pulse <= pulse);
+
+  const edges = latestEdges(entries.filter(e => !e.data.subject));
+  if (subject !== null) {
+    for (const [did, delegate] of latestEdges(entries.filter(e => e.data.subject === subject))) {
+      edges.delete(did);
+      edges.set(did, delegate);
+    }
+  }
+
+  const delegations = new Map();
+  for (const [did, delegate] of edges) {
+    if (delegate && !wouldCreateCycle(delegations, did, delegate)) {
+      delegations.set(did, delegate);
+    }
+  }
+  return delegations;
+}
+
+/**
+ * Delegate `delegator`'s vote on `topic` (or on one subject of it)
+ *
+ * @param {Ledger} ledger - Ledger to record it on
+ * @param {Identity} delegator - Delegating identity
+ * @param {object} delegation - { topic, delegate: DID or null to revoke, subject }
+ * @param {number} pulse - Pulse
+ * @returns {Promise<LedgerEntry>}
+ */
+export async function delegate(ledger, delegator, { topic, delegate: to, subject = null }, pulse) {
+  requireString(topic, 'topic');
+  if (subject !== null) requireString(subject, 'subject');
+  if (to !== null) {
+    requireString(to, 'delegate DID');
+    if (to === delegator.did) {
+      throw new Error('Cannot delegate to yourself');
+    }
+    const delegations = getDelegations(ledger, topic, { subject });
+    delegations.delete(delegator.did);
+    if (wouldCreateCycle(delegations, delegator.did, to)) {
+      throw new Error(`Delegating ${topic} to ${to} would create a cycle`);
+    }
+  }
+
+  return await ledger.createEntry(delegator, DELEGATE_ACTION, { topic, delegate: to, subject }, pulse);
+}
+
+/**
+ * Revoke `delegator`'s delegation on `topic` (or its override on one subject)
+ */
+export async function revokeDelegation(ledger, delegator, { topic, subject = null }, pulse) {
+  return await delegate(ledger, delegator, { topic, delegate: null, subject }, pulse);
+}
+
+/**
+ * Count ballots with the weight delegated to each voter
+ *
+ * @param {Map|object} ballots - voter -> choice (direct votes)
+ * @param {Map<string, string>} delegations - From getDelegations()
+ * @param {Function} weightOf - did => own voting weight
+ * @returns {object} {
+ *   totals: choice -> weight,
+ *   weights: voter -> effective weight (own + delegated),
+ *   representedBy: delegator -> voter casting its weight
+ * }
+ */
+export function tallyWithDelegation(ballots, delegations, weightOf) {
+  const choices = ballots instanceof Map ? ballots : new Map(Object.entries(ballots));
+  const totals = {};
+  const weights = {};
+  const representedBy = {};
+
+  const participants = new Set([...choices.keys(), ...delegations.keys()]);
+  for (const did of participants) {
+    const voter = delegationChain(delegations, did).find(link => choices.has(link));
+    if (voter === undefined) continue;
+
+    const weight = weightOf(did);
+    const choice = choices.get(voter);
+    totals[choice] = (totals[choice] || 0) + weight;
+    weights[voter] = (weights[voter] || 0) + weight;
+    if (voter !== did) representedBy[did] = voter;
+  }
+
+  return { totals, weights, representedBy };
+}
+
+/**
+ * weightOf() for tallyWithDelegation(): KarmaSystem voting weight
+ *
+ * @param {Function} karmaOf - did => karma
+ */
+export function karmaWeight(karmaOf) {
+  return did => KarmaSystem.getVotingWeight(karmaOf(did));
+}
@@ -0,0 +1,463 @@
+/**
+ * SRCP007 - DID Documents: Key Rotation and Revocation
+ *
+ * A did:srcp DID is derived from its inception key and never changes. Its
+ * document is a hash-linked, signed log of key events saying which key was
+ * valid when:
+ *
+ *   inception  - the first key, plus commitments (fingerprints) of
+ *                recovery keys kept offline
+ *   rotation   - replaces the current key from `pulse` on. Signed by the
+ *                current key, or by a committed recovery key, which may also
+ *                replace the recovery commitments
+ *   revocation - withdraws a key from its `effective` pulse on. If a
+ *                recovery key signs, `effective` may precede the record, so
+ *                signatures made after a key was compromised stop verifying.
+ *                A revoked current key leaves the DID without a valid key
+ *                until a recovery rotation
+ *   recovery   - replaces the recovery commitments. Signed by a recovery
+ *                key, or by the current key while none are committed
+ *
+ * Events are self-certifying and can travel over any channel. DIDResolver
+ * keeps the latest document per DID and answers "which key was valid for
+ * this DID at this pulse" for Identity.verify, LedgerEntry.verify, Ledger
+ * and the kernel (adapters.resolver). A DID without a document resolves to
+ * its inception key only.
+ *
+ * @module did-document
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+
+export const KeyEventType = Object.freeze({
+  INCEPTION: 'inception',
+  ROTATION: 'rotation',
+  REVOCATION: 'revocation',
+  RECOVERY: 'recovery'
+});
+
+export const KeySigner = Object.freeze({
+  KEY: 'key',
+  RECOVERY: 'recovery'
+});
+
+/**
+ * Stable key identifier: hash of the JWK's curve point
+ * (ignores key_ops/ext, which differ between exports of the same key)
+ */
+export async function keyFingerprint(publicKeyJWK) {
+  const { kty, crv, x, y } = publicKeyJWK;
+  return await Canonical.hash({ kty, crv, x, y });
+}
+
+/**
+ * Error raised when a DID has two conflicting key event logs
+ */
+export class DuplicityError extends Error {
+  constructor(did, sequence, events) {
+    super(`Duplicity detected: ${did} has conflicting key events at sequence ${sequence}`);
+    this.name = 'DuplicityError';
+    this.code = 'DUPLICITY';
+    this.did = did;
+    this.sequence = sequence;
+    this.events = events;
+  }
+}
+
+function unsigned(event) {
+  const { signature, ...body } = event;
+  return body;
+}
+
+export class DIDDocument {
+  constructor(did) {
+    this.did = did;
+    this.events = [];
+
+    // Derived from events by _apply()
+    this.keys = [];        // { fingerprint, publicKey, from, until, revokedFrom }
+    this.recovery = [];    // Fingerprints of committed recovery keys
+    this.headHash = null;
+    this.lastPulse = null;
+  }
+
+  /**
+   * Start a document for `identity` (its current key becomes the inception key)
+   *
+   * @param {Identity} identity - Identity whose DID is derived from its key
+   * @param {object} options - { recovery: recovery public keys (JWK), pulse }
+   */
+  static async create(identity, { recovery = [], pulse = 0 } = {}) {
+    const didDocument = new DIDDocument(identity.did);
+
+    const event = {
+      type: KeyEventType.INCEPTION,
+      did: identity.did,
+      sequence: 0,
+      prevHash: null,
+      pulse,
+      publicKey: identity.publicKeyJWK,
+      recovery: await Promise.all(recovery.map(keyFingerprint)),
+      signer: KeySigner.KEY
+    };
+    event.signature = await identity.sign(event);
+
+    await didDocument._apply(event);
+    return didDocument;
+  }
+
+  /**
+   * Rebuild a document from its events, verifying every one
+   * Throws on the first invalid event.
+   */
+  static async fromJSON(json) {
+    const didDocument = new DIDDocument(json.did);
+    for (const event of json.events) {
+      await didDocument._apply(event);
+    }
+    return didDocument;
+  }
+
+  /**
+   * Rotate `identity` to a freshly generated key from `pulse` on
+   *
+   * Signed by the identity's current key, or by `signer` holding a committed
+   * recovery key (required once the current key is revoked). Only a
+   * recovery-signed rotation may replace the recovery commitments.
+   *
+   * @param {Identity} identity - Identity to rotate; its key pair is replaced
+   * @param {number} pulse - First pulse signed with the new key
+   * @param {object} options - { signer: recovery Identity, recovery: new recovery public keys }
+   * @returns {Promise<object>} The rotation event
+   */
+  async rotate(identity, pulse, { signer = identity, recovery = null } = {}) {
+    if (identity.did !== this.did) {
+      throw new Error(`Cannot rotate ${identity.did} with the document of ${this.did}`);
+    }
+
+    const keyPair = await Identity.generateKeyPair();
+    const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+
+    const event = await this._sign({
+      type: KeyEventType.ROTATION,
+      pulse,
+      publicKey,
+      ...(recovery ? { recovery: await Promise.all(recovery.map(keyFingerprint)) } : {})
+    }, signer);
+
+    await this._apply(event);
+
+    identity.keyPair = keyPair;
+    identity.publicKeyJWK = publicKey;
+
+    return event;
+  }
+
+  /**
+   * Revoke a key (by fingerprint) from `effective` on
+   *
+   * @param {Identity} signer - Holder of the current key or a recovery key
+   * @param {string} fingerprint - keyFingerprint() of the key to revoke
+   * @param {number} pulse - Pulse of the revocation record
+   * @param {object} options - { effective: first invalid pulse, defaults to
+   *   `pulse`; only a recovery key may revoke from an earlier pulse }
+   * @returns {Promise<object>} The revocation event
+   */
+  async revoke(signer, fingerprint, pulse, { effective = pulse } = {}) {
+    const event = await this._sign({
+      type: KeyEventType.REVOCATION,
+      pulse,
+      key: fingerprint,
+      effective
+    }, signer);
+
+    await this._apply(event);
+    return event;
+  }
+
+  /**
+   * Replace the recovery keys (e.g. when setting up social recovery)
+   *
+   * @param {Identity} signer - Holder of a recovery key, or of the current
+   *   key if no recovery keys are committed yet
+   * @param {object[]} recoveryKeys - Recovery public keys (JWK)
+   * @param {number} pulse - Pulse of the record
+   * @returns {Promise<object>} The recovery event
+   */
+  async setRecoveryKeys(signer, recoveryKeys, pulse) {
+    const event = await this._sign({
+      type: KeyEventType.RECOVERY,
+      pulse,
+      recovery: await Promise.all(recoveryKeys.map(keyFingerprint))
+    }, signer);
+
+    await this._apply(event);
+    return event;
+  }
+
+  /**
+   * Public key valid for this DID at `pulse`, or null
+   * Without a pulse: the current key, if not revoked.
+   */
+  keyAt(pulse = null) {
+    if (pulse === null) {
+      const current = this.keys[this.keys.length - 1];
+      return current.revokedFrom === null ? current.publicKey : null;
+    }
+
+    const key = this.keys.find(k =>
+      (k.from === null || k.from <= pulse) &&
+      (k.until === null || pulse < k.until) &&
+      (k.revokedFrom === null || pulse < k.revokedFrom)
+    );
+    return key ? key.publicKey : null;
+  }
+
+  /**
+   * Check `publicKey` was the valid key at `pulse`
+   */
+  async isValidKey(publicKey, pulse = null) {
+    const valid = this.keyAt(pulse);
+    return valid !== null && await keyFingerprint(valid) === await keyFingerprint(publicKey);
+  }
+
+  toJSON() {
+    return {
+      did: this.did,
+      events: this.events.map(event => ({ ...event }))
+    };
+  }
+
+  /**
+   * INTERNAL: Link and sign the next event as the current key or a recovery key
+   */
+  async _sign(fields, signer) {
+    const signerFingerprint = await keyFingerprint(signer.publicKeyJWK);
+    const current = this.keys[this.keys.length - 1];
+
+    const event = {
+      ...fields,
+      did: this.did,
+      sequence: this.events.length,
+      prevHash: this.headHash
+    };
+
+    if (signerFingerprint === current.fingerprint) {
+      event.signer = KeySigner.KEY;
+    } else if (this.recovery.includes(signerFingerprint)) {
+      event.signer = KeySigner.RECOVERY;
+      event.recoveryKey = signer.publicKeyJWK;
+    } else {
+      throw new Error(`Signer is neither the current key nor a recovery key of ${this.did}`);
+    }
+
+    event.signature = await signer.sign(event);
+    return event;
+  }
+
+  /**
+   * INTERNAL: Verify the next event against the log and apply it
+   */
+  async _apply(event) {
+    if (event.did !== this.did) {
+      throw new Error(`Key event for ${event.did} in the document of ${this.did}`);
+    }
+    if (event.sequence !== this.events.length || event.prevHash !== this.headHash) {
+      throw new Error(`Key event ${event.sequence} does not extend the log of ${this.did}`);
+    }
+    if (!Number.isInteger(event.pulse) || (this.lastPulse !== null && event.pulse < this.lastPulse)) {
+      throw new Error(`Key event ${event.sequence} of ${this.did} goes back in time`);
+    }
+
+    if (event.type === KeyEventType.INCEPTION) {
+      await this._applyInception(event);
+    } else {
+      if (this.events.length === 0) {
+        throw new Error(`Key log of ${this.did} must start with an inception event`);
+      }
+      await this._verifySigner(event);
+
+      if (event.type === KeyEventType.ROTATION) {
+        await this._applyRotation(event);
+      } else if (event.type === KeyEventType.REVOCATION) {
+        this._applyRevocation(event);
+      } else if (event.type === KeyEventType.RECOVERY) {
+        this._applyRecoveryKeys(event);
+      } else {
+        throw new Error(`Unknown key event type: ${event.type}`);
+      }
+    }
+
+    this.events.push(event);
+    this.headHash = await Canonical.hash(event);
+    this.lastPulse = event.pulse;
+  }
+
+  async _applyInception(event) {
+    if (event.sequence !== 0) {
+      throw new Error(`Inception must be the first key event of ${this.did}`);
+    }
+    if (await Identity.generateDID(event.publicKey) !== this.did) {
+      throw new Error(`Inception key does not derive ${this.did}`);
+    }
+    if (!(await Identity.verify(event.publicKey, unsigned(event), event.signature))) {
+      throw new Error(`Invalid inception signature for ${this.did}`);
+    }
+
+    this.keys.push({
+      fingerprint: await keyFingerprint(event.publicKey),
+      publicKey: event.publicKey,
+      from: null,  // The inception key also covers history before the document
+      until: null,
+      revokedFrom: null
+    });
+    this.recovery = [...event.recovery];
+  }
+
+  async _applyRotation(event) {
+    if (event.recovery && event.signer !== KeySigner.RECOVERY) {
+      throw new Error(`Only a recovery key may replace the recovery keys of ${this.did}`);
+    }
+
+    const fingerprint = await keyFingerprint(event.publicKey);
+    if (this.keys.some(k => k.fingerprint === fingerprint)) {
+      throw new Error(`Rotation of ${this.did} reuses an earlier key`);
+    }
+
+    this.keys[this.keys.length - 1].until = event.pulse;
+    this.keys.push({ fingerprint, publicKey: event.publicKey, from: event.pulse, until: null, revokedFrom: null });
+
+    if (event.recovery) {
+      this.recovery = [...event.recovery];
+    }
+  }
+
+  _applyRevocation(event) {
+    const key = this.keys.find(k => k.fingerprint === event.key);
+    if (!key) {
+      throw new Error(`Revocation of an unknown key of ${this.did}`);
+    }
+    if (!Number.isInteger(event.effective) || event.effective > event.pulse) {
+      throw new Error(`Revocation of ${this.did} must take effect by its own pulse`);
+    }
+    // A stolen current key must not be able to erase valid history
+    if (event.effective < event.pulse && event.signer !== KeySigner.RECOVERY) {
+      throw new Error(`Only a recovery key may revoke a key of ${this.did} retroactively`);
+    }
+
+    key.revokedFrom = key.revokedFrom === null ? event.effective : Math.min(key.revokedFrom, event.effective);
+  }
+
+  _applyRecoveryKeys(event) {
+    if (event.signer !== KeySigner.RECOVERY && this.recovery.length > 0) {
+      throw new Error(`Only a recovery key may replace the recovery keys of ${this.did}`);
+    }
+    if (!Array.isArray(event.recovery)) {
+      throw new Error(`Recovery event of ${this.did} must list recovery keys`);
+    }
+    this.recovery = [...event.recovery];
+  }
+
+  /**
+   * INTERNAL: Check a rotation/revocation/recovery event is signed by the current key
+   * (still valid at the event's pulse) or by a committed recovery key
+   */
+  async _verifySigner(event) {
+    let publicKey;
+
+    if (event.signer === KeySigner.KEY) {
+      publicKey = this.keyAt(event.pulse);
+      const current = this.keys[this.keys.length - 1];
+      if (!publicKey || await keyFingerprint(publicKey) !== current.fingerprint) {
+        throw new Error(`Current key of ${this.did} is revoked; a recovery key must sign`);
+      }
+    } else if (event.signer === KeySigner.RECOVERY) {
+      if (!event.recoveryKey || !this.recovery.includes(await keyFingerprint(event.recoveryKey))) {
+        throw new Error(`Recovery key is not committed for ${this.did}`);
+      }
+      publicKey = event.recoveryKey;
+    } else {
+      throw new Error(`Unknown key event signer: ${event.signer}`);
+    }
+
+    if (!(await Identity.verify(publicKey, unsigned(event), event.signature))) {
+      throw new Error(`Invalid signature on key event ${event.sequence} of ${this.did}`);
+    }
+  }
+}
+
+/**
+ * Latest known DID document per DID
+ *
+ * A document replaces the known one only if it extends it. A conflicting
+ * log is accepted only where it diverges with a recovery-signed event
+ * against a key-signed one (recovery overrides a compromised key);
+ * anything else throws a DuplicityError carrying both events.
+ */
+export class DIDResolver {
+  constructor() {
+    this.documents = new Map();
+  }
+
+  /**
+   * Verify and register a document (DIDDocument or its JSON)
+   *
+   * @returns {Promise<DIDDocument>} The document now held for its DID
+   */
+  async register(documentOrJSON) {
+    const didDocument = await DIDDocument.fromJSON(
+      documentOrJSON instanceof DIDDocument ? documentOrJSON.toJSON() : documentOrJSON
+    );
+
+    const known = this.documents.get(didDocument.did);
+    if (!known) {
+      this.documents.set(didDocument.did, didDocument);
+      return didDocument;
+    }
+
+    const shared = Math.min(known.events.length, didDocument.events.length);
+    for (let i = 0; i < shared; i++) {
+      if (known.events[i].signature === didDocument.events[i].signature) continue;
+
+      const ours = known.events[i];
+      const theirs = didDocument.events[i];
+      if (theirs.signer === KeySigner.RECOVERY && ours.signer === KeySigner.KEY) {
+        this.documents.set(didDocument.did, didDocument);
+        return didDocument;
+      }
+      throw new DuplicityError(didDocument.did, i, [ours, theirs]);
+    }
+
+    if (didDocument.events.length > known.events.length) {
+      this.documents.set(didDocument.did, didDocument);
+      return didDocument;
+    }
+    return known;
+  }
+
+  resolve(did) {
+    return this.documents.get(did) || null;
+  }
+
+  /**
+   * Public key valid for `did` at `pulse`, or null
+   */
+  keyAt(did, pulse = null) {
+    const didDocument = this.resolve(did);
+    return didDocument ? didDocument.keyAt(pulse) : null;
+  }
+
+  /**
+   * Check `publicKey` was valid for `did` at `pulse`
+   * Falls back to the inception key for DIDs without a document.
+   */
+  async isValidKey(did, publicKey, pulse = null) {
+    const didDocument = this.resolve(did);
+    if (!didDocument) {
+      return await Identity.generateDID(publicKey) === did;
+    }
+    return await didDocument.isValidKey(publicKey, pulse);
+  }
+}
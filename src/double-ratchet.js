@@ -0,0 +1,279 @@
+/**
+ * SRCP007 - Double Ratchet Sessions
+ *
+ * Signal's Double Ratchet over P-256 ECDH, HKDF-SHA256 and AES-256-GCM,
+ * started from an X3DH shared secret (x3dh.js):
+ *
+ *   root chain     KDF_RK(rk, DH(ours, theirs)) -> (rk', chain key), stepped
+ *                  every time a new ratchet key arrives from the peer
+ *   sending /      KDF_CK(ck) -> (ck', message key): one key per message,
+ *   receiving      deleted once used
+ *
+ * A compromised session key exposes neither earlier messages (forward
+ * secrecy) nor, once the peer has replied with a new ratchet key, later
+ * ones. Keys of messages that arrive out of order are kept until they do,
+ * up to MAX_SKIP per chain.
+ *
+ * Message format: { header: { dh (JWK), pn, n }, ciphertext } (base64).
+ * The header and the session's associated data are authenticated with the
+ * ciphertext. Each message key encrypts exactly one message, so its IV is
+ * derived from it.
+ *
+ * Session state is plain JSON (toJSON() / fromJSON()) and holds private
+ * keys - store it as such. Ratchet keys come from the platform CSPRNG;
+ * encrypting is NOT deterministic.
+ *
+ * @module double-ratchet
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+
+export const MAX_SKIP = 1000;
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const ZERO_SALT = new Uint8Array(32);
+
+const toBase64 = bytes => Canonical.arrayBufferToBase64(bytes);
+const fromBase64 = base64 => new Uint8Array(Canonical.base64ToArrayBuffer(base64));
+
+function publicJWK({ kty, crv, x, y }) {
+  return { kty, crv, x, y };
+}
+
+const sameKey = (a, b) => a.x === b.x && a.y === b.y;
+const keyId = jwk => `${jwk.x}.${jwk.y}`;
+
+/**
+ * Fresh P-256 key pair for ECDH: { publicKey, privateKey } as JWK
+ */
+export async function generateDHKeyPair() {
+  const pair = await crypto.subtle.generateKey(ECDH, true, ['deriveBits']);
+  const { kty, crv, x, y, d } = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  return { publicKey: { kty, crv, x, y }, privateKey: { kty, crv, x, y, d } };
+}
+
+/**
+ * ECDH shared secret (32 bytes) of a private and a public JWK
+ */
+export async function diffieHellman(privateKey, publicKey) {
+  const { kty, crv, x, y, d } = privateKey;
+  const ours = await crypto.subtle.importKey('jwk', { kty, crv, x, y, d }, ECDH, false, ['deriveBits']);
+  const theirs = await crypto.subtle.importKey('jwk', publicJWK(publicKey), ECDH, false, []);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: theirs }, ours, 256));
+}
+
+/**
+ * HKDF-SHA256: `length` bytes from `ikm`, `salt` and an `info` label
+ */
+export async function hkdf(ikm, salt, info, length) {
+  const material = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  return new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(info) },
+    material,
+    length * 8
+  ));
+}
+
+async function hmac(key, byte) {
+  const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([byte])));
+}
+
+// (root key, chain key) from the root key and a DH output
+async function kdfRoot(rootKey, dhOutput) {
+  const out = await hkdf(dhOutput, fromBase64(rootKey), 'srcp-ratchet/root', 64);
+  return [toBase64(out.slice(0, 32)), toBase64(out.slice(32))];
+}
+
+/**
+ * Symmetric ratchet step: (next chain key (base64), message key) from a
+ * chain key (base64)
+ */
+export async function kdfChain(chainKey) {
+  const key = fromBase64(chainKey);
+  return [toBase64(await hmac(key, 2)), await hmac(key, 1)];
+}
+
+async function messageCipher(messageKey) {
+  const out = await hkdf(messageKey, ZERO_SALT, 'srcp-ratchet/message', 44);
+  const key = await crypto.subtle.importKey('raw', out.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, iv: out.slice(32) };
+}
+
+function additionalData(associatedData, header) {
+  return new TextEncoder().encode(Canonical.encode({ ad: associatedData, header }));
+}
+
+function validateHeader(header) {
+  if (!header || !header.dh || typeof header.dh.x !== 'string' || typeof header.dh.y !== 'string' ||
+      !Number.isInteger(header.n) || header.n < 0 || !Number.isInteger(header.pn) || header.pn < 0) {
+    throw new Error('Malformed ratchet header');
+  }
+}
+
+export class DoubleRatchet {
+  constructor(state) {
+    this.state = state;
+  }
+
+  /**
+   * Session of the party that sent the first message (X3DH initiator)
+   *
+   * @param {string} sharedSecret - X3DH secret (base64)
+   * @param {object} remoteKey - Peer's signed prekey (JWK), its first ratchet key
+   * @param {*} associatedData - Bound to every message (identities)
+   */
+  static async initiate(sharedSecret, remoteKey, associatedData) {
+    const sendingKey = await generateDHKeyPair();
+    const [rootKey, sendingChain] = await kdfRoot(sharedSecret, await diffieHellman(sendingKey.privateKey, remoteKey));
+    return new DoubleRatchet({
+      associatedData,
+      rootKey,
+      sendingKey,
+      remoteKey: publicJWK(remoteKey),
+      sendingChain,
+      receivingChain: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousCount: 0,
+      skipped: {}
+    });
+  }
+
+  /**
+   * Session of the party that received the first message (X3DH responder)
+   * It can send once the first message has been decrypted.
+   *
+   * @param {string} sharedSecret - X3DH secret (base64)
+   * @param {object} ratchetKey - Own signed prekey pair { publicKey, privateKey }
+   * @param {*} associatedData - As given to initiate()
+   */
+  static async respond(sharedSecret, ratchetKey, associatedData) {
+    return new DoubleRatchet({
+      associatedData,
+      rootKey: sharedSecret,
+      sendingKey: ratchetKey,
+      remoteKey: null,
+      sendingChain: null,
+      receivingChain: null,
+      sendCount: 0,
+      receiveCount: 0,
+      previousCount: 0,
+      skipped: {}
+    });
+  }
+
+  static fromJSON(state) {
+    return new DoubleRatchet(JSON.parse(JSON.stringify(state)));
+  }
+
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  /**
+   * Encrypt the next message
+   *
+   * @param {*} data - Any canonically encodable value
+   * @returns {Promise<object>} { header, ciphertext }
+   */
+  async encrypt(data) {
+    const state = this.state;
+    if (!state.sendingChain) {
+      throw new Error('Session cannot send before receiving the first message');
+    }
+
+    const [sendingChain, messageKey] = await kdfChain(state.sendingChain);
+    const header = { dh: publicJWK(state.sendingKey.publicKey), pn: state.previousCount, n: state.sendCount };
+    state.sendingChain = sendingChain;
+    state.sendCount++;
+
+    const { key, iv } = await messageCipher(messageKey);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: additionalData(state.associatedData, header) },
+      key,
+      new TextEncoder().encode(Canonical.encode(data))
+    );
+    return { header, ciphertext: toBase64(ciphertext) };
+  }
+
+  /**
+   * Decrypt a message from encrypt()
+   * Throws on a forged, altered or replayed message, leaving the session
+   * unchanged.
+   *
+   * @param {object} message - { header, ciphertext }
+   * @returns {Promise<*>} The data
+   */
+  async decrypt({ header, ciphertext }) {
+    validateHeader(header);
+    const state = JSON.parse(JSON.stringify(this.state));
+
+    const skippedId = `${keyId(header.dh)}:${header.n}`;
+    let messageKey;
+    if (skippedId in state.skipped) {
+      messageKey = fromBase64(state.skipped[skippedId]);
+      delete state.skipped[skippedId];
+    } else {
+      if (!state.remoteKey || !sameKey(header.dh, state.remoteKey)) {
+        await skipMessageKeys(state, header.pn);
+        await ratchetStep(state, header.dh);
+      }
+      await skipMessageKeys(state, header.n);
+      [state.receivingChain, messageKey] = await kdfChain(state.receivingChain);
+      state.receiveCount++;
+    }
+
+    const { key, iv } = await messageCipher(messageKey);
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: additionalData(state.associatedData, header) },
+        key,
+        fromBase64(ciphertext)
+      );
+    } catch (error) {
+      throw new Error('Message cannot be decrypted in this session');
+    }
+
+    this.state = state;
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+}
+
+// Keep the keys of receiving-chain messages before `until` for later
+async function skipMessageKeys(state, until) {
+  if (!state.receivingChain) return;
+  if (until - state.receiveCount > MAX_SKIP) {
+    throw new Error(`More than ${MAX_SKIP} messages skipped`);
+  }
+  while (state.receiveCount < until) {
+    const [receivingChain, messageKey] = await kdfChain(state.receivingChain);
+    state.skipped[`${keyId(state.remoteKey)}:${state.receiveCount}`] = toBase64(messageKey);
+    state.receivingChain = receivingChain;
+    state.receiveCount++;
+  }
+
+  const ids = Object.keys(state.skipped);
+  for (const id of ids.slice(0, Math.max(ids.length - MAX_SKIP, 0))) {
+    delete state.skipped[id];
+  }
+}
+
+// New ratchet key from the peer: step the root chain twice
+async function ratchetStep(state, remoteKey) {
+  state.previousCount = state.sendCount;
+  state.sendCount = 0;
+  state.receiveCount = 0;
+  state.remoteKey = publicJWK(remoteKey);
+  [state.rootKey, state.receivingChain] = await kdfRoot(
+    state.rootKey,
+    await diffieHellman(state.sendingKey.privateKey, state.remoteKey)
+  );
+  state.sendingKey = await generateDHKeyPair();
+  [state.rootKey, state.sendingChain] = await kdfRoot(
+    state.rootKey,
+    await diffieHellman(state.sendingKey.privateKey, state.remoteKey)
+  );
+}
@@ -138,7 +138,7 @@ export class EngineEventAdapter {
    * Handle governance events
    */
   async _handleGovernanceEvent(event) {
-    // React to governance events
+    // Cost changes are read from the kernel state (SovereignEngine.costs)
     console.log(`Governance: ${event.type}`);
   }
 }
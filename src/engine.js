@@ -11,14 +11,29 @@ import { TokenEconomics } from './token-economics.js';
 import { KarmaSystem } from './karma.js';
 import { Ledger, LedgerEntry } from './ledger.js';
 import { Federation } from './federation.js';
+import { getEconomics } from './governance.js';
 
 export class SovereignEngine {
-  constructor(identity) {
+  /**
+   * @param {object} identity - Engine identity
+   * @param {object} options
+   * @param {Kernel} options.kernel - Kernel whose governed costs apply (optional)
+   */
+  constructor(identity, { kernel = null } = {}) {
     this.identity = identity;
+    this.kernel = kernel;
     this.ledger = new Ledger();
     this.tokens = TokenEconomics.INITIAL_BALANCE;
     this.karma = 0;
-    this.created = Date.now();
+    this.created = kernel ? kernel.getState().pulse : Date.now(); // Booted kernels lock Date.now
+  }
+
+  /**
+   * Action costs: the kernel's economics extension (changed by governance),
+   * read on every use so replayed, restored and merged state all count
+   */
+  get costs() {
+    return this.kernel ? getEconomics(this.kernel.getState()).costs : TokenEconomics.COSTS;
   }
 
   /**
@@ -41,7 +56,7 @@ export class SovereignEngine {
    */
   async uploadContent(metadata) {
     // Check if user can afford upload
-    if (!TokenEconomics.canAfford(this.tokens, 'upload')) {
+    if (!TokenEconomics.canAfford(this.tokens, 'upload', this.costs)) {
       throw new Error('Insufficient tokens for upload');
     }
 
@@ -57,7 +72,7 @@ export class SovereignEngine {
     });
 
     // 3. Apply token cost (deflationary!)
-    this.tokens = TokenEconomics.applyAction(this.tokens, { type: 'upload' });
+    this.tokens = TokenEconomics.applyAction(this.tokens, { type: 'upload' }, this.costs);
 
     // 4. Recalculate karma (quality affects karma, not tokens!)
     this._recalculateKarma();
@@ -81,7 +96,7 @@ export class SovereignEngine {
    */
   async processAction(action, data = {}) {
     // Check affordability for actions with costs
-    if (!TokenEconomics.canAfford(this.tokens, action)) {
+    if (!TokenEconomics.canAfford(this.tokens, action, this.costs)) {
       throw new Error(`Insufficient tokens for ${action}`);
     }
 
@@ -89,7 +104,7 @@ export class SovereignEngine {
     const entry = await this._createEntry(action, data);
 
     // Apply token economics
-    this.tokens = TokenEconomics.applyAction(this.tokens, { type: action });
+    this.tokens = TokenEconomics.applyAction(this.tokens, { type: action }, this.costs);
 
     // Recalculate karma
     this._recalculateKarma();
@@ -198,16 +213,13 @@ export class SovereignEngine {
 
   /**
    * Sync with peer
+   * `exchange` is an async request/reply round trip to the peer's
+   * Federation.createSyncResponder()
    */
-  async syncWithPeer(peerManifest, fetchPeerEntries) {
-    const result = await Federation.sync(
-      this.ledger,
-      peerManifest,
-      fetchPeerEntries
-    );
-
-    if (result.synced) {
-      this.ledger = result.mergedLedger;
+  async syncWithPeer(exchange, options = {}) {
+    const result = await Federation.sync(this.ledger, exchange, options);
+
+    if (result.newEntries > 0) {
       this._recalculateKarma();
     }
 
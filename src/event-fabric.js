@@ -71,6 +71,7 @@ export class FabricEvent {
     payload,
     source,
     timestamp,
+    stamp = null,
     priority = EventPriority.NORMAL,
     signature = null,
     metadata = {}
@@ -81,6 +82,7 @@ export class FabricEvent {
     this.payload = Object.freeze({ ...payload });
     this.source = source;
     this.timestamp = timestamp;
+    this.stamp = stamp; // Causal stamp { wall, counter, node }, if stamped
     this.priority = priority;
     this.signature = signature;
     this.metadata = Object.freeze({ ...metadata });
@@ -97,7 +99,8 @@ export class FabricEvent {
       type: this.type,
       payload: this.payload,
       source: this.source,
-      timestamp: this.timestamp
+      timestamp: this.timestamp,
+      ...(this.stamp ? { stamp: this.stamp } : {})
     });
   }
   
@@ -144,6 +147,7 @@ export class FabricEvent {
       payload: this.payload,
       source: this.source,
       timestamp: this.timestamp,
+      stamp: this.stamp,
       priority: this.priority,
       signature: this.signature,
       metadata: this.metadata,
@@ -159,6 +163,7 @@ export class FabricEvent {
       payload: this.payload,
       source: this.source,
       timestamp: this.timestamp,
+      ...(this.stamp ? { stamp: this.stamp } : {}),
       priority: this.priority,
       signature: this.signature,
       metadata: this.metadata
@@ -312,8 +317,9 @@ export class EventFabric {
     // Generate event ID
     const eventId = this._generateEventId();
     
-    // Get timestamp
+    // Get timestamp (and causal stamp, if a causal clock is injected)
     const timestamp = this._adapters.clock.now();
+    const stamp = this._adapters.causalClock ? this._adapters.causalClock.tick() : null;
     
     // Create event
     let event = new FabricEvent({
@@ -323,6 +329,7 @@ export class EventFabric {
       payload,
       source: this._identity?.did || 'anonymous',
       timestamp,
+      stamp,
       priority: options.priority || EventPriority.NORMAL,
       metadata: options.metadata || {}
     });
@@ -647,16 +654,18 @@ export class EventFabric {
       return { category: '*', type: '*' };
     }
     
-    const parts = pattern.split('.');
-    if (parts.length === 1) {
+    // category.type - types may contain dots themselves ('entry.appended')
+    const dot = pattern.indexOf('.');
+    if (dot === -1) {
       // Just category
-      return { category: parts[0], type: '*' };
-    } else if (parts.length === 2) {
-      // category.type
-      return { category: parts[0], type: parts[1] };
-    } else {
+      return { category: pattern, type: '*' };
+    }
+    const category = pattern.slice(0, dot);
+    const type = pattern.slice(dot + 1);
+    if (!category || !type) {
       throw new Error(`Invalid pattern: ${pattern}`);
     }
+    return { category, type };
   }
   
   /**
@@ -6,11 +6,17 @@
  */
 
 import { Ledger, LedgerEntry } from './ledger.js';
+import { MerkleTree } from './merkle.js';
+import { RangeReconciler } from './reconciliation.js';
+import { orderEntries } from './causal-order.js';
 
 export class Federation {
   /**
    * Merge two ledgers without conflicts
-   * Deduplicates by signature, sorts by timestamp
+   * Deduplicates by hash, then appends in the deterministic total order
+   * (causal stamp, then hash, keeping each DID's chain in order - see
+   * causal-order.js), so every node merging the same entries converges
+   * on the same sequence
    * 
    * @param {Ledger} localLedger - Local ledger
    * @param {Ledger} incomingLedger - Incoming ledger from peer
@@ -36,21 +42,16 @@ export class Federation {
       }
     }
 
-    // Sort by timestamp for deterministic ordering
-    unique.sort((a, b) => a.timestamp - b.timestamp);
-
-    // Verify and add each entry
-    for (const entry of unique) {
+    // Verify and add each entry in total order
+    for (const entry of orderEntries(unique)) {
       try {
-        const isValid = await entry.verify();
-        if (isValid) {
-          merged.entries.push(entry);
-          merged.verified.add(entry.hash);
-        } else {
-          console.warn('Skipping invalid entry during merge:', entry.hash);
+        if (entry.hash !== await entry.computeHash()) {
+          console.warn('Skipping mislabeled entry during merge:', entry.hash);
+          continue;
         }
+        await merged.append(entry);
       } catch (error) {
-        console.error('Error verifying entry during merge:', error);
+        console.warn('Skipping invalid entry during merge:', entry.hash, error.message);
       }
     }
 
@@ -138,29 +139,71 @@ export class Federation {
 
   /**
    * Create a merkle root for ledger verification
-   * Allows efficient verification of ledger contents
+   * Root of the ledger's append-only Merkle tree (RFC 6962), so peers can
+   * exchange inclusion and consistency proofs against it
    */
   static async createMerkleRoot(ledger) {
-    if (ledger.entries.length === 0) {
-      return '0'.repeat(64); // Empty ledger hash
+    const tree = await this._merkleTreeFor(ledger);
+    return await tree.root();
+  }
+
+  /**
+   * Prove to a light client that an entry is in this ledger
+   * The client checks it with Federation.verifyInclusion against a manifest
+   */
+  static async proveInclusion(ledger, entryHash) {
+    const tree = await this._merkleTreeFor(ledger);
+    const index = ledger.entries.findIndex(e => e.hash === entryHash);
+    if (index < 0) {
+      throw new Error(`Entry not found in ledger: ${entryHash}`);
     }
 
-    // Sort entries by hash for determinism
-    const sorted = [...ledger.entries].sort((a, b) => 
-      a.hash.localeCompare(b.hash)
-    );
+    return {
+      ...await tree.inclusionProof(index),
+      entryHash
+    };
+  }
+
+  /**
+   * Verify an inclusion proof against a peer's manifest (no ledger needed)
+   */
+  static async verifyInclusion(entryHash, proof, manifest) {
+    if (proof.size !== manifest.treeSize) return false;
+    return await MerkleTree.verifyInclusion(entryHash, proof, manifest.merkleRoot);
+  }
 
-    // Combine all hashes
-    const combined = sorted.map(e => e.hash).join('');
-    
-    // Hash the combination
-    const encoder = new TextEncoder();
-    const data = encoder.encode(combined);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    
-    return Array.from(new Uint8Array(hashBuffer))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+  /**
+   * Prove that the ledger a peer saw at `oldSize` entries is a prefix of ours
+   */
+  static async proveConsistency(ledger, oldSize) {
+    const tree = await this._merkleTreeFor(ledger);
+    return await tree.consistencyProof(oldSize);
+  }
+
+  /**
+   * Verify that `newManifest` extends `oldManifest` (append-only history)
+   */
+  static async verifyConsistency(proof, oldManifest, newManifest) {
+    if (proof.oldSize !== oldManifest.treeSize || proof.newSize !== newManifest.treeSize) {
+      return false;
+    }
+    return await MerkleTree.verifyConsistency(proof, oldManifest.merkleRoot, newManifest.merkleRoot);
+  }
+
+  /**
+   * INTERNAL: The ledger's incremental tree, rebuilt only if entries were
+   * assigned without going through Ledger.append
+   */
+  static async _merkleTreeFor(ledger) {
+    if (ledger.merkle && ledger.merkle.size === ledger.entries.length) {
+      return ledger.merkle;
+    }
+
+    const tree = new MerkleTree();
+    for (const entry of ledger.entries) {
+      await tree.append(entry.hash);
+    }
+    return tree;
   }
 
   /**
@@ -173,55 +216,135 @@ export class Federation {
 
   /**
    * Create federation manifest (summary of ledger contents)
+   *
+   * @param {Ledger} ledger
+   * @param {number|null} pulse - Logical time of the snapshot, if any
    */
-  static async createManifest(ledger) {
+  static async createManifest(ledger, pulse = null) {
     const stats = ledger.getStats();
     const merkleRoot = await this.createMerkleRoot(ledger);
 
     return {
       version: '5.0.0',
       merkleRoot,
+      treeSize: ledger.entries.length,
       totalEntries: stats.totalEntries,
       uniqueUsers: stats.uniqueUsers,
       timeRange: stats.timeRange,
       actionTypes: stats.actionTypes,
       size: ledger.getSize(),
-      created: Date.now()
+      created: pulse
     };
   }
 
   /**
    * Sync ledgers with peer
-   * Efficient protocol that only transfers new entries
+   * Range-based set reconciliation finds exactly the entries each side is
+   * missing, then only the entries we lack are fetched and appended.
+   *
+   * @param {Ledger} localLedger - Ledger to sync into (appended in place)
+   * @param {Function} exchange - async (request) => reply, e.g. a transport
+   *   round trip to a peer's Federation.createSyncResponder()
+   * @param {object} options - { branching, idListThreshold, maxRounds }
+   * @returns {Promise<object>} { synced, newEntries, totalEntries, need, have, rejected, rounds }
    */
-  static async sync(localLedger, peerManifest, fetchPeerEntries) {
-    // Check if we need to sync
-    const localManifest = await this.createManifest(localLedger);
-    
-    if (localManifest.merkleRoot === peerManifest.merkleRoot) {
+  static async sync(localLedger, exchange, options = {}) {
+    const { maxRounds = 64, ...reconcileOptions } = options;
+    const reconciler = new RangeReconciler(localLedger.entries.map(e => e.hash), reconcileOptions);
+
+    let ranges = await reconciler.initiate();
+    let rounds = 0;
+
+    while (ranges.length > 0) {
+      if (++rounds > maxRounds) {
+        throw new Error(`Reconciliation did not converge within ${maxRounds} rounds`);
+      }
+      const reply = await exchange({ protocol: 'srcp-federation', type: 'reconcile', ranges });
+      ranges = await reconciler.reconcile(reply.ranges);
+    }
+
+    const { have, need } = reconciler.result();
+
+    if (need.length === 0) {
       return {
         synced: false,
         reason: 'Already in sync',
-        newEntries: 0
+        newEntries: 0,
+        totalEntries: localLedger.entries.length,
+        need,
+        have,
+        rejected: [],
+        rounds
       };
     }
 
-    // Fetch peer's entries since our latest timestamp
-    const ourLatest = localLedger.entries.length > 0
-      ? Math.max(...localLedger.entries.map(e => e.timestamp))
-      : 0;
+    const reply = await exchange({ protocol: 'srcp-federation', type: 'fetch', hashes: need });
+    const wanted = new Set(need);
+    const rejected = [];
+    const fetched = [];
 
-    const peerData = await fetchPeerEntries(ourLatest);
-    const peerLedger = await this.importFromFederation(peerData);
+    for (const json of reply.entries || []) {
+      const entry = LedgerEntry.fromJSON(json);
+      if (!wanted.has(entry.hash) || entry.hash !== await entry.computeHash()) {
+        rejected.push({ hash: entry.hash, reason: 'Unrequested or mislabeled entry' });
+        continue;
+      }
+      wanted.delete(entry.hash);
+      fetched.push(entry);
+    }
+
+    const before = localLedger.entries.length;
+    for (const entry of orderEntries(fetched, { present: localLedger.entries.map(e => e.hash) })) {
+      try {
+        await localLedger.append(entry);
+      } catch (error) {
+        rejected.push({ hash: entry.hash, reason: error.message });
+      }
+    }
 
-    // Merge
-    const merged = await this.mergeLedgers(localLedger, peerLedger);
-    
     return {
       synced: true,
-      newEntries: merged.entries.length - localLedger.entries.length,
-      totalEntries: merged.entries.length,
-      mergedLedger: merged
+      newEntries: localLedger.entries.length - before,
+      totalEntries: localLedger.entries.length,
+      need,
+      have,
+      rejected,
+      rounds
+    };
+  }
+
+  /**
+   * Create the peer side of Federation.sync
+   * Stateless: every request is answered from the ledger's current entries
+   *
+   * @param {Ledger} ledger - Ledger to serve
+   * @param {object} options - { branching, idListThreshold }
+   * @returns {Function} async (request) => reply
+   */
+  static createSyncResponder(ledger, options = {}) {
+    return async (request) => {
+      if (!request || request.protocol !== 'srcp-federation') {
+        throw new Error('Invalid federation protocol');
+      }
+
+      switch (request.type) {
+        case 'reconcile': {
+          const reconciler = new RangeReconciler(ledger.entries.map(e => e.hash), options);
+          return { protocol: 'srcp-federation', type: 'reconcile', ranges: await reconciler.respond(request.ranges) };
+        }
+
+        case 'fetch': {
+          const wanted = new Set(request.hashes);
+          return {
+            protocol: 'srcp-federation',
+            type: 'entries',
+            entries: ledger.entries.filter(e => wanted.has(e.hash)).map(e => e.toJSON())
+          };
+        }
+
+        default:
+          throw new Error(`Unknown federation request type: ${request.type}`);
+      }
     };
   }
 
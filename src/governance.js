@@ -0,0 +1,442 @@
+/**
+ * SRCP007 - Governance
+ *
+ * Proposal lifecycle as kernel transactions, so every replica replays the
+ * same proposals, votes and outcomes:
+ *
+ *   governance.propose   lock the proposer's deposit, open voting until
+ *                        pulse + votingPeriod, pick a tally strategy
+ *   governance.vote      one vote per DID (yes / no / abstain), weighted by
+ *                        the proposal's strategy (tally-strategies.js):
+ *                        karma (default), one-per-did, quadratic, conviction
+ *   governance.withdraw  take back a vote before voting ends, where the
+ *                        strategy allows it (conviction)
+ *   governance.finalize  after voting ends: passed, rejected or expired
+ *                        (no quorum); the deposit is returned once quorum
+ *                        is reached and burned otherwise; stakes are returned.
+ *                        'governance' delegations (delegation.js) recorded on
+ *                        the kernel ledger by the end of voting add their
+ *                        weight, where the strategy allows it
+ *   governance.execute   apply a passed proposal's action
+ *
+ * Register with createTransactionRegistry(createGovernanceHandlers()).
+ *
+ * State lives in two extension namespaces:
+ *   governance  { params, proposalCount, proposals }
+ *   economics   { costs, balances } - token balances start at
+ *               TokenEconomics.INITIAL_BALANCE; costs override
+ *               TokenEconomics.COSTS
+ *
+ * Rules (quorum, threshold, votingPeriod, deposit, convictionPeriod) are
+ * copied into each
+ * proposal when it is created, so changing them never affects a vote in
+ * progress. A proposal passes when the total weight cast (abstentions
+ * included) reaches the quorum and yes > threshold * (yes + no).
+ *
+ * Karma comes from `extensions.karma[did]` (kept by the application's own
+ * transactions) unless a karmaOf(state, did) function is given.
+ *
+ * @module governance
+ * @version 1.0.0
+ */
+
+import { EventCategory, EventPriority } from './event-fabric.js';
+import { TokenEconomics } from './token-economics.js';
+import { TallyStrategies, TallyStrategy } from './tally-strategies.js';
+import { getDelegations, tallyWithDelegation } from './delegation.js';
+
+export const GOVERNANCE_TOPIC = 'governance';
+
+export const ProposalStatus = Object.freeze({
+  ACTIVE: 'active',
+  PASSED: 'passed',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  EXECUTED: 'executed'
+});
+
+export const VoteChoice = Object.freeze({
+  YES: 'yes',
+  NO: 'no',
+  ABSTAIN: 'abstain'
+});
+
+export const DEFAULT_GOVERNANCE_PARAMS = Object.freeze({
+  votingPeriod: 100,                                // pulses
+  quorum: 50,                                       // total voting weight
+  threshold: 0.5,                                   // yes share of yes + no
+  deposit: TokenEconomics.getDeposit('proposal'),
+  convictionPeriod: 50                              // pulses to full conviction
+});
+
+function validateParams(params) {
+  const { votingPeriod, quorum, threshold, deposit, convictionPeriod } = params;
+  if (votingPeriod !== undefined && (!Number.isInteger(votingPeriod) || votingPeriod < 1)) {
+    throw new Error('votingPeriod must be a positive integer');
+  }
+  if (quorum !== undefined && (typeof quorum !== 'number' || quorum < 0)) {
+    throw new Error('quorum must be a non-negative number');
+  }
+  if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold >= 1)) {
+    throw new Error('threshold must be in [0, 1)');
+  }
+  if (deposit !== undefined && (typeof deposit !== 'number' || deposit < 0)) {
+    throw new Error('deposit must be a non-negative number');
+  }
+  if (convictionPeriod !== undefined && (!Number.isInteger(convictionPeriod) || convictionPeriod < 1)) {
+    throw new Error('convictionPeriod must be a positive integer');
+  }
+}
+
+/**
+ * Actions a proposal can carry: { validate(params), apply(state, params) }
+ * apply() is pure and returns extension namespaces to replace.
+ */
+export const GovernanceActions = Object.freeze({
+  'economics.set_cost': {
+    validate({ action, cost }) {
+      if (typeof action !== 'string' || !action) {
+        throw new Error('economics.set_cost requires an action');
+      }
+      if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0) {
+        throw new Error('economics.set_cost requires a non-negative cost');
+      }
+    },
+    apply(state, { action, cost }) {
+      const economics = getEconomics(state);
+      return { economics: { ...economics, costs: { ...economics.costs, [action]: cost } } };
+    }
+  },
+
+  'governance.set_params': {
+    validate(params) {
+      const unknown = Object.keys(params).filter(key => !(key in DEFAULT_GOVERNANCE_PARAMS));
+      if (unknown.length > 0 || Object.keys(params).length === 0) {
+        throw new Error(`governance.set_params accepts ${Object.keys(DEFAULT_GOVERNANCE_PARAMS).join(', ')}`);
+      }
+      validateParams(params);
+    },
+    apply(state, params) {
+      const governance = getGovernance(state);
+      return { governance: { ...governance, params: { ...governance.params, ...params } } };
+    }
+  }
+});
+
+/**
+ * Governance namespace of a kernel state (or kernel.getState()), with
+ * `params` as the rules before any proposal exists
+ */
+export function getGovernance(state, params = DEFAULT_GOVERNANCE_PARAMS) {
+  return state.extensions.governance ||
+    { params: { ...params }, proposalCount: 0, proposals: {} };
+}
+
+/**
+ * Economics namespace: { costs, balances }
+ */
+export function getEconomics(state) {
+  return state.extensions.economics || { costs: { ...TokenEconomics.COSTS }, balances: {} };
+}
+
+/**
+ * Token balance of `did`
+ */
+export function getBalance(state, did) {
+  const { balances } = getEconomics(state);
+  return did in balances ? balances[did] : TokenEconomics.INITIAL_BALANCE;
+}
+
+export function getProposal(state, proposalId) {
+  return getGovernance(state).proposals[proposalId] || null;
+}
+
+/**
+ * Totals and outcome of a proposal's votes under its own rules
+ *
+ * @param {object} proposal - Proposal
+ * @param {object} options - {
+ *   delegations: from getDelegations(), ignored unless the strategy has a
+ *                delegatedWeight,
+ *   karmaOf: did => karma of a delegator
+ * }
+ * @returns {object} { yes, no, abstain, total, quorumReached, passed }
+ */
+export function tallyProposal(proposal, { delegations = new Map(), karmaOf = () => 0 } = {}) {
+  const strategy = TallyStrategies[proposal.strategy];
+  const votes = proposal.votes;
+  const ballots = new Map(Object.entries(votes).map(([did, vote]) => [did, vote.choice]));
+  const weightOf = did => did in votes
+    ? strategy.weight(votes[did], proposal)
+    : strategy.delegatedWeight({ karma: karmaOf(did) });
+
+  const counted = tallyWithDelegation(ballots, strategy.delegatedWeight ? delegations : new Map(), weightOf);
+  const totals = { yes: 0, no: 0, abstain: 0, ...counted.totals };
+  const total = totals.yes + totals.no + totals.abstain;
+  const quorumReached = total >= proposal.rules.quorum;
+  return {
+    ...totals,
+    total,
+    quorumReached,
+    passed: quorumReached && totals.yes > proposal.rules.threshold * (totals.yes + totals.no)
+  };
+}
+
+const defaultKarmaOf = (state, did) => (state.extensions.karma && state.extensions.karma[did]) || 0;
+
+function requireProposal(state, proposalId) {
+  const proposal = getProposal(state, proposalId);
+  if (!proposal) {
+    throw new Error(`Unknown proposal: ${proposalId}`);
+  }
+  return proposal;
+}
+
+function withProposal(state, proposal, extra = {}) {
+  const governance = getGovernance(state);
+  return {
+    extensions: {
+      governance: { ...governance, ...extra, proposals: { ...governance.proposals, [proposal.id]: proposal } }
+    }
+  };
+}
+
+// Economics namespace with `deltas` (DID -> tokens) applied to balances
+function withBalances(state, deltas) {
+  const economics = getEconomics(state);
+  const balances = { ...economics.balances };
+  for (const [did, delta] of Object.entries(deltas)) {
+    balances[did] = getBalance(state, did) + delta;
+  }
+  return { ...economics, balances };
+}
+
+function requireProposalId(payload, type) {
+  if (typeof payload.proposalId !== 'string') {
+    throw new Error(`${type} requires a proposalId`);
+  }
+}
+
+async function emitGovernance(fabric, type, payload) {
+  await fabric.emit(EventCategory.GOVERNANCE, type, payload, { priority: EventPriority.HIGH });
+}
+
+/**
+ * Transaction handlers for the proposal lifecycle
+ *
+ * @param {object} options - {
+ *   actions: proposal actions (default GovernanceActions),
+ *   karmaOf: (state, did) => karma,
+ *   params: rules before governance changes them (merged into the defaults)
+ * }
+ * @returns {object} { type: handler } for createTransactionRegistry()
+ */
+export function createGovernanceHandlers({ actions = GovernanceActions, karmaOf = defaultKarmaOf, params = {} } = {}) {
+  validateParams(params);
+  const genesis = { ...DEFAULT_GOVERNANCE_PARAMS, ...params };
+  const governanceOf = state => getGovernance(state, genesis);
+
+  return {
+    'governance.propose': {
+      validate(payload) {
+        if (typeof payload.title !== 'string' || !payload.title) {
+          throw new Error('governance.propose requires a title');
+        }
+        const action = payload.action;
+        if (!action || !Object.prototype.hasOwnProperty.call(actions, action.type)) {
+          throw new Error(`Unknown governance action: ${action && action.type}`);
+        }
+        actions[action.type].validate(action.params || {});
+        if (payload.strategy !== undefined && !Object.prototype.hasOwnProperty.call(TallyStrategies, payload.strategy)) {
+          throw new Error(`Unknown tally strategy: ${payload.strategy}`);
+        }
+      },
+
+      reduce(state, tx, { principal }) {
+        const governance = governanceOf(state);
+        const { deposit } = governance.params;
+        const balance = getBalance(state, principal);
+        if (balance < deposit) {
+          throw new Error(`Proposal deposit of ${deposit} exceeds balance ${balance}`);
+        }
+
+        const id = `proposal-${governance.proposalCount + 1}`;
+        const proposal = {
+          id,
+          title: tx.payload.title,
+          description: tx.payload.description || '',
+          action: { type: tx.payload.action.type, params: tx.payload.action.params || {} },
+          proposer: principal,
+          deposit,
+          strategy: tx.payload.strategy || TallyStrategy.KARMA,
+          rules: { ...governance.params },
+          created: tx.pulse,
+          votingEnds: tx.pulse + governance.params.votingPeriod,
+          status: ProposalStatus.ACTIVE,
+          votes: {}
+        };
+
+        const mutations = withProposal(state, proposal, { ...governance, proposalCount: governance.proposalCount + 1 });
+        mutations.extensions.economics = withBalances(state, { [principal]: -deposit });
+        return mutations;
+      },
+
+      async emit(fabric, payload, newState) {
+        const { proposalCount } = getGovernance(newState);
+        const proposal = getProposal(newState, `proposal-${proposalCount}`);
+        await emitGovernance(fabric, 'proposal.created', {
+          proposalId: proposal.id,
+          title: proposal.title,
+          proposer: proposal.proposer,
+          action: proposal.action,
+          votingEnds: proposal.votingEnds
+        });
+      }
+    },
+
+    'governance.vote': {
+      validate(payload) {
+        requireProposalId(payload, 'governance.vote');
+        if (!Object.values(VoteChoice).includes(payload.choice)) {
+          throw new Error(`Invalid vote choice: ${payload.choice}`);
+        }
+      },
+
+      reduce(state, tx, { principal }) {
+        const proposal = requireProposal(state, tx.payload.proposalId);
+        if (proposal.status !== ProposalStatus.ACTIVE || tx.pulse > proposal.votingEnds) {
+          throw new Error(`Voting on ${proposal.id} is closed`);
+        }
+        if (proposal.votes[principal]) {
+          throw new Error(`${principal} already voted on ${proposal.id}`);
+        }
+
+        const strategy = TallyStrategies[proposal.strategy];
+        strategy.validate(tx.payload);
+        const { spend, ...vote } = strategy.cast(tx.payload, { karma: karmaOf(state, principal) });
+        const cost = spend + vote.stake;
+        const balance = getBalance(state, principal);
+        if (cost > balance) {
+          throw new Error(`Vote costs ${cost}, balance is ${balance}`);
+        }
+
+        const mutations = withProposal(state, {
+          ...proposal,
+          votes: { ...proposal.votes, [principal]: { ...vote, choice: tx.payload.choice, pulse: tx.pulse } }
+        });
+        if (cost > 0) {
+          mutations.extensions.economics = withBalances(state, { [principal]: -cost });
+        }
+        return mutations;
+      },
+
+      async emit(fabric, payload) {
+        await emitGovernance(fabric, 'vote.cast', { proposalId: payload.proposalId, choice: payload.choice });
+      }
+    },
+
+    'governance.withdraw': {
+      validate(payload) {
+        requireProposalId(payload, 'governance.withdraw');
+      },
+
+      reduce(state, tx, { principal }) {
+        const proposal = requireProposal(state, tx.payload.proposalId);
+        if (!TallyStrategies[proposal.strategy].withdrawable) {
+          throw new Error(`Votes on ${proposal.id} (${proposal.strategy}) cannot be withdrawn`);
+        }
+        if (proposal.status !== ProposalStatus.ACTIVE || tx.pulse > proposal.votingEnds) {
+          throw new Error(`Voting on ${proposal.id} is closed`);
+        }
+        const vote = proposal.votes[principal];
+        if (!vote) {
+          throw new Error(`${principal} has not voted on ${proposal.id}`);
+        }
+
+        const votes = { ...proposal.votes };
+        delete votes[principal];
+        const mutations = withProposal(state, { ...proposal, votes });
+        mutations.extensions.economics = withBalances(state, { [principal]: vote.stake });
+        return mutations;
+      },
+
+      async emit(fabric, payload) {
+        await emitGovernance(fabric, 'vote.withdrawn', { proposalId: payload.proposalId });
+      }
+    },
+
+    'governance.finalize': {
+      validate(payload) {
+        requireProposalId(payload, 'governance.finalize');
+      },
+
+      reduce(state, tx) {
+        const proposal = requireProposal(state, tx.payload.proposalId);
+        if (proposal.status !== ProposalStatus.ACTIVE) {
+          throw new Error(`${proposal.id} is already ${proposal.status}`);
+        }
+        if (tx.pulse <= proposal.votingEnds) {
+          throw new Error(`Voting on ${proposal.id} is open until pulse ${proposal.votingEnds}`);
+        }
+
+        const delegations = getDelegations(state.ledger, GOVERNANCE_TOPIC, {
+          subject: proposal.id,
+          pulse: proposal.votingEnds
+        });
+        const tally = tallyProposal(proposal, { delegations, karmaOf: did => karmaOf(state, did) });
+        const status = !tally.quorumReached ? ProposalStatus.EXPIRED
+          : tally.passed ? ProposalStatus.PASSED : ProposalStatus.REJECTED;
+
+        // Stakes go back to their voters; the deposit only with quorum
+        const refunds = {};
+        for (const [voter, vote] of Object.entries(proposal.votes)) {
+          if (vote.stake > 0) refunds[voter] = vote.stake;
+        }
+        if (tally.quorumReached) {
+          refunds[proposal.proposer] = (refunds[proposal.proposer] || 0) + proposal.deposit;
+        }
+
+        const mutations = withProposal(state, { ...proposal, status, tally, finalized: tx.pulse });
+        mutations.extensions.economics = withBalances(state, refunds);
+        return mutations;
+      },
+
+      async emit(fabric, payload, newState) {
+        const proposal = getProposal(newState, payload.proposalId);
+        await emitGovernance(fabric, 'proposal.finalized', {
+          proposalId: proposal.id,
+          status: proposal.status,
+          tally: proposal.tally
+        });
+      }
+    },
+
+    'governance.execute': {
+      validate(payload) {
+        requireProposalId(payload, 'governance.execute');
+      },
+
+      reduce(state, tx) {
+        const proposal = requireProposal(state, tx.payload.proposalId);
+        if (proposal.status !== ProposalStatus.PASSED) {
+          throw new Error(`${proposal.id} is ${proposal.status}, only passed proposals execute`);
+        }
+
+        const changes = actions[proposal.action.type].apply(state, proposal.action.params);
+        const mutations = withProposal(
+          { extensions: { ...state.extensions, ...changes } },
+          { ...proposal, status: ProposalStatus.EXECUTED, executed: tx.pulse }
+        );
+        return { extensions: { ...changes, ...mutations.extensions } };
+      },
+
+      async emit(fabric, payload, newState) {
+        const proposal = getProposal(newState, payload.proposalId);
+        await emitGovernance(fabric, 'proposal.executed', {
+          proposalId: proposal.id,
+          action: proposal.action
+        });
+      }
+    }
+  };
+}
@@ -0,0 +1,446 @@
+/**
+ * SRCP007 - Encrypted Group Channels
+ *
+ * Group messaging with sender keys, rekeyed on every membership change:
+ *
+ *   membership   a log of operations signed by their author's DID key:
+ *                create (founder, admin), add (admins), remove (admins, or a
+ *                member removing itself). The channel DID is derived from
+ *                the hash of its create operation, so no other create is
+ *                accepted. Each other operation lists as `parents` the
+ *                hashes of the latest operations its author had seen, so
+ *                the log is a causal graph descending from the create.
+ *                Operations are kept only from DIDs the log admitted (the
+ *                founder, and anyone an admitted DID added). The channel's
+ *                epoch is the number of operations applied.
+ *   sender keys  every member encrypts with its own symmetric chain
+ *                (kdfChain, double-ratchet.js), handed to the other members
+ *                over their pairwise end-to-end sessions. A new epoch means
+ *                a new chain from every member, sent only to the members of
+ *                that epoch: removed members cannot read on, added members
+ *                cannot read back.
+ *   messages     { channel, epoch, sender, iteration, ciphertext,
+ *                signature } - one ciphertext for all members, signed by the
+ *                sender's DID key so members cannot forge each other
+ *
+ * Concurrent operations (two admins changing membership at once) converge:
+ * every member applies the same operation set in the same order - by depth
+ * in the graph, then by hash - skipping operations whose author lacks the
+ * authority at that point. Removal wins: an operation is also skipped if an
+ * admin removed its author in an operation it had not seen, since a removed
+ * admin could otherwise sign operations that claim to predate the removal.
+ * Operations whose parents have not arrived wait for them.
+ *
+ * Sender keys come from the platform CSPRNG - NOT deterministic.
+ *
+ * @module group-channel
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+import { kdfChain, hkdf } from './double-ratchet.js';
+
+export const OperationType = Object.freeze({
+  CREATE: 'create',
+  ADD: 'add',
+  REMOVE: 'remove'
+});
+
+// Receiving-chain keys kept for messages that arrive out of order
+const MAX_SKIP = 1000;
+
+const toBase64 = bytes => Canonical.arrayBufferToBase64(bytes);
+const fromBase64 = base64 => new Uint8Array(Canonical.base64ToArrayBuffer(base64));
+const unsigned = ({ signature, ...body }) => body;
+
+async function messageCipher(messageKey) {
+  const out = await hkdf(messageKey, new Uint8Array(32), 'srcp-group/message', 44);
+  const key = await crypto.subtle.importKey('raw', out.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, iv: out.slice(32) };
+}
+
+/**
+ * DID of the channel founded by a create operation
+ */
+export async function channelDIDOf(createOperation) {
+  return `did:srcp:channel/${await Canonical.hash(createOperation)}`;
+}
+
+/**
+ * Check an operation is well formed and signed by the DID it names as author
+ */
+export async function verifyOperation(operation) {
+  if (!operation || !Object.values(OperationType).includes(operation.type) ||
+      !Array.isArray(operation.parents) || !operation.parents.every(hash => typeof hash === 'string') ||
+      (operation.type === OperationType.CREATE) !== (operation.parents.length === 0)) {
+    return false;
+  }
+  return await Identity.verify(operation.byKey, unsigned(operation), operation.signature, { did: operation.by });
+}
+
+export class GroupChannel {
+  /**
+   * @param {Identity} identity - The member holding this copy
+   * @param {string} did - Channel DID (see channelDIDOf())
+   */
+  constructor(identity, did) {
+    this.identity = identity;
+    this.did = did;
+    this.name = null;
+    this.creator = null;
+    this.operations = new Map();   // hash -> operation
+    this.members = [];             // DIDs, in order of joining
+    this.admins = [];
+    this.publicKeys = new Map();   // member DID -> JWK
+    this.epoch = 0;
+    this.messages = [];
+    this.senderKey = null;         // own chain: { epoch, chainKey, iteration }
+    this.senderKeys = new Map();   // `${epoch}:${did}` -> { chainKey, iteration, skipped }
+    this.pendingKeys = new Map();  // DID not (yet) a member -> sender key
+  }
+
+  /**
+   * Found a channel, with `identity` as its first admin
+   * The channel DID is derived from the create operation; `nonce` keeps
+   * channels of the same founder and name apart (default: random).
+   */
+  static async create(identity, { name, nonce = toBase64(Canonical.randomBytes(16)) }) {
+    const body = {
+      type: OperationType.CREATE,
+      name,
+      nonce,
+      member: identity.did,
+      publicKey: identity.publicKeyJWK,
+      parents: [],
+      by: identity.did,
+      byKey: identity.publicKeyJWK
+    };
+    const operation = { ...body, signature: await identity.sign(body) };
+    const channel = new GroupChannel(identity, await channelDIDOf(operation));
+    await channel.merge([operation]);
+    return channel;
+  }
+
+  /**
+   * Rebuild a channel from its operation log (e.g. an invitation)
+   * Throws unless `identity` is a member.
+   */
+  static async fromOperations(identity, did, operations) {
+    const channel = new GroupChannel(identity, did);
+    await channel.merge(operations);
+    if (!channel.isMember(identity.did)) {
+      throw new Error(`${identity.did} is not a member of ${did}`);
+    }
+    return channel;
+  }
+
+  isMember(did) {
+    return this.members.includes(did);
+  }
+
+  isAdmin(did) {
+    return this.admins.includes(did);
+  }
+
+  /**
+   * Operation log, in application order (skipped operations included:
+   * later operations may list them as parents)
+   */
+  getOperations() {
+    return this._ordered().map(({ operation }) => operation);
+  }
+
+  /**
+   * Add `member` (admins only)
+   *
+   * @param {string} member - DID
+   * @param {object} publicKey - Its DID key (JWK), e.g. from its prekey bundle
+   * @param {object} options - { admin }
+   * @returns {Promise<object>} Signed operation, to send to every member
+   */
+  async add(member, publicKey, { admin = false } = {}) {
+    if (!this.isAdmin(this.identity.did)) {
+      throw new Error(`Only admins can add members to ${this.did}`);
+    }
+    if (this.isMember(member)) {
+      throw new Error(`${member} is already a member of ${this.did}`);
+    }
+    if (!(await Identity.isKeyFor(member, publicKey))) {
+      throw new Error(`Public key does not belong to ${member}`);
+    }
+    return await this._sign({ type: OperationType.ADD, member, publicKey, admin });
+  }
+
+  /**
+   * Remove `member` (admins, or any member removing itself)
+   *
+   * @returns {Promise<object>} Signed operation, to send to every member
+   */
+  async remove(member) {
+    if (!this.isMember(member)) {
+      throw new Error(`${member} is not a member of ${this.did}`);
+    }
+    if (member !== this.identity.did && !this.isAdmin(this.identity.did)) {
+      throw new Error(`Only admins can remove members from ${this.did}`);
+    }
+    return await this._sign({ type: OperationType.REMOVE, member });
+  }
+
+  /**
+   * Merge operations received from other members
+   * Unsigned operations, operations of other channels, creates other than
+   * the channel's own and operations by DIDs the log never admitted are
+   * ignored.
+   *
+   * @returns {Promise<boolean>} Whether the membership changed
+   */
+  async merge(operations) {
+    const epoch = this.epoch;
+    const members = this.members.join();
+    let pending = [];
+    for (const operation of operations) {
+      const hash = await Canonical.hash(operation);
+      const belongs = operation.type === OperationType.CREATE
+        ? this.did === `did:srcp:channel/${hash}`
+        : operation.channel === this.did;
+      if (belongs && !this.operations.has(hash) && await verifyOperation(operation)) {
+        pending.push([hash, operation]);
+      }
+    }
+
+    // An operation may admit the author of another in the same batch
+    let progress = true;
+    while (progress) {
+      progress = false;
+      const admitted = this._admitted();
+      pending = pending.filter(([hash, operation]) => {
+        if (operation.type !== OperationType.CREATE && !admitted.has(operation.by)) return true;
+        this.operations.set(hash, operation);
+        progress = true;
+        return false;
+      });
+    }
+    this._recompute();
+    return this.epoch !== epoch || this.members.join() !== members;
+  }
+
+  /**
+   * Start a fresh sender chain for the current epoch
+   *
+   * @returns {object} Sender key { epoch, chainKey, iteration } to send to
+   *   every other member over an end-to-end session
+   */
+  rotateSenderKey() {
+    this.senderKey = { epoch: this.epoch, chainKey: toBase64(Canonical.randomBytes(32)), iteration: 0 };
+    return { ...this.senderKey };
+  }
+
+  /**
+   * Accept a member's sender key
+   * A key from a DID that is not a member yet (its addition still on the
+   * way) is held until it joins.
+   */
+  receiveSenderKey(sender, { epoch, chainKey, iteration }) {
+    if (!Number.isInteger(epoch) || !Number.isInteger(iteration) || typeof chainKey !== 'string') {
+      throw new Error('Malformed sender key');
+    }
+    if (!this.isMember(sender)) {
+      this.pendingKeys.set(sender, { epoch, chainKey, iteration });
+      return;
+    }
+    this.senderKeys.set(`${epoch}:${sender}`, { chainKey, iteration, skipped: {} });
+  }
+
+  /**
+   * Encrypt and sign `data` for the members of the current epoch
+   *
+   * @returns {Promise<object>} Group message
+   */
+  async encrypt(data) {
+    if (!this.senderKey || this.senderKey.epoch !== this.epoch) {
+      throw new Error(`No sender key for epoch ${this.epoch}: rotate and distribute one first`);
+    }
+
+    const [chainKey, messageKey] = await kdfChain(this.senderKey.chainKey);
+    const header = { channel: this.did, epoch: this.epoch, sender: this.identity.did, iteration: this.senderKey.iteration };
+    this.senderKey = { ...this.senderKey, chainKey, iteration: this.senderKey.iteration + 1 };
+
+    const { key, iv } = await messageCipher(messageKey);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(Canonical.encode(header)) },
+      key,
+      new TextEncoder().encode(Canonical.encode(data))
+    );
+
+    const body = { ...header, ciphertext: toBase64(ciphertext) };
+    return { ...body, signature: await this.identity.sign(body) };
+  }
+
+  /**
+   * Verify and decrypt a group message
+   * Throws on a forged, replayed or undecryptable message.
+   */
+  async decrypt(message) {
+    const { channel, epoch, sender, iteration, ciphertext } = message;
+    const publicKey = this.publicKeys.get(sender);
+    if (channel !== this.did || !publicKey) {
+      throw new Error(`Message from ${sender} is not from a member of ${this.did}`);
+    }
+    if (!(await Identity.verify(publicKey, unsigned(message), message.signature, { did: sender }))) {
+      throw new Error('Invalid group message signature');
+    }
+
+    const messageKey = await this._receivingKey(sender, epoch, iteration);
+    const { key, iv } = await messageCipher(messageKey);
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(Canonical.encode({ channel, epoch, sender, iteration })) },
+        key,
+        fromBase64(ciphertext)
+      );
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw new Error('Group message cannot be decrypted');
+    }
+  }
+
+  async _sign(fields) {
+    const ordered = this._ordered();
+    const seen = new Set(ordered.flatMap(({ operation }) => operation.parents));
+    const body = {
+      channel: this.did,
+      ...fields,
+      parents: ordered.map(({ hash }) => hash).filter(hash => !seen.has(hash)).sort(),
+      by: this.identity.did,
+      byKey: this.identity.publicKeyJWK
+    };
+    const operation = { ...body, signature: await this.identity.sign(body) };
+    await this.merge([operation]);
+    return operation;
+  }
+
+  // DIDs the log lets in: the founder, and whoever an admitted DID added.
+  // Grows with the operation set only, so every copy admits the same DIDs
+  _admitted() {
+    const admitted = new Set();
+    let size = -1;
+    while (admitted.size !== size) {
+      size = admitted.size;
+      for (const operation of this.operations.values()) {
+        if (operation.type === OperationType.CREATE) {
+          admitted.add(operation.by);
+        } else if (operation.type === OperationType.ADD && admitted.has(operation.by)) {
+          admitted.add(operation.member);
+        }
+      }
+    }
+    return admitted;
+  }
+
+  // Operations whose ancestry is complete, by depth then hash, each with
+  // the set of its ancestors' hashes
+  _ordered() {
+    const resolved = new Map();   // hash -> { hash, operation, depth, ancestors }
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (const [hash, operation] of this.operations) {
+        if (resolved.has(hash) || !operation.parents.every(parent => resolved.has(parent))) continue;
+        const parents = operation.parents.map(parent => resolved.get(parent));
+        const ancestors = new Set(operation.parents);
+        parents.forEach(parent => parent.ancestors.forEach(ancestor => ancestors.add(ancestor)));
+        const depth = parents.reduce((max, parent) => Math.max(max, parent.depth + 1), 0);
+        resolved.set(hash, { hash, operation, depth, ancestors });
+        progress = true;
+      }
+    }
+    return Array.from(resolved.values())
+      .sort((a, b) => a.depth - b.depth || (a.hash < b.hash ? -1 : 1));
+  }
+
+  // Replay the log: membership, admins and epoch
+  _recompute() {
+    let founded = false;
+    const members = new Map();
+    const admins = new Set();
+    let applied = 0;
+    const ordered = this._ordered();
+    const removals = ordered.filter(({ operation }) => operation.type === OperationType.REMOVE);
+
+    // Removed by a current admin (or itself) in an operation concurrent with `entry`
+    const removedConcurrently = entry => removals.some(removal =>
+      removal.operation.member === entry.operation.by &&
+      removal !== entry &&
+      !entry.ancestors.has(removal.hash) &&
+      !removal.ancestors.has(entry.hash) &&
+      (admins.has(removal.operation.by) || removal.operation.by === entry.operation.by));
+
+    for (const entry of ordered) {
+      const { operation } = entry;
+      const { type, member, by } = operation;
+      if (type === OperationType.CREATE) {
+        if (founded || member !== by) continue;
+        founded = true;
+        this.name = operation.name;
+        this.creator = by;
+        members.set(by, operation.publicKey);
+        admins.add(by);
+      } else if (!founded || removedConcurrently(entry)) {
+        continue;
+      } else if (type === OperationType.ADD) {
+        if (!admins.has(by) || members.has(member)) continue;
+        members.set(member, operation.publicKey);
+        if (operation.admin) admins.add(member);
+      } else {
+        if (!members.has(member) || (!admins.has(by) && by !== member)) continue;
+        members.delete(member);
+        admins.delete(member);
+      }
+      applied++;
+    }
+
+    this.members = Array.from(members.keys());
+    this.admins = this.members.filter(did => admins.has(did));
+    this.publicKeys = members;
+    this.epoch = applied;
+
+    for (const [sender, key] of this.pendingKeys) {
+      if (members.has(sender)) {
+        this.pendingKeys.delete(sender);
+        this.receiveSenderKey(sender, key);
+      }
+    }
+
+    // Chains of earlier epochs are kept one epoch for messages in flight
+    for (const id of this.senderKeys.keys()) {
+      if (Number(id.split(':')[0]) < this.epoch - 1) this.senderKeys.delete(id);
+    }
+  }
+
+  async _receivingKey(sender, epoch, iteration) {
+    const chain = this.senderKeys.get(`${epoch}:${sender}`);
+    if (!chain) {
+      throw new Error(`No sender key from ${sender} for epoch ${epoch}`);
+    }
+    if (iteration in chain.skipped) {
+      const key = fromBase64(chain.skipped[iteration]);
+      delete chain.skipped[iteration];
+      return key;
+    }
+    if (!Number.isInteger(iteration) || iteration < chain.iteration || iteration - chain.iteration > MAX_SKIP) {
+      throw new Error('Group message cannot be decrypted');
+    }
+
+    let { chainKey } = chain;
+    const skipped = { ...chain.skipped };
+    for (let i = chain.iteration; i < iteration; i++) {
+      const [next, messageKey] = await kdfChain(chainKey);
+      skipped[i] = toBase64(messageKey);
+      chainKey = next;
+    }
+    const [next, messageKey] = await kdfChain(chainKey);
+    this.senderKeys.set(`${epoch}:${sender}`, { chainKey: next, iteration: iteration + 1, skipped });
+    return messageKey;
+  }
+}
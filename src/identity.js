@@ -6,6 +6,7 @@
  */
 
 import { Canonical } from './canonical.js';
+import { encryptKeystore, decryptKeystore, KeystoreKind } from './keystore.js';
 
 export class Identity {
   constructor(keyPair, username) {
@@ -22,15 +23,7 @@ export class Identity {
    * @returns {Promise<Identity>}
    */
   static async create(username) {
-    // Generate ECDSA P-256 key pair
-    const keyPair = await crypto.subtle.generateKey(
-      {
-        name: 'ECDSA',
-        namedCurve: 'P-256'
-      },
-      true,  // extractable
-      ['sign', 'verify']
-    );
+    const keyPair = await Identity.generateKeyPair();
 
     const identity = new Identity(keyPair, username);
     
@@ -45,6 +38,21 @@ export class Identity {
     return identity;
   }
 
+  /**
+   * Generate an extractable ECDSA P-256 key pair
+   * Also used for rotated keys (see did-document.js)
+   */
+  static async generateKeyPair() {
+    return await crypto.subtle.generateKey(
+      {
+        name: 'ECDSA',
+        namedCurve: 'P-256'
+      },
+      true,  // extractable
+      ['sign', 'verify']
+    );
+  }
+
   /**
    * Sign arbitrary payload with private key
    * 
@@ -75,9 +83,15 @@ export class Identity {
    * @param {object} publicKeyJWK - JWK format public key
    * @param {*} payload - Original data
    * @param {string} signature - Base64 signature
+   * @param {object} options - { did, pulse, resolver }: also require the key
+   *   to be valid for `did` at `pulse` (see isKeyFor)
    * @returns {Promise<boolean>}
    */
-  static async verify(publicKeyJWK, payload, signature) {
+  static async verify(publicKeyJWK, payload, signature, { did = null, pulse = null, resolver = null } = {}) {
+    if (did && !(await Identity.isKeyFor(did, publicKeyJWK, { pulse, resolver }))) {
+      return false;
+    }
+
     try {
       // Import public key
       const publicKey = await crypto.subtle.importKey(
@@ -115,7 +129,7 @@ export class Identity {
 
   /**
    * Export identity for storage/transmission
-   * WARNING: Contains private key - handle securely!
+   * WARNING: Contains private key - handle securely! Prefer exportEncrypted().
    */
   async export() {
     const privateKeyJWK = await crypto.subtle.exportKey('jwk', this.keyPair.privateKey);
@@ -167,6 +181,43 @@ export class Identity {
     return identity;
   }
 
+  /**
+   * Export identity as a passphrase-protected keystore (see keystore.js)
+   * The DID, username and public key stay readable in `meta`.
+   * 
+   * @param {string} passphrase - Passphrase
+   * @param {object} options - { iterations } (PBKDF2 rounds)
+   * @returns {Promise<object>} Keystore
+   */
+  async exportEncrypted(passphrase, options = {}) {
+    const exported = await this.export();
+    return await encryptKeystore(KeystoreKind.IDENTITY, exported, passphrase, {
+      ...options,
+      meta: {
+        did: this.did,
+        username: this.username,
+        publicKey: this.publicKeyJWK
+      }
+    });
+  }
+
+  /**
+   * Import identity from a keystore made by exportEncrypted()
+   */
+  static async importEncrypted(keystore, passphrase) {
+    const exported = await decryptKeystore(keystore, passphrase, { kind: KeystoreKind.IDENTITY });
+    return await Identity.import(exported);
+  }
+
+  /**
+   * Convert a plaintext export() into a keystore
+   * The key is imported first, so malformed exports are rejected.
+   */
+  static async migrateExport(data, passphrase, options = {}) {
+    const identity = await Identity.import(data);
+    return await identity.exportEncrypted(passphrase, options);
+  }
+
   /**
    * Generate DID from public key
    */
@@ -175,6 +226,20 @@ export class Identity {
     return `did:srcp:${keyHash.substring(0, 32)}`;
   }
 
+  /**
+   * Check `publicKeyJWK` was a valid key for `did` at `pulse`
+   * 
+   * With a resolver (DIDResolver, did-document.js) this follows the DID's
+   * rotations and revocations; without one only the inception key, from
+   * which the DID is derived, is accepted.
+   */
+  static async isKeyFor(did, publicKeyJWK, { pulse = null, resolver = null } = {}) {
+    if (resolver) {
+      return await resolver.isValidKey(did, publicKeyJWK, pulse);
+    }
+    return await Identity.generateDID(publicKeyJWK) === did;
+  }
+
   /**
    * Get public identity info (safe to share)
    */
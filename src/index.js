@@ -31,6 +31,9 @@ export * from './messaging-protocol.js';
 export * from './navigation-utils.js';
 export * from './p2p-internet.js';
 export * from './p2p-transport.js';
+export * from './transport.js';
+export * from './memory-transport.js';
+export * from './websocket-transport.js';
 export * from './srcp-app-base.js';
 export * from './srcp-jsonflow-integration.js';
 export * from './srcp-nav-injector.js';
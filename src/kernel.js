@@ -16,6 +16,10 @@
  * All state changes produce new immutable snapshots
  * Transaction log maintains full audit trail
  * State can be reconstructed from transaction log (event sourcing)
+ * Signed checkpoints let boot and verification replay only the log tail
+ * Optional causal clock stamps give replicas one total transaction order
+ * Optional DID resolver accepts foreign authors' rotated keys
+ * Transactions may act for another DID with a capability (capabilities.js)
  * 
  * @module kernel
  * @version 1.0.0
@@ -23,14 +27,20 @@
 
 import { Canonical } from './canonical.js';
 import { Identity } from './identity.js';
-import { Ledger, LedgerEntry } from './ledger.js';
+import { Ledger } from './ledger.js';
 import { DIDRouter } from './did-router.js';
 import { MessagingProtocol } from './messaging-protocol.js';
 import { BootstrapRegistry } from './registry.js';
 import { EventFabric, EventCategory, EventPriority } from './event-fabric.js';
+import { createTransactionRegistry } from './transaction-registry.js';
+import { StorageRecord, isStorageAdapter, committedTransactions } from './storage.js';
+import { orderTransactions } from './causal-order.js';
+import { CapabilityVerifier } from './capabilities.js';
 
 export const KERNEL_VERSION = '1.0.0';
 
+const CHECKPOINT_TYPE = 'kernel.checkpoint';
+
 /**
  * Kernel state structure (immutable snapshot)
  */
@@ -44,6 +54,7 @@ class KernelState {
     this.transactionCount = params.transactionCount || 0;
     this.pulse = params.pulse;
     this.nonces = new Set(params.nonces || []);
+    this.extensions = deepFreeze({ ...(params.extensions || {}) });
     this.stateHash = params.stateHash || null;
     
     // Make immutable
@@ -57,7 +68,8 @@ class KernelState {
     return new KernelState({
       ...this,
       ...mutations,
-      nonces: new Set([...this.nonces, ...(mutations.nonces || [])])
+      nonces: new Set([...this.nonces, ...(mutations.nonces || [])]),
+      extensions: { ...this.extensions, ...(mutations.extensions || {}) }
     });
   }
   
@@ -72,7 +84,8 @@ class KernelState {
       transactionCount: this.transactionCount,
       pulse: this.pulse,
       nonceCount: this.nonces.size,
-      fabricEvents: this.fabric ? this.fabric.getEventLog().length : 0
+      fabricEvents: this.fabric ? this.fabric.getEventLog().length : 0,
+      ...(await hashExtensions(this.extensions))
     };
     
     return await Canonical.hash(canonical);
@@ -81,26 +94,27 @@ class KernelState {
 
 /**
  * Transaction structure for state transitions
+ * 
+ * `author` is null for transactions signed by the kernel's own identity,
+ * or { did, publicKey } for transactions authored by another identity.
+ * `stamp` is the causal clock stamp when the kernel has a causal clock.
  */
 class Transaction {
-  constructor(type, payload, nonce, pulse, signature = null, hash = null) {
+  constructor(type, payload, nonce, pulse, signature = null, hash = null, author = null, stamp = null) {
     this.type = type;
     this.payload = payload;
     this.nonce = nonce;
     this.pulse = pulse;
     this.signature = signature;
     this.hash = hash;
+    this.author = author;
+    this.stamp = stamp;
     
     Object.freeze(this);
   }
   
   async computeHash() {
-    return await Canonical.hash({
-      type: this.type,
-      payload: this.payload,
-      nonce: this.nonce,
-      pulse: this.pulse
-    });
+    return await hashTransaction(this);
   }
   
   async sign(identity) {
@@ -109,6 +123,31 @@ class Transaction {
   }
 }
 
+/**
+ * Transaction hash. Foreign transactions also commit to their author's
+ * DID and stamped ones to their stamp; plain local ones hash exactly as
+ * before either existed.
+ */
+async function hashTransaction({ type, payload, nonce, pulse, author = null, stamp = null }) {
+  return await Canonical.hash({
+    type,
+    payload,
+    nonce,
+    pulse,
+    ...(author ? { author: author.did } : {}),
+    ...(stamp ? { stamp } : {})
+  });
+}
+
+/**
+ * Key of a transaction nonce in the state's nonce set
+ * Each foreign author has its own nonce space; the kernel's own nonces
+ * are stored bare.
+ */
+function nonceKey(nonce, author = null) {
+  return author ? `${author.did}:${nonce}` : nonce;
+}
+
 /**
  * Deep freeze utility
  */
@@ -127,6 +166,193 @@ function deepFreeze(obj) {
   return obj;
 }
 
+/**
+ * Hash fields for application extension state
+ * Empty extensions contribute nothing, so kernels without custom
+ * transaction types keep their existing state hashes.
+ */
+async function hashExtensions(extensions) {
+  if (!extensions || Object.keys(extensions).length === 0) return {};
+  return { extensionsHash: await Canonical.hash(extensions) };
+}
+
+/**
+ * Hash of the fields every committed state commits to
+ */
+async function computeStateHash({ version, did, ledger, transactionCount, pulse, nonceCount, extensions }) {
+  return await Canonical.hash({
+    version,
+    identity: did,
+    ledgerHash: await ledger.computeHash(),
+    transactionCount,
+    pulse,
+    nonceCount,
+    ...(await hashExtensions(extensions))
+  });
+}
+
+/**
+ * Check a checkpoint's signature and that its contents reproduce its
+ * state hash. Returns the rebuilt ledger for callers resuming from it.
+ */
+async function inspectCheckpoint(checkpoint, { logger = null } = {}) {
+  if (!checkpoint || checkpoint.type !== CHECKPOINT_TYPE) {
+    return { errors: ['Not a kernel checkpoint'], ledger: null };
+  }
+  
+  const errors = [];
+  const { signature, ...body } = checkpoint;
+  
+  if (checkpoint.version !== KERNEL_VERSION) {
+    errors.push(`Version mismatch: expected ${KERNEL_VERSION}, got ${checkpoint.version}`);
+  }
+  
+  if (await Identity.generateDID(checkpoint.publicKey) !== checkpoint.did) {
+    errors.push('Checkpoint DID does not match its public key');
+  } else if (!(await Identity.verify(checkpoint.publicKey, { checkpointHash: await Canonical.hash(body) }, signature))) {
+    errors.push('Invalid checkpoint signature');
+  }
+  
+  let ledger = null;
+  try {
+    ledger = await Ledger.import(checkpoint.state.ledger, { logger });
+    const verification = await ledger.verifyAll();
+    if (ledger.entries.length !== checkpoint.state.ledger.entries.length || !verification.allValid) {
+      errors.push('Checkpoint ledger contains invalid entries');
+    }
+    
+    const stateHash = await computeStateHash({
+      version: checkpoint.version,
+      did: checkpoint.did,
+      ledger,
+      transactionCount: checkpoint.transactionCount,
+      pulse: checkpoint.pulse,
+      nonceCount: new Set(checkpoint.state.nonces).size,
+      extensions: checkpoint.state.extensions
+    });
+    if (stateHash !== checkpoint.stateHash) {
+      errors.push('Checkpoint state hash mismatch');
+    }
+  } catch (error) {
+    errors.push(`Malformed checkpoint: ${error.message}`);
+  }
+  
+  return { errors, ledger };
+}
+
+/**
+ * Plain-object form of a transaction for export and storage
+ */
+function serializeTransaction(tx) {
+  return {
+    type: tx.type,
+    payload: tx.payload,
+    nonce: tx.nonce,
+    pulse: tx.pulse,
+    hash: tx.hash,
+    signature: tx.signature,
+    ...(tx.author ? { author: tx.author } : {}),
+    ...(tx.stamp ? { stamp: tx.stamp } : {})
+  };
+}
+
+function deserializeTransaction(record) {
+  return new Transaction(
+    record.type,
+    record.payload,
+    record.nonce,
+    record.pulse,
+    record.signature,
+    record.hash,
+    record.author || null,
+    record.stamp || null
+  );
+}
+
+/**
+ * Check a foreign transaction's author DID, hash and signature
+ * With a resolver, the author's key must be valid for its DID at tx.pulse.
+ * Returns an error message, or null if valid.
+ */
+async function verifyAuthorSignature(tx, resolver = null) {
+  if (!(await Identity.isKeyFor(tx.author.did, tx.author.publicKey, { pulse: tx.pulse, resolver }))) {
+    return 'Author DID does not match public key';
+  }
+  if (await hashTransaction(tx) !== tx.hash) {
+    return 'Transaction hash mismatch';
+  }
+  if (!(await Identity.verify(tx.author.publicKey, { hash: tx.hash, nonce: tx.nonce }, tx.signature))) {
+    return `Invalid signature from ${tx.author.did}`;
+  }
+  return null;
+}
+
+/**
+ * Check a transaction before it is applied: payload, hash, signature and
+ * delegation. Transactions without an author are signed by `owner`, the
+ * kernel identity ({ did, publicKey }); their signature is only checked
+ * with `requireSignature`, as kernels may run without signing.
+ * Returns an error message, or null if valid.
+ */
+async function verifyTransaction(tx, { registry, capabilities, resolver = null, owner, requireSignature = true }) {
+  try {
+    registry.validate(tx.type, tx.payload);
+  } catch (error) {
+    return error.message;
+  }
+  
+  if (tx.author) {
+    return await verifyAuthorSignature(tx, resolver) ||
+      await verifyDelegation(tx, tx.author.did, registry, capabilities);
+  }
+  
+  if (await hashTransaction(tx) !== tx.hash) {
+    return 'Transaction hash mismatch';
+  }
+  if (requireSignature &&
+      !(await Identity.verify(owner.publicKey, { hash: tx.hash, nonce: tx.nonce }, tx.signature))) {
+    return 'Invalid signature';
+  }
+  return await verifyDelegation(tx, owner.did, registry, capabilities);
+}
+
+/**
+ * Check a transaction acting for another DID carries a capability for it
+ * 
+ * A payload with `onBehalfOf: <owner DID>` must carry `capability`, a token
+ * granting the actor `tx/<type>` on `<owner>/kernel` at the transaction's
+ * pulse, with the handler's caveats(payload) met (e.g. an amount limit).
+ * Returns an error message, or null if valid or not delegated.
+ */
+async function verifyDelegation({ type, payload, pulse }, actor, registry, verifier) {
+  if (payload.onBehalfOf === undefined) {
+    return null;
+  }
+  if (typeof payload.onBehalfOf !== 'string' || !payload.capability) {
+    return 'Delegated transaction requires onBehalfOf and capability';
+  }
+  
+  const handler = registry.get(type);
+  const result = await verifier.verify(payload.capability, {
+    invoker: actor,
+    resource: `${payload.onBehalfOf}/kernel`,
+    ability: `tx/${type}`,
+    caveats: handler.caveats ? handler.caveats(payload) : {},
+    pulse
+  });
+  return result.valid ? null : result.reason;
+}
+
+/**
+ * Keep the delegation fields when a handler's prepare() rebuilds the payload
+ */
+function withDelegation(prepared, payload) {
+  if (payload.onBehalfOf === undefined) {
+    return prepared;
+  }
+  return { ...prepared, onBehalfOf: payload.onBehalfOf, capability: payload.capability };
+}
+
 /**
  * Assert with helpful error messages
  */
@@ -149,21 +375,41 @@ export class Kernel {
       'Clock adapter with now() required');
     assert(adapters.nonce && typeof adapters.nonce.generate === 'function', 
       'Nonce adapter with generate() required');
+    assert(!adapters.causalClock ||
+      (typeof adapters.causalClock.tick === 'function' && typeof adapters.causalClock.receive === 'function'),
+      'Causal clock adapter requires tick() and receive()');
+    assert(!adapters.resolver || typeof adapters.resolver.isValidKey === 'function',
+      'Resolver adapter requires isValidKey()');
+    assert(!adapters.capabilities || typeof adapters.capabilities.verify === 'function',
+      'Capabilities adapter requires verify()');
     
     // Store adapters
     this._adapters = adapters;
     this._logger = adapters.logger || this._createNullLogger();
+    this._capabilities = adapters.capabilities ||
+      new CapabilityVerifier({ resolver: adapters.resolver || null });
     
     // Initialize state
     this._state = initialState;
     this._transactions = [];
     this._sealed = false;
     
+    // Checkpoints: the latest one taken, and the one _initialState was
+    // restored from (null when the log starts at genesis)
+    this._checkpoint = null;
+    this._checkpointState = null;
+    this._baseCheckpoint = null;
+    
+    // Transaction handlers (built-in + application types)
+    this._registry = config.transactionRegistry ||
+      createTransactionRegistry(config.transactionHandlers);
+    
     // Configuration
     this._config = {
       maxTransactionSize: config.maxTransactionSize || 1024 * 1024, // 1MB
       enableReplayProtection: config.enableReplayProtection !== false,
       enableSignatureValidation: config.enableSignatureValidation !== false,
+      checkpointInterval: config.checkpointInterval || 0, // 0 = manual only
       ...config
     };
     
@@ -175,8 +421,155 @@ export class Kernel {
   
   /**
    * Boot kernel with identity and adapters
+   * With `adapters.storage`, the genesis metadata is persisted and every
+   * committed transaction is logged; reopen it later with Kernel.restore().
    */
   static async boot({ adapters, identity = null, config = {} }) {
+    if (adapters.storage) {
+      assert(isStorageAdapter(adapters.storage), 'Invalid storage adapter', 'INVALID_STORAGE');
+      assert(!(await adapters.storage.readMeta()),
+        'Storage already holds a kernel, use Kernel.restore()',
+        'STORAGE_INITIALIZED');
+    }
+    
+    const kernel = await Kernel._create({
+      adapters,
+      identity,
+      config,
+      pulse: adapters.clock.now()
+    });
+    
+    if (adapters.storage) {
+      await adapters.storage.writeMeta({
+        version: KERNEL_VERSION,
+        did: kernel._initialState.identity.did,
+        genesisPulse: kernel._initialState.pulse,
+        genesisStateHash: kernel._initialState.stateHash
+      });
+    }
+    
+    return kernel;
+  }
+  
+  /**
+   * Restore a kernel from storage by replaying its committed transactions
+   * 
+   * The identity must be the one the kernel was booted with (private keys
+   * are never persisted). The nonce adapter must not reissue nonces from
+   * the restored log, and the clock should resume at or after the last pulse.
+   * 
+   * @param {object} storage - Storage adapter written by a previous kernel
+   * @param {object} options - { adapters, identity, config }
+   * @returns {Promise<Kernel>}
+   */
+  static async restore(storage, { adapters, identity, config = {} }) {
+    assert(isStorageAdapter(storage), 'Invalid storage adapter', 'INVALID_STORAGE');
+    
+    const meta = await storage.readMeta();
+    assert(meta, 'No kernel found in storage', 'STORAGE_EMPTY');
+    assert(meta.version === KERNEL_VERSION,
+      `Version mismatch: expected ${KERNEL_VERSION}, got ${meta.version}`,
+      'VERSION_MISMATCH');
+    assert(identity && identity.did === meta.did,
+      `Identity does not match stored kernel ${meta.did}`,
+      'INVALID_IDENTITY');
+    
+    const kernel = await Kernel._create({
+      adapters: { ...adapters, storage },
+      identity,
+      config,
+      pulse: meta.genesisPulse
+    });
+    
+    assert(kernel._initialState.stateHash === meta.genesisStateHash,
+      'Genesis state hash mismatch', 'STORAGE_CORRUPT');
+    
+    const { committed, uncommitted } = committedTransactions(await storage.readLog());
+    
+    const checkpoint = storage.readCheckpoint ? await storage.readCheckpoint() : null;
+    if (checkpoint) {
+      await kernel._resetToCheckpoint(checkpoint);
+      
+      const last = committed.find(c => c.transactionCount === checkpoint.transactionCount);
+      assert(!last || last.tx.hash === checkpoint.lastTransactionHash,
+        'Checkpoint does not match the stored log', 'STORAGE_CORRUPT');
+    }
+    
+    let state = kernel._initialState;
+    for (const { tx: record, stateHash, transactionCount } of committed) {
+      if (transactionCount <= state.transactionCount) continue;
+      
+      const tx = deserializeTransaction(record);
+      
+      state = await kernel._applyTransaction(state, tx);
+      assert(state.stateHash === stateHash,
+        `Replay diverged at transaction ${tx.hash}`, 'STORAGE_CORRUPT');
+      
+      kernel._transactions.push(deepFreeze(tx));
+    }
+    kernel._state = state;
+    
+    // Never acknowledged to the caller - record that they were dropped
+    for (const tx of uncommitted) {
+      await storage.append({ kind: StorageRecord.ABORT, hash: tx.hash, error: 'Interrupted before commit' });
+    }
+    
+    kernel._logger.log(
+      `[Kernel] Restored ${kernel._transactions.length} transactions` +
+      (checkpoint ? ` after checkpoint at ${checkpoint.transactionCount}` : '') +
+      (uncommitted.length ? `, discarded ${uncommitted.length} uncommitted` : '')
+    );
+    
+    return kernel;
+  }
+  
+  /**
+   * Boot from a signed checkpoint and replay only the transactions after it
+   * 
+   * The transactions are checked like replicated ones (signature, hash,
+   * delegation, unused nonce); the first that fails aborts the boot.
+   * 
+   * @param {object} checkpoint - From kernel.createCheckpoint()
+   * @param {object} options - { adapters, identity, config, transactions }
+   * @returns {Promise<Kernel>}
+   */
+  static async fromCheckpoint(checkpoint, { adapters, identity, config = {}, transactions = [] }) {
+    assert(identity && identity.did === checkpoint.did,
+      `Identity does not match checkpoint ${checkpoint.did}`,
+      'INVALID_IDENTITY');
+    
+    const kernel = await Kernel._create({
+      adapters,
+      identity,
+      config,
+      pulse: checkpoint.pulse
+    });
+    await kernel._resetToCheckpoint(checkpoint);
+    
+    let state = kernel._state;
+    for (const record of transactions) {
+      const tx = deserializeTransaction(record);
+      const error = await kernel._verifyReplicatedTransaction(tx);
+      assert(!error, `Transaction ${tx.hash}: ${error}`, 'INVALID_TRANSACTION');
+      assert(!state.nonces.has(nonceKey(tx.nonce, tx.author)),
+        `Transaction ${tx.hash}: Nonce already used`, 'REPLAY_ATTACK');
+      
+      state = await kernel._applyTransaction(state, tx);
+      kernel._transactions.push(deepFreeze(tx));
+    }
+    kernel._state = state;
+    
+    kernel._logger.log(
+      `[Kernel] Booted from checkpoint at ${checkpoint.transactionCount}, replayed ${transactions.length}`
+    );
+    
+    return kernel;
+  }
+  
+  /**
+   * INTERNAL: Build a kernel around a fresh genesis state at `pulse`
+   */
+  static async _create({ adapters, identity, config, pulse }) {
     const logger = adapters.logger || Kernel.prototype._createNullLogger();
     
     logger.log('[Kernel] Starting boot sequence...');
@@ -216,7 +609,7 @@ export class Kernel {
       router,
       fabric,
       transactionCount: 0,
-      pulse: adapters.clock.now(),
+      pulse,
       nonces: new Set()
     };
     
@@ -277,22 +670,8 @@ export class Kernel {
       throw new Error('Transaction payload must be an object', 'INVALID_PAYLOAD');
     }
     
-    // Type-specific validation
-    if (type === 'ledger.append') {
-      if (!payload.action || typeof payload.action !== 'string') {
-        throw new Error('ledger.append requires a string action field', 'INVALID_PAYLOAD');
-      }
-      if (typeof payload.data !== 'object' || payload.data === null) {
-        throw new Error('ledger.append requires an object data field', 'INVALID_PAYLOAD');
-      }
-    } else if (type === 'router.register') {
-      if (!payload.did || typeof payload.did !== 'string') {
-        throw new Error('router.register requires a string did field', 'INVALID_PAYLOAD');
-      }
-      if (!payload.endpoint || typeof payload.endpoint !== 'string') {
-        throw new Error('router.register requires a string endpoint field', 'INVALID_PAYLOAD');
-      }
-    }
+    // Type-specific validation (throws for unknown types)
+    this._registry.validate(type, payload);
     
     // EMIT PRE-TRANSACTION EVENT
     await this._state.fabric.emit(
@@ -305,47 +684,36 @@ export class Kernel {
     // Generate nonce
     const nonce = this._adapters.nonce.generate();
     
-    // Check replay protection
-    if (this._config.enableReplayProtection) {
-      assert(!this._state.nonces.has(nonce), 
-        'Nonce already used (replay attack detected)', 
-        'REPLAY_ATTACK');
-    }
-    
-    // Get current pulse
+    // Get current pulse (and causal stamp, if the kernel has a causal clock)
     const pulse = this._adapters.clock.now();
     
-    // For ledger.append, pre-create the entry to include in transaction
-    // This ensures deterministic replay with consistent signatures
+    const delegationError = await verifyDelegation(
+      { type, payload, pulse }, this._state.identity.did, this._registry, this._capabilities);
+    assert(!delegationError, delegationError, 'UNAUTHORIZED');
+    
+    const stamp = this._adapters.causalClock ? this._adapters.causalClock.tick() : null;
+    
+    // Let the handler enrich the payload before it is hashed and signed
+    // (e.g. ledger.append pre-creates its signed entry for deterministic replay)
+    const handler = this._registry.get(type);
     let enhancedPayload = payload;
-    if (type === 'ledger.append') {
-      const { action, data } = payload;
-      const entry = await LedgerEntry.create(
-        this._state.identity,
-        action,
-        data,
-        pulse
-      );
-      enhancedPayload = {
-        action,
-        data,
-        _ledgerEntry: {
-          action: entry.action,
-          data: entry.data,
-          signature: entry.signature,
-          publicKey: entry.publicKey,
-          pulse: entry.pulse,
-          hash: entry.hash
-        }
-      };
+    if (handler.prepare) {
+      enhancedPayload = withDelegation(await handler.prepare(payload, {
+        identity: this._state.identity,
+        pulse,
+        stamp,
+        state: this._state,
+        adapters: this._adapters
+      }), payload);
     }
     
     // Compute hash before creating transaction
-    const txHash = await Canonical.hash({
+    const txHash = await hashTransaction({
       type,
       payload: enhancedPayload,
       nonce,
-      pulse
+      pulse,
+      stamp
     });
     
     // Compute signature if validation enabled
@@ -355,7 +723,226 @@ export class Kernel {
     }
     
     // Create transaction with all fields
-    const tx = new Transaction(type, enhancedPayload, nonce, pulse, signature, txHash);
+    const tx = new Transaction(type, enhancedPayload, nonce, pulse, signature, txHash, null, stamp);
+    
+    return await this._commit(tx, payload);
+  }
+  
+  /**
+   * Sign a transaction as `identity` without applying it
+   * 
+   * The result can be sent to any replica of this kernel and applied there
+   * with submitTransaction(). Handlers prepare the payload against this
+   * kernel's current state (e.g. ledger.append links to the author's chain).
+   * 
+   * @param {Identity} identity - Author (holds the private key)
+   * @param {string} type - Transaction type
+   * @param {object} payload - Transaction payload
+   * @param {object} options - { nonce, pulse, stamp } (default: adapters)
+   * @returns {Promise<object>} Signed transaction, plain JSON
+   */
+  async createSignedTransaction(identity, type, payload, options = {}) {
+    assert(identity && identity.did && identity.publicKeyJWK, 'Author identity required', 'INVALID_IDENTITY');
+    this._registry.validate(type, payload);
+    
+    const nonce = options.nonce || this._adapters.nonce.generate();
+    const pulse = options.pulse !== undefined ? options.pulse : this._adapters.clock.now();
+    const author = { did: identity.did, publicKey: identity.publicKeyJWK };
+    const stamp = options.stamp ||
+      (this._adapters.causalClock ? this._adapters.causalClock.tick() : null);
+    
+    const handler = this._registry.get(type);
+    let enhancedPayload = payload;
+    if (handler.prepare) {
+      enhancedPayload = withDelegation(await handler.prepare(payload, {
+        identity,
+        pulse,
+        stamp,
+        state: this._state,
+        adapters: this._adapters
+      }), payload);
+    }
+    
+    const hash = await hashTransaction({ type, payload: enhancedPayload, nonce, pulse, author, stamp });
+    const signature = await identity.sign({ hash, nonce });
+    
+    return serializeTransaction(
+      new Transaction(type, enhancedPayload, nonce, pulse, signature, hash, author, stamp)
+    );
+  }
+  
+  /**
+   * Apply a transaction signed by another identity
+   * 
+   * Verifies the author's DID, signature and hash, and checks the nonce
+   * against the author's own nonce space before applying it through the
+   * same path as executeTransaction(). Replicas applying the same signed
+   * transactions in the same order reach the same state hash.
+   * 
+   * @param {object} signedTx - From createSignedTransaction()
+   * @returns {Promise<object>} { success, transaction, stateHash, transactionCount }
+   */
+  async submitTransaction(signedTx) {
+    assert(!this._sealed, 'Cannot submit transaction on sealed kernel', 'KERNEL_SEALED');
+    assert(signedTx && signedTx.author && signedTx.author.did && signedTx.author.publicKey,
+      'Signed transaction requires an author', 'INVALID_TRANSACTION');
+    assert(signedTx.payload && typeof signedTx.payload === 'object',
+      'Transaction payload must be an object', 'INVALID_PAYLOAD');
+    
+    const tx = deserializeTransaction(signedTx);
+    
+    this._registry.validate(tx.type, tx.payload);
+    
+    const error = await verifyAuthorSignature(tx, this._adapters.resolver);
+    assert(!error, error, 'INVALID_SIGNATURE');
+    
+    const delegationError = await verifyDelegation(tx, tx.author.did, this._registry, this._capabilities);
+    assert(!delegationError, delegationError, 'UNAUTHORIZED');
+    
+    if (tx.stamp && this._adapters.causalClock) {
+      this._adapters.causalClock.receive(tx.stamp);
+    }
+    
+    await this._state.fabric.emit(
+      EventCategory.KERNEL,
+      'transaction.before',
+      { type: tx.type, payload: tx.payload, author: tx.author.did },
+      { priority: EventPriority.CRITICAL }
+    );
+    
+    return await this._commit(tx, tx.payload);
+  }
+  
+  /**
+   * Merge transactions from other replicas of this kernel
+   * 
+   * The union of local and incoming transactions is put in the
+   * deterministic total order (causal stamp, then hash - see
+   * causal-order.js) and replayed from the base state, so replicas that
+   * have seen the same transactions converge on the same state hash
+   * whatever order they received them in. A transaction that cannot be
+   * applied at its place in the order is dropped, identically everywhere.
+   * If merged transactions land before the latest checkpoint, it no longer
+   * describes a prefix of the log; a new checkpoint of the merged state
+   * replaces it.
+   * 
+   * @param {object[]} signedTxs - Serialized transactions (own or foreign)
+   * @returns {Promise<object>} { merged, rejected, stateHash, transactionCount }
+   */
+  async mergeTransactions(signedTxs) {
+    assert(!this._sealed, 'Cannot merge into sealed kernel', 'KERNEL_SEALED');
+    
+    const storage = this._adapters.storage;
+    assert(!storage || typeof storage.compact === 'function',
+      'Merging requires a storage adapter with compact()', 'INVALID_STORAGE');
+    
+    const known = new Set(this._transactions.map(tx => tx.hash));
+    const incoming = [];
+    const rejected = [];
+    
+    for (const record of signedTxs) {
+      if (known.has(record.hash)) continue;
+      
+      const tx = deserializeTransaction(record);
+      const error = await this._verifyReplicatedTransaction(tx);
+      if (error) {
+        rejected.push({ hash: tx.hash, error });
+        continue;
+      }
+      known.add(tx.hash);
+      incoming.push(tx);
+    }
+    
+    if (incoming.length > 0) {
+      let state = this._initialState;
+      const applied = [];
+      const records = [];
+      
+      // State the latest checkpoint (if past the base) has to reappear at
+      const checkpoint = this._checkpoint &&
+        this._checkpoint.transactionCount > this._initialState.transactionCount ? this._checkpoint : null;
+      let checkpointKept = false;
+      
+      for (const tx of orderTransactions([...this._transactions, ...incoming])) {
+        if (state.nonces.has(nonceKey(tx.nonce, tx.author))) {
+          rejected.push({ hash: tx.hash, error: 'Nonce already used' });
+          continue;
+        }
+        try {
+          state = await this._applyTransaction(state, tx);
+        } catch (error) {
+          rejected.push({ hash: tx.hash, error: error.message });
+          continue;
+        }
+        applied.push(deepFreeze(tx));
+        records.push(
+          { kind: StorageRecord.PENDING, tx: serializeTransaction(tx) },
+          { kind: StorageRecord.COMMIT, hash: tx.hash, stateHash: state.stateHash, transactionCount: state.transactionCount }
+        );
+        if (checkpoint && state.transactionCount === checkpoint.transactionCount) {
+          checkpointKept = tx.hash === checkpoint.lastTransactionHash && state.stateHash === checkpoint.stateHash;
+        }
+      }
+      
+      if (storage) {
+        await storage.compact(records);
+      }
+      
+      if (this._adapters.causalClock) {
+        for (const tx of incoming) {
+          if (tx.stamp) this._adapters.causalClock.receive(tx.stamp);
+        }
+      }
+      
+      this._state = state;
+      this._transactions = applied;
+      
+      if (checkpoint && !checkpointKept) {
+        await this.createCheckpoint();
+      }
+      
+      await state.fabric.emit(
+        EventCategory.KERNEL,
+        'transactions.merged',
+        { merged: incoming.length, rejected: rejected.length, stateHash: state.stateHash },
+        { priority: EventPriority.HIGH }
+      );
+    }
+    
+    return {
+      merged: incoming.length,
+      rejected,
+      stateHash: this._state.stateHash,
+      transactionCount: this._state.transactionCount
+    };
+  }
+  
+  /**
+   * INTERNAL: Check a transaction received from another replica
+   * Returns an error message, or null if valid.
+   */
+  async _verifyReplicatedTransaction(tx) {
+    return await verifyTransaction(tx, {
+      registry: this._registry,
+      capabilities: this._capabilities,
+      resolver: this._adapters.resolver,
+      owner: { did: this._state.identity.did, publicKey: this._state.identity.publicKeyJWK },
+      requireSignature: this._config.enableSignatureValidation
+    });
+  }
+  
+  /**
+   * INTERNAL: Replay-check, log, apply and publish a signed transaction
+   */
+  async _commit(tx, payload) {
+    const { type, nonce } = tx;
+    
+    // Check replay protection
+    if (this._config.enableReplayProtection) {
+      assert(!this._state.nonces.has(nonceKey(nonce, tx.author)),
+        'Nonce already used (replay attack detected)', 
+        'REPLAY_ATTACK');
+    }
     
     // Validate transaction size
     const txSize = JSON.stringify(tx).length;
@@ -365,13 +952,42 @@ export class Kernel {
     
     this._logger.log(`[Kernel] Executing transaction: ${type} (nonce: ${nonce.slice(0, 8)}...)`);
     
+    // Write-ahead: the transaction is durable before it is applied,
+    // and committed before the new state becomes visible
+    const storage = this._adapters.storage;
+    if (storage) {
+      await storage.append({ kind: StorageRecord.PENDING, tx: serializeTransaction(tx) });
+    }
+    
     // Execute state transition
-    const newState = await this._applyTransaction(this._state, tx);
+    let newState;
+    try {
+      newState = await this._applyTransaction(this._state, tx);
+    } catch (error) {
+      if (storage) {
+        await storage.append({ kind: StorageRecord.ABORT, hash: tx.hash, error: error.message });
+      }
+      throw error;
+    }
+    
+    if (storage) {
+      await storage.append({
+        kind: StorageRecord.COMMIT,
+        hash: tx.hash,
+        stateHash: newState.stateHash,
+        transactionCount: newState.transactionCount
+      });
+    }
     
     // Update state
     this._state = newState;
     this._transactions.push(deepFreeze(tx));
     
+    if (this._config.checkpointInterval > 0 &&
+        newState.transactionCount % this._config.checkpointInterval === 0) {
+      await this.createCheckpoint();
+    }
+    
     // EMIT POST-TRANSACTION EVENT
     await this._state.fabric.emit(
       EventCategory.KERNEL,
@@ -379,6 +995,7 @@ export class Kernel {
       { 
         type, 
         payload,
+        ...(tx.author ? { author: tx.author.did } : {}),
         result: {
           stateHash: newState.stateHash,
           transactionCount: newState.transactionCount
@@ -405,38 +1022,41 @@ export class Kernel {
     let mutations = {
       transactionCount: currentState.transactionCount + 1,
       pulse: tx.pulse,
-      nonces: [tx.nonce]
+      nonces: [nonceKey(tx.nonce, tx.author)]
     };
     
-    // Route transaction by type
-    switch (tx.type) {
-      case 'ledger.append':
-        mutations.ledger = await this._handleLedgerAppend(currentState, tx);
-        break;
-        
-      case 'router.register':
-        mutations.router = await this._handleRouterRegister(currentState, tx);
-        break;
-        
-      case 'state.snapshot':
-        // Pure snapshot, no mutations
-        break;
-        
-      default:
-        throw new Error(`Unknown transaction type: ${tx.type}`);
+    // Route transaction to its registered handler
+    const handler = this._registry.get(tx.type);
+    const author = tx.author ? tx.author.did : currentState.identity.did;
+    const handlerMutations = await handler.reduce(currentState, tx, {
+      adapters: this._adapters,
+      logger: this._logger,
+      author,
+      principal: tx.payload.onBehalfOf || author
+    });
+    
+    // Application reducers own their extension namespaces, nothing else
+    if (!this._registry.isBuiltin(tx.type)) {
+      const foreign = Object.keys(handlerMutations || {}).filter(key => key !== 'extensions');
+      assert(foreign.length === 0,
+        `${tx.type} reducer may only return extensions, got ${foreign.join(', ')}`,
+        'INVALID_MUTATION');
     }
     
+    mutations = { ...handlerMutations, ...mutations };
+    
     // Evolve state
     const newState = currentState.evolve(mutations);
     
     // Compute hash for the new state
-    const stateHash = await Canonical.hash({
+    const stateHash = await computeStateHash({
       version: newState.version,
-      identity: newState.identity.did,
-      ledgerHash: await newState.ledger.computeHash(),
+      did: newState.identity.did,
+      ledger: newState.ledger,
       transactionCount: newState.transactionCount,
       pulse: newState.pulse,
-      nonceCount: newState.nonces.size
+      nonceCount: newState.nonces.size,
+      extensions: newState.extensions
     });
     
     // Create final state with hash
@@ -449,6 +1069,7 @@ export class Kernel {
       transactionCount: newState.transactionCount,
       pulse: newState.pulse,
       nonces: newState.nonces,
+      extensions: newState.extensions,
       stateHash
     });
     
@@ -456,73 +1077,156 @@ export class Kernel {
   }
   
   /**
-   * Handle ledger append transaction
+   * Create a signed checkpoint of the current state
+   * 
+   * A checkpoint carries everything needed to resume without the log
+   * before it: ledger entries, router routes, used nonces and extension
+   * state, plus the state hash they reproduce. Taken automatically every
+   * `config.checkpointInterval` transactions, and persisted when the
+   * storage adapter supports writeCheckpoint().
+   * 
+   * @returns {Promise<object>} Checkpoint
    */
-  async _handleLedgerAppend(state, tx) {
-    const { action, data, _ledgerEntry } = tx.payload;
-    
-    let entry;
-    
-    // If transaction has a stored entry (from execution), use it
-    // This ensures deterministic replay with consistent signatures
-    if (_ledgerEntry) {
-      entry = new LedgerEntry(
-        _ledgerEntry.action,
-        _ledgerEntry.data,
-        _ledgerEntry.signature,
-        _ledgerEntry.publicKey,
-        _ledgerEntry.pulse
-      );
-      
-      // SECURITY: Recompute hash to detect tampering
-      // If someone tampered with the entry data, this will produce a different hash
-      const recomputedHash = await Canonical.hash({
-        action: entry.action,
-        data: entry.data,
-        signature: entry.signature,
-        publicKey: entry.publicKey,
-        pulse: entry.pulse
-      });
-      
-      entry.hash = recomputedHash;
-    } else {
-      // Fallback: create new entry (legacy support)
-      entry = await LedgerEntry.create(
-        state.identity,
-        action,
-        data,
-        tx.pulse
-      );
+  async createCheckpoint() {
+    const state = this._state;
+    assert(state.transactionCount > 0, 'Nothing to checkpoint before the first transaction', 'EMPTY_CHECKPOINT');
+    
+    const last = this._transactions[this._transactions.length - 1];
+    const body = {
+      type: CHECKPOINT_TYPE,
+      version: KERNEL_VERSION,
+      did: state.identity.did,
+      publicKey: state.identity.publicKeyJWK,
+      transactionCount: state.transactionCount,
+      pulse: state.pulse,
+      stateHash: state.stateHash,
+      lastTransactionHash: last ? last.hash : this._baseCheckpoint.lastTransactionHash,
+      state: {
+        ledger: state.ledger.export(state.pulse),
+        router: state.router && state.router.routes ? Array.from(state.router.routes.entries()) : [],
+        nonces: Array.from(state.nonces).sort(),
+        extensions: state.extensions
+      }
+    };
+    
+    const checkpoint = deepFreeze({
+      ...structuredClone(body),
+      signature: await state.identity.sign({ checkpointHash: await Canonical.hash(body) })
+    });
+    
+    this._checkpoint = checkpoint;
+    this._checkpointState = state;
+    
+    if (this._adapters.storage && this._adapters.storage.writeCheckpoint) {
+      await this._adapters.storage.writeCheckpoint(checkpoint);
     }
     
-    // Create new ledger with entry
-    const newLedger = new Ledger({ logger: this._logger });
-    newLedger.entries = [...state.ledger.entries, entry];
-    newLedger.verified = new Set([...state.ledger.verified, entry.hash]);
+    await state.fabric.emit(
+      EventCategory.KERNEL,
+      'checkpoint.created',
+      { transactionCount: checkpoint.transactionCount, stateHash: checkpoint.stateHash },
+      { priority: EventPriority.NORMAL }
+    );
     
-    return newLedger;
+    return checkpoint;
   }
   
   /**
-   * Handle router registration transaction
+   * Get the most recent checkpoint (null if none taken)
    */
-  async _handleRouterRegister(state, tx) {
-    const { did, endpoint } = tx.payload;
-    
-    // Router is immutable, create new one with registration
-    const newRouter = new DIDRouter({
-      clock: this._adapters.clock,
-      nonce: this._adapters.nonce,
-      logger: this._logger
-    });
+  getCheckpoint() {
+    return this._checkpoint || this._baseCheckpoint;
+  }
+  
+  /**
+   * Prune transactions covered by the latest checkpoint
+   * 
+   * Replay, verifyIntegrity() and export() then start from the checkpoint.
+   * Storage adapters supporting compact() drop the pruned records too.
+   * 
+   * @returns {Promise<number>} Number of transactions pruned
+   */
+  async prune() {
+    assert(!this._sealed, 'Cannot prune sealed kernel', 'KERNEL_SEALED');
+    
+    const checkpoint = this._checkpoint;
+    if (!checkpoint) return 0;
+    
+    const pruned = checkpoint.transactionCount - this._initialState.transactionCount;
+    if (pruned <= 0) return 0;
+    
+    this._transactions = this._transactions.slice(pruned);
+    this._initialState = this._checkpointState;
+    this._baseCheckpoint = checkpoint;
+    
+    const storage = this._adapters.storage;
+    if (storage && storage.compact) {
+      const { committed } = committedTransactions(await storage.readLog());
+      const kept = [];
+      for (const { tx, stateHash, transactionCount } of committed) {
+        if (transactionCount <= checkpoint.transactionCount) continue;
+        kept.push({ kind: StorageRecord.PENDING, tx });
+        kept.push({ kind: StorageRecord.COMMIT, hash: tx.hash, stateHash, transactionCount });
+      }
+      await storage.compact(kept);
+    }
+    
+    this._logger.log(`[Kernel] Pruned ${pruned} transactions before checkpoint ${checkpoint.transactionCount}`);
+    
+    return pruned;
+  }
+  
+  /**
+   * INTERNAL: Replace genesis with a verified checkpoint's state
+   */
+  async _resetToCheckpoint(checkpoint) {
+    const { errors, ledger } = await inspectCheckpoint(checkpoint, { logger: this._logger });
+    if (errors.length > 0) {
+      assert(false, `Invalid checkpoint: ${errors.join('; ')}`, 'CHECKPOINT_INVALID');
+    }
+    assert(checkpoint.did === this._state.identity.did,
+      'Checkpoint belongs to a different identity', 'CHECKPOINT_INVALID');
     
-    // Copy existing routes
-    newRouter.routes = new Map(state.router.routes);
+    const router = new DIDRouter(this._adapters.clock, this._adapters.nonce, this._logger);
+    if (checkpoint.state.router.length > 0) {
+      router.routes = new Map(checkpoint.state.router);
+    }
     
-    // Add new route
-    await newRouter.register(did, endpoint);
+    const state = new KernelState({
+      version: checkpoint.version,
+      identity: this._state.identity,
+      ledger,
+      router,
+      fabric: this._state.fabric,
+      transactionCount: checkpoint.transactionCount,
+      pulse: checkpoint.pulse,
+      nonces: checkpoint.state.nonces,
+      extensions: checkpoint.state.extensions,
+      stateHash: checkpoint.stateHash
+    });
     
-    return newRouter;
+    this._state = state;
+    this._initialState = state;
+    this._transactions = [];
+    this._baseCheckpoint = checkpoint;
+  }
+  
+  /**
+   * Register an application transaction type
+   * Registered types are validated, hashed, signed and replayed exactly
+   * like the built-in ones. Register before executing or replaying.
+   */
+  registerTransactionType(type, handler) {
+    assert(!this._sealed, 'Cannot register transaction type on sealed kernel', 'KERNEL_SEALED');
+    this._registry.register(type, handler);
+    return this;
+  }
+  
+  /**
+   * Get the transaction handler registry
+   */
+  getTransactionRegistry() {
+    return this._registry;
   }
   
   /**
@@ -540,6 +1244,7 @@ export class Kernel {
       stateHash: this._state.stateHash,
       ledgerSize: this._state.ledger.entries.length,
       routerSize: this._state.router.routes ? this._state.router.routes.size : 0,
+      extensions: this._state.extensions,
       fabricMetrics: this._state.fabric ? this._state.fabric.getMetrics() : null
     });
   }
@@ -599,14 +1304,8 @@ export class Kernel {
         stateHash: this._state.stateHash,
         fabric: this._state.fabric ? this._state.fabric.export() : null
       },
-      transactions: this._transactions.map(tx => ({
-        type: tx.type,
-        payload: tx.payload,
-        nonce: tx.nonce,
-        pulse: tx.pulse,
-        hash: tx.hash,
-        signature: tx.signature
-      })),
+      transactions: this._transactions.map(serializeTransaction),
+      ...(this._baseCheckpoint ? { checkpoint: this._baseCheckpoint } : {}),
       exported: this._adapters.clock.now()
     };
   }
@@ -617,10 +1316,15 @@ export class Kernel {
   async verifyIntegrity() {
     this._logger.log('[Kernel] Verifying integrity...');
     
-    // Replay transactions and compare state
-    const replayedState = await this.replay(this._transactions);
+    // Replay transactions and compare state; a log that cannot be
+    // replayed at all is as invalid as one that replays to another state
+    let replayedHash = null;
+    try {
+      replayedHash = (await this.replay(this._transactions)).stateHash;
+    } catch (error) {
+      this._logger.error(`[Kernel] Replay failed: ${error.message}`);
+    }
     const currentHash = this._state.stateHash;
-    const replayedHash = replayedState.stateHash;
     
     const valid = currentHash === replayedHash;
     
@@ -687,42 +1391,20 @@ export class Kernel {
    */
   async _emitDomainEvent(txType, payload, newState) {
     const fabric = this._state.fabric;
+    const handler = this._registry.get(txType);
     
-    switch (txType) {
-      case 'ledger.append':
-        await fabric.emit(
-          EventCategory.LEDGER,
-          'entry.appended',
-          {
-            action: payload.action,
-            data: payload.data,
-            ledgerSize: newState.ledger.entries.length
-          },
-          { priority: EventPriority.NORMAL }
-        );
-        break;
-        
-      case 'router.register':
-        await fabric.emit(
-          EventCategory.IDENTITY,
-          'route.registered',
-          {
-            did: payload.did,
-            endpoint: payload.endpoint
-          },
-          { priority: EventPriority.HIGH }
-        );
-        break;
-        
-      default:
-        // Generic transaction completed event
-        await fabric.emit(
-          EventCategory.KERNEL,
-          'transaction.completed',
-          { type: txType },
-          { priority: EventPriority.NORMAL }
-        );
+    if (handler.emit) {
+      await handler.emit(fabric, payload, newState);
+      return;
     }
+    
+    // Generic transaction completed event
+    await fabric.emit(
+      EventCategory.KERNEL,
+      'transaction.completed',
+      { type: txType },
+      { priority: EventPriority.NORMAL }
+    );
   }
   
   /**
@@ -795,20 +1477,127 @@ export async function bootSealed(config) {
   return kernel;
 }
 
+/**
+ * Verify a checkpoint without booting a kernel
+ * 
+ * @param {object} checkpoint - From kernel.createCheckpoint()
+ * @returns {Promise<object>} { valid, errors, transactionCount, stateHash }
+ */
+export async function verifyCheckpoint(checkpoint) {
+  const { errors } = await inspectCheckpoint(checkpoint);
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    transactionCount: checkpoint ? checkpoint.transactionCount : null,
+    stateHash: checkpoint ? checkpoint.stateHash : null
+  };
+}
+
 /**
  * Verify a kernel export
+ * 
+ * Every transaction must be of a type known to the registry (built-ins by
+ * default - pass the registry used by the exporting kernel for app types),
+ * carry a valid payload, and hash to its recorded hash. Exports of pruned
+ * kernels carry a checkpoint; it must verify, and replaying the
+ * transactions from it must reproduce the exported state hash. Every
+ * transaction must be signed by its author, or by the kernel identity
+ * (pass `enableSignatureValidation: false` for kernels that do not sign).
+ * Pass the `resolver` (DIDResolver) if foreign authors have rotated keys.
+ * Delegated transactions must carry a valid capability.
  */
-export async function verifyExport(exportData) {
+export async function verifyExport(exportData, {
+  registry = createTransactionRegistry(),
+  resolver = null,
+  enableSignatureValidation = true
+} = {}) {
+  const capabilities = new CapabilityVerifier({ resolver });
   assert(exportData.version === KERNEL_VERSION, 
     `Version mismatch: expected ${KERNEL_VERSION}, got ${exportData.version}`);
   
-  // Verify state hash matches ledger
-  const ledgerHash = await Canonical.hash(exportData.state.ledger);
+  const errors = [];
+  
+  if (exportData.checkpoint) {
+    const checkpoint = await verifyCheckpoint(exportData.checkpoint);
+    for (const error of checkpoint.errors) {
+      errors.push({ index: 'checkpoint', error });
+    }
+    
+    if (exportData.checkpoint.did !== exportData.state.identity.did) {
+      errors.push({ index: 'checkpoint', error: 'Checkpoint belongs to a different identity' });
+    }
+    if (exportData.checkpoint.transactionCount + exportData.transactions.length !==
+        exportData.state.transactionCount) {
+      errors.push({ index: 'checkpoint', error: 'Transactions do not continue from checkpoint' });
+    }
+  }
+  
+  for (const [index, tx] of exportData.transactions.entries()) {
+    if (!registry.has(tx.type)) {
+      errors.push({ index, error: `Unknown transaction type: ${tx.type}` });
+      continue;
+    }
+    
+    const error = await verifyTransaction(tx, {
+      registry,
+      capabilities,
+      resolver,
+      owner: exportData.state.identity,
+      requireSignature: enableSignatureValidation
+    });
+    if (error) {
+      errors.push({ index, error });
+    }
+  }
+  
+  if (exportData.checkpoint && errors.length === 0) {
+    try {
+      const stateHash = await replayExport(exportData, { registry, resolver, capabilities, enableSignatureValidation });
+      if (stateHash !== exportData.state.stateHash) {
+        errors.push({ index: 'replay', error: 'Transactions do not reproduce the exported state hash' });
+      }
+    } catch (error) {
+      errors.push({ index: 'replay', error: error.message });
+    }
+  }
   
   return {
-    valid: true,
+    valid: errors.length === 0,
+    errors,
     version: exportData.version,
     transactionCount: exportData.transactions.length,
+    checkpointTransactionCount: exportData.checkpoint ? exportData.checkpoint.transactionCount : 0,
     stateHash: exportData.state.stateHash
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Replay a pruned export's transactions from its checkpoint on a
+ * throwaway kernel, returning the resulting state hash
+ */
+async function replayExport(exportData, { registry, resolver, capabilities, enableSignatureValidation }) {
+  const { checkpoint } = exportData;
+  let counter = 0;
+  
+  const kernel = await Kernel.fromCheckpoint(checkpoint, {
+    adapters: {
+      clock: { now: () => checkpoint.pulse },
+      nonce: { generate: () => `replay_${counter++}` },
+      resolver,
+      capabilities
+    },
+    // Public half only: replay applies transactions, it signs nothing
+    identity: { did: checkpoint.did, publicKeyJWK: checkpoint.publicKey },
+    config: {
+      transactionRegistry: registry,
+      enableSignatureValidation,
+      enableSignatures: false,
+      lockDate: false,
+      lockMath: false
+    },
+    transactions: exportData.transactions
+  });
+  
+  return kernel.getState().stateHash;
+}
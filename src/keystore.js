@@ -0,0 +1,177 @@
+/**
+ * SRCP007 - Passphrase-Protected Keystore
+ *
+ * Versioned, self-describing container for secret key material:
+ *
+ * {
+ *   type: 'srcp-keystore',
+ *   version: 1,
+ *   kind: 'identity' | 'hd-seed',
+ *   meta: { ... },                 - public fields (DID, username, public key)
+ *   kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *   cipher: { name: 'AES-GCM', iv },
+ *   ciphertext                     - base64
+ * }
+ *
+ * The AES-256-GCM key is derived from the passphrase with the embedded KDF
+ * parameters, so stronger parameters can be adopted without breaking old
+ * keystores. Everything except the ciphertext is bound as additional
+ * authenticated data: editing the meta or weakening the KDF parameters makes
+ * decryption fail like a wrong passphrase. Iteration counts outside
+ * [MIN_ITERATIONS, MAX_ITERATIONS] are refused before any key is derived,
+ * whether encrypting or importing.
+ *
+ * Salts and IVs come from the platform CSPRNG - encrypting is NOT
+ * deterministic and belongs outside replayed state transitions.
+ *
+ * @module keystore
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+
+export const KEYSTORE_TYPE = 'srcp-keystore';
+export const KEYSTORE_VERSION = 1;
+
+export const KeystoreKind = Object.freeze({
+  IDENTITY: 'identity',
+  HD_SEED: 'hd-seed'
+});
+
+// OWASP guidance for PBKDF2-HMAC-SHA256
+export const DEFAULT_ITERATIONS = 600000;
+
+// Weakest keystore still accepted, and the most work an imported one may demand
+export const MIN_ITERATIONS = 100000;
+export const MAX_ITERATIONS = 10 * DEFAULT_ITERATIONS;
+
+async function deriveKey(passphrase, kdf) {
+  if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') {
+    throw new Error(`Unsupported keystore KDF: ${kdf.name}`);
+  }
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < MIN_ITERATIONS || kdf.iterations > MAX_ITERATIONS) {
+    throw new Error(`Keystore KDF iterations must be between ${MIN_ITERATIONS} and ${MAX_ITERATIONS}, got ${kdf.iterations}`);
+  }
+
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return await crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      hash: kdf.hash,
+      salt: Canonical.base64ToArrayBuffer(kdf.salt),
+      iterations: kdf.iterations
+    },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function additionalData(keystore) {
+  const { ciphertext, ...header } = keystore;
+  return new TextEncoder().encode(Canonical.encode(header));
+}
+
+/**
+ * Check a value looks like a keystore (any version)
+ */
+export function isKeystore(value) {
+  return Boolean(value) && value.type === KEYSTORE_TYPE;
+}
+
+/**
+ * Encrypt `secret` under `passphrase`
+ *
+ * @param {string} kind - KeystoreKind
+ * @param {*} secret - Canonically encodable secret material
+ * @param {string} passphrase - Non-empty passphrase
+ * @param {object} options - { meta: public fields, iterations }
+ * @returns {Promise<object>} Keystore
+ */
+export async function encryptKeystore(kind, secret, passphrase, { meta = {}, iterations = DEFAULT_ITERATIONS } = {}) {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) {
+    throw new Error('Keystore passphrase required');
+  }
+
+  const keystore = {
+    type: KEYSTORE_TYPE,
+    version: KEYSTORE_VERSION,
+    kind,
+    meta,
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations,
+      salt: Canonical.arrayBufferToBase64(Canonical.randomBytes(16))
+    },
+    cipher: {
+      name: 'AES-GCM',
+      iv: Canonical.arrayBufferToBase64(Canonical.randomBytes(12))
+    }
+  };
+
+  const key = await deriveKey(passphrase, keystore.kdf);
+  const ciphertext = await crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv: Canonical.base64ToArrayBuffer(keystore.cipher.iv),
+      additionalData: additionalData(keystore)
+    },
+    key,
+    new TextEncoder().encode(Canonical.encode(secret))
+  );
+
+  keystore.ciphertext = Canonical.arrayBufferToBase64(ciphertext);
+  return keystore;
+}
+
+/**
+ * Decrypt a keystore
+ * A wrong passphrase and a modified keystore fail identically.
+ *
+ * @param {object} keystore - Keystore from encryptKeystore()
+ * @param {string} passphrase - Passphrase
+ * @param {object} options - { kind: expected KeystoreKind }
+ * @returns {Promise<*>} The secret
+ */
+export async function decryptKeystore(keystore, passphrase, { kind = null } = {}) {
+  if (!isKeystore(keystore)) {
+    throw new Error('Not a keystore');
+  }
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${keystore.version}`);
+  }
+  if (kind && keystore.kind !== kind) {
+    throw new Error(`Expected keystore kind ${kind}, got ${keystore.kind}`);
+  }
+  if (!keystore.cipher || keystore.cipher.name !== 'AES-GCM') {
+    throw new Error(`Unsupported keystore cipher: ${keystore.cipher && keystore.cipher.name}`);
+  }
+
+  const key = await deriveKey(passphrase, keystore.kdf);
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: Canonical.base64ToArrayBuffer(keystore.cipher.iv),
+        additionalData: additionalData(keystore)
+      },
+      key,
+      Canonical.base64ToArrayBuffer(keystore.ciphertext)
+    );
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted keystore');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -6,69 +6,139 @@
  * - NO console.* - uses injected logger
  * - Immutable append-only log
  * - Cryptographic signatures
+ * - Per-DID hash chains (prevHash + height) with equivocation fraud proofs
+ * - Incremental Merkle tree with inclusion and consistency proofs
+ * - Rotated keys accepted through an optional DID resolver (did-document.js)
  * 
  * HARDENED VERSION - Fixed async filter bug
  */
 
 import { Canonical } from './canonical.js';
 import { Identity } from './identity.js';
+import { MerkleTree } from './merkle.js';
 
 export class LedgerEntry {
-  constructor(action, data, signature, publicKey, pulse) {
+  constructor(action, data, signature, publicKey, pulse, { did = null, prevHash = null, height = null, stamp = null } = {}) {
     this.action = action;
     this.data = data;
     this.signature = signature;
     this.publicKey = publicKey;
     this.pulse = pulse; // Logical pulse counter
+    this.did = did;
+    
+    // Per-DID hash chain: link to this DID's previous entry
+    // Unlinked (legacy) entries have height === null
+    this.prevHash = prevHash;
+    this.height = height;
+    
+    // Optional causal stamp { wall, counter, node } (see createCausalClock)
+    this.stamp = stamp;
+    
     this.hash = null;
   }
 
   /**
    * Create and sign new ledger entry
    * ACCEPTS LOGICAL PULSE from clock adapter
+   * 
+   * Pass `link` ({ prevHash, height }, see Ledger.nextLink) to chain the
+   * entry to the signer's previous entry, and `stamp` to order it causally.
+   * Both are covered by the signature.
    */
-  static async create(identity, action, data, pulse) {
-    const payload = {
-      action,
-      data,
-      pulse: pulse,
-      did: identity.did
-    };
-
-    const signature = await identity.sign(payload);
+  static async create(identity, action, data, pulse, link = null, { stamp = null } = {}) {
     const entry = new LedgerEntry(
       action,
       data,
-      signature,
+      null,
       identity.publicKeyJWK,
-      pulse
+      pulse,
+      {
+        did: identity.did,
+        prevHash: link ? link.prevHash : null,
+        height: link ? link.height : null,
+        stamp
+      }
     );
 
+    entry.signature = await identity.sign(entry._signedPayload(identity.did));
+
     // Include publicKey in hash for integrity
-    entry.hash = await Canonical.hash({
-      action: entry.action,
-      data: entry.data,
-      signature: entry.signature,
-      publicKey: entry.publicKey,
-      pulse: entry.pulse
-    });
+    entry.hash = await entry.computeHash();
 
     return entry;
   }
 
-  async verify() {
+  isLinked() {
+    return this.height !== null && this.height !== undefined;
+  }
+
+  /**
+   * Payload covered by the author's signature
+   */
+  _signedPayload(did) {
     const payload = {
       action: this.action,
       data: this.data,
       pulse: this.pulse,
-      did: await Identity.generateDID(this.publicKey)
+      did
+    };
+
+    if (this.isLinked()) {
+      payload.prevHash = this.prevHash;
+      payload.height = this.height;
+    }
+    if (this.stamp) {
+      payload.stamp = this.stamp;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Compute content hash (excludes the hash field itself)
+   */
+  async computeHash() {
+    const content = {
+      action: this.action,
+      data: this.data,
+      signature: this.signature,
+      publicKey: this.publicKey,
+      pulse: this.pulse
     };
 
-    return await Identity.verify(this.publicKey, payload, this.signature);
+    if (this.isLinked()) {
+      content.did = this.did;
+      content.prevHash = this.prevHash;
+      content.height = this.height;
+    }
+    if (this.stamp) {
+      content.stamp = this.stamp;
+    }
+
+    return await Canonical.hash(content);
+  }
+
+  /**
+   * Verify the signature and that the signing key belonged to the DID
+   * 
+   * Without a resolver the key must be the DID's inception key; with one
+   * (DIDResolver) it must be the DID's valid key at this entry's pulse.
+   */
+  async verify({ resolver = null } = {}) {
+    if (this.isLinked() && !this.did) {
+      return false;
+    }
+    const did = this.did || await Identity.generateDID(this.publicKey);
+
+    return await Identity.verify(this.publicKey, this._signedPayload(did), this.signature, {
+      did,
+      pulse: this.pulse,
+      resolver
+    });
   }
 
   toJSON() {
-    return {
+    const json = {
       action: this.action,
       data: this.data,
       signature: this.signature,
@@ -76,6 +146,15 @@ export class LedgerEntry {
       pulse: this.pulse,
       hash: this.hash
     };
+
+    if (this.did) json.did = this.did;
+    if (this.isLinked()) {
+      json.prevHash = this.prevHash;
+      json.height = this.height;
+    }
+    if (this.stamp) json.stamp = this.stamp;
+
+    return json;
   }
 
   static fromJSON(json) {
@@ -84,22 +163,57 @@ export class LedgerEntry {
       json.data,
       json.signature,
       json.publicKey,
-      json.pulse
+      json.pulse,
+      {
+        did: json.did || null,
+        prevHash: json.prevHash === undefined ? null : json.prevHash,
+        height: json.height === undefined ? null : json.height,
+        stamp: json.stamp || null
+      }
     );
     entry.hash = json.hash;
     return entry;
   }
 }
 
+/**
+ * Error raised when a DID signs two different entries at the same height
+ */
+export class EquivocationError extends Error {
+  constructor(fraudProof) {
+    super(`Equivocation detected: ${fraudProof.did} signed two entries at height ${fraudProof.height}`);
+    this.name = 'EquivocationError';
+    this.code = 'EQUIVOCATION';
+    this.fraudProof = fraudProof;
+  }
+}
+
 export class Ledger {
-  constructor({ logger = null } = {}) {
+  constructor({ logger = null, resolver = null } = {}) {
     this.entries = [];
     this.verified = new Set();
+    this.heads = new Map();       // DID -> { height, hash } of latest linked entry
+    this.chainIndex = new Map();  // `${did}:${height}` -> LedgerEntry
+    this.merkle = new MerkleTree(); // Leaves are entry hashes in ledger order
     this.logger = logger || { warn: () => {}, error: () => {} };
+    this.resolver = resolver;     // Optional DIDResolver for rotated keys
   }
 
   async append(entry) {
-    const isValid = await entry.verify();
+    await this.checkEntry(entry);
+    await this._push(entry);
+    
+    return entry;
+  }
+
+  /**
+   * Throw unless `entry` could be appended: valid signature by its DID's
+   * key, not a duplicate, and the next link of its DID's chain (an
+   * EquivocationError if it forks the chain). `resolver` overrides the
+   * ledger's own for rotated keys.
+   */
+  async checkEntry(entry, { resolver = null } = {}) {
+    const isValid = await entry.verify({ resolver: resolver || this.resolver });
     if (!isValid) {
       throw new Error('Invalid signature on ledger entry');
     }
@@ -108,10 +222,194 @@ export class Ledger {
       throw new Error('Duplicate entry in ledger');
     }
 
+    if (entry.isLinked()) {
+      const fraudProof = this.detectEquivocation(entry);
+      if (fraudProof) {
+        throw new EquivocationError(fraudProof);
+      }
+
+      const expected = this.nextLink(entry.did);
+      if (entry.height !== expected.height || entry.prevHash !== expected.prevHash) {
+        throw new Error(
+          `Chain break for ${entry.did}: expected height ${expected.height} ` +
+          `after ${expected.prevHash}, got height ${entry.height} after ${entry.prevHash}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Create, sign and append an entry linked to the signer's chain head
+   */
+  async createEntry(identity, action, data, pulse, { stamp = null } = {}) {
+    const entry = await LedgerEntry.create(identity, action, data, pulse, this.nextLink(identity.did), { stamp });
+    return await this.append(entry);
+  }
+
+  /**
+   * Link fields for the next entry signed by `did`
+   */
+  nextLink(did) {
+    const head = this.heads.get(did);
+    return head
+      ? { prevHash: head.hash, height: head.height + 1 }
+      : { prevHash: null, height: 1 };
+  }
+
+  /**
+   * Latest linked entry for a DID ({ height, hash } or null)
+   */
+  getHead(did) {
+    return this.heads.get(did) || null;
+  }
+
+  /**
+   * Copy of this ledger with `entry` appended
+   * Does NOT verify the signature or chain - used by the kernel's pure
+   * reducers, where tampering shows up as a state hash divergence instead.
+   * Call checkEntry() first for entries from other authors.
+   */
+  async withEntry(entry) {
+    const ledger = new Ledger({ logger: this.logger, resolver: this.resolver });
+    ledger.entries = [...this.entries];
+    ledger.verified = new Set(this.verified);
+    ledger.heads = new Map(this.heads);
+    ledger.chainIndex = new Map(this.chainIndex);
+    ledger.merkle = this.merkle.clone();
+    await ledger._push(entry);
+    return ledger;
+  }
+
+  /**
+   * Merkle root over the first `size` entries (defaults to all)
+   */
+  async getMerkleRoot(size = this.entries.length) {
+    return await this.merkle.root(size);
+  }
+
+  /**
+   * Prove an entry (by hash or index) is in the ledger of `size` entries
+   * Verify with MerkleTree.verifyInclusion(entryHash, proof, root)
+   */
+  async getInclusionProof(entryHashOrIndex, size = this.entries.length) {
+    const index = typeof entryHashOrIndex === 'number'
+      ? entryHashOrIndex
+      : this.entries.findIndex(e => e.hash === entryHashOrIndex);
+
+    if (index < 0) {
+      throw new Error(`Entry not found in ledger: ${entryHashOrIndex}`);
+    }
+
+    return {
+      ...await this.merkle.inclusionProof(index, size),
+      entryHash: this.entries[index].hash
+    };
+  }
+
+  /**
+   * Prove the ledger of `oldSize` entries is a prefix of the ledger of `newSize`
+   * Verify with MerkleTree.verifyConsistency(proof, oldRoot, newRoot)
+   */
+  async getConsistencyProof(oldSize, newSize = this.entries.length) {
+    return await this.merkle.consistencyProof(oldSize, newSize);
+  }
+
+  /**
+   * Return a fraud proof if `entry` conflicts with an entry already in the
+   * ledger (same DID, same height, different content), otherwise null
+   */
+  detectEquivocation(entry) {
+    if (!entry.isLinked() || !entry.did) return null;
+
+    const existing = this.chainIndex.get(`${entry.did}:${entry.height}`);
+    if (existing && existing.hash !== entry.hash) {
+      return Ledger.createFraudProof(existing, entry);
+    }
+    return null;
+  }
+
+  /**
+   * Scan a set of entries (e.g. merged from peers) for equivocations
+   */
+  static findEquivocations(entries) {
+    const seen = new Map();
+    const proofs = [];
+
+    for (const entry of entries) {
+      if (!entry.isLinked() || !entry.did) continue;
+
+      const key = `${entry.did}:${entry.height}`;
+      const existing = seen.get(key);
+      if (!existing) {
+        seen.set(key, entry);
+      } else if (existing.hash !== entry.hash) {
+        proofs.push(Ledger.createFraudProof(existing, entry));
+      }
+    }
+
+    return proofs;
+  }
+
+  /**
+   * Portable proof that a DID signed two conflicting entries
+   * Self-contained: verifiable by anyone holding only the proof
+   */
+  static createFraudProof(entryA, entryB) {
+    const [first, second] = [entryA, entryB].sort((a, b) => a.hash.localeCompare(b.hash));
+    return {
+      type: 'equivocation',
+      version: '1.0.0',
+      did: first.did,
+      height: first.height,
+      entries: [first.toJSON(), second.toJSON()]
+    };
+  }
+
+  /**
+   * Verify an equivocation fraud proof
+   */
+  static async verifyFraudProof(proof, { resolver = null } = {}) {
+    if (!proof || proof.type !== 'equivocation' || !Array.isArray(proof.entries) ||
+        proof.entries.length !== 2) {
+      return { valid: false, reason: 'Malformed fraud proof' };
+    }
+
+    const [a, b] = proof.entries.map(json => LedgerEntry.fromJSON(json));
+
+    for (const entry of [a, b]) {
+      if (!entry.isLinked() || entry.did !== proof.did || entry.height !== proof.height) {
+        return { valid: false, reason: 'Entries do not match the accused DID and height' };
+      }
+      if (entry.hash !== await entry.computeHash()) {
+        return { valid: false, reason: 'Entry hash mismatch' };
+      }
+      if (!await entry.verify({ resolver })) {
+        return { valid: false, reason: 'Invalid entry signature' };
+      }
+    }
+
+    if (a.hash === b.hash) {
+      return { valid: false, reason: 'Entries are identical' };
+    }
+
+    return { valid: true, did: proof.did, height: proof.height };
+  }
+
+  /**
+   * INTERNAL: Record entry and advance its chain head
+   */
+  async _push(entry) {
     this.entries.push(entry);
+    await this.merkle.append(entry.hash);
     this.verified.add(entry.hash);
-    
-    return entry;
+
+    if (entry.isLinked() && entry.did) {
+      this.chainIndex.set(`${entry.did}:${entry.height}`, entry);
+      const head = this.heads.get(entry.did);
+      if (!head || entry.height > head.height) {
+        this.heads.set(entry.did, { height: entry.height, hash: entry.hash });
+      }
+    }
   }
 
   /**
@@ -123,7 +421,7 @@ export class Ledger {
     const results = [];
     
     for (const entry of this.entries) {
-      const entryDID = await Identity.generateDID(entry.publicKey);
+      const entryDID = entry.did || await Identity.generateDID(entry.publicKey);
       if (entryDID === did) {
         results.push(entry);
       }
@@ -139,7 +437,7 @@ export class Ledger {
     const checks = await Promise.all(
       this.entries.map(async (entry) => ({
         entry,
-        matches: await Identity.generateDID(entry.publicKey) === did
+        matches: (entry.did || await Identity.generateDID(entry.publicKey)) === did
       }))
     );
     
@@ -166,18 +464,54 @@ export class Ledger {
     const results = await Promise.all(
       this.entries.map(async (entry) => ({
         entry,
-        valid: await entry.verify()
+        valid: await entry.verify({ resolver: this.resolver }) && entry.hash === await entry.computeHash()
       }))
     );
 
+    const chainBreaks = this.verifyChains();
+
     return {
       total: results.length,
       valid: results.filter(r => r.valid).length,
       invalid: results.filter(r => !r.valid),
-      allValid: results.every(r => r.valid)
+      chainBreaks,
+      chainValid: chainBreaks.length === 0,
+      allValid: results.every(r => r.valid) && chainBreaks.length === 0
     };
   }
 
+  /**
+   * Walk every per-DID chain in ledger order and report breaks:
+   * gaps or reordering (unexpected height), dropped/replaced entries
+   * (prevHash mismatch) and equivocations (two entries at one height)
+   */
+  verifyChains() {
+    const heads = new Map();
+    const breaks = [];
+
+    this.entries.forEach((entry, index) => {
+      if (!entry.isLinked()) return;
+
+      const head = heads.get(entry.did);
+      const expectedHeight = head ? head.height + 1 : 1;
+      const expectedPrev = head ? head.hash : null;
+
+      if (head && entry.height === head.height) {
+        breaks.push({ index, hash: entry.hash, did: entry.did, reason: 'equivocation' });
+        return;
+      }
+      if (entry.height !== expectedHeight) {
+        breaks.push({ index, hash: entry.hash, did: entry.did, reason: 'height-gap', expected: expectedHeight });
+      } else if (entry.prevHash !== expectedPrev) {
+        breaks.push({ index, hash: entry.hash, did: entry.did, reason: 'prev-hash-mismatch' });
+      }
+
+      heads.set(entry.did, { height: entry.height, hash: entry.hash });
+    });
+
+    return breaks;
+  }
+
   export(exportPulse) {
     return {
       version: '1.0.0',
@@ -187,24 +521,23 @@ export class Ledger {
     };
   }
 
-  static async import(data, { logger = null } = {}) {
+  static async import(data, { logger = null, resolver = null } = {}) {
     if (data.version !== '1.0.0' && data.version !== '5.0.0') {
       throw new Error(`Unsupported ledger version: ${data.version}`);
     }
 
-    const ledger = new Ledger({ logger });
+    const ledger = new Ledger({ logger, resolver });
     
     for (const entryData of data.entries) {
       const entry = LedgerEntry.fromJSON(entryData);
       
-      const isValid = await entry.verify();
+      const isValid = await entry.verify({ resolver });
       if (!isValid) {
         if (logger) logger.warn('Skipping invalid entry:', entry.hash);
         continue;
       }
 
-      ledger.entries.push(entry);
-      ledger.verified.add(entry.hash);
+      await ledger._push(entry);
     }
 
     return ledger;
@@ -240,6 +573,9 @@ export class Ledger {
   clear() {
     this.entries = [];
     this.verified.clear();
+    this.heads.clear();
+    this.chainIndex.clear();
+    this.merkle = new MerkleTree();
   }
 
   getSize() {
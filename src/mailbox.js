@@ -0,0 +1,377 @@
+/**
+ * SRCP007 - Store-and-Forward Mailboxes
+ *
+ * Delivery to DIDs that are offline, through relay peers they advertise on
+ * the bootstrap registry (advertiseMailbox()):
+ *
+ *   1. Sender      Mailbox.deposit()      - seals the message to the
+ *                                           recipient's DID key and leaves
+ *                                           it with every advertised relay
+ *   2. Relay       MailboxRelay           - holds it within a per-recipient
+ *                                           quota until it expires (TTL)
+ *   3. Recipient   Mailbox.fetch()        - on reconnect, collects, opens
+ *                                           and acknowledges its messages,
+ *                                           then sends a signed delivery
+ *                                           receipt back to each sender
+ *
+ * Relays see only the recipient and the message id; sender, type and
+ * payload are inside the sealed box (sealed-box.js), signed by the sender.
+ * Fetching and acknowledging are signed by the recipient. A message left
+ * with several relays arrives once: recipients drop ids they have seen.
+ *
+ * Transport message types prefixed 'mailbox-' are relay traffic and never
+ * go to a mailbox themselves; receipts ('delivery-receipt') may.
+ *
+ * Message ids and boxes come from the platform CSPRNG - NOT deterministic.
+ *
+ * @module mailbox
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+import { sealBox, openBox } from './sealed-box.js';
+
+export const MAILBOX_ACTION = 'registry:mailbox';
+
+export const MailboxMessageType = Object.freeze({
+  DEPOSIT: 'mailbox-deposit',
+  STORED: 'mailbox-stored',
+  REFUSED: 'mailbox-refused',
+  FETCH: 'mailbox-fetch',
+  DELIVERY: 'mailbox-delivery',
+  ACK: 'mailbox-ack',
+  RECEIPT: 'delivery-receipt'
+});
+
+export const DEFAULT_QUOTA = Object.freeze({ messages: 500, bytes: 5 * 1024 * 1024 });
+export const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Message ids remembered by a recipient for deduplication
+const MAX_SEEN = 10000;
+
+/**
+ * Whether a transport message type may be left in a mailbox
+ */
+export function isMailboxable(type) {
+  return !type.startsWith('mailbox-');
+}
+
+/**
+ * Record the relays holding mail for `identity` on a registry ledger (see
+ * BootstrapRegistry). An empty list withdraws the mailbox.
+ */
+export async function advertiseMailbox(ledger, identity, relays, pulse) {
+  return await ledger.createEntry(identity, MAILBOX_ACTION, {
+    did: identity.did,
+    publicKey: identity.publicKeyJWK,
+    relays
+  }, pulse);
+}
+
+/**
+ * Latest mailbox advertised by `did` on `ledger`: { relays, publicKey }, or null
+ */
+export async function findMailbox(ledger, did) {
+  const entries = ledger.getEntriesByAction(MAILBOX_ACTION)
+    .filter(e => e.did === did && e.data.did === did && Array.isArray(e.data.relays));
+  for (const entry of entries.reverse()) {
+    if (await Identity.isKeyFor(did, entry.data.publicKey)) {
+      return entry.data.relays.length > 0 ? { relays: entry.data.relays, publicKey: entry.data.publicKey } : null;
+    }
+  }
+  return null;
+}
+
+// Request signed by its sender's DID key
+async function signRequest(identity, body) {
+  return { ...body, did: identity.did, publicKey: identity.publicKeyJWK, signature: await identity.sign({ ...body, did: identity.did }) };
+}
+
+async function verifyRequest(from, { publicKey, signature, ...body }) {
+  return body.did === from && await Identity.verify(publicKey, body, signature, { did: from });
+}
+
+export class MailboxRelay {
+  /**
+   * @param {Identity} identity - The relay
+   * @param {object} transport - P2PTransport or compatible
+   * @param {object} options - {
+   *   clock: { now() }, ttl: longest hold, in clock units,
+   *   quota: { messages, bytes } per recipient
+   * }
+   */
+  constructor(identity, transport, { clock, ttl = DEFAULT_TTL, quota = DEFAULT_QUOTA } = {}) {
+    if (!clock) {
+      throw new Error('MailboxRelay requires a clock');
+    }
+    this.identity = identity;
+    this.transport = transport;
+    this.clock = clock;
+    this.ttl = ttl;
+    this.quota = quota;
+    this.boxes = new Map();   // recipient DID -> Map(id -> { item, size, expires })
+  }
+
+  initialize() {
+    this.transport.on(`message:${MailboxMessageType.DEPOSIT}`, (from, payload) => this.handleDeposit(from, payload));
+    this.transport.on(`message:${MailboxMessageType.FETCH}`, (from, payload) => this.handleFetch(from, payload));
+    this.transport.on(`message:${MailboxMessageType.ACK}`, (from, payload) => this.handleAck(from, payload));
+  }
+
+  /**
+   * Hold a sealed message for its recipient, replying 'mailbox-stored' or
+   * 'mailbox-refused' to the depositor
+   */
+  async handleDeposit(from, { id, to, box, ttl } = {}) {
+    if (typeof id !== 'string' || typeof to !== 'string' || !box) {
+      await this.transport.sendMessage(from, MailboxMessageType.REFUSED, { id, reason: 'Malformed deposit' });
+      return false;
+    }
+
+    this.purge();
+    const held = this._mail(to);
+    if (!held.has(id)) {
+      const size = Canonical.encode(box).length;
+      const used = Array.from(held.values()).reduce((sum, message) => sum + message.size, 0);
+      if (held.size >= this.quota.messages || used + size > this.quota.bytes) {
+        await this.transport.sendMessage(from, MailboxMessageType.REFUSED, { id, reason: `Mailbox of ${to} is full` });
+        return false;
+      }
+      const hold = Number.isInteger(ttl) && ttl > 0 ? Math.min(ttl, this.ttl) : this.ttl;
+      held.set(id, { item: { id, to, box }, size, expires: this.clock.now() + hold });
+    }
+
+    await this.transport.sendMessage(from, MailboxMessageType.STORED, { id });
+    return true;
+  }
+
+  /**
+   * Send a recipient everything held for it (signed request)
+   */
+  async handleFetch(from, request) {
+    if (request.relay !== this.identity.did || !(await verifyRequest(from, request))) return false;
+    this.purge();
+    const items = Array.from((this.boxes.get(from) || new Map()).values(), held => held.item);
+    return await this.transport.sendMessage(from, MailboxMessageType.DELIVERY, { items });
+  }
+
+  /**
+   * Drop messages the recipient has collected (signed request)
+   */
+  async handleAck(from, request) {
+    if (request.relay !== this.identity.did || !Array.isArray(request.ids) || !(await verifyRequest(from, request))) {
+      return false;
+    }
+    const held = this._mail(from);
+    request.ids.forEach(id => held.delete(id));
+    if (held.size === 0) this.boxes.delete(from);
+    return true;
+  }
+
+  /**
+   * Drop expired messages
+   */
+  purge() {
+    const now = this.clock.now();
+    for (const [did, held] of this.boxes) {
+      for (const [id, message] of held) {
+        if (message.expires <= now) held.delete(id);
+      }
+      if (held.size === 0) this.boxes.delete(did);
+    }
+  }
+
+  getStats() {
+    const messages = Array.from(this.boxes.values()).flatMap(held => Array.from(held.values()));
+    return {
+      recipients: this.boxes.size,
+      messages: messages.length,
+      bytes: messages.reduce((sum, message) => sum + message.size, 0)
+    };
+  }
+
+  _mail(did) {
+    if (!this.boxes.has(did)) this.boxes.set(did, new Map());
+    return this.boxes.get(did);
+  }
+}
+
+export class Mailbox {
+  /**
+   * @param {Identity} identity - Owner
+   * @param {object} transport - P2PTransport or compatible
+   * @param {object} directory - getMailbox(did) -> { relays, publicKey } or
+   *   null, e.g. BootstrapRegistry
+   */
+  constructor(identity, transport, directory) {
+    this.identity = identity;
+    this.transport = transport;
+    this.directory = directory;
+    this.outbox = new Map();   // id -> { to, type, relays, stored, delivered }
+    this.seen = new Set();     // ids of messages received, oldest first
+    this.deliver = null;       // (from, type, payload) => handler, see P2PTransport.useMailbox()
+  }
+
+  initialize() {
+    this.transport.on(`message:${MailboxMessageType.DELIVERY}`, (from, payload) => this.handleDelivery(from, payload));
+    this.transport.on(`message:${MailboxMessageType.RECEIPT}`, (from, payload) => this.handleReceipt(from, payload));
+    this.transport.on(`message:${MailboxMessageType.STORED}`, (from, { id }) => {
+      const sent = this.outbox.get(id);
+      if (sent && !sent.stored.includes(from)) sent.stored.push(from);
+      this.emit('mailbox:stored', { id, relay: from });
+    });
+    this.transport.on(`message:${MailboxMessageType.REFUSED}`, (from, { id, reason }) => {
+      this.emit('mailbox:refused', { id, relay: from, reason });
+    });
+  }
+
+  /**
+   * Leave a message for `to` with its relays
+   *
+   * @param {string} to - Recipient DID
+   * @param {string} type - Transport message type, delivered as if sent directly
+   * @param {*} payload
+   * @param {object} options - { ttl: requested hold, in relay clock units }
+   * @returns {Promise<string>} Message id; 'mailbox:delivered' follows the receipt
+   */
+  async deposit(to, type, payload, { ttl = null } = {}) {
+    if (!isMailboxable(type)) {
+      throw new Error(`Relay traffic cannot be left in a mailbox: ${type}`);
+    }
+    const mailbox = await this.directory.getMailbox(to);
+    if (!mailbox) {
+      throw new Error(`No mailbox advertised by ${to}`);
+    }
+
+    const id = Canonical.randomHex(16);
+    const letter = { id, from: this.identity.did, to, type, payload };
+    const box = await sealBox(mailbox.publicKey, {
+      ...letter,
+      publicKey: this.identity.publicKeyJWK,
+      signature: await this.identity.sign(letter)
+    });
+
+    const sent = { to, type, relays: [], stored: [], delivered: false };
+    this.outbox.set(id, sent);
+    for (const relay of mailbox.relays) {
+      if (await this.transport.sendMessage(relay, MailboxMessageType.DEPOSIT, { id, to, box, ttl })) {
+        sent.relays.push(relay);
+      }
+    }
+    if (sent.relays.length === 0) {
+      this.outbox.delete(id);
+      throw new Error(`No mailbox relay of ${to} is reachable`);
+    }
+    return id;
+  }
+
+  /**
+   * Ask our relays for mail, e.g. on reconnect
+   *
+   * @returns {Promise<number>} Relays reached
+   */
+  async fetch() {
+    const mailbox = await this.directory.getMailbox(this.identity.did);
+    let reached = 0;
+    for (const relay of mailbox ? mailbox.relays : []) {
+      const request = await signRequest(this.identity, { action: 'fetch', relay });
+      if (await this.transport.sendMessage(relay, MailboxMessageType.FETCH, request)) reached++;
+    }
+    return reached;
+  }
+
+  /**
+   * Open mail from a relay: deliver new messages, acknowledge everything
+   * collected and send receipts to the senders
+   */
+  async handleDelivery(relay, { items = [] } = {}) {
+    const collected = [];
+    const receipts = new Map();   // sender DID -> ids
+
+    for (const item of items) {
+      if (!item || item.to !== this.identity.did) continue;
+      collected.push(item.id);
+      if (this.seen.has(item.id)) continue;
+
+      let letter;
+      try {
+        letter = await this._open(item);
+      } catch (error) {
+        this.emit('mailbox:rejected', { id: item.id, relay, reason: error.message });
+        continue;
+      }
+
+      this._remember(item.id);
+      if (!receipts.has(letter.from)) receipts.set(letter.from, []);
+      receipts.get(letter.from).push(letter.id);
+      if (this.deliver) await this.deliver(letter.from, letter.type, letter.payload);
+      this.emit('mailbox:message', { id: letter.id, from: letter.from, type: letter.type, payload: letter.payload });
+    }
+
+    if (collected.length > 0) {
+      const ack = await signRequest(this.identity, { action: 'ack', relay, ids: collected });
+      await this.transport.sendMessage(relay, MailboxMessageType.ACK, ack);
+    }
+    for (const [sender, ids] of receipts) {
+      const receipt = await signRequest(this.identity, { action: 'receipt', to: sender, ids });
+      await this.transport.sendMessage(sender, MailboxMessageType.RECEIPT, receipt);
+    }
+    return collected.length;
+  }
+
+  /**
+   * Mark messages delivered on a receipt signed by their recipient
+   */
+  async handleReceipt(from, receipt) {
+    if (receipt.to !== this.identity.did || !Array.isArray(receipt.ids) || !(await verifyRequest(from, receipt))) {
+      return false;
+    }
+    for (const id of receipt.ids) {
+      const sent = this.outbox.get(id);
+      if (!sent || sent.to !== from || sent.delivered) continue;
+      sent.delivered = true;
+      this.emit('mailbox:delivered', { id, to: from });
+    }
+    return true;
+  }
+
+  /**
+   * Messages deposited and not yet receipted
+   */
+  getUndelivered() {
+    return Array.from(this.outbox, ([id, sent]) => ({ id, ...sent })).filter(sent => !sent.delivered);
+  }
+
+  async _open(item) {
+    const { publicKey, signature, ...letter } = await openBox(this.identity, item.box);
+    if (letter.id !== item.id || letter.to !== this.identity.did) {
+      throw new Error('Sealed message does not match its deposit');
+    }
+    if (!(await Identity.verify(publicKey, letter, signature, { did: letter.from }))) {
+      throw new Error(`Invalid signature on message from ${letter.from}`);
+    }
+    return letter;
+  }
+
+  _remember(id) {
+    this.seen.add(id);
+    if (this.seen.size > MAX_SEEN) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+  }
+
+  emit(eventType, data) {
+    if (!this._eventHandlers) return;
+    const handlers = this._eventHandlers.get(eventType) || [];
+    handlers.forEach(handler => handler(data));
+  }
+
+  on(eventType, handler) {
+    if (!this._eventHandlers) this._eventHandlers = new Map();
+    if (!this._eventHandlers.has(eventType)) {
+      this._eventHandlers.set(eventType, []);
+    }
+    this._eventHandlers.get(eventType).push(handler);
+  }
+}
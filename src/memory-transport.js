@@ -0,0 +1,217 @@
+/**
+ * SRCP007 - Simulated Network
+ *
+ * In-process network of MemoryTransports (transport contract, transport.js)
+ * for running protocols headless - in tests, simulations, Node:
+ *
+ *   latency      ticks a message spends in flight: a number or
+ *                (fromDID, toDID) => number. With 0 (default) sendMessage()
+ *                delivers before it resolves; otherwise messages wait
+ *                until advance() / flush().
+ *   loss         probability a message is silently dropped; the sender
+ *                still sees true, as on a real network
+ *   partitions   partition(groupA, groupB, ...) splits the network: peers
+ *                reach only their own group (unlisted peers form one more
+ *                group) until heal(). Messages in flight across a new
+ *                partition are dropped.
+ *
+ * Time is logical (ticks) and loss draws from a seeded PRNG, so a run
+ * replays exactly from its seed.
+ *
+ * @module memory-transport
+ * @version 1.0.0
+ */
+
+import { Transport } from './transport.js';
+
+// mulberry32: small seeded PRNG, uniform in [0, 1)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class MemoryNetwork {
+  /**
+   * @param {object} options - { latency, loss, seed }
+   */
+  constructor({ latency = 0, loss = 0, seed = 1 } = {}) {
+    this.latency = latency;
+    this.loss = loss;
+    this.random = seededRandom(seed);
+    this.now = 0;
+    this.nodes = new Map();    // DID -> MemoryTransport (initialized)
+    this.groups = null;        // DID -> partition group, while partitioned
+    this.inFlight = [];        // { at, seq, from, to, type, payload }
+    this.sequence = 0;
+    this.stats = { sent: 0, delivered: 0, dropped: 0 };
+  }
+
+  /**
+   * New transport for `did` on this network; it joins on initialize()
+   */
+  transport(did) {
+    return new MemoryTransport(this, did);
+  }
+
+  /**
+   * Whether `a` and `b` can reach each other
+   */
+  reachable(a, b) {
+    if (!this.nodes.has(a) || !this.nodes.has(b)) return false;
+    if (!this.groups) return true;
+    return (this.groups.get(a) ?? -1) === (this.groups.get(b) ?? -1);
+  }
+
+  /**
+   * Split the network into groups of DIDs
+   */
+  partition(...groups) {
+    this._reconnect(() => {
+      this.groups = new Map();
+      groups.forEach((group, i) => group.forEach(did => this.groups.set(did, i)));
+    });
+  }
+
+  /**
+   * Remove all partitions
+   */
+  heal() {
+    this._reconnect(() => {
+      this.groups = null;
+    });
+  }
+
+  /**
+   * Let `ticks` pass, delivering messages that arrive meanwhile
+   *
+   * @returns {Promise<number>} Messages delivered
+   */
+  async advance(ticks = 1) {
+    const until = this.now + ticks;
+    let delivered = 0;
+    for (;;) {
+      const next = this.inFlight[0];
+      if (!next || next.at > until) break;
+      this.inFlight.shift();
+      this.now = Math.max(this.now, next.at);
+      if (await this._deliver(next)) delivered++;
+    }
+    this.now = until;
+    return delivered;
+  }
+
+  /**
+   * Deliver everything in flight, including replies sent meanwhile
+   *
+   * @returns {Promise<number>} Messages delivered
+   */
+  async flush() {
+    let delivered = 0;
+    while (this.inFlight.length > 0) {
+      delivered += await this.advance(this.inFlight[0].at - this.now);
+    }
+    return delivered;
+  }
+
+  async _send(from, to, type, payload) {
+    if (!this.reachable(from, to)) return false;
+    this.stats.sent++;
+    if (this.loss > 0 && this.random() < this.loss) {
+      this.stats.dropped++;
+      return true;
+    }
+
+    const message = { from, to, type, payload: JSON.parse(JSON.stringify(payload ?? null)) };
+    const latency = typeof this.latency === 'function' ? this.latency(from, to) : this.latency;
+    if (latency <= 0) {
+      await this._deliver(message);
+      return true;
+    }
+
+    this.inFlight.push({ ...message, at: this.now + latency, seq: this.sequence++ });
+    this.inFlight.sort((a, b) => a.at - b.at || a.seq - b.seq);
+    return true;
+  }
+
+  async _deliver({ from, to, type, payload }) {
+    if (!this.reachable(from, to)) {
+      this.stats.dropped++;
+      return false;
+    }
+    this.stats.delivered++;
+    await this.nodes.get(to).handleIncomingMessage(from, { type, payload });
+    return true;
+  }
+
+  _join(node) {
+    this.nodes.set(node.myDID, node);
+    for (const other of this.nodes.values()) {
+      if (other !== node && this.reachable(node.myDID, other.myDID)) {
+        other.emit('peer:connected', { did: node.myDID });
+        node.emit('peer:connected', { did: other.myDID });
+      }
+    }
+  }
+
+  _leave(node) {
+    const peers = node.getConnectedPeers();
+    this.nodes.delete(node.myDID);
+    peers.forEach(did => this.nodes.get(did).emit('peer:disconnected', { did: node.myDID }));
+  }
+
+  // Apply a change of partitions, telling nodes which peers they gained and lost
+  _reconnect(change) {
+    const dids = Array.from(this.nodes.keys());
+    const before = new Map(dids.map(did => [did, new Set(dids.filter(o => o !== did && this.reachable(did, o)))]));
+    change();
+    for (const did of dids) {
+      for (const other of dids) {
+        if (other === did) continue;
+        const was = before.get(did).has(other);
+        const is = this.reachable(did, other);
+        if (was && !is) this.nodes.get(did).emit('peer:disconnected', { did: other });
+        if (!was && is) this.nodes.get(did).emit('peer:connected', { did: other });
+      }
+    }
+  }
+}
+
+export class MemoryTransport extends Transport {
+  constructor(network, did) {
+    super(did);
+    this.network = network;
+    this.joined = false;
+  }
+
+  async initialize() {
+    if (this.network.nodes.has(this.myDID)) {
+      throw new Error(`${this.myDID} is already on the network`);
+    }
+    this.joined = true;
+    this.network._join(this);
+    return this.myDID;
+  }
+
+  async sendMessage(targetDID, type, payload) {
+    if (!this.joined) return false;
+    return await this.network._send(this.myDID, targetDID, type, payload);
+  }
+
+  getConnectedPeers() {
+    if (!this.joined) return [];
+    return Array.from(this.network.nodes.keys())
+      .filter(did => did !== this.myDID && this.network.reachable(this.myDID, did));
+  }
+
+  shutdown() {
+    if (!this.joined) return;
+    this.network._leave(this);
+    this.joined = false;
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * SRCP007 - Append-Only Merkle Tree
+ *
+ * Certificate-Transparency style (RFC 6962 / RFC 9162) Merkle tree over
+ * ledger entry hashes:
+ * - leaf hash  = SHA-256(0x00 || entryHash)
+ * - node hash  = SHA-256(0x01 || left || right)
+ * - empty tree = SHA-256("")
+ *
+ * The tree is maintained incrementally: appending a leaf updates one node
+ * per level. Inclusion proofs show an entry is in a tree of a given size;
+ * consistency proofs show a tree of size m is a prefix of a tree of size n.
+ * The static verifiers need only hashes, sizes and roots - light clients
+ * never hold the ledger.
+ *
+ * @module merkle
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+
+const LEAF_PREFIX = 0x00;
+const NODE_PREFIX = 0x01;
+
+function hexToBytes(hex) {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(hex)) {
+    throw new Error('Merkle hashes must be even-length hex strings');
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+async function sha256(bytes) {
+  return Canonical.arrayBufferToHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function hashWithPrefix(prefix, ...hexParts) {
+  const parts = hexParts.map(hexToBytes);
+  const bytes = new Uint8Array(1 + parts.reduce((sum, p) => sum + p.length, 0));
+  bytes[0] = prefix;
+  let offset = 1;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return await sha256(bytes);
+}
+
+/**
+ * Largest power of two strictly less than n (n > 1)
+ */
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+function isPowerOfTwo(n) {
+  return n > 0 && Number.isInteger(Math.log2(n));
+}
+
+// Sizes can exceed 2^31, so avoid 32-bit bitwise shifts on them
+const lsb = (n) => n % 2 === 1;
+const shift = (n) => Math.floor(n / 2);
+
+export class MerkleTree {
+  constructor() {
+    // _levels[k][i] = root of the perfect subtree of 2^k leaves starting at leaf i * 2^k
+    this._levels = [[]];
+  }
+
+  get size() {
+    return this._levels[0].length;
+  }
+
+  /**
+   * Hash a ledger entry hash into a leaf
+   */
+  static async hashLeaf(entryHash) {
+    return await hashWithPrefix(LEAF_PREFIX, entryHash);
+  }
+
+  static async hashChildren(left, right) {
+    return await hashWithPrefix(NODE_PREFIX, left, right);
+  }
+
+  /**
+   * Append an entry hash, completing any perfect subtrees it closes
+   */
+  async append(entryHash) {
+    let node = await MerkleTree.hashLeaf(entryHash);
+    let level = 0;
+    let index = this._levels[0].length;
+
+    this._levels[0].push(node);
+
+    while (lsb(index)) {
+      const left = this._levels[level][index - 1];
+      node = await MerkleTree.hashChildren(left, node);
+      level++;
+      index = shift(index);
+      if (!this._levels[level]) this._levels[level] = [];
+      this._levels[level].push(node);
+    }
+
+    return this.size - 1;
+  }
+
+  /**
+   * Root hash of the first `size` leaves
+   */
+  async root(size = this.size) {
+    this._assertSize(size);
+    if (size === 0) {
+      return await sha256(new Uint8Array(0));
+    }
+    return await this._subtreeHash(0, size);
+  }
+
+  /**
+   * Audit path proving leaf `index` is in the tree of `size` leaves
+   */
+  async inclusionProof(index, size = this.size) {
+    this._assertSize(size);
+    if (!Number.isInteger(index) || index < 0 || index >= size) {
+      throw new Error(`Leaf index ${index} out of range for tree size ${size}`);
+    }
+
+    return {
+      index,
+      size,
+      leafHash: this._levels[0][index],
+      path: await this._path(index, 0, size)
+    };
+  }
+
+  /**
+   * Proof that the tree of `oldSize` leaves is a prefix of the tree of `newSize`
+   */
+  async consistencyProof(oldSize, newSize = this.size) {
+    this._assertSize(newSize);
+    if (!Number.isInteger(oldSize) || oldSize < 0 || oldSize > newSize) {
+      throw new Error(`Invalid consistency range: ${oldSize} -> ${newSize}`);
+    }
+
+    return {
+      oldSize,
+      newSize,
+      path: oldSize === 0 || oldSize === newSize
+        ? []
+        : await this._subproof(oldSize, 0, newSize, true)
+    };
+  }
+
+  /**
+   * Verify an inclusion proof against a trusted root (RFC 9162 2.1.3.2)
+   *
+   * @param {string} entryHash - Ledger entry hash (not the leaf hash)
+   * @param {object} proof - { index, size, path }
+   * @param {string} root - Trusted root for proof.size
+   * @returns {Promise<boolean>}
+   */
+  static async verifyInclusion(entryHash, proof, root) {
+    try {
+      const { index, size, path } = proof;
+      if (!Number.isInteger(index) || !Number.isInteger(size) || index < 0 || index >= size) {
+        return false;
+      }
+
+      let fn = index;
+      let sn = size - 1;
+      let r = await MerkleTree.hashLeaf(entryHash);
+
+      for (const p of path) {
+        if (sn === 0) return false;
+
+        if (lsb(fn) || fn === sn) {
+          r = await MerkleTree.hashChildren(p, r);
+          while (!lsb(fn) && fn !== 0) {
+            fn = shift(fn);
+            sn = shift(sn);
+          }
+        } else {
+          r = await MerkleTree.hashChildren(r, p);
+        }
+
+        fn = shift(fn);
+        sn = shift(sn);
+      }
+
+      return sn === 0 && r === root;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a consistency proof between two trusted roots (RFC 9162 2.1.4.2)
+   *
+   * @param {object} proof - { oldSize, newSize, path }
+   * @param {string} oldRoot - Root for proof.oldSize
+   * @param {string} newRoot - Root for proof.newSize
+   * @returns {Promise<boolean>}
+   */
+  static async verifyConsistency(proof, oldRoot, newRoot) {
+    try {
+      const { oldSize, newSize } = proof;
+      let path = [...proof.path];
+
+      if (!Number.isInteger(oldSize) || !Number.isInteger(newSize) ||
+          oldSize < 0 || oldSize > newSize) {
+        return false;
+      }
+      if (oldSize === newSize) {
+        return path.length === 0 && oldRoot === newRoot;
+      }
+      if (oldSize === 0) {
+        // The empty tree is a prefix of every tree
+        return path.length === 0;
+      }
+      if (path.length === 0) return false;
+
+      if (isPowerOfTwo(oldSize)) {
+        path = [oldRoot, ...path];
+      }
+
+      let fn = oldSize - 1;
+      let sn = newSize - 1;
+      while (lsb(fn)) {
+        fn = shift(fn);
+        sn = shift(sn);
+      }
+
+      let fr = path[0];
+      let sr = path[0];
+
+      for (const c of path.slice(1)) {
+        if (sn === 0) return false;
+
+        if (lsb(fn) || fn === sn) {
+          fr = await MerkleTree.hashChildren(c, fr);
+          sr = await MerkleTree.hashChildren(c, sr);
+          while (!lsb(fn) && fn !== 0) {
+            fn = shift(fn);
+            sn = shift(sn);
+          }
+        } else {
+          sr = await MerkleTree.hashChildren(sr, c);
+        }
+
+        fn = shift(fn);
+        sn = shift(sn);
+      }
+
+      return fr === oldRoot && sr === newRoot && sn === 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Independent copy (used by immutable ledger snapshots)
+   */
+  clone() {
+    const tree = new MerkleTree();
+    tree._levels = this._levels.map(level => [...level]);
+    return tree;
+  }
+
+  /**
+   * INTERNAL: Merkle tree hash of leaves [start, start + n)
+   */
+  async _subtreeHash(start, n) {
+    if (isPowerOfTwo(n) && start % n === 0) {
+      const level = Math.log2(n);
+      return this._levels[level][start / n];
+    }
+
+    const k = splitPoint(n);
+    return await MerkleTree.hashChildren(
+      await this._subtreeHash(start, k),
+      await this._subtreeHash(start + k, n - k)
+    );
+  }
+
+  /**
+   * INTERNAL: RFC 6962 PATH(m, D[start:start+n])
+   */
+  async _path(m, start, n) {
+    if (n === 1) return [];
+
+    const k = splitPoint(n);
+    if (m < k) {
+      return [...await this._path(m, start, k), await this._subtreeHash(start + k, n - k)];
+    }
+    return [...await this._path(m - k, start + k, n - k), await this._subtreeHash(start, k)];
+  }
+
+  /**
+   * INTERNAL: RFC 6962 SUBPROOF(m, D[start:start+n], b)
+   */
+  async _subproof(m, start, n, complete) {
+    if (m === n) {
+      return complete ? [] : [await this._subtreeHash(start, n)];
+    }
+
+    const k = splitPoint(n);
+    if (m <= k) {
+      return [...await this._subproof(m, start, k, complete), await this._subtreeHash(start + k, n - k)];
+    }
+    return [...await this._subproof(m - k, start + k, n - k, false), await this._subtreeHash(start, k)];
+  }
+
+  _assertSize(size) {
+    if (!Number.isInteger(size) || size < 0 || size > this.size) {
+      throw new Error(`Tree size ${size} out of range (have ${this.size} leaves)`);
+    }
+  }
+}
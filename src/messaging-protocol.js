@@ -7,9 +7,35 @@
  * - Injected nonce for message IDs (no Math.random())
  * - Injected logger (no console.*)
  * - Removed setTimeout (deterministic read receipts)
+ * - End-to-end encrypted direct messages and channels (useEncryption)
+ *
+ * Encrypted envelope (transport types 'secure' for chat messages and
+ * 'secure-channel' for channel membership and sender keys), version 1:
+ *   { version, from, to, session, handshake, header, ciphertext }
+ * `session` names the X3DH session (hash of its handshake); `handshake`
+ * (x3dh.js) rides along until the peer has replied; `header` and
+ * `ciphertext` come from the session's Double Ratchet (double-ratchet.js).
+ * Channel messages travel as 'channel' messages sealed once for all
+ * members with sender keys (group-channel.js). Routing fields stay visible
+ * to relays; typing, presence and read receipts are not encrypted.
  */
 
 import { P2PTransport } from './p2p-transport.js';
+import { createInvocation } from './capabilities.js';
+import { Canonical } from './canonical.js';
+import { initiateSession, acceptSession, retirePrekeys } from './x3dh.js';
+import { DoubleRatchet } from './double-ratchet.js';
+import { GroupChannel } from './group-channel.js';
+
+export const SECURE_ENVELOPE_VERSION = 1;
+
+/**
+ * Fields of a delegated message covered by its invocation
+ */
+function delegatedContent(message) {
+  const { id, from, to, onBehalfOf, content, attachments } = message;
+  return { id, from, to, onBehalfOf, content, attachments };
+}
 
 export class MessagingProtocol {
   constructor(identity, transport, clock, nonce, logger = null) {
@@ -28,6 +54,30 @@ export class MessagingProtocol {
     this.unreadCounts = new Map();   // DID -> count
     this.typingStates = new Map();   // DID -> boolean
     this.presenceStates = new Map(); // DID -> {status, lastSeen}
+    this.capabilities = null;        // CapabilityVerifier for delegated messages
+    this.encryption = null;          // { prekeys, directory } once useEncryption() is called
+    this.sessions = new Map();       // DID -> { current, byId: sessionId -> session }
+    this.pendingChannelKeys = new Map(); // channelDID -> [from, sender key] received before the channel
+  }
+
+  /**
+   * Accept messages sent on someone else's behalf, checked by `verifier`
+   * (CapabilityVerifier, capabilities.js). Without one they are rejected.
+   */
+  useCapabilities(verifier) {
+    this.capabilities = verifier;
+  }
+
+  /**
+   * Encrypt direct messages end to end
+   * `prekeys` are the secrets from createPrekeys() (x3dh.js) whose bundle
+   * was published; `directory` finds peers' bundles with
+   * getPrekeyBundle(did) and, if it has publishPrekeys(bundle), republishes
+   * ours as one-time prekeys get used - e.g. BootstrapRegistry. From then
+   * on cleartext chat messages are rejected.
+   */
+  useEncryption(prekeys, directory) {
+    this.encryption = { prekeys, directory };
   }
 
   /**
@@ -36,7 +86,15 @@ export class MessagingProtocol {
   async initialize() {
     // Setup message handlers
     this.transport.on('message:chat', (from, payload) => {
-      this.handleChatMessage(from, payload);
+      if (this.encryption) {
+        this.emit('message:rejected', { from, message: payload, reason: 'Unencrypted message' });
+        return;
+      }
+      return this.handleChatMessage(from, payload);
+    });
+
+    this.transport.on('message:secure', (from, payload) => {
+      return this.handleSecureMessage(from, payload);
     });
 
     this.transport.on('message:typing', (from, payload) => {
@@ -52,7 +110,15 @@ export class MessagingProtocol {
     });
 
     this.transport.on('message:channel', (from, payload) => {
-      this.handleChannelMessage(from, payload);
+      return this.handleChannelMessage(from, payload);
+    });
+
+    this.transport.on('message:secure-channel', (from, payload) => {
+      return this.handleSecureChannelMessage(from, payload);
+    });
+
+    this.transport.on('message:recovery', (from, payload) => {
+      return this.handleRecoveryMessage(from, payload);
     });
 
     // Send initial presence
@@ -63,8 +129,11 @@ export class MessagingProtocol {
 
   /**
    * Send direct message to peer
+   * 
+   * With { onBehalfOf, capability } the message is sent for another DID,
+   * using a capability granting `message/send` on `<onBehalfOf>/messaging`.
    */
-  async sendMessage(targetDID, content, attachments = []) {
+  async sendMessage(targetDID, content, attachments = [], { onBehalfOf = null, capability = null } = {}) {
     const message = {
       id: this.generateMessageId(),
       from: this.identity.did,
@@ -76,11 +145,25 @@ export class MessagingProtocol {
       read: false
     };
 
+    if (onBehalfOf) {
+      message.onBehalfOf = onBehalfOf;
+      message.invocation = await createInvocation(this.identity, capability, {
+        resource: `${onBehalfOf}/messaging`,
+        ability: 'message/send',
+        payload: delegatedContent(message)
+      });
+    }
+
+    // Encrypt before storing: no bundle, no message
+    const envelope = this.encryption ? await this._seal(targetDID, message) : null;
+
     // Store locally
     this.addMessageToConversation(targetDID, message);
 
     // Send via transport
-    const sent = await this.transport.sendMessage(targetDID, 'chat', message);
+    const sent = envelope
+      ? await this.transport.sendMessage(targetDID, 'secure', envelope)
+      : await this.transport.sendMessage(targetDID, 'chat', message);
 
     if (sent) {
       message.delivered = true;
@@ -91,8 +174,18 @@ export class MessagingProtocol {
 
   /**
    * Handle incoming chat message
+   * Delegated messages are dropped (emitting 'message:rejected') unless
+   * their capability verifies.
    */
-  handleChatMessage(from, payload) {
+  async handleChatMessage(from, payload) {
+    if (payload.onBehalfOf) {
+      const reason = await this._verifyDelegatedMessage(from, payload);
+      if (reason) {
+        this.emit('message:rejected', { from, message: payload, reason });
+        return;
+      }
+    }
+
     this.addMessageToConversation(from, payload);
     
     // Increment unread count
@@ -107,6 +200,24 @@ export class MessagingProtocol {
     this.sendReadReceipt(from, payload.id);
   }
 
+  /**
+   * Handle incoming encrypted chat message
+   * Envelopes that do not decrypt are dropped (emitting 'message:rejected').
+   */
+  async handleSecureMessage(from, envelope) {
+    let message;
+    try {
+      message = await this._open(from, envelope);
+      if (message.from !== from || message.to !== this.identity.did) {
+        throw new Error('Encrypted message does not match its envelope');
+      }
+    } catch (error) {
+      this.emit('message:rejected', { from, message: envelope, reason: error.message });
+      return;
+    }
+    return this.handleChatMessage(from, message);
+  }
+
   /**
    * Send typing indicator
    */
@@ -192,6 +303,16 @@ export class MessagingProtocol {
    */
   async createChannel(name, members = []) {
     const channelId = this.nonce.next(); // FIXED: Deterministic nonce
+
+    if (this.encryption) {
+      // Encrypted channels take their DID from the signed create operation
+      const channel = await GroupChannel.create(this.identity, { name, nonce: channelId });
+      channel.created = this.clock.advance(); // FIXED: Logical clock
+      this.channels.set(channel.did, channel);
+      await this.addChannelMembers(channel.did, members);
+      return channel;
+    }
+
     const channelDID = `did:srcp:channel/${channelId}`;
     
     const channel = {
@@ -233,6 +354,9 @@ export class MessagingProtocol {
       timestamp: this.clock.advance() // FIXED: Logical clock
     };
 
+    // Sender-key channels: one ciphertext for every member
+    const sent = channel instanceof GroupChannel ? await channel.encrypt(message) : message;
+
     // Add to channel
     channel.messages.push(message);
 
@@ -242,7 +366,7 @@ export class MessagingProtocol {
         await this.transport.sendMessage(memberDID, 'channel', {
           action: 'message',
           channelDID,
-          message
+          message: sent
         });
       }
     }
@@ -252,10 +376,30 @@ export class MessagingProtocol {
 
   /**
    * Handle channel message
+   * With encryption on only sealed messages of known channels are
+   * accepted; membership arrives through handleSecureChannelMessage().
    */
-  handleChannelMessage(from, payload) {
+  async handleChannelMessage(from, payload) {
     const { action, channel, channelDID, message } = payload;
 
+    if (this.encryption) {
+      const group = this.channels.get(channelDID);
+      try {
+        if (action !== 'message' || !(group instanceof GroupChannel)) {
+          throw new Error('Unencrypted channel message');
+        }
+        const opened = await group.decrypt(message);
+        if (opened.from !== message.sender || opened.channel !== channelDID) {
+          throw new Error('Encrypted channel message does not match its sender');
+        }
+        group.messages.push(opened);
+        this.emit('channel:message', { channelDID, message: opened });
+      } catch (error) {
+        this.emit('message:rejected', { from, message: payload, reason: error.message });
+      }
+      return;
+    }
+
     switch (action) {
       case 'invite':
         // Add channel
@@ -285,11 +429,20 @@ export class MessagingProtocol {
 
   /**
    * Leave channel
+   * In an encrypted channel this is a signed removal: the other members
+   * rekey, so nothing sent afterwards can be read with the old keys.
    */
   async leaveChannel(channelDID) {
     const channel = this.channels.get(channelDID);
     if (!channel) return;
 
+    if (channel instanceof GroupChannel) {
+      await channel.remove(this.identity.did);
+      await this._publishOperations(channel);
+      this.channels.delete(channelDID);
+      return;
+    }
+
     // Notify other members
     for (const memberDID of channel.members) {
       if (memberDID !== this.identity.did) {
@@ -304,6 +457,260 @@ export class MessagingProtocol {
     this.channels.delete(channelDID);
   }
 
+  /**
+   * Add members to an encrypted channel (admins only)
+   * Their DID keys come from their published prekey bundles.
+   */
+  async addChannelMembers(channelDID, memberDIDs) {
+    const channel = this._groupChannel(channelDID);
+    for (const memberDID of memberDIDs) {
+      const bundle = await this.encryption.directory.getPrekeyBundle(memberDID);
+      if (!bundle) {
+        throw new Error(`No prekey bundle published for ${memberDID}`);
+      }
+      await channel.add(memberDID, bundle.identityKey);
+    }
+    await this._publishOperations(channel);
+  }
+
+  /**
+   * Remove a member from an encrypted channel (admins only) and rekey
+   */
+  async removeChannelMember(channelDID, memberDID) {
+    const channel = this._groupChannel(channelDID);
+    await channel.remove(memberDID);
+    await this._publishOperations(channel, [memberDID]);
+  }
+
+  /**
+   * Handle encrypted channel membership and sender keys
+   * Operations are merged only from current members (for a new channel:
+   * from a member of the log received); whenever they change the
+   * membership the full log goes on to every member and a new sender key
+   * is distributed.
+   */
+  async handleSecureChannelMessage(from, envelope) {
+    try {
+      const { action, channelDID, operations, key } = await this._open(from, envelope);
+      let channel = this.channels.get(channelDID);
+
+      if (action === 'sender-key' && !channel) {
+        if (!this.pendingChannelKeys.has(channelDID)) this.pendingChannelKeys.set(channelDID, []);
+        this.pendingChannelKeys.get(channelDID).push([from, key]);
+      } else if (action === 'sender-key' && channel instanceof GroupChannel) {
+        channel.receiveSenderKey(from, key);
+      } else if (action === 'operations' && !channel) {
+        channel = await GroupChannel.fromOperations(this.identity, channelDID, operations);
+        if (!channel.isMember(from)) {
+          throw new Error(`${from} is not a member of ${channelDID}`);
+        }
+        this.channels.set(channelDID, channel);
+        for (const [sender, pending] of this.pendingChannelKeys.get(channelDID) || []) {
+          channel.receiveSenderKey(sender, pending);
+        }
+        this.pendingChannelKeys.delete(channelDID);
+        await this._rotateSenderKey(channel);
+        this.emit('channel:invited', { channel });
+      } else if (action === 'operations' && channel instanceof GroupChannel) {
+        if (!channel.isMember(from)) {
+          throw new Error(`${from} is not a member of ${channelDID}`);
+        }
+        if (!(await channel.merge(operations))) return;
+        if (!channel.isMember(this.identity.did)) {
+          this.channels.delete(channelDID);
+          this.emit('channel:removed', { channelDID });
+          return;
+        }
+        await this._publishOperations(channel, [], from);
+        this.emit('channel:members-changed', { channelDID, members: channel.members });
+      } else {
+        throw new Error(`Unknown channel action: ${action}`);
+      }
+    } catch (error) {
+      this.emit('message:rejected', { from, message: envelope, reason: error.message });
+    }
+  }
+
+  /**
+   * Send the operation log to every member (and `notify`, e.g. removed
+   * members) except `skip`, then rekey
+   */
+  async _publishOperations(channel, notify = [], skip = null) {
+    const operations = channel.getOperations();
+    for (const memberDID of [...channel.members, ...notify]) {
+      if (memberDID !== this.identity.did && memberDID !== skip) {
+        await this._sendSecureChannel(memberDID, { action: 'operations', channelDID: channel.did, operations });
+      }
+    }
+    if (channel.isMember(this.identity.did)) {
+      await this._rotateSenderKey(channel);
+    }
+  }
+
+  /**
+   * New sender key for the channel's epoch, sent to its members only
+   */
+  async _rotateSenderKey(channel) {
+    const key = channel.rotateSenderKey();
+    for (const memberDID of channel.members) {
+      if (memberDID !== this.identity.did) {
+        await this._sendSecureChannel(memberDID, { action: 'sender-key', channelDID: channel.did, key });
+      }
+    }
+  }
+
+  async _sendSecureChannel(targetDID, control) {
+    return await this.transport.sendMessage(targetDID, 'secure-channel', await this._seal(targetDID, control));
+  }
+
+  _groupChannel(channelDID) {
+    const channel = this.channels.get(channelDID);
+    if (!(channel instanceof GroupChannel)) {
+      throw new Error('Encrypted channel not found');
+    }
+    return channel;
+  }
+
+  /**
+   * Send social recovery message (see social-recovery.js)
+   * Payloads are signed and, where secret, sealed by the caller.
+   */
+  async sendRecoveryMessage(targetDID, payload) {
+    return await this.transport.sendMessage(targetDID, 'recovery', payload);
+  }
+
+  /**
+   * Handle social recovery message
+   * Resolves once every recovery handler has processed it.
+   */
+  handleRecoveryMessage(from, payload) {
+    return Promise.all(this.emit('recovery:message', { from, payload }));
+  }
+
+  /**
+   * Check a message sent for another DID
+   * Returns the rejection reason, or null if authorized.
+   */
+  async _verifyDelegatedMessage(from, message) {
+    if (!this.capabilities) {
+      return 'Delegated messages not accepted';
+    }
+    if (message.from !== from) {
+      return `Message from ${message.from} arrived from ${from}`;
+    }
+    const result = await this.capabilities.verifyInvocation(message.invocation, delegatedContent(message), {
+      invoker: from,
+      resource: `${message.onBehalfOf}/messaging`,
+      ability: 'message/send'
+    });
+    return result.valid ? null : result.reason;
+  }
+
+  /**
+   * Encrypt `payload` for `targetDID`, starting a session from the peer's
+   * published prekey bundle if there is none
+   */
+  async _seal(targetDID, payload) {
+    const peer = this.sessions.get(targetDID);
+    let session = peer && peer.byId.get(peer.current);
+
+    if (!session) {
+      const bundle = await this.encryption.directory.getPrekeyBundle(targetDID);
+      if (!bundle) {
+        throw new Error(`No prekey bundle published for ${targetDID}`);
+      }
+      const { sharedSecret, associatedData, handshake, remoteKey } = await initiateSession(this.identity, bundle);
+      session = {
+        id: await Canonical.hash(handshake),
+        ratchet: await DoubleRatchet.initiate(sharedSecret, remoteKey, associatedData),
+        handshake
+      };
+      this._storeSession(targetDID, session);
+    }
+
+    return {
+      version: SECURE_ENVELOPE_VERSION,
+      from: this.identity.did,
+      to: targetDID,
+      session: session.id,
+      handshake: session.handshake,
+      ...(await session.ratchet.encrypt(payload))
+    };
+  }
+
+  /**
+   * Decrypt an envelope from `from`, accepting its handshake if it starts
+   * a new session. Throws if it does not decrypt.
+   */
+  async _open(from, envelope) {
+    if (!this.encryption) {
+      throw new Error('Encrypted messages not accepted');
+    }
+    if (!envelope || envelope.version !== SECURE_ENVELOPE_VERSION) {
+      throw new Error(`Unsupported envelope version: ${envelope && envelope.version}`);
+    }
+    if (envelope.from !== from || envelope.to !== this.identity.did) {
+      throw new Error(`Envelope from ${envelope.from} to ${envelope.to} arrived from ${from}`);
+    }
+
+    const peer = this.sessions.get(from);
+    let session = peer && peer.byId.get(envelope.session);
+    let oneTimePrekeyId = null;
+
+    if (!session) {
+      const { handshake } = envelope;
+      if (!handshake || handshake.did !== from || await Canonical.hash(handshake) !== envelope.session) {
+        throw new Error(`Unknown session: ${envelope.session}`);
+      }
+      const { sharedSecret, associatedData, ratchetKey } = await acceptSession(this.identity, this.encryption.prekeys, handshake);
+      session = {
+        id: envelope.session,
+        ratchet: await DoubleRatchet.respond(sharedSecret, ratchetKey, associatedData),
+        handshake: null
+      };
+      oneTimePrekeyId = handshake.oneTimePrekeyId;
+    }
+
+    const payload = await session.ratchet.decrypt(envelope);
+
+    // The peer holds the session now: stop sending the handshake, reply in it
+    if (oneTimePrekeyId !== null) {
+      delete this.encryption.prekeys.oneTimePrekeys[oneTimePrekeyId];
+    }
+    session.handshake = null;
+    this._storeSession(from, session);
+    if (oneTimePrekeyId !== null) {
+      await this._retirePrekey(oneTimePrekeyId);
+    }
+    return payload;
+  }
+
+  /**
+   * Republish our bundle without a used one-time prekey, so later
+   * initiators do not pick it
+   */
+  async _retirePrekey(keyId) {
+    const { directory } = this.encryption;
+    if (!directory.publishPrekeys) return;
+    const bundle = await directory.getPrekeyBundle(this.identity.did);
+    if (bundle && bundle.oneTimePrekeys.some(k => k.keyId === keyId)) {
+      await directory.publishPrekeys(await retirePrekeys(this.identity, bundle, [keyId]));
+    }
+  }
+
+  /**
+   * Keep `session` with `peerDID` and send in it from now on
+   * Earlier sessions stay open for messages still in flight.
+   */
+  _storeSession(peerDID, session) {
+    if (!this.sessions.has(peerDID)) {
+      this.sessions.set(peerDID, { current: null, byId: new Map() });
+    }
+    const peer = this.sessions.get(peerDID);
+    peer.byId.set(session.id, session);
+    peer.current = session.id;
+  }
+
   /**
    * Get all channels
    */
@@ -337,7 +744,7 @@ export class MessagingProtocol {
   emit(eventType, data) {
     if (!this._eventHandlers) this._eventHandlers = new Map();
     const handlers = this._eventHandlers.get(eventType) || [];
-    handlers.forEach(handler => handler(data));
+    return handlers.map(handler => handler(data));
   }
 
   /**
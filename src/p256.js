@@ -0,0 +1,261 @@
+/**
+ * SRCP007 - P-256 Curve Arithmetic
+ *
+ * BigInt arithmetic on NIST P-256 (secp256r1), for the places Web Crypto
+ * cannot reach: deriving a public key from a scalar we computed ourselves
+ * (HD key derivation) and raw point operations (commitments and proofs,
+ * zkp.js).
+ *
+ * Points are { x, y } BigInts in affine coordinates; the point at infinity
+ * is null. Internally scalar multiplication runs in Jacobian coordinates.
+ * On the wire points are compressed SEC1 hex (encodePoint/decodePoint).
+ *
+ * NOT constant time. Use it on secrets only where timing is not observable
+ * by an attacker (local key derivation); signing stays in Web Crypto.
+ *
+ * @module p256
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+
+export const P256 = Object.freeze({
+  p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+  a: 0xffffffff00000001000000000000000000000000fffffffffffffffffffffffcn,
+  b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+  n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+  G: Object.freeze({
+    x: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+    y: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n
+  })
+});
+
+const { p, a, b, n } = P256;
+
+export function mod(value, modulus = p) {
+  const r = value % modulus;
+  return r < 0n ? r + modulus : r;
+}
+
+export function modPow(base, exponent, modulus = p) {
+  let result = 1n;
+  base = mod(base, modulus);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+// Both p and n are prime, so Fermat inverses apply
+export function modInverse(value, modulus = p) {
+  if (mod(value, modulus) === 0n) {
+    throw new Error('Zero has no modular inverse');
+  }
+  return modPow(value, modulus - 2n, modulus);
+}
+
+export function bytesToBigInt(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+export function bigIntToBytes(value, length = 32) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  if (value !== 0n) {
+    throw new Error(`Value does not fit in ${length} bytes`);
+  }
+  return bytes;
+}
+
+/**
+ * Check a scalar is a valid private key: 1 <= d < n
+ */
+export function isValidScalar(d) {
+  return typeof d === 'bigint' && d > 0n && d < n;
+}
+
+export function isOnCurve(point) {
+  if (point === null) return true;
+  const { x, y } = point;
+  if (x < 0n || x >= p || y < 0n || y >= p) return false;
+  return mod(y * y - (x * x * x + a * x + b)) === 0n;
+}
+
+export function pointNegate(point) {
+  return point === null ? null : { x: point.x, y: mod(-point.y) };
+}
+
+export function pointEquals(left, right) {
+  if (left === null || right === null) return left === right;
+  return left.x === right.x && left.y === right.y;
+}
+
+// Jacobian (X, Y, Z) represents affine (X / Z^2, Y / Z^3); Z = 0 is infinity
+
+function toJacobian(point) {
+  return point === null ? { x: 1n, y: 1n, z: 0n } : { x: point.x, y: point.y, z: 1n };
+}
+
+function fromJacobian({ x, y, z }) {
+  if (z === 0n) return null;
+  const zInv = modInverse(z);
+  const zInv2 = mod(zInv * zInv);
+  return { x: mod(x * zInv2), y: mod(y * zInv2 * zInv) };
+}
+
+// dbl-2001-b, a = -3
+function jacobianDouble({ x, y, z }) {
+  if (z === 0n || y === 0n) return { x: 1n, y: 1n, z: 0n };
+  const delta = mod(z * z);
+  const gamma = mod(y * y);
+  const beta = mod(x * gamma);
+  const alpha = mod(3n * (x - delta) * (x + delta));
+  const x3 = mod(alpha * alpha - 8n * beta);
+  const z3 = mod((y + z) * (y + z) - gamma - delta);
+  const y3 = mod(alpha * (4n * beta - x3) - 8n * gamma * gamma);
+  return { x: x3, y: y3, z: z3 };
+}
+
+// add-2007-bl
+function jacobianAdd(left, right) {
+  if (left.z === 0n) return right;
+  if (right.z === 0n) return left;
+
+  const z1z1 = mod(left.z * left.z);
+  const z2z2 = mod(right.z * right.z);
+  const u1 = mod(left.x * z2z2);
+  const u2 = mod(right.x * z1z1);
+  const s1 = mod(left.y * right.z * z2z2);
+  const s2 = mod(right.y * left.z * z1z1);
+
+  if (u1 === u2) {
+    return s1 === s2 ? jacobianDouble(left) : { x: 1n, y: 1n, z: 0n };
+  }
+
+  const h = mod(u2 - u1);
+  const i = mod(4n * h * h);
+  const j = mod(h * i);
+  const r = mod(2n * (s2 - s1));
+  const v = mod(u1 * i);
+  const x3 = mod(r * r - j - 2n * v);
+  const y3 = mod(r * (v - x3) - 2n * s1 * j);
+  const z3 = mod(((left.z + right.z) ** 2n - z1z1 - z2z2) * h);
+  return { x: x3, y: y3, z: z3 };
+}
+
+export function pointAdd(left, right) {
+  return fromJacobian(jacobianAdd(toJacobian(left), toJacobian(right)));
+}
+
+/**
+ * Multiply `point` (default: the generator) by scalar `k`
+ */
+export function pointMultiply(k, point = P256.G) {
+  k = mod(k, n);
+  let result = toJacobian(null);
+  let addend = toJacobian(point);
+  while (k > 0n) {
+    if (k & 1n) result = jacobianAdd(result, addend);
+    addend = jacobianDouble(addend);
+    k >>= 1n;
+  }
+  return fromJacobian(result);
+}
+
+/**
+ * Compressed SEC1 encoding (33 bytes, hex); infinity is '00'
+ */
+export function encodePoint(point) {
+  if (point === null) return '00';
+  const prefix = point.y & 1n ? '03' : '02';
+  return prefix + point.x.toString(16).padStart(64, '0');
+}
+
+/**
+ * Decode a point from encodePoint(), checking it is on the curve
+ */
+export function decodePoint(hex) {
+  if (hex === '00') return null;
+  if (typeof hex !== 'string' || !/^0[23][0-9a-f]{64}$/.test(hex)) {
+    throw new Error('Malformed point encoding');
+  }
+  const x = BigInt(`0x${hex.slice(2)}`);
+  const y = sqrtMod(mod(x * x * x + a * x + b));
+  if (x >= p || y === null) {
+    throw new Error('Point is not on the curve');
+  }
+  const odd = hex.startsWith('03');
+  return { x, y: (y & 1n) === (odd ? 1n : 0n) ? y : mod(-y) };
+}
+
+// p = 3 mod 4: the square root of a quadratic residue is v^((p+1)/4)
+function sqrtMod(value) {
+  const root = modPow(value, (p + 1n) / 4n);
+  return mod(root * root) === value ? root : null;
+}
+
+/**
+ * Uniform scalar in [1, n) from the platform CSPRNG
+ */
+export function randomScalar() {
+  for (;;) {
+    const k = bytesToBigInt(Canonical.randomBytes(32));
+    if (isValidScalar(k)) return k;
+  }
+}
+
+/**
+ * Scalar from the SHA-256 of a value's canonical encoding (Fiat-Shamir)
+ */
+export async function hashToScalar(value) {
+  return mod(BigInt(`0x${await Canonical.hash(value)}`), n);
+}
+
+/**
+ * Point with unknown discrete log, by try-and-increment on `label`
+ * Nobody knows its discrete log with respect to G.
+ */
+export async function hashToPoint(label) {
+  for (let counter = 0; ; counter++) {
+    const x = BigInt(`0x${await Canonical.hash({ label, counter })}`);
+    if (x >= p) continue;
+    const y = sqrtMod(mod(x * x * x + a * x + b));
+    if (y !== null) {
+      return { x, y: y & 1n ? mod(-y) : y };
+    }
+  }
+}
+
+function toBase64Url(bytes) {
+  return Canonical.arrayBufferToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Build the private JWK for scalar `d`, including its public point
+ * Web Crypto cannot derive the public key itself, so x and y are computed here.
+ *
+ * @param {bigint} d - Private scalar, 1 <= d < n
+ * @returns {object} { kty, crv, x, y, d }
+ */
+export function scalarToJWK(d) {
+  if (!isValidScalar(d)) {
+    throw new Error('Private scalar out of range');
+  }
+  const { x, y } = pointMultiply(d);
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: toBase64Url(bigIntToBytes(x)),
+    y: toBase64Url(bigIntToBytes(y)),
+    d: toBase64Url(bigIntToBytes(d))
+  };
+}
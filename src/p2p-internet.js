@@ -25,8 +25,12 @@ export class P2PInternet {
 
   /**
    * Initialize the P2P internet with identity
+   *
+   * @param {string} username
+   * @param {object} options - { createTransport(identity): any transport
+   *   implementing transport.js; defaults to PeerJS-backed P2PTransport }
    */
-  async initialize(username) {
+  async initialize(username, { createTransport = identity => new P2PTransport(identity) } = {}) {
     console.log('🌐 Initializing P2P Internet...');
 
     try {
@@ -35,7 +39,7 @@ export class P2PInternet {
       console.log('✓ Identity loaded:', this.identity.did);
 
       // Initialize P2P transport
-      this.transport = new P2PTransport(this.identity);
+      this.transport = createTransport(this.identity);
       await this.transport.initialize();
       console.log('✓ P2P Transport ready');
 
@@ -420,13 +424,13 @@ let instance = null;
 /**
  * Get or create P2P Internet instance
  */
-export async function initializeP2PInternet(username) {
+export async function initializeP2PInternet(username, options = {}) {
   if (!instance) {
     instance = new P2PInternet();
   }
   
   if (!instance.ready) {
-    await instance.initialize(username);
+    await instance.initialize(username, options);
   }
   
   return instance;
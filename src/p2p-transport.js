@@ -2,28 +2,46 @@
  * P2P Transport Layer for SRCP - FIXED VERSION
  * WebRTC-based peer-to-peer communication with DID addressing
  * Enhanced peer discovery and connection resilience
+ * Implements the transport contract (transport.js)
+ *
+ * Signaling goes through PeerJS servers, by default the public PeerJS
+ * cloud. Pass `peerServers` to use your own: a server with
+ * `authenticate: true` (signaling-server.js) only registers our peer id
+ * once we sign its challenge with our DID key.
  */
 
-export class P2PTransport {
-  constructor(identity) {
+import { Transport } from './transport.js';
+import { isMailboxable } from './mailbox.js';
+
+const REGISTER_DOMAIN = 'srcp-signaling/register';
+
+export class P2PTransport extends Transport {
+  /**
+   * @param {Identity} identity - DID to connect as
+   * @param {object} options - { peerServers: [{ host, port, path, secure,
+   *   key, authenticate }] tried in order, stunServers: ICE servers,
+   *   fetch: for registration challenges, defaults to the global one }
+   */
+  constructor(identity, { peerServers = null, stunServers = null, fetch = (...args) => globalThis.fetch(...args) } = {}) {
+    super(identity.did);
     this.identity = identity;
-    this.myDID = identity.did;
     this.peers = new Map();           // DID -> Peer connection
     this.dataChannels = new Map();    // DID -> DataChannel
-    this.messageHandlers = new Map(); // type -> handler function
     this.pendingMessages = [];
+    this.mailbox = null;              // Mailbox (mailbox.js) for peers that are offline
+    this.fetch = fetch;
     this.peerConnection = null;
     this.connectionAttempts = new Map(); // Track connection retry attempts
     this.maxRetries = 3;
     
-    // Updated to use public PeerJS server with fallback options
-    this.peerServers = [
+    // Public PeerJS server with fallback options, unless configured
+    this.peerServers = peerServers || [
       { host: '0.peerjs.com', port: 443, path: '/', secure: true },
       { host: '0.peerjs.com', port: 9000, path: '/', secure: true }
     ];
     this.currentServerIndex = 0;
     
-    this.stunServers = [
+    this.stunServers = stunServers || [
       { urls: 'stun:stun.l.google.com:19302' },
       { urls: 'stun:stun1.l.google.com:19302' },
       { urls: 'stun:stun2.l.google.com:19302' },
@@ -34,7 +52,6 @@ export class P2PTransport {
     // Map to track DID <-> PeerJS ID conversions
     this.didToPeerId = new Map();
     this.peerIdToDid = new Map();
-    this._eventHandlers = new Map();
   }
 
   /**
@@ -70,6 +87,15 @@ export class P2PTransport {
     return did;
   }
 
+  /**
+   * Leave messages for unreachable peers with their mailbox relays instead
+   * of queueing them in memory, and collect our own mail on (re)connect
+   */
+  useMailbox(mailbox) {
+    this.mailbox = mailbox;
+    mailbox.deliver = (from, type, payload) => this.handleIncomingMessage(from, { type, payload });
+  }
+
   /**
    * Initialize P2P transport - creates peer instance with fallback servers
    */
@@ -94,7 +120,43 @@ export class P2PTransport {
     console.log(`🔄 Attempting to connect to PeerJS server ${serverIndex + 1}/${this.peerServers.length}`);
     console.log(`   Converting DID ${this.myDID} to PeerJS ID: ${myPeerId}`);
     console.log(`   Server: ${server.host}:${server.port}${server.path}`);
-    
+
+    if (server.authenticate) {
+      this.registrationToken(server, myPeerId)
+        .then(token => this.connectToServer(serverIndex, myPeerId, token, resolve, reject))
+        .catch(err => {
+          console.error(`❌ Registration challenge failed on server ${serverIndex + 1}:`, err.message);
+          this.tryInitializeWithServer(serverIndex + 1, resolve, reject);
+        });
+      return;
+    }
+    this.connectToServer(serverIndex, myPeerId, null, resolve, reject);
+  }
+
+  /**
+   * Sign a registration challenge from an authenticating signaling server
+   * (signaling-server.js), as the PeerJS token for `peerId`
+   */
+  async registrationToken(server, peerId) {
+    const path = (server.path || '/').replace(/^\/?/, '/').replace(/\/?$/, '/');
+    const url = `${server.secure ? 'https' : 'http'}://${server.host}:${server.port}${path}${server.key || 'peerjs'}/challenge`;
+    const response = await this.fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Challenge request failed: ${response.status}`);
+    }
+    const { nonce } = await response.json();
+    const signature = await this.identity.sign({ domain: REGISTER_DOMAIN, nonce, id: peerId });
+    // base64url: PeerJS puts the token in the URL unescaped
+    return btoa(JSON.stringify({ nonce, publicKey: this.identity.publicKeyJWK, signature }))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Create the PeerJS peer on a server, moving on to the next on failure
+   */
+  connectToServer(serverIndex, myPeerId, token, resolve, reject) {
+    const server = this.peerServers[serverIndex];
+
     // Create peer with current server configuration
     try {
       this.peer = new Peer(myPeerId, {
@@ -102,6 +164,8 @@ export class P2PTransport {
         port: server.port,
         path: server.path,
         secure: server.secure,
+        ...(server.key ? { key: server.key } : {}),
+        ...(token ? { token } : {}),
         config: {
           iceServers: this.stunServers
         },
@@ -124,6 +188,9 @@ export class P2PTransport {
         console.log('  My DID:', this.myDID);
         console.log('  Server:', `${server.host}:${server.port}`);
         this.setupPeerHandlers();
+        if (this.mailbox) {
+          this.mailbox.fetch().catch(err => console.error('❌ Failed to fetch mail:', err));
+        }
         resolve(this.myDID);
       });
 
@@ -305,8 +372,7 @@ export class P2PTransport {
         conn = await this.connectToPeer(targetDID);
       } catch (err) {
         console.error('❌ Failed to connect to', targetDID);
-        this.pendingMessages.push(message);
-        return false;
+        return await this.holdMessage(message);
       }
     }
 
@@ -315,52 +381,26 @@ export class P2PTransport {
       return true;
     } catch (err) {
       console.error('❌ Failed to send message:', err);
-      this.pendingMessages.push(message);
-      return false;
-    }
-  }
-
-  /**
-   * Handle incoming message
-   */
-  async handleIncomingMessage(remoteDID, data) {
-    const { from, type, payload, signature } = data;
-    
-    // Route to appropriate handler
-    const handler = this.messageHandlers.get(type);
-    if (handler) {
-      await handler(remoteDID, payload);
-    } else {
-      console.warn('⚠️ No handler for message type:', type);
+      return await this.holdMessage(message);
     }
-
-    this.emit('message:received', { from: remoteDID, type, payload });
   }
 
   /**
-   * Register message handler
+   * Keep an undeliverable message: in the peer's mailbox if it advertises
+   * one, else in memory until the peer connects. Returns false - the
+   * message has not been delivered yet.
    */
-  on(eventType, handler) {
-    if (eventType.startsWith('message:')) {
-      const messageType = eventType.split(':')[1];
-      this.messageHandlers.set(messageType, handler);
-    } else {
-      // System events
-      if (!this._eventHandlers) this._eventHandlers = new Map();
-      if (!this._eventHandlers.has(eventType)) {
-        this._eventHandlers.set(eventType, []);
+  async holdMessage(message) {
+    if (this.mailbox && isMailboxable(message.type)) {
+      try {
+        await this.mailbox.deposit(message.to, message.type, message.payload);
+        return false;
+      } catch (err) {
+        console.warn('⚠️ Mailbox deposit failed, queueing in memory:', err.message);
       }
-      this._eventHandlers.get(eventType).push(handler);
     }
-  }
-
-  /**
-   * Emit event
-   */
-  emit(eventType, data) {
-    if (!this._eventHandlers) return;
-    const handlers = this._eventHandlers.get(eventType) || [];
-    handlers.forEach(handler => handler(data));
+    this.pendingMessages.push(message);
+    return false;
   }
 
   /**
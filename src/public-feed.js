@@ -6,14 +6,37 @@
  * - Content discovery and browsing
  * - Peer-to-peer content distribution
  * - Content moderation via TruthRank
+ * - Posting on behalf of another DID with a capability (capabilities.js)
  */
 
+import { createInvocation } from './capabilities.js';
+
+// Transport message type (transport.js) carrying every feed message
+const FEED_MESSAGE = 'public-feed';
+
+/**
+ * Fields of a delegated post covered by its invocation
+ * (not media bytes, which may be fetched separately)
+ */
+function delegatedPost(post) {
+  const { id, type, content, author, postedBy, tags, category } = post;
+  return { id, type, content, author: author.did, postedBy, tags, category };
+}
+
 export class PublicFeed {
-  constructor(p2pInternet) {
+  /**
+   * @param {object} p2pInternet - P2P stack (identity, transport, registry);
+   *   any transport implementing the contract in transport.js
+   * @param {object} options - { capabilities: CapabilityVerifier; without
+   *   one, posts made on someone else's behalf are rejected }
+   */
+  constructor(p2pInternet, { capabilities = null } = {}) {
     this.p2p = p2pInternet;
     this.posts = new Map();
     this.subscriptions = new Set();
     this.cache = new Map(); // For media caching
+    this.capabilities = capabilities;
+    this.feedRequests = new Map(); // requestId -> response handler
   }
 
   /**
@@ -39,10 +62,7 @@ export class PublicFeed {
       id: 'post_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
       type: 'text',
       content: content,
-      author: {
-        did: this.p2p.identity.did,
-        username: this.p2p.identity.username
-      },
+      author: this.postAuthor(options),
       timestamp: Date.now(),
       tags: options.tags || [],
       category: options.category || 'general',
@@ -51,6 +71,8 @@ export class PublicFeed {
       shares: 0
     };
 
+    await this.authorizePost(post, options);
+
     // Store locally
     this.posts.set(post.id, post);
     this.saveToCach();
@@ -80,10 +102,7 @@ export class PublicFeed {
         size: imageFile.size,
         mimeType: imageFile.type
       },
-      author: {
-        did: this.p2p.identity.did,
-        username: this.p2p.identity.username
-      },
+      author: this.postAuthor(options),
       timestamp: Date.now(),
       tags: options.tags || [],
       category: options.category || 'general',
@@ -92,6 +111,8 @@ export class PublicFeed {
       shares: 0
     };
 
+    await this.authorizePost(post, options);
+
     // Store locally
     this.posts.set(post.id, post);
     this.cacheMedia(post.id, base64);
@@ -122,10 +143,7 @@ export class PublicFeed {
         data: videoFile.size < 10 * 1024 * 1024 ? await this.fileToBase64(videoFile) : null,
         streamAvailable: videoFile.size >= 10 * 1024 * 1024
       },
-      author: {
-        did: this.p2p.identity.did,
-        username: this.p2p.identity.username
-      },
+      author: this.postAuthor(options),
       timestamp: Date.now(),
       tags: options.tags || [],
       category: options.category || 'general',
@@ -134,6 +152,8 @@ export class PublicFeed {
       shares: 0
     };
 
+    await this.authorizePost(post, options);
+
     // Store locally
     this.posts.set(post.id, post);
     
@@ -149,6 +169,50 @@ export class PublicFeed {
     return post;
   }
 
+  /**
+   * Author of a new post: this identity, or with options.onBehalfOf the DID
+   * it posts for (options.capability grants `feed/post` on `<did>/feed`)
+   */
+  postAuthor(options) {
+    if (options.onBehalfOf) {
+      return { did: options.onBehalfOf, username: null };
+    }
+    return {
+      did: this.p2p.identity.did,
+      username: this.p2p.identity.username
+    };
+  }
+
+  /**
+   * Attach the invocation for a post made on someone else's behalf
+   */
+  async authorizePost(post, options) {
+    if (!options.onBehalfOf) return;
+
+    post.postedBy = this.p2p.identity.did;
+    post.invocation = await createInvocation(this.p2p.identity, options.capability, {
+      resource: `${options.onBehalfOf}/feed`,
+      ability: 'feed/post',
+      payload: delegatedPost(post)
+    });
+  }
+
+  /**
+   * Check a post made on someone else's behalf
+   * Returns the rejection reason, or null if authorized.
+   */
+  async verifyDelegatedPost(post) {
+    if (!this.capabilities) {
+      return 'Delegated posts not accepted';
+    }
+    const result = await this.capabilities.verifyInvocation(post.invocation, delegatedPost(post), {
+      invoker: post.postedBy,
+      resource: `${post.author.did}/feed`,
+      ability: 'feed/post'
+    });
+    return result.valid ? null : result.reason;
+  }
+
   /**
    * Convert file to base64
    */
@@ -168,14 +232,14 @@ export class PublicFeed {
     const connectedPeers = this.p2p.getConnectedPeers();
     
     // Send to all connected peers
-    for (const peer of connectedPeers) {
+    for (const peerDID of connectedPeers) {
       try {
-        await this.p2p.transport.send(peer.did, {
+        await this.p2p.transport.sendMessage(peerDID, FEED_MESSAGE, {
           type: 'public-feed:post',
           post: post
         });
       } catch (error) {
-        console.warn('[PublicFeed] Failed to send to peer:', peer.did);
+        console.warn('[PublicFeed] Failed to send to peer:', peerDID);
       }
     }
 
@@ -314,14 +378,14 @@ export class PublicFeed {
   async broadcastAction(action) {
     const connectedPeers = this.p2p.getConnectedPeers();
     
-    for (const peer of connectedPeers) {
+    for (const peerDID of connectedPeers) {
       try {
-        await this.p2p.transport.send(peer.did, {
+        await this.p2p.transport.sendMessage(peerDID, FEED_MESSAGE, {
           type: 'public-feed:action',
           action: action
         });
       } catch (error) {
-        console.warn('[PublicFeed] Failed to send action to peer:', peer.did);
+        console.warn('[PublicFeed] Failed to send action to peer:', peerDID);
       }
     }
   }
@@ -330,19 +394,22 @@ export class PublicFeed {
    * Setup event listeners
    */
   setupListeners() {
-    // Listen for new posts from peers
-    this.p2p.transport.on('message', (from, message) => {
-      if (message.type === 'public-feed:post') {
-        this.handleIncomingPost(message.post);
-      } else if (message.type === 'public-feed:action') {
-        this.handleIncomingAction(message.action);
-      }
-    });
-
-    // Listen for feed requests
-    this.p2p.transport.on('message', (from, message) => {
-      if (message.type === 'public-feed:request') {
-        this.handleFeedRequest(from, message);
+    this.p2p.transport.on(`message:${FEED_MESSAGE}`, (from, message) => {
+      switch (message.type) {
+        // New posts and actions from peers
+        case 'public-feed:post':
+          return this.handleIncomingPost(message.post);
+        case 'public-feed:action':
+          return this.handleIncomingAction(message.action);
+
+        // Feed requests, and responses to ours
+        case 'public-feed:request':
+          return this.handleFeedRequest(from, message);
+        case 'public-feed:response': {
+          const handler = this.feedRequests.get(message.requestId);
+          if (handler) handler(from, message);
+          break;
+        }
       }
     });
   }
@@ -350,7 +417,7 @@ export class PublicFeed {
   /**
    * Handle incoming post from peer
    */
-  handleIncomingPost(post) {
+  async handleIncomingPost(post) {
     // Validate post
     if (!post.id || !post.author || !post.type) {
       console.warn('[PublicFeed] Invalid post received');
@@ -362,6 +429,15 @@ export class PublicFeed {
       return;
     }
 
+    // Posts on someone else's behalf need a valid capability
+    if (post.postedBy) {
+      const reason = await this.verifyDelegatedPost(post);
+      if (reason) {
+        console.warn('[PublicFeed] Rejected delegated post:', post.id, reason);
+        return;
+      }
+    }
+
     // Add to feed
     this.posts.set(post.id, post);
     this.saveToCache();
@@ -406,7 +482,7 @@ export class PublicFeed {
     const feed = this.getFeed(message.options || {});
     
     try {
-      await this.p2p.transport.send(from, {
+      await this.p2p.transport.sendMessage(from, FEED_MESSAGE, {
         type: 'public-feed:response',
         requestId: message.requestId,
         posts: feed
@@ -428,9 +504,9 @@ export class PublicFeed {
       }, 10000);
 
       const handler = (from, message) => {
-        if (message.type === 'public-feed:response' && message.requestId === requestId) {
+        if (from === peerDID) {
           clearTimeout(timeout);
-          this.p2p.transport.off('message', handler);
+          this.feedRequests.delete(requestId);
           
           // Add received posts to our feed
           for (const post of message.posts) {
@@ -441,9 +517,9 @@ export class PublicFeed {
         }
       };
 
-      this.p2p.transport.on('message', handler);
+      this.feedRequests.set(requestId, handler);
 
-      this.p2p.transport.send(peerDID, {
+      this.p2p.transport.sendMessage(peerDID, FEED_MESSAGE, {
         type: 'public-feed:request',
         requestId: requestId,
         options: options
@@ -533,8 +609,8 @@ export class PublicFeed {
 /**
  * Initialize Public Feed with P2P Internet
  */
-export async function initializePublicFeed(p2pInternet) {
-  const feed = new PublicFeed(p2pInternet);
+export async function initializePublicFeed(p2pInternet, options = {}) {
+  const feed = new PublicFeed(p2pInternet, options);
   await feed.initialize();
   return feed;
 }
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * SRCP007 - Range-Based Set Reconciliation
+ *
+ * Two nodes discover exactly the symmetric difference of their entry hash
+ * sets without exchanging the sets themselves:
+ * - Hashes are ordered lexicographically and the hash space is split into
+ *   ranges [lower, upper) (upper === null means "to the end")
+ * - Each side sends a fingerprint per range; matching ranges are dropped
+ * - A mismatching range is split into `branching` sub-ranges, or - once
+ *   either side holds at most `idListThreshold` hashes in it - answered
+ *   with the explicit id list
+ *
+ * Fingerprint = first 128 bits of SHA-256({ sum mod 2^256, count }), so a
+ * range fingerprint is O(1) from prefix sums.
+ *
+ * The initiator is stateful and accumulates the difference; the responder
+ * is stateless and answers each message from its current set. Messages are
+ * plain JSON, so any transport can carry them.
+ *
+ * @module reconciliation
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+
+export const ReconcileMode = Object.freeze({
+  FINGERPRINT: 'fingerprint',
+  IDS: 'ids'
+});
+
+const MODULUS = 2n ** 256n;
+
+const DEFAULTS = Object.freeze({
+  branching: 16,
+  idListThreshold: 32
+});
+
+export class RangeReconciler {
+  /**
+   * @param {string[]} hashes - Local set of hex entry hashes
+   * @param {object} options - { branching, idListThreshold }
+   */
+  constructor(hashes, options = {}) {
+    const { branching, idListThreshold } = { ...DEFAULTS, ...options };
+
+    if (!Number.isInteger(branching) || branching < 2) {
+      throw new Error('Reconciliation branching must be an integer >= 2');
+    }
+    if (!Number.isInteger(idListThreshold) || idListThreshold < branching) {
+      throw new Error('Reconciliation idListThreshold must be an integer >= branching');
+    }
+
+    this.branching = branching;
+    this.idListThreshold = idListThreshold;
+    this.hashes = Array.from(new Set(hashes)).sort();
+
+    // _prefix[i] = sum of the first i hashes mod 2^256
+    this._prefix = [0n];
+    for (const hash of this.hashes) {
+      this._prefix.push((this._prefix[this._prefix.length - 1] + BigInt(`0x${hash}`)) % MODULUS);
+    }
+
+    this._have = new Set();
+    this._need = new Set();
+  }
+
+  /**
+   * Opening message: one range covering the whole hash space
+   */
+  async initiate() {
+    return await this._describe('', null);
+  }
+
+  /**
+   * Responder side: answer a peer's ranges
+   *
+   * @param {object[]} ranges - Ranges from the initiator
+   * @returns {Promise<object[]>} Ranges to send back
+   */
+  async respond(ranges) {
+    return await this._process(ranges, false);
+  }
+
+  /**
+   * Initiator side: consume the responder's reply
+   *
+   * @param {object[]} ranges - Ranges from the responder
+   * @returns {Promise<object[]>} Next ranges to send (empty when done)
+   */
+  async reconcile(ranges) {
+    return await this._process(ranges, true);
+  }
+
+  /**
+   * Difference discovered so far (initiator only)
+   *
+   * @returns {object} { have: hashes the peer lacks, need: hashes we lack }
+   */
+  result() {
+    return {
+      have: Array.from(this._have).sort(),
+      need: Array.from(this._need).sort()
+    };
+  }
+
+  /**
+   * Fingerprint of local hashes in [lower, upper)
+   */
+  async fingerprint(lower, upper) {
+    const [start, end] = this._bounds(lower, upper);
+    return await this._fingerprintIndices(start, end);
+  }
+
+  /**
+   * INTERNAL: Handle incoming ranges, producing the outgoing ones
+   */
+  async _process(ranges, initiator) {
+    if (!Array.isArray(ranges)) {
+      throw new Error('Invalid reconciliation message: ranges must be an array');
+    }
+
+    const out = [];
+
+    for (const range of ranges) {
+      this._assertRange(range);
+      const { lower, upper } = range;
+
+      if (range.mode === ReconcileMode.FINGERPRINT) {
+        if (range.fingerprint !== await this.fingerprint(lower, upper)) {
+          out.push(...await this._describe(lower, upper));
+        }
+        continue;
+      }
+
+      // Explicit id list: the peer's full contents of this range
+      const [start, end] = this._bounds(lower, upper);
+      const local = this.hashes.slice(start, end);
+
+      if (initiator) {
+        const theirs = new Set(range.ids);
+        const ours = new Set(local);
+        for (const id of theirs) {
+          if (!ours.has(id)) this._need.add(id);
+        }
+        for (const id of ours) {
+          if (!theirs.has(id)) this._have.add(id);
+        }
+      } else {
+        out.push({ mode: ReconcileMode.IDS, lower, upper, ids: local });
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * INTERNAL: Describe local contents of [lower, upper) - an id list if
+   * small enough, otherwise fingerprints of `branching` sub-ranges
+   */
+  async _describe(lower, upper) {
+    const [start, end] = this._bounds(lower, upper);
+    const count = end - start;
+
+    if (count <= this.idListThreshold) {
+      return [{ mode: ReconcileMode.IDS, lower, upper, ids: this.hashes.slice(start, end) }];
+    }
+
+    const ranges = [];
+    let rangeLower = lower;
+    let rangeStart = start;
+
+    for (let b = 1; b <= this.branching; b++) {
+      const rangeEnd = b === this.branching ? end : start + Math.floor((b * count) / this.branching);
+      const rangeUpper = b === this.branching ? upper : this.hashes[rangeEnd];
+
+      ranges.push({
+        mode: ReconcileMode.FINGERPRINT,
+        lower: rangeLower,
+        upper: rangeUpper,
+        fingerprint: await this._fingerprintIndices(rangeStart, rangeEnd)
+      });
+
+      rangeLower = rangeUpper;
+      rangeStart = rangeEnd;
+    }
+
+    return ranges;
+  }
+
+  async _fingerprintIndices(start, end) {
+    const sum = (this._prefix[end] - this._prefix[start] + MODULUS) % MODULUS;
+    const digest = await Canonical.hash({
+      sum: sum.toString(16).padStart(64, '0'),
+      count: end - start
+    });
+    return digest.slice(0, 32);
+  }
+
+  /**
+   * INTERNAL: Index range [start, end) of local hashes in [lower, upper)
+   */
+  _bounds(lower, upper) {
+    const start = this._lowerBound(lower);
+    const end = upper === null ? this.hashes.length : this._lowerBound(upper);
+    return [start, Math.max(start, end)];
+  }
+
+  // First index whose hash is >= bound
+  _lowerBound(bound) {
+    let lo = 0;
+    let hi = this.hashes.length;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (this.hashes[mid] < bound) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo;
+  }
+
+  _assertRange(range) {
+    if (!range || typeof range.lower !== 'string' ||
+        (range.upper !== null && typeof range.upper !== 'string')) {
+      throw new Error('Invalid reconciliation range: lower must be a string, upper a string or null');
+    }
+    if (range.mode === ReconcileMode.FINGERPRINT) {
+      if (typeof range.fingerprint !== 'string') {
+        throw new Error('Invalid reconciliation range: missing fingerprint');
+      }
+    } else if (range.mode === ReconcileMode.IDS) {
+      if (!Array.isArray(range.ids) || range.ids.some(id => typeof id !== 'string')) {
+        throw new Error('Invalid reconciliation range: ids must be an array of strings');
+      }
+    } else {
+      throw new Error(`Invalid reconciliation range mode: ${range.mode}`);
+    }
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * SRCP007 - Linkable Ring Signatures
+ *
+ * LSAG (Liu-Wei-Wong) over P-256 (p256.js): a signature proves the signer
+ * holds the secret of ONE of the public keys in a ring, without revealing
+ * which. Each signature carries a key image
+ *
+ *   I = x * Hp(scope)
+ *
+ * fixed by the signer's secret x and the `scope` (e.g. an election ID), so
+ * two signatures by the same key in the same scope are linkable - and only
+ * that: images in different scopes cannot be linked to each other or to a
+ * public key.
+ *
+ * Signatures are plain JSON { keyImage, c, s: [...] }: points as compressed
+ * hex, scalars as hex. Size and time grow linearly with the ring.
+ *
+ * Nonces come from the platform CSPRNG - signing is NOT deterministic;
+ * verifying is. The arithmetic is not constant time.
+ *
+ * @module ring-signature
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import {
+  P256,
+  mod,
+  pointAdd,
+  pointMultiply,
+  encodePoint,
+  decodePoint,
+  randomScalar,
+  hashToScalar,
+  hashToPoint
+} from './p256.js';
+
+const { n } = P256;
+
+const toHex = (scalar) => scalar.toString(16);
+
+function fromHex(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-f]{1,64}$/.test(hex)) {
+    throw new Error('Malformed scalar');
+  }
+  const value = BigInt(`0x${hex}`);
+  if (value >= n) {
+    throw new Error('Scalar out of range');
+  }
+  return value;
+}
+
+async function linkBase(scope) {
+  return await hashToPoint({ domain: 'srcp-ring/key-image', scope });
+}
+
+// c_{i+1} = H(message, ring, I, s*G + c*P_i, s*Hp + c*I); `ring` is its digest
+async function challenge(message, ring, keyImage, l, r) {
+  return await hashToScalar({
+    domain: 'srcp-ring/challenge',
+    message,
+    ring,
+    keyImage,
+    l: encodePoint(l),
+    r: encodePoint(r)
+  });
+}
+
+/**
+ * Generate a ring key pair
+ *
+ * @returns {object} { secret: hex - keep private, publicKey: hex }
+ */
+export function generateRingKey() {
+  const secret = randomScalar();
+  return { secret: toHex(secret), publicKey: encodePoint(pointMultiply(secret)) };
+}
+
+/**
+ * Key image of `secret` in `scope` (hex)
+ */
+export async function keyImage(secret, scope) {
+  return encodePoint(pointMultiply(fromHex(secret), await linkBase(scope)));
+}
+
+/**
+ * Sign `message` as an anonymous member of `ring`
+ *
+ * @param {*} message - Canonically encodable message
+ * @param {string[]} ring - Public keys (hex); must include the signer's
+ * @param {string} secret - Signer's secret (hex)
+ * @param {string} scope - Linkability scope
+ * @returns {Promise<object>} { keyImage, c, s }
+ */
+export async function ringSign(message, ring, secret, scope) {
+  const x = fromHex(secret);
+  const signer = ring.indexOf(encodePoint(pointMultiply(x)));
+  if (signer === -1) {
+    throw new Error('Signer is not a member of the ring');
+  }
+
+  const base = await linkBase(scope);
+  const points = ring.map(decodePoint);
+  const digest = await Canonical.hash(ring);
+  const image = pointMultiply(x, base);
+  const I = encodePoint(image);
+
+  const size = ring.length;
+  const c = new Array(size);
+  const s = new Array(size);
+
+  const u = randomScalar();
+  c[(signer + 1) % size] = await challenge(message, digest, I, pointMultiply(u), pointMultiply(u, base));
+
+  for (let offset = 1; offset < size; offset++) {
+    const i = (signer + offset) % size;
+    s[i] = randomScalar();
+    c[(i + 1) % size] = await challenge(
+      message,
+      digest,
+      I,
+      pointAdd(pointMultiply(s[i]), pointMultiply(c[i], points[i])),
+      pointAdd(pointMultiply(s[i], base), pointMultiply(c[i], image))
+    );
+  }
+  s[signer] = mod(u - c[signer] * x, n);
+
+  return { keyImage: I, c: toHex(c[0]), s: s.map(toHex) };
+}
+
+/**
+ * Verify ringSign() over the same message, ring and scope
+ */
+export async function ringVerify(message, ring, signature, scope) {
+  try {
+    if (!Array.isArray(ring) || ring.length === 0 || signature.s.length !== ring.length) {
+      return false;
+    }
+    const base = await linkBase(scope);
+    const digest = await Canonical.hash(ring);
+    const image = decodePoint(signature.keyImage);
+    if (image === null) {
+      return false;
+    }
+
+    const c0 = fromHex(signature.c);
+    let c = c0;
+    for (let i = 0; i < ring.length; i++) {
+      const s = fromHex(signature.s[i]);
+      c = await challenge(
+        message,
+        digest,
+        signature.keyImage,
+        pointAdd(pointMultiply(s), pointMultiply(c, decodePoint(ring[i]))),
+        pointAdd(pointMultiply(s, base), pointMultiply(c, image))
+      );
+    }
+    return c === c0;
+  } catch (error) {
+    return false;
+  }
+}
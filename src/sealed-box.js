@@ -0,0 +1,135 @@
+/**
+ * SRCP007 - Sealed Boxes (ECIES over P-256)
+ *
+ * Anonymous public-key encryption to a DID's P-256 key:
+ *   1. Fresh ephemeral ECDH key pair per box
+ *   2. HKDF-SHA256 over the shared secret, bound to both public keys
+ *   3. AES-256-GCM over the canonical JSON of the data
+ *
+ * The recipient's ECDSA identity key is reused for ECDH (same curve point),
+ * so anything holding a DID's public key can seal to it. The sender is not
+ * authenticated - sign the contents when that matters.
+ *
+ * Box format: { version, ephemeralKey (JWK), iv, ciphertext } (base64)
+ *
+ * @module sealed-box
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+
+const BOX_VERSION = 1;
+const HKDF_INFO = 'srcp-sealed-box-v1';
+
+function ecdhPublicJWK({ kty, crv, x, y }) {
+  return { kty, crv, x, y };
+}
+
+async function importECDHPublic(jwk) {
+  return await crypto.subtle.importKey(
+    'jwk',
+    ecdhPublicJWK(jwk),
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+}
+
+async function deriveBoxKey(privateKey, publicKey, ephemeralJWK, recipientJWK) {
+  const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const material = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+
+  const info = new TextEncoder().encode(Canonical.encode({
+    info: HKDF_INFO,
+    ephemeral: ecdhPublicJWK(ephemeralJWK),
+    recipient: ecdhPublicJWK(recipientJWK)
+  }));
+
+  return await crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt `data` so only the holder of `recipientPublicKey` can read it
+ *
+ * @param {object} recipientPublicKey - Recipient's P-256 public key (JWK)
+ * @param {*} data - Any canonically encodable value
+ * @returns {Promise<object>} Sealed box
+ */
+export async function sealBox(recipientPublicKey, data) {
+  const ephemeral = await crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    ['deriveBits']
+  );
+  const ephemeralKey = ecdhPublicJWK(await crypto.subtle.exportKey('jwk', ephemeral.publicKey));
+
+  const key = await deriveBoxKey(
+    ephemeral.privateKey,
+    await importECDHPublic(recipientPublicKey),
+    ephemeralKey,
+    recipientPublicKey
+  );
+
+  const iv = Canonical.randomBytes(12);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(Canonical.encode(data))
+  );
+
+  return {
+    version: BOX_VERSION,
+    ephemeralKey,
+    iv: Canonical.arrayBufferToBase64(iv),
+    ciphertext: Canonical.arrayBufferToBase64(ciphertext)
+  };
+}
+
+/**
+ * Decrypt a sealed box with a recipient identity's private key
+ * Throws if the box was not sealed to this identity or was modified.
+ *
+ * @param {Identity} identity - Recipient (extractable key pair)
+ * @param {object} box - Sealed box from sealBox()
+ * @returns {Promise<*>} The sealed data
+ */
+export async function openBox(identity, box) {
+  if (!box || box.version !== BOX_VERSION) {
+    throw new Error(`Unsupported sealed box version: ${box && box.version}`);
+  }
+
+  const { kty, crv, x, y, d } = await crypto.subtle.exportKey('jwk', identity.keyPair.privateKey);
+  const privateKey = await crypto.subtle.importKey(
+    'jwk',
+    { kty, crv, x, y, d },
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    ['deriveBits']
+  );
+
+  const key = await deriveBoxKey(
+    privateKey,
+    await importECDHPublic(box.ephemeralKey),
+    box.ephemeralKey,
+    identity.publicKeyJWK
+  );
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(Canonical.base64ToArrayBuffer(box.iv)) },
+      key,
+      Canonical.base64ToArrayBuffer(box.ciphertext)
+    );
+  } catch (error) {
+    throw new Error('Sealed box cannot be opened with this identity');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -0,0 +1,150 @@
+/**
+ * SRCP007 - Shamir Secret Sharing
+ *
+ * Splits a secret of up to 64 bytes into `shares` points on a random
+ * polynomial of degree `threshold - 1` over the prime field GF(2^521 - 1).
+ * Any `threshold` shares recover the secret by Lagrange interpolation at
+ * x = 0; fewer reveal nothing about it.
+ *
+ * Coefficients come from the platform CSPRNG (Canonical.randomBytes), so
+ * splitting is NOT deterministic - only combining is. Keep share creation
+ * out of replayed state transitions.
+ *
+ * Share format: { index, value, length }
+ *   index  - x coordinate, 1..shares
+ *   value  - y coordinate, hex
+ *   length - secret length in bytes (restores leading zero bytes)
+ *
+ * @module shamir
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+
+// Mersenne prime 2^521 - 1
+export const SHAMIR_PRIME = (1n << 521n) - 1n;
+
+const MAX_SECRET_BYTES = 64;
+
+function mod(a) {
+  const r = a % SHAMIR_PRIME;
+  return r < 0n ? r + SHAMIR_PRIME : r;
+}
+
+function modPow(base, exponent) {
+  let result = 1n;
+  base = mod(base);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = mod(result * base);
+    base = mod(base * base);
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+// Fermat inverse: p is prime
+function modInverse(a) {
+  return modPow(a, SHAMIR_PRIME - 2n);
+}
+
+function bytesToBigInt(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+function bigIntToBytes(value, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  if (value !== 0n) {
+    throw new Error('Recovered secret does not fit its recorded length');
+  }
+  return bytes;
+}
+
+// Uniform field element: 66 random bytes reduced mod p (bias < 2^-7)
+function randomFieldElement() {
+  return mod(bytesToBigInt(Canonical.randomBytes(66)));
+}
+
+/**
+ * Split a secret into shares
+ *
+ * @param {Uint8Array} secret - Secret bytes (1..64)
+ * @param {object} options - { shares: N, threshold: M } with 1 <= M <= N
+ * @returns {object[]} N shares
+ */
+export function splitSecret(secret, { shares, threshold }) {
+  if (!(secret instanceof Uint8Array) || secret.length === 0 || secret.length > MAX_SECRET_BYTES) {
+    throw new Error(`Secret must be 1..${MAX_SECRET_BYTES} bytes`);
+  }
+  if (!Number.isInteger(shares) || !Number.isInteger(threshold) || threshold < 1 || threshold > shares) {
+    throw new Error(`Invalid threshold ${threshold} of ${shares} shares`);
+  }
+
+  const coefficients = [bytesToBigInt(secret)];
+  for (let i = 1; i < threshold; i++) {
+    coefficients.push(randomFieldElement());
+  }
+
+  const result = [];
+  for (let index = 1; index <= shares; index++) {
+    // Horner evaluation at x = index
+    const x = BigInt(index);
+    let y = 0n;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+      y = mod(y * x + coefficients[i]);
+    }
+    result.push({ index, value: y.toString(16), length: secret.length });
+  }
+
+  return result;
+}
+
+/**
+ * Recover the secret from at least `threshold` shares
+ * With fewer shares the result is an unrelated value, or (usually) an
+ * error because it does not fit the secret's length - callers that need
+ * to know must check it (e.g. against a public key).
+ *
+ * @param {object[]} shares - Shares from splitSecret()
+ * @returns {Uint8Array} Secret bytes
+ */
+export function combineShares(shares) {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    throw new Error('At least one share required');
+  }
+
+  const length = shares[0].length;
+  const points = shares.map(share => {
+    if (!Number.isInteger(share.index) || share.index < 1 || share.length !== length ||
+        typeof share.value !== 'string' || !/^[0-9a-f]+$/.test(share.value)) {
+      throw new Error('Malformed share');
+    }
+    return { x: BigInt(share.index), y: BigInt(`0x${share.value}`) };
+  });
+
+  if (new Set(points.map(p => p.x)).size !== points.length) {
+    throw new Error('Duplicate share index');
+  }
+
+  // Lagrange interpolation at x = 0
+  let secret = 0n;
+  for (const [i, { x: xi, y: yi }] of points.entries()) {
+    let numerator = 1n;
+    let denominator = 1n;
+    for (const [j, { x: xj }] of points.entries()) {
+      if (i === j) continue;
+      numerator = mod(numerator * -xj);
+      denominator = mod(denominator * (xi - xj));
+    }
+    secret = mod(secret + yi * numerator * modInverse(denominator));
+  }
+
+  return bigIntToBytes(secret, length);
+}
@@ -0,0 +1,230 @@
+/**
+ * SRCP007 - Signaling Server (Node.js only)
+ *
+ * Self-hostable PeerJS server for P2PTransport: speaks the PeerJS server
+ * protocol, so the bundled PeerJS client connects to it unchanged, and
+ * relays WebRTC offers, answers and ICE candidates between peers. Unlike
+ * the public PeerJS cloud, only the holder of a DID's key can register its
+ * peer id (the DID without "did:srcp:").
+ *
+ * Registration:
+ *   1. client -> GET {path}{key}/challenge        -> { nonce }
+ *   2. client signs { domain: 'srcp-signaling/register', nonce, id } and
+ *      passes base64url(JSON { nonce, publicKey, signature }) as the
+ *      PeerJS `token` (P2PTransport.registrationToken())
+ *   3. client -> WebSocket {path}peerjs?key=&id=&token=
+ *      server -> { type: 'OPEN' }, or { type: 'ERROR', payload: { msg } }
+ *   Nonces are single use. A PeerJS reconnect presents the same token
+ *   again; the server accepts the token last registered for the id, so
+ *   treat it as a session secret (serve over TLS).
+ *
+ * Signaling - PeerJS messages { type, dst, payload }:
+ *   OFFER, ANSWER, CANDIDATE, LEAVE, EXPIRE   forwarded to `dst` with `src`
+ *                                             set to the sender's id
+ *   HEARTBEAT                                 keeps the connection alive
+ *   An OFFER to an id that is not connected is answered with EXPIRE
+ *   (the client reports 'peer-unavailable'); other messages to it are
+ *   dropped. Messages are not queued.
+ *
+ * A new registration for an id replaces its current connection.
+ *
+ * @module signaling-server
+ * @version 1.0.0
+ */
+
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { Identity } from './identity.js';
+import { CloseCode, WebSocketConnection, acceptUpgrade } from './websocket.js';
+
+export const REGISTER_DOMAIN = 'srcp-signaling/register';
+
+const FORWARDED = new Set(['OFFER', 'ANSWER', 'CANDIDATE', 'LEAVE', 'EXPIRE']);
+
+export class SignalingServer {
+  /**
+   * @param {object} options - { path, key, maxChallenges, maxMessageBytes,
+   *   resolver: DIDResolver (did-document.js) to accept rotated keys }
+   */
+  constructor({ path = '/', key = 'peerjs', maxChallenges = 1024, maxMessageBytes = 64 * 1024, resolver = null } = {}) {
+    this.path = path.replace(/^\/?/, '/').replace(/\/?$/, '/');
+    this.key = key;
+    this.maxChallenges = maxChallenges;
+    this.maxMessageBytes = maxMessageBytes;
+    this.resolver = resolver;
+    this.challenges = new Set();   // unused nonces, oldest first
+    this.sessions = new Map();     // peer id -> token it last registered with
+    this.clients = new Map();      // peer id -> client
+    this.connections = new Set();  // every open connection, registered or not
+    this.server = createServer((request, response) => this._http(request, response));
+    this.server.on('upgrade', (request, socket, head) => this._upgrade(request, socket, head));
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<number>} The port (pass 0 for any free one)
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Close every connection and stop listening
+   */
+  close() {
+    for (const connection of this.connections) {
+      connection.close(CloseCode.GOING_AWAY, 'Server shutting down');
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  getConnectedIds() {
+    return Array.from(this.clients.keys());
+  }
+
+  /**
+   * New single-use registration nonce
+   */
+  issueChallenge() {
+    const nonce = randomBytes(32).toString('base64url');
+    this.challenges.add(nonce);
+    if (this.challenges.size > this.maxChallenges) {
+      this.challenges.delete(this.challenges.values().next().value);
+    }
+    return nonce;
+  }
+
+  _http(request, response) {
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS'
+    };
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, headers);
+      response.end();
+    } else if (request.method === 'GET' && pathname === `${this.path}${this.key}/challenge`) {
+      response.writeHead(200, { ...headers, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      response.end(JSON.stringify({ nonce: this.issueChallenge() }));
+    } else if (request.method === 'GET' && pathname === this.path) {
+      response.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ name: 'SRCP007 signaling server', description: 'PeerJS-compatible, DID-authenticated' }));
+    } else {
+      response.writeHead(404, { ...headers, 'Content-Type': 'text/plain' });
+      response.end('Not found\n');
+    }
+  }
+
+  _upgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== `${this.path}peerjs`) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    if (!acceptUpgrade(request, socket)) return;
+
+    const client = { id: null, connection: null };
+    client.connection = new WebSocketConnection(socket, {
+      client: false,
+      maxMessageBytes: this.maxMessageBytes,
+      head,
+      onMessage: text => this._receive(client, text),
+      onClose: () => this._disconnected(client)
+    });
+    this.connections.add(client.connection);
+
+    this._register(client, url.searchParams)
+      .catch(() => this._refuse(client, 'ERROR', 'Registration failed'));
+  }
+
+  async _register(client, params) {
+    const id = params.get('id');
+    const token = params.get('token');
+    if (params.get('key') !== this.key) {
+      this._refuse(client, 'INVALID-KEY', 'Invalid key provided');
+      return;
+    }
+    if (!id || !token || !/^[A-Za-z0-9]+$/.test(id)) {
+      this._refuse(client, 'ERROR', 'No id, token, or key supplied to websocket server');
+      return;
+    }
+
+    if (this.sessions.get(id) !== token && !(await this._verifyToken(id, token))) {
+      this._refuse(client, 'ERROR', 'Authentication failed');
+      return;
+    }
+    if (client.connection.closed) return;
+
+    const previous = this.clients.get(id);
+    client.id = id;
+    this.sessions.set(id, token);
+    this.clients.set(id, client);
+    if (previous) {
+      previous.connection.close(CloseCode.REPLACED, 'Replaced by a new connection');
+    }
+    this._send(client, { type: 'OPEN' });
+  }
+
+  async _verifyToken(id, token) {
+    let nonce, publicKey, signature;
+    try {
+      ({ nonce, publicKey, signature } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8')));
+    } catch (error) {
+      return false;
+    }
+    // Spend the nonce whether or not the signature holds
+    if (typeof nonce !== 'string' || !this.challenges.delete(nonce)) return false;
+    return await Identity.verify(publicKey, { domain: REGISTER_DOMAIN, nonce, id }, signature, {
+      did: `did:srcp:${id}`,
+      resolver: this.resolver
+    });
+  }
+
+  _refuse(client, type, msg) {
+    this._send(client, { type, payload: { msg } });
+    client.connection.close(CloseCode.UNAUTHORIZED, msg);
+  }
+
+  _receive(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      client.connection.close(CloseCode.INVALID_DATA, 'Messages must be JSON');
+      return;
+    }
+    // Anything sent before OPEN is dropped, as PeerJS queues until then
+    if (!client.id || !message || message.type === 'HEARTBEAT') return;
+
+    if (!FORWARDED.has(message.type) || typeof message.dst !== 'string') {
+      this._send(client, { type: 'ERROR', payload: { msg: 'Message unrecognized' } });
+      return;
+    }
+
+    const target = this.clients.get(message.dst);
+    if (target) {
+      this._send(target, { type: message.type, src: client.id, dst: message.dst, payload: message.payload });
+    } else if (message.type === 'OFFER') {
+      this._send(client, { type: 'EXPIRE', src: message.dst, dst: client.id });
+    }
+  }
+
+  _disconnected(client) {
+    this.connections.delete(client.connection);
+    if (client.id && this.clients.get(client.id) === client) {
+      this.clients.delete(client.id);
+    }
+  }
+
+  _send(client, message) {
+    return client.connection.send(JSON.stringify(message));
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * SRCP007 - Social Recovery with Threshold Guardians
+ *
+ * Lets a user who lost their key regain their DID with the help of M of N
+ * guardian DIDs:
+ *
+ *   1. setupSocialRecovery() creates a fresh recovery key, commits it in the
+ *      DID document, splits its private scalar with Shamir (shamir.js) and
+ *      sends each guardian one share, sealed to the guardian's key
+ *      (sealed-box.js), over MessagingProtocol.
+ *   2. On a new device, RecoverySession asks every guardian for help. Each
+ *      guardian confirms out of band that the request is genuine, then
+ *      approve() re-seals its share to the new device.
+ *   3. With M approvals the session rebuilds the recovery key and signs a
+ *      recovery rotation of the DID document to a new key.
+ *
+ * Every recovery message is signed by its sender; guardians and sessions
+ * drop messages that do not verify, and those whose sealed share does not
+ * open (emitting 'message:rejected' on their messaging). Pass a DIDResolver
+ * if any participant may have rotated keys.
+ *
+ * The recovery key is spent by recovery: complete() clears the recovery
+ * commitments, and the user runs setupSocialRecovery() again afterwards.
+ *
+ * @module social-recovery
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+import { splitSecret, combineShares } from './shamir.js';
+import { sealBox, openBox } from './sealed-box.js';
+
+export const RecoveryMessage = Object.freeze({
+  SHARE: 'share',
+  REQUEST: 'request',
+  APPROVAL: 'approval'
+});
+
+async function signMessage(identity, body) {
+  return {
+    body,
+    publicKey: identity.publicKeyJWK,
+    signature: await identity.sign(body)
+  };
+}
+
+async function verifyMessage(message, resolver) {
+  if (!message || !message.body || !message.publicKey || !message.signature) {
+    return false;
+  }
+  return await Identity.verify(message.publicKey, message.body, message.signature, {
+    did: message.body.from,
+    pulse: message.body.pulse,
+    resolver
+  });
+}
+
+// Share sealed in a signed message, or null (emitting 'message:rejected')
+// when the box does not open to one
+async function openShare(identity, message, messaging) {
+  try {
+    const { share } = await openBox(identity, message.body.box);
+    if (share && typeof share === 'object') return share;
+    throw new Error('Sealed box holds no share');
+  } catch (error) {
+    messaging.emit('message:rejected', { from: message.body.from, message, reason: error.message });
+    return null;
+  }
+}
+
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return new Uint8Array(Canonical.base64ToArrayBuffer(base64));
+}
+
+function bytesToBase64Url(bytes) {
+  return Canonical.arrayBufferToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Designate guardians for `identity` and distribute recovery shares
+ *
+ * @param {Identity} identity - Owner of the DID
+ * @param {DIDDocument} didDocument - The owner's DID document
+ * @param {MessagingProtocol} messaging - Owner's messaging (initialized)
+ * @param {object} options - {
+ *   guardians: [{ did, publicKey }], threshold, pulse,
+ *   signer: existing recovery Identity, if recovery keys are already committed
+ * }
+ * @returns {Promise<object>} Recovery plan { did, threshold, guardians, recoveryKey, pulse }
+ *   - public; the new device needs it to start a RecoverySession
+ */
+export async function setupSocialRecovery(identity, didDocument, messaging, { guardians, threshold, pulse, signer = identity }) {
+  if (!Array.isArray(guardians) || guardians.length === 0) {
+    throw new Error('Social recovery requires at least one guardian');
+  }
+  if (new Set(guardians.map(g => g.did)).size !== guardians.length || guardians.some(g => g.did === identity.did)) {
+    throw new Error('Guardians must be distinct DIDs other than the owner');
+  }
+
+  const recoveryIdentity = await Identity.create(`${identity.username} recovery`);
+  const { d } = await crypto.subtle.exportKey('jwk', recoveryIdentity.keyPair.privateKey);
+  const shares = splitSecret(base64UrlToBytes(d), { shares: guardians.length, threshold });
+
+  await didDocument.setRecoveryKeys(signer, [recoveryIdentity.publicKeyJWK], pulse);
+
+  const plan = {
+    did: identity.did,
+    threshold,
+    guardians: guardians.map(g => g.did),
+    recoveryKey: recoveryIdentity.publicKeyJWK,
+    pulse
+  };
+
+  for (const [i, guardian] of guardians.entries()) {
+    const message = await signMessage(identity, {
+      type: RecoveryMessage.SHARE,
+      from: identity.did,
+      to: guardian.did,
+      pulse,
+      plan,
+      box: await sealBox(guardian.publicKey, { did: identity.did, share: shares[i] })
+    });
+    await messaging.sendRecoveryMessage(guardian.did, message);
+  }
+
+  return plan;
+}
+
+/**
+ * Guardian side: holds sealed shares and answers recovery requests
+ */
+export class RecoveryGuardian {
+  constructor(identity, messaging, { resolver = null } = {}) {
+    this.identity = identity;
+    this.messaging = messaging;
+    this.resolver = resolver;
+
+    this.held = new Map();      // Owner DID -> { plan, box }
+    this.requests = new Map();  // Request ID -> request body
+
+    messaging.on('recovery:message', ({ payload }) => this._receive(payload));
+  }
+
+  /**
+   * Recovery requests awaiting an out-of-band check
+   */
+  pendingRequests() {
+    return Array.from(this.requests.values());
+  }
+
+  /**
+   * Release this guardian's share to the requesting device
+   */
+  async approve(requestId, pulse) {
+    const request = this.requests.get(requestId);
+    if (!request) {
+      throw new Error(`Unknown recovery request: ${requestId}`);
+    }
+
+    const { box } = this.held.get(request.did);
+    const { share } = await openBox(this.identity, box);
+
+    const message = await signMessage(this.identity, {
+      type: RecoveryMessage.APPROVAL,
+      from: this.identity.did,
+      to: request.from,
+      did: request.did,
+      requestId,
+      pulse,
+      box: await sealBox(request.sessionKey, { share })
+    });
+
+    this.requests.delete(requestId);
+    await this.messaging.sendRecoveryMessage(request.from, message);
+  }
+
+  reject(requestId) {
+    this.requests.delete(requestId);
+  }
+
+  async _receive(message) {
+    if (!(await verifyMessage(message, this.resolver))) return;
+    const { body } = message;
+
+    if (body.type === RecoveryMessage.SHARE && body.to === this.identity.did && body.plan.did === body.from) {
+      // Check the box opens now, not when the owner needs it
+      if (await openShare(this.identity, message, this.messaging)) {
+        this.held.set(body.from, { plan: body.plan, box: body.box });
+      }
+    } else if (body.type === RecoveryMessage.REQUEST && this.held.has(body.did)) {
+      this.requests.set(body.requestId, body);
+    }
+  }
+}
+
+/**
+ * New-device side: collects guardian approvals and rotates the DID
+ */
+export class RecoverySession {
+  /**
+   * @param {Identity} device - Fresh identity of the recovering device; shares
+   *   are sealed to its key and its messaging receives the approvals
+   * @param {MessagingProtocol} messaging - Device's messaging (initialized)
+   * @param {object} plan - Plan returned by setupSocialRecovery()
+   * @param {object} options - { resolver }
+   */
+  constructor(device, messaging, plan, { resolver = null } = {}) {
+    this.device = device;
+    this.messaging = messaging;
+    this.plan = plan;
+    this.resolver = resolver;
+
+    this.requestId = null;
+    this.shares = new Map();  // Guardian DID -> share
+
+    messaging.on('recovery:message', ({ payload }) => this._receive(payload));
+  }
+
+  /**
+   * Ask every guardian for its share
+   */
+  async request(pulse) {
+    this.requestId = await Canonical.hash({
+      did: this.plan.did,
+      device: this.device.did,
+      sessionKey: this.device.publicKeyJWK,
+      pulse
+    });
+
+    for (const guardian of this.plan.guardians) {
+      const message = await signMessage(this.device, {
+        type: RecoveryMessage.REQUEST,
+        from: this.device.did,
+        did: this.plan.did,
+        requestId: this.requestId,
+        sessionKey: this.device.publicKeyJWK,
+        pulse
+      });
+      await this.messaging.sendRecoveryMessage(guardian, message);
+    }
+
+    return this.requestId;
+  }
+
+  get approvals() {
+    return this.shares.size;
+  }
+
+  isReady() {
+    return this.shares.size >= this.plan.threshold;
+  }
+
+  /**
+   * Rebuild the recovery key from the collected shares
+   *
+   * @returns {Promise<Identity>} Identity holding the recovery key
+   */
+  async recoverKey() {
+    if (!this.isReady()) {
+      throw new Error(`Recovery needs ${this.plan.threshold} approvals, have ${this.shares.size}`);
+    }
+
+    const { kty, crv, x, y } = this.plan.recoveryKey;
+
+    let privateKey;
+    try {
+      const secret = combineShares(Array.from(this.shares.values()));
+      privateKey = await crypto.subtle.importKey(
+        'jwk',
+        { kty, crv, x, y, d: bytesToBase64Url(secret) },
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        true,
+        ['sign']
+      );
+    } catch (error) {
+      throw new Error('Guardian shares do not rebuild the recovery key');
+    }
+    const publicKey = await crypto.subtle.importKey(
+      'jwk',
+      this.plan.recoveryKey,
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      true,
+      ['verify']
+    );
+
+    const recovery = new Identity({ privateKey, publicKey }, 'recovery');
+    recovery.publicKeyJWK = this.plan.recoveryKey;
+    recovery.did = await Identity.generateDID(this.plan.recoveryKey);
+
+    // Shares that do not match still import; prove the key pair
+    const probe = { recovery: this.plan.did, requestId: this.requestId };
+    if (!(await Identity.verify(recovery.publicKeyJWK, probe, await recovery.sign(probe)))) {
+      throw new Error('Guardian shares do not rebuild the recovery key');
+    }
+
+    return recovery;
+  }
+
+  /**
+   * Rotate the DID to a new key, signed by the rebuilt recovery key
+   *
+   * @param {DIDDocument} didDocument - Latest document of the DID
+   * @param {number} pulse - First pulse of the new key
+   * @param {object} options - { username, recovery: new recovery keys (default: none) }
+   * @returns {Promise<object>} { identity, event } - identity holds the new key
+   */
+  async complete(didDocument, pulse, { username = null, recovery = [] } = {}) {
+    if (didDocument.did !== this.plan.did) {
+      throw new Error(`Document of ${didDocument.did} does not match recovery of ${this.plan.did}`);
+    }
+
+    const signer = await this.recoverKey();
+
+    const identity = new Identity(null, username);
+    identity.did = this.plan.did;
+
+    const event = await didDocument.rotate(identity, pulse, { signer, recovery });
+    return { identity, event };
+  }
+
+  async _receive(message) {
+    if (!(await verifyMessage(message, this.resolver))) return;
+    const { body } = message;
+
+    if (body.type !== RecoveryMessage.APPROVAL || body.requestId !== this.requestId ||
+        body.to !== this.device.did || !this.plan.guardians.includes(body.from)) {
+      return;
+    }
+
+    const share = await openShare(this.device, message, this.messaging);
+    if (share) {
+      this.shares.set(body.from, share);
+    }
+  }
+}
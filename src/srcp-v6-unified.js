@@ -9,6 +9,27 @@
  * @license MIT
  */
 
+import { encryptKeystore, decryptKeystore, KeystoreKind } from './keystore.js';
+import { Identity } from './identity.js';
+import { bytesToBigInt, isValidScalar, scalarToJWK, randomScalar, hashToScalar } from './p256.js';
+import {
+  commit,
+  proveOpening,
+  verifyOpeningProof,
+  proveBounded,
+  verifyBounded,
+  proveAtLeast,
+  verifyAtLeast
+} from './zkp.js';
+import {
+  dealThresholdKey,
+  encrypt as encryptThreshold,
+  addCiphertexts,
+  createDecryptionShare,
+  verifyDecryptionShare,
+  combineDecryptionShares
+} from './threshold-elgamal.js';
+
 /* ============================================================================
  * PHASE 1: FOUNDATION LAYER
  * ============================================================================ */
@@ -355,11 +376,19 @@ export class KeyDerivation {
     return new Uint8Array(seed);
   }
 
+  /**
+   * Derive the key pair at `path` (e.g. "m/44'/0'/0'/0")
+   * Deterministic: the same seed and path give the same key on every device.
+   * Every level is derived hardened, with or without the apostrophe.
+   */
   static async deriveKey(masterSeed, path, curve = 'P-256') {
     const pathParts = path.split('/').filter(p => p !== 'm');
     let currentSeed = masterSeed;
     
     for (const part of pathParts) {
+      if (!/^\d+'?$/.test(part) || parseInt(part) >= 0x80000000) {
+        throw new Error(`Invalid derivation path: ${path}`);
+      }
       const index = parseInt(part.replace("'", ''));
       currentSeed = await this._deriveChild(currentSeed, index);
     }
@@ -386,12 +415,55 @@ export class KeyDerivation {
     return new Uint8Array(derived);
   }
 
+  /**
+   * Private scalar for a derived 64-byte seed
+   * The left half is the candidate scalar; in the rare case it is 0 or
+   * >= n, re-derive from the right half (as BIP-32 skips invalid keys).
+   */
+  static async _seedToScalar(seed) {
+    let current = seed;
+    for (;;) {
+      const scalar = bytesToBigInt(current.slice(0, 32));
+      if (isValidScalar(scalar)) return scalar;
+
+      const data = new Uint8Array(33);
+      data[0] = 1;
+      data.set(current.slice(0, 32), 1);
+      const key = await crypto.subtle.importKey(
+        'raw',
+        current.slice(32),
+        { name: 'HMAC', hash: 'SHA-512' },
+        false,
+        ['sign']
+      );
+      current = new Uint8Array(await crypto.subtle.sign('HMAC', key, data));
+    }
+  }
+
   static async _seedToKeyPair(seed, curve) {
-    return await crypto.subtle.generateKey(
+    if (curve !== 'P-256') {
+      throw new Error(`Unsupported curve for key derivation: ${curve}`);
+    }
+
+    const jwk = scalarToJWK(await this._seedToScalar(seed));
+    const { d, ...publicJWK } = jwk;
+
+    const privateKey = await crypto.subtle.importKey(
+      'jwk',
+      jwk,
+      { name: 'ECDSA', namedCurve: curve },
+      true,
+      ['sign']
+    );
+    const publicKey = await crypto.subtle.importKey(
+      'jwk',
+      publicJWK,
       { name: 'ECDSA', namedCurve: curve },
       true,
-      ['sign', 'verify']
+      ['verify']
     );
+
+    return { privateKey, publicKey };
   }
 }
 
@@ -407,6 +479,53 @@ export class HDIdentity {
     return new HDIdentity(masterSeed, username);
   }
 
+  /**
+   * Export the master seed as a passphrase-protected keystore (keystore.js)
+   * The mnemonic itself is not stored.
+   */
+  async exportEncrypted(passphrase, options = {}) {
+    const seed = Array.from(this.masterSeed, b => b.toString(16).padStart(2, '0')).join('');
+    return await encryptKeystore(KeystoreKind.HD_SEED, { masterSeed: seed }, passphrase, {
+      ...options,
+      meta: { username: this.username }
+    });
+  }
+
+  static async importEncrypted(keystore, passphrase) {
+    const { masterSeed } = await decryptKeystore(keystore, passphrase, { kind: KeystoreKind.HD_SEED });
+    const seed = new Uint8Array(masterSeed.match(/../g).map(b => parseInt(b, 16)));
+    return new HDIdentity(seed, keystore.meta.username);
+  }
+
+  /**
+   * Migrate a stored mnemonic to an encrypted seed keystore
+   */
+  static async migrateMnemonic(mnemonic, username, passphrase, options = {}) {
+    const identity = await HDIdentity.create(mnemonic, username);
+    return await identity.exportEncrypted(passphrase, options);
+  }
+
+  /**
+   * Full Identity (identity.js) for the key of `purpose`
+   * Its DID is the usual did:srcp:<key hash>, so restoring the same mnemonic
+   * on another device gives back the same DID and signing key.
+   */
+  async toIdentity(purpose = 'identity') {
+    const keyPair = await this.getKey(purpose);
+    const identity = new Identity(keyPair, this.username);
+    identity.publicKeyJWK = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    identity.did = await Identity.generateDID(identity.publicKeyJWK);
+    return identity;
+  }
+
+  /**
+   * Restore the Identity of a mnemonic
+   */
+  static async restoreIdentity(mnemonic, username, purpose = 'identity') {
+    const hd = await HDIdentity.create(mnemonic, username);
+    return await hd.toIdentity(purpose);
+  }
+
   async getKey(purpose) {
     const paths = {
       identity: "m/44'/0'/0'/0",
@@ -461,97 +580,117 @@ export class HDIdentity {
 
 /**
  * 2.2 Zero-Knowledge Proof System
+ *
+ * Pedersen commitments with proofs of knowledge and range proofs over
+ * P-256 (zkp.js). Each proof carries its commitment and public bounds;
+ * the verifier checks the statement as written in the proof, so a
+ * forged or edited proof fails.
+ *
+ * `secretSalt` (optional) derives the blinding factor, so the same value
+ * and salt give the same commitment again. It must be secret and high
+ * entropy; without it the blinding is random.
  */
+async function zkpBlinding(type, value, secretSalt) {
+  if (secretSalt === undefined || secretSalt === null) {
+    return randomScalar();
+  }
+  return await hashToScalar({ domain: 'srcp-zkp/blinding', type, value: String(value), salt: secretSalt });
+}
+
 export class ZKPProver {
+  /**
+   * Prove minKarma <= karma <= maxKarma
+   */
   static async proveKarmaRange(karma, minKarma, maxKarma, secretSalt) {
     if (karma < minKarma || karma > maxKarma) {
       throw new Error('Karma not in valid range');
     }
 
-    const commitment = await this._commit(karma, secretSalt);
-    
+    const type = 'karma_range';
+    const { commitment, blinding } = await commit(karma, await zkpBlinding(type, karma, secretSalt));
+    const context = { type, commitment, minKarma, maxKarma };
+
     return {
-      type: 'karma_range',
+      type,
       commitment,
       minKarma,
       maxKarma,
-      proof: await this._generateRangeProof(karma, minKarma, maxKarma, secretSalt),
-      timestamp: Date.now()
+      proof: {
+        opening: await proveOpening(commitment, karma, blinding, context),
+        range: await proveBounded(karma, blinding, minKarma, maxKarma, context)
+      }
     };
   }
 
+  /**
+   * Prove creditScore >= threshold
+   */
   static async proveCreditworthiness(creditScore, threshold, secretSalt) {
     if (creditScore < threshold) {
       throw new Error('Credit score below threshold');
     }
 
+    const type = 'credit_score';
+    const { commitment, blinding } = await commit(creditScore, await zkpBlinding(type, creditScore, secretSalt));
+    const context = { type, commitment, threshold };
+
     return {
-      type: 'credit_score',
-      commitment: await this._commit(creditScore, secretSalt),
+      type,
+      commitment,
       threshold,
-      proof: await this._generateThresholdProof(creditScore, threshold, secretSalt),
-      timestamp: Date.now()
+      proof: {
+        opening: await proveOpening(commitment, creditScore, blinding, context),
+        range: await proveAtLeast(creditScore, blinding, threshold, context)
+      }
     };
   }
 
+  /**
+   * Prove karma >= votingWeight, for one proposal only
+   */
   static async proveVotingEligibility(karma, votingWeight, proposalId, secretSalt) {
-    return {
-      type: 'vote_eligibility',
-      commitment: await this._commit(JSON.stringify({ karma, proposalId }), secretSalt),
-      votingWeight,
-      proposalId,
-      proof: await this._generateEligibilityProof(karma, votingWeight, proposalId, secretSalt),
-      timestamp: Date.now()
-    };
-  }
-
-  static async _commit(value, salt) {
-    const data = `${value}:${salt}`;
-    const hash = await crypto.subtle.digest('SHA-256',
-      new TextEncoder().encode(data));
-    return Array.from(new Uint8Array(hash))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-  }
-
-  static async _generateRangeProof(value, min, max, salt) {
-    return {
-      valueHash: await this._commit(value, salt),
-      minHash: await this._commit(min, 'min'),
-      maxHash: await this._commit(max, 'max'),
-      timestamp: Date.now()
-    };
-  }
+    if (karma < votingWeight) {
+      throw new Error('Karma below voting weight');
+    }
 
-  static async _generateThresholdProof(value, threshold, salt) {
-    return {
-      valueHash: await this._commit(value, salt),
-      thresholdHash: await this._commit(threshold, 'threshold'),
-      timestamp: Date.now()
-    };
-  }
+    const type = 'vote_eligibility';
+    const { commitment, blinding } = await commit(karma, await zkpBlinding(type, karma, secretSalt));
+    const context = { type, commitment, votingWeight, proposalId };
 
-  static async _generateEligibilityProof(karma, votingWeight, proposalId, salt) {
     return {
-      karmaHash: await this._commit(karma, salt),
-      weightHash: await this._commit(votingWeight, salt),
-      proposalHash: await this._commit(proposalId, 'proposal'),
-      timestamp: Date.now()
+      type,
+      commitment,
+      votingWeight,
+      proposalId,
+      proof: {
+        opening: await proveOpening(commitment, karma, blinding, context),
+        range: await proveAtLeast(karma, blinding, votingWeight, context)
+      }
     };
   }
 }
 
 export class ZKPVerifier {
   static async verify(proof) {
-    if (!proof || !proof.type) return false;
+    if (!proof || !proof.type || !proof.proof) return false;
+    
+    const { opening, range } = proof.proof;
+    const { commitment } = proof;
+    let context;
     
     switch (proof.type) {
       case 'karma_range':
-        return !!(proof.commitment && proof.proof && proof.proof.valueHash);
+        context = { type: proof.type, commitment, minKarma: proof.minKarma, maxKarma: proof.maxKarma };
+        return await verifyOpeningProof(commitment, opening, context) &&
+          await verifyBounded(commitment, range, proof.minKarma, proof.maxKarma, context);
       case 'credit_score':
-        return !!(proof.commitment && proof.proof && proof.proof.valueHash);
+        context = { type: proof.type, commitment, threshold: proof.threshold };
+        return await verifyOpeningProof(commitment, opening, context) &&
+          await verifyAtLeast(commitment, range, proof.threshold, context);
       case 'vote_eligibility':
-        return !!(proof.commitment && proof.proof && proof.proof.karmaHash);
+        context = { type: proof.type, commitment, votingWeight: proof.votingWeight, proposalId: proof.proposalId };
+        return await verifyOpeningProof(commitment, opening, context) &&
+          await verifyAtLeast(commitment, range, proof.votingWeight, context);
       default:
         return false;
     }
@@ -559,37 +698,59 @@ export class ZKPVerifier {
 }
 
 /**
- * 2.3 FHE Settlement Layer (Simplified)
+ * 2.3 Threshold Settlement Layer
+ * Additively homomorphic threshold ElGamal (threshold-elgamal.js): anyone
+ * encrypts to the committee key, ciphertexts are summed while encrypted,
+ * and only `threshold` committee members together can decrypt the total.
  */
-export class FHEEngine {
-  async encrypt(data) {
-    // Simplified FHE encryption
-    return {
-      encrypted: true,
-      data: btoa(JSON.stringify(data)),
-      timestamp: Date.now()
-    };
+export class ThresholdEngine {
+  /**
+   * @param {object} key - Threshold key { publicKey, verificationKeys, threshold }
+   */
+  constructor(key = null) {
+    this.key = key;
   }
 
-  async decrypt(encryptedData, key) {
-    if (!encryptedData.encrypted) return encryptedData;
-    return JSON.parse(atob(encryptedData.data));
+  /**
+   * Trusted-dealer setup: returns the key shares to hand to the committee
+   */
+  setup({ shares, threshold }) {
+    const { key, keyShares } = dealThresholdKey({ shares, threshold });
+    this.key = key;
+    return keyShares;
   }
 
-  async computeOnEncrypted(encryptedData, operation) {
-    // Homomorphic computation simulation
-    return {
-      encrypted: true,
-      result: `COMPUTED_${operation}`,
-      timestamp: Date.now()
-    };
+  _requireKey() {
+    if (!this.key) {
+      throw new Error('Threshold key not set up');
+    }
+    return this.key;
   }
 
-  async thresholdDecrypt(encryptedData, keys, threshold) {
-    if (keys.length < threshold) {
-      throw new Error('Insufficient keys for threshold decryption');
-    }
-    return this.decrypt(encryptedData, keys[0]);
+  async encrypt(value) {
+    return encryptThreshold(this._requireKey().publicKey, value);
+  }
+
+  async add(...ciphertexts) {
+    return addCiphertexts(...ciphertexts);
+  }
+
+  /**
+   * Committee member side: decryption share with its correctness proof
+   */
+  async decryptionShare(keyShare, ciphertext) {
+    return await createDecryptionShare(keyShare, ciphertext);
+  }
+
+  async verifyShare(ciphertext, decryptionShare) {
+    return await verifyDecryptionShare(this._requireKey(), ciphertext, decryptionShare);
+  }
+
+  /**
+   * Decrypt from at least `threshold` valid shares; invalid ones are ignored
+   */
+  async thresholdDecrypt(ciphertext, decryptionShares, options = {}) {
+    return await combineDecryptionShares(this._requireKey(), ciphertext, decryptionShares, options);
   }
 }
 
@@ -2224,7 +2385,7 @@ export class SRCPv6Engine {
     this.resourceMeter = new ResourceMeter();
 
     // Phase 2: Cryptography
-    this.fheEngine = new FHEEngine();
+    this.thresholdEngine = new ThresholdEngine(config.thresholdKey);
     
     // Phase 3: Finance
     this.leverageEngine = new LeverageEngine(config.maxLeverage);
@@ -0,0 +1,131 @@
+/**
+ * SRCP007 - File System Storage Adapter (Node.js only)
+ *
+ * Implements the kernel storage contract (see storage.js) in a directory:
+ * - meta.json         - genesis metadata, replaced atomically via rename
+ * - transactions.log  - one JSON record per line, fsynced on every append
+ * - checkpoint.json   - latest kernel checkpoint, replaced atomically
+ *
+ * Compaction writes the kept records to a temporary file and renames it
+ * over the log, so a crash leaves either the old or the new log.
+ *
+ * A crash can leave a torn final line. readLog() drops it and truncates
+ * the file back to the last complete record, so later appends start on a
+ * clean line. A malformed line anywhere else is corruption and throws.
+ *
+ * @module storage-fs
+ * @version 1.0.0
+ */
+
+import { open, readFile, rename, mkdir, truncate } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const META_FILE = 'meta.json';
+const LOG_FILE = 'transactions.log';
+const CHECKPOINT_FILE = 'checkpoint.json';
+
+async function readIfExists(path) {
+  try {
+    return await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeSynced(path, data, flags) {
+  const handle = await open(path, flags);
+  try {
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+async function replaceAtomically(path, data) {
+  const tmpPath = `${path}.tmp`;
+  await writeSynced(tmpPath, data, 'w');
+  await rename(tmpPath, path);
+}
+
+/**
+ * Create a file system storage adapter rooted at `dir`
+ *
+ * @param {string} dir - Directory (created if missing)
+ * @returns {object} Storage adapter
+ */
+export function createFileStorage(dir) {
+  const metaPath = join(dir, META_FILE);
+  const logPath = join(dir, LOG_FILE);
+  const checkpointPath = join(dir, CHECKPOINT_FILE);
+  let ready = null;
+
+  const ensureDir = () => {
+    if (!ready) ready = mkdir(dir, { recursive: true });
+    return ready;
+  };
+
+  return Object.freeze({
+    async readMeta() {
+      const text = await readIfExists(metaPath);
+      return text === null ? null : JSON.parse(text);
+    },
+
+    async writeMeta(meta) {
+      await ensureDir();
+      await replaceAtomically(metaPath, JSON.stringify(meta));
+    },
+
+    async append(record) {
+      await ensureDir();
+      await writeSynced(logPath, JSON.stringify(record) + '\n', 'a');
+    },
+
+    async readLog() {
+      const text = await readIfExists(logPath);
+      if (!text) return [];
+
+      const records = [];
+      let offset = 0;
+
+      while (offset < text.length) {
+        const newline = text.indexOf('\n', offset);
+        if (newline === -1) break; // torn trailing record
+
+        const line = text.slice(offset, newline);
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          throw new Error(`Storage log corrupt at byte ${Buffer.byteLength(text.slice(0, offset))}: ${error.message}`);
+        }
+        offset = newline + 1;
+      }
+
+      if (offset < text.length) {
+        await truncate(logPath, Buffer.byteLength(text.slice(0, offset)));
+      }
+
+      return records;
+    },
+
+    async writeCheckpoint(checkpoint) {
+      await ensureDir();
+      await replaceAtomically(checkpointPath, JSON.stringify(checkpoint));
+    },
+
+    async readCheckpoint() {
+      const text = await readIfExists(checkpointPath);
+      return text === null ? null : JSON.parse(text);
+    },
+
+    async compact(records) {
+      await ensureDir();
+      await replaceAtomically(logPath, records.map(record => JSON.stringify(record) + '\n').join(''));
+    },
+
+    getState() {
+      return { dir };
+    }
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * SRCP007 - Kernel Storage Adapter
+ *
+ * Durable home for the kernel's genesis metadata and transaction log,
+ * injected as `adapters.storage` next to clock/nonce/logger.
+ *
+ * === ADAPTER CONTRACT ===
+ * {
+ *   readMeta()        - genesis metadata object, or null if empty
+ *   writeMeta(meta)   - persist genesis metadata (atomically)
+ *   append(record)    - durably append one log record
+ *   readLog()         - all complete records in order; a torn trailing
+ *                       record from a crash is dropped
+ *
+ *   Optional, for checkpoints and log compaction:
+ *   writeCheckpoint(checkpoint) - persist the latest checkpoint (atomically)
+ *   readCheckpoint()            - latest checkpoint, or null
+ *   compact(records)            - atomically replace the log with `records`
+ * }
+ *
+ * === WRITE-AHEAD ORDERING ===
+ * For every transaction the kernel appends:
+ *   1. { kind: 'pending', tx }              - before the state transition
+ *   2. { kind: 'commit', hash, stateHash }  - after it succeeds, before the
+ *                                             new state becomes visible
+ *   or { kind: 'abort', hash, error }       - if the transition throws
+ * Only committed transactions are replayed by Kernel.restore(); a pending
+ * record without its commit was never acknowledged and is discarded.
+ *
+ * @module storage
+ * @version 1.0.0
+ */
+
+export const StorageRecord = Object.freeze({
+  PENDING: 'pending',
+  COMMIT: 'commit',
+  ABORT: 'abort'
+});
+
+/**
+ * Check an object implements the storage adapter contract
+ */
+export function isStorageAdapter(storage) {
+  return Boolean(storage) &&
+    ['readMeta', 'writeMeta', 'append', 'readLog'].every(method => typeof storage[method] === 'function');
+}
+
+/**
+ * Resolve a log into the transactions that committed, in commit order
+ *
+ * @param {object[]} records - Records from storage.readLog()
+ * @returns {object} { committed: [{ tx, stateHash, transactionCount }], uncommitted: [tx] }
+ */
+export function committedTransactions(records) {
+  const pending = new Map();
+  const committed = [];
+
+  for (const record of records) {
+    switch (record.kind) {
+      case StorageRecord.PENDING:
+        pending.set(record.tx.hash, record.tx);
+        break;
+
+      case StorageRecord.COMMIT: {
+        const tx = pending.get(record.hash);
+        if (!tx) {
+          throw new Error(`Storage log corrupt: commit without pending transaction ${record.hash}`);
+        }
+        pending.delete(record.hash);
+        committed.push({ tx, stateHash: record.stateHash, transactionCount: record.transactionCount });
+        break;
+      }
+
+      case StorageRecord.ABORT:
+        pending.delete(record.hash);
+        break;
+
+      default:
+        throw new Error(`Storage log corrupt: unknown record kind ${record.kind}`);
+    }
+  }
+
+  return { committed, uncommitted: Array.from(pending.values()) };
+}
+
+/**
+ * In-memory storage adapter
+ * Records are stored serialized, so restored state never aliases live objects.
+ */
+export function createMemoryStorage() {
+  let meta = null;
+  let checkpoint = null;
+  let log = [];
+
+  return Object.freeze({
+    async readMeta() {
+      return meta === null ? null : JSON.parse(meta);
+    },
+
+    async writeMeta(value) {
+      meta = JSON.stringify(value);
+    },
+
+    async append(record) {
+      log.push(JSON.stringify(record));
+    },
+
+    async readLog() {
+      return log.map(line => JSON.parse(line));
+    },
+
+    async writeCheckpoint(value) {
+      checkpoint = JSON.stringify(value);
+    },
+
+    async readCheckpoint() {
+      return checkpoint === null ? null : JSON.parse(checkpoint);
+    },
+
+    async compact(records) {
+      log = records.map(record => JSON.stringify(record));
+    },
+
+    getState() {
+      return { hasMeta: meta !== null, hasCheckpoint: checkpoint !== null, records: log.length };
+    }
+  });
+}
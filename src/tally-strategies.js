@@ -0,0 +1,92 @@
+/**
+ * SRCP007 - Governance Tally Strategies
+ *
+ * How much a vote weighs, chosen per proposal (governance.js):
+ *
+ *   karma        KarmaSystem.getVotingWeight(karma) at vote time (default)
+ *   one-per-did  every DID weighs 1
+ *   quadratic    the voter buys `votes` with tokens as credits: weight
+ *                votes, cost votes^2 (spent, not refunded)
+ *   conviction   the voter stakes tokens; weight grows linearly from 0 to
+ *                the stake over `convictionPeriod` pulses, measured at the
+ *                end of voting. Withdrawing forfeits the conviction;
+ *                stakes are returned when the proposal is finalized
+ *
+ * === STRATEGY CONTRACT ===
+ * {
+ *   validate(payload)                      - throw on a malformed vote
+ *   cast(payload, { karma })               - { weight?, spend, stake, ...fields to record }
+ *   weight(vote, proposal)                 - weight counted at the tally
+ *   withdrawable                           - votes may be withdrawn before the end
+ *   delegatedWeight({ karma })             - weight a DID adds through delegation
+ *                                            instead of voting; omitted where votes
+ *                                            are paid for (quadratic, conviction)
+ * }
+ *
+ * Strategies are pure: weights depend only on recorded votes and the
+ * proposal's rules, so replaying the governance transactions reproduces
+ * every tally.
+ *
+ * @module tally-strategies
+ * @version 1.0.0
+ */
+
+import { KarmaSystem } from './karma.js';
+
+export const TallyStrategy = Object.freeze({
+  KARMA: 'karma',
+  ONE_PER_DID: 'one-per-did',
+  QUADRATIC: 'quadratic',
+  CONVICTION: 'conviction'
+});
+
+function requirePositiveInteger(value, field) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${field} must be a positive integer`);
+  }
+}
+
+export const TallyStrategies = Object.freeze({
+  [TallyStrategy.KARMA]: {
+    validate() {},
+    cast(payload, { karma }) {
+      return { weight: KarmaSystem.getVotingWeight(karma), spend: 0, stake: 0 };
+    },
+    weight: vote => vote.weight,
+    delegatedWeight: ({ karma }) => KarmaSystem.getVotingWeight(karma)
+  },
+
+  [TallyStrategy.ONE_PER_DID]: {
+    validate() {},
+    cast() {
+      return { weight: 1, spend: 0, stake: 0 };
+    },
+    weight: () => 1,
+    delegatedWeight: () => 1
+  },
+
+  [TallyStrategy.QUADRATIC]: {
+    validate(payload) {
+      requirePositiveInteger(payload.votes, 'Quadratic votes');
+    },
+    cast(payload) {
+      return { weight: payload.votes, spend: payload.votes * payload.votes, stake: 0 };
+    },
+    weight: vote => vote.weight
+  },
+
+  [TallyStrategy.CONVICTION]: {
+    withdrawable: true,
+    validate(payload) {
+      requirePositiveInteger(payload.stake, 'Conviction stake');
+    },
+    cast(payload) {
+      return { spend: 0, stake: payload.stake };
+    },
+    weight(vote, proposal) {
+      const period = proposal.rules.convictionPeriod;
+      const staked = Math.min(Math.max(proposal.votingEnds - vote.pulse, 0), period);
+      return vote.stake * staked / period;
+    }
+  }
+});
@@ -0,0 +1,347 @@
+/**
+ * SRCP007 - Threshold ElGamal Encryption
+ *
+ * Exponential ElGamal over P-256 (p256.js) with a key split t-of-n:
+ *
+ *   encrypt(m)      (r*G, m*G + r*PK)
+ *   add(a, b)       component-wise - decrypts to the sum of the plaintexts,
+ *                   so votes or bids can be tallied while still encrypted
+ *   decrypt         any t key holders each publish x_i*C1 with a
+ *                   Chaum-Pedersen proof that it matches their public
+ *                   verification key; Lagrange interpolation removes the
+ *                   mask and a bounded discrete log recovers m
+ *
+ * Plaintexts are small non-negative integers (counts, amounts): decryption
+ * searches [0, maxValue].
+ *
+ * Keys come from a distributed key generation (Feldman VSS, no party ever
+ * holds the whole key) or, for tests and demos, a trusted dealer:
+ *
+ *   each party    createDealing() - send shares[j] privately to party j
+ *                 (e.g. sealed-box.js), publish commitments
+ *   each party    verifyDealingShare() on every share received
+ *   each party    combineDealings() -> its key share + the public key
+ *
+ * Ciphertexts are plain JSON { c1, c2 }: points as compressed hex, scalars
+ * as hex.
+ *
+ * Keys, encryption randomness and proof nonces come from the platform
+ * CSPRNG - dealing, encrypting and creating shares are NOT deterministic;
+ * verifying and combining are. The arithmetic is not constant time.
+ *
+ * @module threshold-elgamal
+ * @version 1.0.0
+ */
+
+import {
+  P256,
+  mod,
+  modInverse,
+  pointAdd,
+  pointNegate,
+  pointMultiply,
+  pointEquals,
+  encodePoint,
+  decodePoint,
+  randomScalar,
+  hashToScalar
+} from './p256.js';
+
+const { n } = P256;
+
+export const DEFAULT_MAX_VALUE = 1 << 20;
+
+const toHex = (scalar) => scalar.toString(16);
+
+function fromHex(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-f]{1,64}$/.test(hex)) {
+    throw new Error('Malformed scalar');
+  }
+  const value = BigInt(`0x${hex}`);
+  if (value >= n) {
+    throw new Error('Scalar out of range');
+  }
+  return value;
+}
+
+function checkParameters(shares, threshold) {
+  if (!Number.isInteger(shares) || !Number.isInteger(threshold) || threshold < 1 || threshold > shares) {
+    throw new Error(`Invalid threshold ${threshold} of ${shares} shares`);
+  }
+}
+
+// Sum over k of index^k * A_k
+function evaluateCommitments(commitments, index) {
+  let result = null;
+  let power = 1n;
+  for (const A of commitments) {
+    result = pointAdd(result, pointMultiply(power, A));
+    power = mod(power * BigInt(index), n);
+  }
+  return result;
+}
+
+// Lagrange coefficient at x = 0 for `index` among `indices`
+function lagrange(index, indices) {
+  let numerator = 1n;
+  let denominator = 1n;
+  for (const other of indices) {
+    if (other === index) continue;
+    numerator = mod(numerator * BigInt(-other), n);
+    denominator = mod(denominator * BigInt(index - other), n);
+  }
+  return mod(numerator * modInverse(denominator, n), n);
+}
+
+/**
+ * One party's contribution to a distributed key
+ *
+ * @param {object} options - { shares: n, threshold: t }
+ * @returns {object} { commitments: public, shares: [{ index, value }] - shares[j-1] goes to party j only }
+ */
+export function createDealing({ shares, threshold }) {
+  checkParameters(shares, threshold);
+
+  const coefficients = Array.from({ length: threshold }, () => randomScalar());
+  const result = [];
+  for (let index = 1; index <= shares; index++) {
+    let value = 0n;
+    for (let k = coefficients.length - 1; k >= 0; k--) {
+      value = mod(value * BigInt(index) + coefficients[k], n);
+    }
+    result.push({ index, value: toHex(value) });
+  }
+
+  return {
+    commitments: coefficients.map(a => encodePoint(pointMultiply(a))),
+    shares: result
+  };
+}
+
+/**
+ * Check a share received from a dealing against its public commitments
+ */
+export function verifyDealingShare(commitments, share) {
+  try {
+    const expected = evaluateCommitments(commitments.map(decodePoint), share.index);
+    return pointEquals(pointMultiply(fromHex(share.value)), expected);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Combine every party's dealing into this party's key share
+ *
+ * @param {string[][]} commitmentsList - Commitments of every dealing
+ * @param {object[]} receivedShares - This party's share of each dealing, same order
+ * @param {object} options - { shares: n }
+ * @returns {object} { keyShare: { index, value } - secret, key: public threshold key }
+ */
+export function combineDealings(commitmentsList, receivedShares, { shares }) {
+  if (commitmentsList.length === 0 || commitmentsList.length !== receivedShares.length) {
+    throw new Error('Need one share per dealing');
+  }
+  const index = receivedShares[0].index;
+  const threshold = commitmentsList[0].length;
+
+  let value = 0n;
+  for (const [i, share] of receivedShares.entries()) {
+    if (share.index !== index || commitmentsList[i].length !== threshold) {
+      throw new Error('Dealings do not match');
+    }
+    if (!verifyDealingShare(commitmentsList[i], share)) {
+      throw new Error(`Share of dealing ${i} does not match its commitments`);
+    }
+    value = mod(value + fromHex(share.value), n);
+  }
+
+  return {
+    keyShare: { index, value: toHex(value) },
+    key: thresholdKeyFromDealings(commitmentsList, { shares })
+  };
+}
+
+/**
+ * Public threshold key from the dealings' commitments
+ * { publicKey, verificationKeys (by index - 1), threshold }
+ */
+export function thresholdKeyFromDealings(commitmentsList, { shares }) {
+  const decoded = commitmentsList.map(commitments => commitments.map(decodePoint));
+  checkParameters(shares, decoded[0].length);
+
+  const publicKey = decoded.reduce((sum, commitments) => pointAdd(sum, commitments[0]), null);
+  const verificationKeys = [];
+  for (let index = 1; index <= shares; index++) {
+    verificationKeys.push(encodePoint(
+      decoded.reduce((sum, commitments) => pointAdd(sum, evaluateCommitments(commitments, index)), null)
+    ));
+  }
+
+  return { publicKey: encodePoint(publicKey), verificationKeys, threshold: decoded[0].length };
+}
+
+/**
+ * Trusted-dealer key generation (tests, demos): the dealer sees the whole
+ * key and must be trusted to forget it
+ *
+ * @returns {object} { key, keyShares }
+ */
+export function dealThresholdKey({ shares, threshold }) {
+  const dealing = createDealing({ shares, threshold });
+  return {
+    key: thresholdKeyFromDealings([dealing.commitments], { shares }),
+    keyShares: dealing.shares
+  };
+}
+
+/**
+ * Encrypt a non-negative integer under a threshold public key
+ *
+ * @returns {object} Ciphertext { c1, c2 }
+ */
+export function encrypt(publicKey, value) {
+  const m = BigInt(value);
+  if (m < 0n) {
+    throw new Error('Plaintext must be a non-negative integer');
+  }
+  const r = randomScalar();
+  return {
+    c1: encodePoint(pointMultiply(r)),
+    c2: encodePoint(pointAdd(pointMultiply(m), pointMultiply(r, decodePoint(publicKey))))
+  };
+}
+
+/**
+ * Homomorphic sum: decrypts to the sum of the plaintexts
+ */
+export function addCiphertexts(...ciphertexts) {
+  let c1 = null;
+  let c2 = null;
+  for (const ciphertext of ciphertexts) {
+    c1 = pointAdd(c1, decodePoint(ciphertext.c1));
+    c2 = pointAdd(c2, decodePoint(ciphertext.c2));
+  }
+  return { c1: encodePoint(c1), c2: encodePoint(c2) };
+}
+
+/**
+ * Decryption share of key holder `keyShare` for `ciphertext`, with a
+ * Chaum-Pedersen proof that log_G(VK_i) == log_C1(share)
+ *
+ * @returns {Promise<object>} { index, share, proof: { c, z } }
+ */
+export async function createDecryptionShare(keyShare, ciphertext) {
+  const x = fromHex(keyShare.value);
+  const C1 = decodePoint(ciphertext.c1);
+  const verificationKey = encodePoint(pointMultiply(x));
+  const share = encodePoint(pointMultiply(x, C1));
+
+  const k = randomScalar();
+  const c = await hashToScalar({
+    domain: 'srcp-threshold/decryption-share',
+    ciphertext,
+    index: keyShare.index,
+    verificationKey,
+    share,
+    a: encodePoint(pointMultiply(k)),
+    b: encodePoint(pointMultiply(k, C1))
+  });
+
+  return {
+    index: keyShare.index,
+    share,
+    proof: { c: toHex(c), z: toHex(mod(k + c * x, n)) }
+  };
+}
+
+/**
+ * Check a decryption share against the key holder's verification key
+ */
+export async function verifyDecryptionShare(key, ciphertext, decryptionShare) {
+  try {
+    const { index, share, proof } = decryptionShare;
+    if (!Number.isInteger(index) || index < 1 || index > key.verificationKeys.length) {
+      return false;
+    }
+    const verificationKey = key.verificationKeys[index - 1];
+    const C1 = decodePoint(ciphertext.c1);
+    const VK = decodePoint(verificationKey);
+    const D = decodePoint(share);
+    const c = fromHex(proof.c);
+    const z = fromHex(proof.z);
+
+    // A = z*G - c*VK, B = z*C1 - c*D
+    const a = pointAdd(pointMultiply(z), pointNegate(pointMultiply(c, VK)));
+    const b = pointAdd(pointMultiply(z, C1), pointNegate(pointMultiply(c, D)));
+
+    const expected = await hashToScalar({
+      domain: 'srcp-threshold/decryption-share',
+      ciphertext,
+      index,
+      verificationKey,
+      share,
+      a: encodePoint(a),
+      b: encodePoint(b)
+    });
+    return expected === c;
+  } catch (error) {
+    return false;
+  }
+}
+
+// m with m*G == M, for 0 <= m <= maxValue (baby-step giant-step)
+function boundedLog(M, maxValue) {
+  const steps = Math.ceil(Math.sqrt(maxValue + 1));
+  const baby = new Map();
+  let point = null;
+  for (let j = 0; j < steps; j++) {
+    baby.set(encodePoint(point), j);
+    point = pointAdd(point, P256.G);
+  }
+
+  const giant = pointNegate(pointMultiply(BigInt(steps)));
+  let current = M;
+  for (let i = 0; i <= steps; i++) {
+    const j = baby.get(encodePoint(current));
+    if (j !== undefined && i * steps + j <= maxValue) {
+      return i * steps + j;
+    }
+    current = pointAdd(current, giant);
+  }
+  return null;
+}
+
+/**
+ * Decrypt `ciphertext` from at least `key.threshold` decryption shares
+ * Invalid shares are ignored.
+ *
+ * @param {object} key - Threshold key { publicKey, verificationKeys, threshold }
+ * @param {object} ciphertext - { c1, c2 }
+ * @param {object[]} decryptionShares - From createDecryptionShare()
+ * @param {object} options - { maxValue: largest expected plaintext }
+ * @returns {Promise<number>} Plaintext
+ */
+export async function combineDecryptionShares(key, ciphertext, decryptionShares, { maxValue = DEFAULT_MAX_VALUE } = {}) {
+  const valid = new Map();
+  for (const share of decryptionShares) {
+    if (!valid.has(share.index) && await verifyDecryptionShare(key, ciphertext, share)) {
+      valid.set(share.index, decodePoint(share.share));
+    }
+  }
+  if (valid.size < key.threshold) {
+    throw new Error(`Decryption needs ${key.threshold} valid shares, have ${valid.size}`);
+  }
+
+  const indices = Array.from(valid.keys()).slice(0, key.threshold);
+  let mask = null;
+  for (const index of indices) {
+    mask = pointAdd(mask, pointMultiply(lagrange(index, indices), valid.get(index)));
+  }
+
+  const value = boundedLog(pointAdd(decodePoint(ciphertext.c2), pointNegate(mask)), maxValue);
+  if (value === null) {
+    throw new Error(`Plaintext is larger than ${maxValue}`);
+  }
+  return value;
+}
@@ -27,6 +27,11 @@ export class TokenEconomics {
     referral: 50          // One-time reward for valid referrals
   };
 
+  // Refundable deposits (locked while pending, burned if the action fails its purpose)
+  static DEPOSITS = {
+    proposal: 50    // Governance proposal, returned once it reaches quorum
+  };
+
   // Maximum reward caps per action type
   static CAPS = {
     receive_like: 5,
@@ -40,14 +45,15 @@ export class TokenEconomics {
    * 
    * @param {number} balance - Current token balance
    * @param {object} event - Action event
+   * @param {object} costs - Cost table (default: COSTS)
    * @returns {number} New balance
    */
-  static applyAction(balance, event) {
+  static applyAction(balance, event, costs = this.COSTS) {
     const { type, amount } = event;
 
     // Apply costs (always applied, creates deflationary pressure)
-    if (type in this.COSTS) {
-      const cost = this.COSTS[type];
+    if (type in costs) {
+      const cost = costs[type];
       balance -= cost;
       return Math.max(0, balance); // Can't go negative
     }
@@ -127,8 +133,15 @@ export class TokenEconomics {
   /**
    * Get cost for an action
    */
-  static getCost(actionType) {
-    return this.COSTS[actionType] || 0;
+  static getCost(actionType, costs = this.COSTS) {
+    return costs[actionType] || 0;
+  }
+
+  /**
+   * Get deposit for an action
+   */
+  static getDeposit(actionType) {
+    return this.DEPOSITS[actionType] || 0;
   }
 
   /**
@@ -141,8 +154,8 @@ export class TokenEconomics {
   /**
    * Check if user can afford an action
    */
-  static canAfford(balance, actionType) {
-    const cost = this.getCost(actionType);
+  static canAfford(balance, actionType, costs = this.COSTS) {
+    const cost = this.getCost(actionType, costs);
     return balance >= cost;
   }
 
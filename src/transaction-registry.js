@@ -0,0 +1,267 @@
+/**
+ * SRCP007 - Transaction Handler Registry
+ *
+ * Maps transaction types to the handlers that validate and apply them.
+ * Built-in kernel transactions and application-defined transactions go
+ * through the same registry, so they share one execution, hashing and
+ * replay path.
+ *
+ * === HANDLER CONTRACT ===
+ * {
+ *   validate(payload)                 - throw on malformed payload
+ *   prepare(payload, context)         - optional, enrich payload BEFORE hashing/signing
+ *   reduce(state, tx, context)        - pure, returns mutations for KernelState.evolve()
+ *                                       (context.author is the signing DID;
+ *                                       context.principal the DID it acts for)
+ *   caveats(payload)                  - optional, values a delegated capability
+ *                                       must allow, e.g. { amount } (capabilities.js)
+ *   emit(fabric, payload, newState)   - optional, emit domain events after commit
+ * }
+ *
+ * Reducers must be deterministic: no Date.now(), no Math.random(), no I/O.
+ * Application state lives under `extensions` - a plain, canonical-encodable
+ * object keyed by namespace. A reducer returning `{ extensions: { ns: value } }`
+ * replaces that namespace only; the result participates in the state hash.
+ * Application reducers may return nothing but `extensions` - the kernel
+ * rejects a transaction whose reducer touches the ledger, nonces or any
+ * other core field.
+ *
+ * @module transaction-registry
+ * @version 1.0.0
+ */
+
+import { LedgerEntry } from './ledger.js';
+import { DIDRouter } from './did-router.js';
+import { EventCategory, EventPriority } from './event-fabric.js';
+
+const TYPE_PATTERN = /^[a-z][a-z0-9_-]*(\.[a-z0-9_-]+)+$/i;
+
+/**
+ * Registry of transaction handlers
+ */
+export class TransactionRegistry {
+  constructor() {
+    this._handlers = new Map();
+    this._builtin = new Set();
+  }
+
+  /**
+   * Register a transaction type
+   *
+   * @param {string} type - Namespaced type, e.g. 'market.list'
+   * @param {object} handler - { validate, prepare?, reduce, emit? }
+   * @param {object} options - { builtin }
+   * @returns {TransactionRegistry} this (chainable)
+   */
+  register(type, handler, { builtin = false } = {}) {
+    if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+      throw new Error(`Invalid transaction type: ${type} (expected namespace.action)`);
+    }
+    if (!handler || typeof handler.reduce !== 'function') {
+      throw new Error(`Transaction handler for ${type} requires a reduce() function`);
+    }
+    for (const hook of ['validate', 'prepare', 'emit']) {
+      if (handler[hook] !== undefined && typeof handler[hook] !== 'function') {
+        throw new Error(`Transaction handler ${hook} for ${type} must be a function`);
+      }
+    }
+    if (this._builtin.has(type)) {
+      throw new Error(`Cannot override built-in transaction type: ${type}`);
+    }
+    if (this._handlers.has(type)) {
+      throw new Error(`Transaction type already registered: ${type}`);
+    }
+
+    this._handlers.set(type, Object.freeze({ ...handler }));
+    if (builtin) this._builtin.add(type);
+
+    return this;
+  }
+
+  has(type) {
+    return this._handlers.has(type);
+  }
+
+  /**
+   * Get handler, throwing for unknown types
+   */
+  get(type) {
+    const handler = this._handlers.get(type);
+    if (!handler) {
+      throw new Error(`Unknown transaction type: ${type}`);
+    }
+    return handler;
+  }
+
+  isBuiltin(type) {
+    return this._builtin.has(type);
+  }
+
+  types() {
+    return Array.from(this._handlers.keys());
+  }
+
+  /**
+   * Validate a payload against its type's handler
+   */
+  validate(type, payload) {
+    const handler = this.get(type);
+    if (handler.validate) {
+      handler.validate(payload);
+    }
+  }
+}
+
+/**
+ * Built-in kernel transaction handlers
+ */
+export const BuiltinTransactions = Object.freeze({
+  'ledger.append': {
+    validate(payload) {
+      if (!payload.action || typeof payload.action !== 'string') {
+        throw new Error('ledger.append requires a string action field');
+      }
+      if (typeof payload.data !== 'object' || payload.data === null) {
+        throw new Error('ledger.append requires an object data field');
+      }
+    },
+
+    // Pre-create the entry so it is covered by the transaction hash.
+    // This ensures deterministic replay with consistent signatures.
+    // The entry is linked to the signer's previous entry in the ledger
+    // and carries the transaction's causal stamp.
+    async prepare(payload, { identity, pulse, stamp, state }) {
+      const { action, data } = payload;
+      const entry = await LedgerEntry.create(
+        identity,
+        action,
+        data,
+        pulse,
+        state.ledger.nextLink(identity.did),
+        { stamp }
+      );
+      return {
+        action,
+        data,
+        _ledgerEntry: entry.toJSON()
+      };
+    },
+
+    async reduce(state, tx, { adapters }) {
+      const { action, data, _ledgerEntry } = tx.payload;
+
+      let entry;
+
+      // If transaction has a stored entry (from execution), use it
+      if (_ledgerEntry) {
+        entry = LedgerEntry.fromJSON(_ledgerEntry);
+
+        // SECURITY: Recompute hash to detect tampering
+        // If someone tampered with the entry data, this will produce a different hash
+        entry.hash = await entry.computeHash();
+
+        // A foreign author may only append entries it signed itself, as
+        // the next link of its own chain
+        if (tx.author) {
+          if (entry.did !== tx.author.did) {
+            throw new Error(`ledger.append entry signer ${entry.did} is not the author ${tx.author.did}`);
+          }
+          if (!entry.isLinked()) {
+            throw new Error('ledger.append from a foreign author requires a linked entry');
+          }
+          await state.ledger.checkEntry(entry, { resolver: adapters.resolver });
+        }
+      } else if (tx.author) {
+        throw new Error('ledger.append from a foreign author requires a prepared entry');
+      } else {
+        // Fallback: create new entry (legacy support)
+        entry = await LedgerEntry.create(state.identity, action, data, tx.pulse);
+      }
+
+      // Create new ledger with entry
+      return { ledger: await state.ledger.withEntry(entry) };
+    },
+
+    async emit(fabric, payload, newState) {
+      await fabric.emit(
+        EventCategory.LEDGER,
+        'entry.appended',
+        {
+          action: payload.action,
+          data: payload.data,
+          ledgerSize: newState.ledger.entries.length
+        },
+        { priority: EventPriority.NORMAL }
+      );
+    }
+  },
+
+  'router.register': {
+    validate(payload) {
+      if (!payload.did || typeof payload.did !== 'string') {
+        throw new Error('router.register requires a string did field');
+      }
+      if (!payload.endpoint || typeof payload.endpoint !== 'string') {
+        throw new Error('router.register requires a string endpoint field');
+      }
+    },
+
+    async reduce(state, tx, { adapters, logger }) {
+      const { did, endpoint } = tx.payload;
+
+      // Router is immutable, create new one with registration
+      const router = new DIDRouter({
+        clock: adapters.clock,
+        nonce: adapters.nonce,
+        logger
+      });
+
+      // Copy existing routes
+      router.routes = new Map(state.router.routes);
+
+      // Add new route
+      await router.register(did, endpoint);
+
+      return { router };
+    },
+
+    async emit(fabric, payload) {
+      await fabric.emit(
+        EventCategory.IDENTITY,
+        'route.registered',
+        {
+          did: payload.did,
+          endpoint: payload.endpoint
+        },
+        { priority: EventPriority.HIGH }
+      );
+    }
+  },
+
+  'state.snapshot': {
+    // Pure snapshot, no mutations
+    async reduce() {
+      return {};
+    }
+  }
+});
+
+/**
+ * Create a registry pre-loaded with the built-in kernel transactions
+ *
+ * @param {object} handlers - Optional { type: handler } map of app transactions
+ * @returns {TransactionRegistry}
+ */
+export function createTransactionRegistry(handlers = {}) {
+  const registry = new TransactionRegistry();
+
+  for (const [type, handler] of Object.entries(BuiltinTransactions)) {
+    registry.register(type, handler, { builtin: true });
+  }
+
+  for (const [type, handler] of Object.entries(handlers)) {
+    registry.register(type, handler);
+  }
+
+  return registry;
+}
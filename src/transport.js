@@ -0,0 +1,138 @@
+/**
+ * SRCP007 - Transport Contract
+ *
+ * What the network protocols (MessagingProtocol, BootstrapRegistry,
+ * CallProtocol, PublicFeed, Mailbox) need from a network, addressed by DID.
+ *
+ * === TRANSPORT CONTRACT ===
+ * {
+ *   myDID                            - DID messages are sent from
+ *   initialize()                     - connect; resolves once messages flow
+ *   sendMessage(did, type, payload)  - resolves true if handed to the peer,
+ *                                      false if it cannot be reached
+ *   on('message:<type>', handler)    - handler(fromDID, payload), one per
+ *                                      type; registering again replaces it.
+ *                                      Types contain no ':'.
+ *   on(event, handler)               - 'peer:connected' / 'peer:disconnected'
+ *                                      ({ did }), 'message:received'
+ *                                      ({ from, type, payload }),
+ *                                      'message:error' ({ from, type, error })
+ *                                      when a handler throws or a message is
+ *                                      malformed - never thrown at the sender
+ *   off(event, handler)
+ *   getConnectedPeers()              - DIDs reachable now
+ *   shutdown()                       - disconnect
+ *
+ *   Optional:
+ *   call(did, stream)                - media calls (CallProtocol)
+ * }
+ *
+ * Payloads are JSON: implementations deliver copies, never shared objects.
+ *
+ * Implementations: P2PTransport (PeerJS / WebRTC, browsers),
+ * MemoryTransport (memory-transport.js, simulated network for tests and
+ * simulations), WebSocketTransport (websocket-transport.js, through a
+ * relay such as WebSocketRelay in websocket-relay.js).
+ *
+ * @module transport
+ * @version 1.0.0
+ */
+
+// message:* names that are events, not message types
+const MESSAGE_EVENTS = new Set(['message:received', 'message:error']);
+
+/**
+ * Check an object implements the transport contract
+ */
+export function isTransport(transport) {
+  return Boolean(transport) &&
+    ['initialize', 'sendMessage', 'on', 'off', 'getConnectedPeers', 'shutdown']
+      .every(method => typeof transport[method] === 'function');
+}
+
+/**
+ * Handler bookkeeping shared by transports: subclasses implement
+ * initialize(), sendMessage(), getConnectedPeers() and shutdown(), and
+ * pass what arrives to handleIncomingMessage()
+ */
+export class Transport {
+  constructor(did) {
+    this.myDID = did;
+    this.messageHandlers = new Map(); // type -> handler function
+    this._eventHandlers = new Map();  // event -> [handler]
+  }
+
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  async sendMessage(targetDID, type, payload) {
+    throw new Error(`${this.constructor.name} does not implement sendMessage()`);
+  }
+
+  getConnectedPeers() {
+    throw new Error(`${this.constructor.name} does not implement getConnectedPeers()`);
+  }
+
+  shutdown() {
+    throw new Error(`${this.constructor.name} does not implement shutdown()`);
+  }
+
+  /**
+   * Register message handler
+   */
+  on(eventType, handler) {
+    if (eventType.startsWith('message:') && !MESSAGE_EVENTS.has(eventType)) {
+      this.messageHandlers.set(eventType.split(':')[1], handler);
+      return;
+    }
+    if (!this._eventHandlers.has(eventType)) {
+      this._eventHandlers.set(eventType, []);
+    }
+    this._eventHandlers.get(eventType).push(handler);
+  }
+
+  /**
+   * Remove a handler registered with on()
+   */
+  off(eventType, handler) {
+    if (eventType.startsWith('message:') && !MESSAGE_EVENTS.has(eventType)) {
+      const type = eventType.split(':')[1];
+      if (this.messageHandlers.get(type) === handler) this.messageHandlers.delete(type);
+      return;
+    }
+    const handlers = this._eventHandlers.get(eventType) || [];
+    this._eventHandlers.set(eventType, handlers.filter(h => h !== handler));
+  }
+
+  /**
+   * Emit event
+   */
+  emit(eventType, data) {
+    const handlers = this._eventHandlers.get(eventType) || [];
+    handlers.forEach(handler => handler(data));
+  }
+
+  /**
+   * Route an incoming message to its type's handler
+   *
+   * Never throws: what arrives comes from remote peers, so a malformed
+   * message or a failing handler is reported as 'message:error'.
+   */
+  async handleIncomingMessage(remoteDID, message) {
+    const { type, payload } = message || {};
+    if (typeof type !== 'string') {
+      this.emit('message:error', { from: remoteDID, type, error: new Error('Malformed message') });
+      return;
+    }
+    try {
+      const handler = this.messageHandlers.get(type);
+      if (handler) {
+        await handler(remoteDID, payload);
+      }
+      this.emit('message:received', { from: remoteDID, type, payload });
+    } catch (error) {
+      this.emit('message:error', { from: remoteDID, type, error });
+    }
+  }
+}
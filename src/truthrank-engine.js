@@ -2,6 +2,8 @@
  * TruthRank Standalone Engine - No External Dependencies
  */
 
+import { tallyWithDelegation } from './delegation.js';
+
 // Minimal SRCP stub
 class SovereignEngine {
   constructor(identity) {
@@ -98,6 +100,37 @@ export class TruthRankEngine extends SovereignEngine {
     return true;
   }
 
+  /**
+   * Recount a claim's verdicts with delegated weight (delegation.js)
+   * Voters keep the weight of their own vote; each delegator whose chain
+   * reaches a voter adds weightOf(delegator) to that voter's verdict.
+   *
+   * @param {string} claimId - Claim
+   * @param {Map<string, string>} delegations - getDelegations(ledger, claim.category, { subject: claimId })
+   * @param {Function} weightOf - did => weight of a delegator, e.g. karmaWeight(karmaOf)
+   * @returns {object} tallyWithDelegation() result
+   */
+  tallyClaim(claimId, delegations, weightOf) {
+    const claim = this.claims.get(claimId);
+    if (!claim) throw new Error('Claim not found');
+
+    const votes = new Map();
+    for (const vote of this.votes.values()) {
+      if (vote.claimId === claimId) votes.set(vote.voter, vote);
+    }
+    const ballots = new Map(Array.from(votes, ([voter, vote]) => [voter, vote.verdict]));
+    const tally = tallyWithDelegation(ballots, delegations, did =>
+      votes.has(did) ? votes.get(did).weight : weightOf(did));
+
+    claim.votes = {
+      verified: tally.totals[Verdict.VERIFIED] || 0,
+      false: tally.totals[Verdict.FALSE] || 0,
+      disputed: tally.totals[Verdict.DISPUTED] || 0
+    };
+    this._updateConsensus(claim);
+    return tally;
+  }
+
   _updateConsensus(claim) {
     const total = claim.votes.verified + claim.votes.false + claim.votes.disputed;
     if (total === 0) return;
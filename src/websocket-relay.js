@@ -0,0 +1,156 @@
+/**
+ * SRCP007 - WebSocket Relay (Node.js only)
+ *
+ * Small relay forwarding messages between WebSocketTransports
+ * (websocket-transport.js), so protocols run headless without WebRTC or
+ * PeerJS, over the WebSocket implementation in websocket.js.
+ *
+ * Relay protocol - one JSON object per text message:
+ *   relay  -> client   { type: 'challenge', nonce }
+ *   client -> relay    { type: 'hello', did, publicKey, signature }
+ *                      signature over { domain: 'srcp-relay/hello', nonce }
+ *                      by the key of `did`
+ *   relay  -> client   { type: 'welcome', peers } or { type: 'error', reason }
+ *   client -> relay    { type: 'send', id, to, message: { type, payload } }
+ *   relay  -> client   { type: 'sent', id, delivered }
+ *   relay  -> client   { type: 'deliver', from, message }
+ *   relay  -> client   { type: 'peer', did, online }
+ *
+ * A DID connects once: a new authenticated connection replaces the old.
+ * The relay sees who talks to whom and every payload - encrypt end to end
+ * (MessagingProtocol.useEncryption()) where that matters.
+ *
+ * NodeWebSocket (websocket.js) is re-exported for Node clients.
+ *
+ * @module websocket-relay
+ * @version 1.0.0
+ */
+
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { Identity } from './identity.js';
+import { CloseCode, WebSocketConnection, acceptUpgrade } from './websocket.js';
+
+export { CloseCode, NodeWebSocket } from './websocket.js';
+
+export const HELLO_DOMAIN = 'srcp-relay/hello';
+
+export class WebSocketRelay {
+  /**
+   * @param {object} options - { maxMessageBytes }
+   */
+  constructor({ maxMessageBytes = 1024 * 1024 } = {}) {
+    this.maxMessageBytes = maxMessageBytes;
+    this.clients = new Map();      // DID -> connection
+    this.connections = new Set();  // every open connection, authenticated or not
+    this.server = createServer((request, response) => {
+      response.writeHead(426, { Upgrade: 'websocket', 'Content-Type': 'text/plain' });
+      response.end('WebSocket relay: upgrade required\n');
+    });
+    this.server.on('upgrade', (request, socket, head) => this._upgrade(request, socket, head));
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<number>} The port (pass 0 for any free one)
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Close every connection and stop listening
+   */
+  close() {
+    for (const connection of this.connections) {
+      connection.close(CloseCode.GOING_AWAY, 'Relay shutting down');
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  getConnectedDIDs() {
+    return Array.from(this.clients.keys());
+  }
+
+  _upgrade(request, socket, head) {
+    if (!acceptUpgrade(request, socket)) return;
+
+    const client = { did: null, nonce: randomBytes(32).toString('base64'), connection: null };
+    client.connection = new WebSocketConnection(socket, {
+      client: false,
+      maxMessageBytes: this.maxMessageBytes,
+      head,
+      onMessage: text => this._receive(client, text).catch(() => client.connection.close(CloseCode.INVALID_DATA, 'Invalid message')),
+      onClose: () => this._disconnected(client)
+    });
+    this.connections.add(client.connection);
+    this._send(client, { type: 'challenge', nonce: client.nonce });
+  }
+
+  async _receive(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      client.connection.close(CloseCode.INVALID_DATA, 'Messages must be JSON');
+      return;
+    }
+
+    if (!client.did) {
+      await this._hello(client, message);
+      return;
+    }
+
+    if (message.type === 'send' && typeof message.to === 'string' && message.message) {
+      const target = this.clients.get(message.to);
+      const delivered = Boolean(target) && this._send(target, { type: 'deliver', from: client.did, message: message.message });
+      this._send(client, { type: 'sent', id: message.id, delivered });
+    } else {
+      this._send(client, { type: 'error', reason: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  async _hello(client, { type, did, publicKey, signature }) {
+    const valid = type === 'hello' && typeof did === 'string' &&
+      await Identity.verify(publicKey, { domain: HELLO_DOMAIN, nonce: client.nonce }, signature, { did });
+    if (!valid) {
+      this._send(client, { type: 'error', reason: 'Authentication failed' });
+      client.connection.close(CloseCode.UNAUTHORIZED, 'Authentication failed');
+      return;
+    }
+
+    const previous = this.clients.get(did);
+    client.did = did;
+    this.clients.set(did, client);
+    if (previous) {
+      previous.connection.close(CloseCode.REPLACED, 'Replaced by a new connection');
+    }
+
+    this._send(client, { type: 'welcome', peers: this.getConnectedDIDs().filter(peer => peer !== did) });
+    if (!previous) this._broadcast(did, { type: 'peer', did, online: true });
+  }
+
+  _disconnected(client) {
+    this.connections.delete(client.connection);
+    if (!client.did || this.clients.get(client.did) !== client) return;
+    this.clients.delete(client.did);
+    this._broadcast(client.did, { type: 'peer', did: client.did, online: false });
+  }
+
+  _broadcast(exceptDID, message) {
+    for (const [did, client] of this.clients) {
+      if (did !== exceptDID) this._send(client, message);
+    }
+  }
+
+  _send(client, message) {
+    return client.connection.send(JSON.stringify(message));
+  }
+}
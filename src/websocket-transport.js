@@ -0,0 +1,148 @@
+/**
+ * SRCP007 - WebSocket Relay Transport
+ *
+ * Transport (transport.js) through a WebSocket relay (relay protocol in
+ * websocket-relay.js): the relay challenges the connection, the transport
+ * proves its DID by signing the challenge, then every message goes through
+ * the relay to the peer's connection. Connected peers are the DIDs
+ * connected to the same relay.
+ *
+ * Works wherever a WebSocket class exists: browsers, Node 22+, or Node 20
+ * with NodeWebSocket (websocket-relay.js) passed as `WebSocket`.
+ *
+ * @module websocket-transport
+ * @version 1.0.0
+ */
+
+import { Transport } from './transport.js';
+
+const HELLO_DOMAIN = 'srcp-relay/hello';
+
+export class WebSocketTransport extends Transport {
+  /**
+   * @param {Identity} identity - DID to connect as
+   * @param {string} url - Relay URL, e.g. ws://localhost:8080
+   * @param {object} options - { WebSocket: class, defaults to the global one }
+   */
+  constructor(identity, url, { WebSocket = globalThis.WebSocket } = {}) {
+    super(identity.did);
+    if (!WebSocket) {
+      throw new Error('No WebSocket implementation: pass { WebSocket }');
+    }
+    this.identity = identity;
+    this.url = url;
+    this.WebSocket = WebSocket;
+    this.socket = null;
+    this.ready = false;
+    this.peers = new Set();      // DIDs connected to the relay
+    this.pending = new Map();    // send id -> resolve(delivered)
+    this.sequence = 0;
+    this.connecting = null;      // { resolve, reject } until welcomed
+  }
+
+  /**
+   * Connect to the relay and authenticate
+   *
+   * @returns {Promise<string>} Own DID, once the relay has accepted it
+   */
+  initialize() {
+    if (this.socket) {
+      throw new Error('WebSocketTransport already initialized');
+    }
+    return new Promise((resolve, reject) => {
+      this.connecting = { resolve, reject };
+      this.socket = new this.WebSocket(this.url);
+      this.socket.onmessage = event => this._receive(event.data)
+        .catch(error => this.emit('transport:error', { reason: error.message }));
+      this.socket.onclose = event => this._closed(event);
+      this.socket.onerror = () => {};
+    });
+  }
+
+  async sendMessage(targetDID, type, payload) {
+    if (!this.ready) return false;
+    const id = ++this.sequence;
+    const sent = new Promise(resolve => this.pending.set(id, resolve));
+    this.socket.send(JSON.stringify({ type: 'send', id, to: targetDID, message: { type, payload } }));
+    return await sent;
+  }
+
+  getConnectedPeers() {
+    return Array.from(this.peers);
+  }
+
+  shutdown() {
+    if (this.socket) this.socket.close(1000, 'Shutting down');
+  }
+
+  async _receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'challenge': {
+        const signature = await this.identity.sign({ domain: HELLO_DOMAIN, nonce: message.nonce });
+        this.socket.send(JSON.stringify({
+          type: 'hello',
+          did: this.myDID,
+          publicKey: this.identity.publicKeyJWK,
+          signature
+        }));
+        break;
+      }
+
+      case 'welcome':
+        this.ready = true;
+        message.peers.forEach(did => this._peer(did, true));
+        if (this.connecting) this.connecting.resolve(this.myDID);
+        this.connecting = null;
+        break;
+
+      case 'error':
+        if (this.connecting) this.connecting.reject(new Error(`Relay refused connection: ${message.reason}`));
+        this.connecting = null;
+        this.emit('transport:error', { reason: message.reason });
+        break;
+
+      case 'sent': {
+        const resolve = this.pending.get(message.id);
+        this.pending.delete(message.id);
+        if (resolve) resolve(message.delivered === true);
+        break;
+      }
+
+      case 'deliver':
+        await this.handleIncomingMessage(message.from, message.message);
+        break;
+
+      case 'peer':
+        this._peer(message.did, message.online);
+        break;
+    }
+  }
+
+  _peer(did, online) {
+    if (online && !this.peers.has(did)) {
+      this.peers.add(did);
+      this.emit('peer:connected', { did });
+    } else if (!online && this.peers.delete(did)) {
+      this.emit('peer:disconnected', { did });
+    }
+  }
+
+  _closed({ code, reason }) {
+    this.ready = false;
+    this.socket = null;
+    if (this.connecting) this.connecting.reject(new Error(`Relay connection closed (${code}): ${reason}`));
+    this.connecting = null;
+
+    this.pending.forEach(resolve => resolve(false));
+    this.pending.clear();
+    Array.from(this.peers).forEach(did => this._peer(did, false));
+    this.emit('transport:closed', { code, reason });
+  }
+}
@@ -0,0 +1,351 @@
+/**
+ * SRCP007 - WebSocket (Node.js only)
+ *
+ * WebSocket (RFC 6455) on node:http, shared by the WebSocket relay
+ * (websocket-relay.js) and the signaling server (signaling-server.js):
+ * text messages, fragmentation, ping/pong and the closing handshake;
+ * binary messages and extensions are not used.
+ *
+ * NodeWebSocket is a client with the browser WebSocket interface, for
+ * Node versions without a global WebSocket.
+ *
+ * @module websocket
+ * @version 1.0.0
+ */
+
+import { request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { createHash, randomBytes } from 'node:crypto';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export const CloseCode = Object.freeze({
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  ABNORMAL: 1006,
+  INVALID_DATA: 1007,
+  POLICY_VIOLATION: 1008,
+  TOO_BIG: 1009,
+  REPLACED: 4000,
+  UNAUTHORIZED: 4001
+});
+
+const Opcode = Object.freeze({
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+});
+
+class WebSocketError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function acceptKey(key) {
+  return createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+// One unfragmented frame; client frames are masked (RFC 6455 5.3)
+function encodeFrame(opcode, payload, masked) {
+  const length = payload.length;
+  const extended = length < 126 ? 0 : length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + extended + (masked ? 4 : 0));
+
+  header[0] = 0x80 | opcode;
+  header[1] = (masked ? 0x80 : 0) | (extended === 0 ? length : extended === 2 ? 126 : 127);
+  if (extended === 2) header.writeUInt16BE(length, 2);
+  if (extended === 8) header.writeBigUInt64BE(BigInt(length), 2);
+  if (!masked) return Buffer.concat([header, payload]);
+
+  const mask = randomBytes(4);
+  mask.copy(header, 2 + extended);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Complete a server-side upgrade: answer 101 Switching Protocols, or 400
+ * and end the socket when the request is not a valid WebSocket handshake
+ *
+ * @returns {boolean} Whether the socket now speaks WebSocket
+ */
+export function acceptUpgrade(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  if (request.method !== 'GET' ||
+      (request.headers.upgrade || '').toLowerCase() !== 'websocket' ||
+      request.headers['sec-websocket-version'] !== '13' ||
+      !key || Buffer.from(key, 'base64').length !== 16) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return false;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '', ''
+  ].join('\r\n'));
+  return true;
+}
+
+/**
+ * Frames and messages of one end of a WebSocket over an upgraded socket
+ * Calls onMessage(text) and, once, onClose(code, reason).
+ */
+export class WebSocketConnection {
+  constructor(socket, { client, maxMessageBytes, head = null, onMessage, onClose }) {
+    this.socket = socket;
+    this.client = client;
+    this.maxMessageBytes = maxMessageBytes;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;       // { opcode, chunks, size } of a message in progress
+    this.closeSent = false;
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this._receive(chunk));
+    socket.on('close', () => this._finish(CloseCode.ABNORMAL, ''));
+    socket.on('error', () => socket.destroy());
+    if (head && head.length > 0) this._receive(head);
+  }
+
+  send(text) {
+    if (this.closeSent) return false;
+    this.socket.write(encodeFrame(Opcode.TEXT, Buffer.from(text, 'utf8'), this.client));
+    return true;
+  }
+
+  close(code = CloseCode.NORMAL, reason = '') {
+    if (this.closeSent) return;
+    this.closeSent = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.write(encodeFrame(Opcode.CLOSE, payload, this.client));
+    this.closeCode = code;
+    this.closeReason = reason;
+    // The server closes the TCP connection first (RFC 6455 7.1.1)
+    if (!this.client) this.socket.end();
+  }
+
+  _receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    try {
+      let frame;
+      while (!this.closed && (frame = this._nextFrame())) {
+        this._handleFrame(frame);
+      }
+    } catch (error) {
+      if (!(error instanceof WebSocketError)) throw error;
+      this.close(error.code, error.message);
+      this.socket.end();
+    }
+  }
+
+  // Parse one complete frame off the buffer, or return null
+  _nextFrame() {
+    if (this.buffer.length < 2) return null;
+    const first = this.buffer[0];
+    const second = this.buffer[1];
+    if (first & 0x70) {
+      throw new WebSocketError(CloseCode.PROTOCOL_ERROR, 'Reserved bits set');
+    }
+    const masked = Boolean(second & 0x80);
+    if (masked === this.client) {
+      throw new WebSocketError(CloseCode.PROTOCOL_ERROR, this.client ? 'Masked server frame' : 'Unmasked client frame');
+    }
+
+    let length = second & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (this.buffer.length < 4) return null;
+      length = this.buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (this.buffer.length < 10) return null;
+      const long = this.buffer.readBigUInt64BE(2);
+      if (long > BigInt(this.maxMessageBytes)) {
+        throw new WebSocketError(CloseCode.TOO_BIG, 'Message too big');
+      }
+      length = Number(long);
+      offset = 10;
+    }
+    if (length > this.maxMessageBytes) {
+      throw new WebSocketError(CloseCode.TOO_BIG, 'Message too big');
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (this.buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+    }
+    this.buffer = this.buffer.subarray(offset + length);
+    return { fin: Boolean(first & 0x80), opcode: first & 0x0f, payload };
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    if (opcode >= Opcode.CLOSE) {
+      if (!fin || payload.length > 125) {
+        throw new WebSocketError(CloseCode.PROTOCOL_ERROR, 'Invalid control frame');
+      }
+      this._handleControl(opcode, payload);
+      return;
+    }
+
+    if (opcode === Opcode.CONTINUATION) {
+      if (!this.fragments) {
+        throw new WebSocketError(CloseCode.PROTOCOL_ERROR, 'Continuation without a message');
+      }
+    } else if (opcode === Opcode.TEXT || opcode === Opcode.BINARY) {
+      if (this.fragments) {
+        throw new WebSocketError(CloseCode.PROTOCOL_ERROR, 'New message inside a fragmented one');
+      }
+      this.fragments = { opcode, chunks: [], size: 0 };
+    } else {
+      throw new WebSocketError(CloseCode.PROTOCOL_ERROR, `Unknown opcode ${opcode}`);
+    }
+
+    this.fragments.chunks.push(payload);
+    this.fragments.size += payload.length;
+    if (this.fragments.size > this.maxMessageBytes) {
+      throw new WebSocketError(CloseCode.TOO_BIG, 'Message too big');
+    }
+    if (!fin) return;
+
+    const { opcode: messageOpcode, chunks } = this.fragments;
+    this.fragments = null;
+    if (messageOpcode === Opcode.BINARY) {
+      throw new WebSocketError(CloseCode.UNSUPPORTED_DATA, 'Binary messages are not supported');
+    }
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(Buffer.concat(chunks));
+    } catch (error) {
+      throw new WebSocketError(CloseCode.INVALID_DATA, 'Invalid UTF-8');
+    }
+    if (!this.closeSent) this.onMessage(text);
+  }
+
+  _handleControl(opcode, payload) {
+    if (opcode === Opcode.PING) {
+      if (!this.closeSent) this.socket.write(encodeFrame(Opcode.PONG, payload, this.client));
+    } else if (opcode === Opcode.CLOSE) {
+      const code = payload.length >= 2 ? payload.readUInt16BE(0) : CloseCode.NORMAL;
+      const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+      this.close(code);
+      this._finish(code, reason);
+      this.socket.end();
+    }
+  }
+
+  _finish(code, reason) {
+    if (this.closed) return;
+    this.closed = true;
+    if (code === CloseCode.ABNORMAL && this.closeSent) {
+      code = this.closeCode;
+      reason = this.closeReason;
+    }
+    this.onClose(code, reason);
+  }
+}
+
+/**
+ * WebSocket client with the browser interface (onopen, onmessage,
+ * onclose, onerror, send(), close(), readyState) over node:http
+ */
+export class NodeWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  constructor(url, { maxMessageBytes = 1024 * 1024 } = {}) {
+    const target = new URL(url);
+    if (target.protocol !== 'ws:' && target.protocol !== 'wss:') {
+      throw new Error(`Not a WebSocket URL: ${url}`);
+    }
+
+    this.url = url;
+    this.readyState = NodeWebSocket.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.connection = null;
+
+    const key = randomBytes(16).toString('base64');
+    const request = (target.protocol === 'wss:' ? httpsRequest : httpRequest)({
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'wss:' ? 443 : 80),
+      path: `${target.pathname}${target.search}`,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13'
+      }
+    });
+
+    request.on('upgrade', (response, socket, head) => {
+      if (response.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy();
+        this._fail('Invalid Sec-WebSocket-Accept');
+        return;
+      }
+      this.connection = new WebSocketConnection(socket, {
+        client: true,
+        maxMessageBytes,
+        head,
+        onMessage: data => this.onmessage && this.onmessage({ data }),
+        onClose: (code, reason) => this._closed(code, reason)
+      });
+      this.readyState = NodeWebSocket.OPEN;
+      if (this.onopen) this.onopen({});
+    });
+    request.on('response', response => {
+      response.resume();
+      this._fail(`Unexpected response ${response.statusCode}`);
+    });
+    request.on('error', error => this._fail(error.message));
+    request.end();
+  }
+
+  send(data) {
+    if (this.readyState !== NodeWebSocket.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    this.connection.send(String(data));
+  }
+
+  close(code = CloseCode.NORMAL, reason = '') {
+    if (this.readyState !== NodeWebSocket.OPEN) return;
+    this.readyState = NodeWebSocket.CLOSING;
+    this.connection.close(code, reason);
+  }
+
+  _fail(message) {
+    if (this.readyState === NodeWebSocket.CLOSED) return;
+    if (this.onerror) this.onerror({ message });
+    this._closed(CloseCode.ABNORMAL, message);
+  }
+
+  _closed(code, reason) {
+    if (this.readyState === NodeWebSocket.CLOSED) return;
+    this.readyState = NodeWebSocket.CLOSED;
+    if (this.onclose) this.onclose({ code, reason, wasClean: code !== CloseCode.ABNORMAL });
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * SRCP007 - X3DH Key Agreement
+ *
+ * Asynchronous session setup between two DIDs (Signal's X3DH over P-256):
+ *
+ *   1. Bob       createPrekeys()     - signed prekey bundle to publish, e.g.
+ *                                      publishPrekeys() on the bootstrap
+ *                                      registry ledger; secrets stay local
+ *   2. Alice     initiateSession()   - verifies the bundle, derives the
+ *                                      shared secret and a handshake to send
+ *                                      with her first message
+ *   3. Bob       acceptSession()     - derives the same secret from the
+ *                                      handshake, offline from Alice
+ *
+ *   SK = HKDF(DH(IK_A, SPK_B) || DH(EK_A, IK_B) || DH(EK_A, SPK_B) || DH(EK_A, OPK_B))
+ *
+ * Identity keys (IK) are the DIDs' own P-256 keys, reused for ECDH as in
+ * sealed-box.js, and checked against the DIDs with Identity.isKeyFor(), so
+ * a session is bound to both DIDs. The associated data names both and is
+ * authenticated with every message of the session (double-ratchet.js).
+ *
+ * The one-time prekey (OPK) is optional: bundles carry several and the
+ * initiator picks one at random. The responder deletes it once the first
+ * message decrypts, so a replayed handshake cannot open a second session.
+ * A ledger cannot hand a one-time prekey to a single initiator, so the
+ * responder republishes its bundle without used keys (retirePrekeys()); a
+ * handshake naming a key already used fails.
+ *
+ * Keys come from the platform CSPRNG - NOT deterministic.
+ *
+ * @module x3dh
+ * @version 1.0.0
+ */
+
+import { Canonical } from './canonical.js';
+import { Identity } from './identity.js';
+import { generateDHKeyPair, diffieHellman, hkdf } from './double-ratchet.js';
+
+export const PREKEY_ACTION = 'registry:prekeys';
+
+const BUNDLE_VERSION = 1;
+const X3DH_INFO = 'srcp-x3dh-v1';
+
+function publicJWK({ kty, crv, x, y }) {
+  return { kty, crv, x, y };
+}
+
+function unsignedBundle({ signature, ...body }) {
+  return { domain: 'srcp-x3dh/prekeys', ...body };
+}
+
+// The identity's own key pair as ECDH JWKs
+async function identityKeyPair(identity) {
+  const { kty, crv, x, y, d } = await crypto.subtle.exportKey('jwk', identity.keyPair.privateKey);
+  return { publicKey: { kty, crv, x, y }, privateKey: { kty, crv, x, y, d } };
+}
+
+// HKDF over 32 0xFF bytes followed by the DH outputs
+async function deriveSharedSecret(outputs) {
+  const ikm = new Uint8Array(32 * (outputs.length + 1)).fill(0xff);
+  outputs.forEach((output, i) => ikm.set(output, 32 * (i + 1)));
+  return Canonical.arrayBufferToBase64(await hkdf(ikm, new Uint8Array(32), X3DH_INFO, 32));
+}
+
+function associatedData(initiatorDID, initiatorKey, responderDID, responderKey) {
+  return {
+    initiator: initiatorDID,
+    initiatorKey: publicJWK(initiatorKey),
+    responder: responderDID,
+    responderKey: publicJWK(responderKey)
+  };
+}
+
+/**
+ * Generate a signed prekey and one-time prekeys
+ *
+ * @param {Identity} identity - Owner
+ * @param {object} options - { signedPrekeyId, oneTimePrekeys: how many }
+ * @returns {Promise<object>} {
+ *   bundle: public, signed by the identity - publish it,
+ *   secrets: { signedPrekey, oneTimePrekeys: keyId -> private JWK } - keep private
+ * }
+ */
+export async function createPrekeys(identity, { signedPrekeyId = 1, oneTimePrekeys = 20 } = {}) {
+  const signedPrekey = await generateDHKeyPair();
+  const oneTime = [];
+  for (let keyId = 1; keyId <= oneTimePrekeys; keyId++) {
+    oneTime.push({ keyId, ...(await generateDHKeyPair()) });
+  }
+
+  const body = {
+    version: BUNDLE_VERSION,
+    did: identity.did,
+    identityKey: identity.publicKeyJWK,
+    signedPrekey: { keyId: signedPrekeyId, publicKey: signedPrekey.publicKey },
+    oneTimePrekeys: oneTime.map(({ keyId, publicKey }) => ({ keyId, publicKey }))
+  };
+
+  return {
+    bundle: { ...body, signature: await identity.sign(unsignedBundle(body)) },
+    secrets: {
+      signedPrekey: { keyId: signedPrekeyId, ...signedPrekey },
+      oneTimePrekeys: Object.fromEntries(oneTime.map(({ keyId, privateKey }) => [keyId, privateKey]))
+    }
+  };
+}
+
+/**
+ * Check a bundle is signed by the key of the DID it names
+ */
+export async function verifyPrekeyBundle(bundle) {
+  if (!bundle || bundle.version !== BUNDLE_VERSION || !bundle.signedPrekey || !Array.isArray(bundle.oneTimePrekeys)) {
+    return false;
+  }
+  return await Identity.verify(bundle.identityKey, unsignedBundle(bundle), bundle.signature, { did: bundle.did });
+}
+
+/**
+ * Re-sign `bundle` without the one-time prekeys `keyIds`, to republish it
+ * once they are used
+ */
+export async function retirePrekeys(identity, bundle, keyIds) {
+  const { signature, ...body } = bundle;
+  const retired = { ...body, oneTimePrekeys: body.oneTimePrekeys.filter(k => !keyIds.includes(k.keyId)) };
+  return { ...retired, signature: await identity.sign(unsignedBundle(retired)) };
+}
+
+/**
+ * Record a prekey bundle on a registry ledger (see BootstrapRegistry)
+ */
+export async function publishPrekeys(ledger, identity, bundle, pulse) {
+  if (bundle.did !== identity.did) {
+    throw new Error('Prekey bundle belongs to another DID');
+  }
+  return await ledger.createEntry(identity, PREKEY_ACTION, bundle, pulse);
+}
+
+/**
+ * Latest valid bundle published by `did` on `ledger`, or null
+ */
+export async function findPrekeyBundle(ledger, did) {
+  const entries = ledger.getEntriesByAction(PREKEY_ACTION)
+    .filter(e => e.did === did && e.data.did === did);
+  for (const entry of entries.reverse()) {
+    if (await verifyPrekeyBundle(entry.data)) {
+      return entry.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Start a session with the owner of `bundle`
+ *
+ * @param {Identity} identity - Initiator
+ * @param {object} bundle - Responder's prekey bundle
+ * @returns {Promise<object>} {
+ *   sharedSecret (base64), associatedData,
+ *   handshake: send with the first message,
+ *   remoteKey: the responder's signed prekey, its first ratchet key
+ * }
+ */
+export async function initiateSession(identity, bundle) {
+  if (!(await verifyPrekeyBundle(bundle))) {
+    throw new Error(`Invalid prekey bundle for ${bundle && bundle.did}`);
+  }
+
+  const own = await identityKeyPair(identity);
+  const ephemeral = await generateDHKeyPair();
+  const signedPrekey = bundle.signedPrekey.publicKey;
+  const oneTime = bundle.oneTimePrekeys.length > 0
+    ? bundle.oneTimePrekeys[crypto.getRandomValues(new Uint32Array(1))[0] % bundle.oneTimePrekeys.length]
+    : null;
+
+  const outputs = [
+    await diffieHellman(own.privateKey, signedPrekey),
+    await diffieHellman(ephemeral.privateKey, bundle.identityKey),
+    await diffieHellman(ephemeral.privateKey, signedPrekey)
+  ];
+  if (oneTime) {
+    outputs.push(await diffieHellman(ephemeral.privateKey, oneTime.publicKey));
+  }
+
+  return {
+    sharedSecret: await deriveSharedSecret(outputs),
+    associatedData: associatedData(identity.did, own.publicKey, bundle.did, bundle.identityKey),
+    handshake: {
+      version: BUNDLE_VERSION,
+      did: identity.did,
+      identityKey: identity.publicKeyJWK,
+      ephemeralKey: ephemeral.publicKey,
+      signedPrekeyId: bundle.signedPrekey.keyId,
+      oneTimePrekeyId: oneTime ? oneTime.keyId : null
+    },
+    remoteKey: signedPrekey
+  };
+}
+
+/**
+ * Derive the initiator's session from its handshake
+ * Does not consume the one-time prekey - delete
+ * secrets.oneTimePrekeys[handshake.oneTimePrekeyId] once a message decrypts.
+ *
+ * @param {Identity} identity - Responder
+ * @param {object} secrets - From createPrekeys()
+ * @param {object} handshake - From initiateSession()
+ * @returns {Promise<object>} { sharedSecret (base64), associatedData, ratchetKey: signed prekey pair }
+ */
+export async function acceptSession(identity, secrets, handshake) {
+  if (!handshake || handshake.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported handshake version: ${handshake && handshake.version}`);
+  }
+  if (!(await Identity.isKeyFor(handshake.did, handshake.identityKey))) {
+    throw new Error(`Handshake key does not belong to ${handshake.did}`);
+  }
+  if (handshake.signedPrekeyId !== secrets.signedPrekey.keyId) {
+    throw new Error(`Unknown signed prekey: ${handshake.signedPrekeyId}`);
+  }
+  const oneTime = handshake.oneTimePrekeyId === null ? null : secrets.oneTimePrekeys[handshake.oneTimePrekeyId];
+  if (handshake.oneTimePrekeyId !== null && !oneTime) {
+    throw new Error(`One-time prekey ${handshake.oneTimePrekeyId} is unknown or already used`);
+  }
+
+  const own = await identityKeyPair(identity);
+  const signedPrekey = secrets.signedPrekey.privateKey;
+  const outputs = [
+    await diffieHellman(signedPrekey, handshake.identityKey),
+    await diffieHellman(own.privateKey, handshake.ephemeralKey),
+    await diffieHellman(signedPrekey, handshake.ephemeralKey)
+  ];
+  if (oneTime) {
+    outputs.push(await diffieHellman(oneTime, handshake.ephemeralKey));
+  }
+
+  return {
+    sharedSecret: await deriveSharedSecret(outputs),
+    associatedData: associatedData(handshake.did, handshake.identityKey, identity.did, own.publicKey),
+    ratchetKey: { publicKey: secrets.signedPrekey.publicKey, privateKey: secrets.signedPrekey.privateKey }
+  };
+}
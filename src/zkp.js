@@ -0,0 +1,328 @@
+/**
+ * SRCP007 - Commitments and Zero-Knowledge Proofs
+ *
+ * Pure-JS proofs over P-256 (p256.js), non-interactive by Fiat-Shamir:
+ *
+ *   Pedersen commitment   C = v*G + r*H, H a generator with unknown
+ *                         discrete log. Hides v; binds the committer to it.
+ *   Opening proof         Schnorr-style proof of knowledge of (v, r) for C
+ *                         (Okamoto), without revealing them.
+ *   Range proof           v in [0, 2^bits): a commitment per bit, each with
+ *                         an OR-proof that it commits to 0 or 1, summing
+ *                         (weighted by 2^i) to C.
+ *
+ * Every challenge hashes a caller-supplied `context` (what is being proved,
+ * for whom), so a proof cannot be replayed as a proof of another statement.
+ *
+ * Proofs are plain JSON: points as compressed hex, scalars as hex.
+ *
+ * Nonces and blindings come from the platform CSPRNG - proving is NOT
+ * deterministic; verifying is. The arithmetic is not constant time.
+ *
+ * @module zkp
+ * @version 1.0.0
+ */
+
+import {
+  P256,
+  mod,
+  modInverse,
+  pointAdd,
+  pointNegate,
+  pointMultiply,
+  pointEquals,
+  encodePoint,
+  decodePoint,
+  randomScalar,
+  hashToScalar,
+  hashToPoint
+} from './p256.js';
+
+const { n, G } = P256;
+
+export const MAX_RANGE_BITS = 64;
+
+let generatorH = null;
+
+/**
+ * Second Pedersen generator H = hashToPoint('srcp-zkp/pedersen-h')
+ */
+export async function pedersenH() {
+  if (!generatorH) {
+    generatorH = await hashToPoint('srcp-zkp/pedersen-h');
+  }
+  return generatorH;
+}
+
+const toHex = (scalar) => scalar.toString(16);
+
+function fromHex(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-f]{1,64}$/.test(hex)) {
+    throw new Error('Malformed scalar');
+  }
+  const value = BigInt(`0x${hex}`);
+  if (value >= n) {
+    throw new Error('Scalar out of range');
+  }
+  return value;
+}
+
+// a*G + b*H
+async function combine(a, b) {
+  return pointAdd(pointMultiply(a), pointMultiply(b, await pedersenH()));
+}
+
+/**
+ * Commit to integer `value`
+ *
+ * @param {number|bigint} value - Committed value
+ * @param {bigint} blinding - Blinding factor (default: random); keep it secret
+ * @returns {Promise<object>} { commitment: hex, value, blinding }
+ */
+export async function commit(value, blinding = randomScalar()) {
+  const v = mod(BigInt(value), n);
+  return {
+    commitment: encodePoint(await combine(v, blinding)),
+    value: BigInt(value),
+    blinding
+  };
+}
+
+/**
+ * Check an opening (value, blinding) of a commitment
+ */
+export async function verifyOpening(commitment, value, blinding) {
+  return encodePoint(await combine(mod(BigInt(value), n), mod(blinding, n))) === commitment;
+}
+
+/**
+ * Proof of knowledge of (value, blinding) for `commitment`
+ *
+ * @returns {Promise<object>} { t, z1, z2 }
+ */
+export async function proveOpening(commitment, value, blinding, context) {
+  const a = randomScalar();
+  const b = randomScalar();
+  const t = encodePoint(await combine(a, b));
+  const c = await hashToScalar({ domain: 'srcp-zkp/opening', context, commitment, t });
+
+  return {
+    t,
+    z1: toHex(mod(a + c * mod(BigInt(value), n), n)),
+    z2: toHex(mod(b + c * blinding, n))
+  };
+}
+
+/**
+ * Verify proveOpening(): z1*G + z2*H == T + c*C
+ */
+export async function verifyOpeningProof(commitment, proof, context) {
+  try {
+    const C = decodePoint(commitment);
+    const T = decodePoint(proof.t);
+    const c = await hashToScalar({ domain: 'srcp-zkp/opening', context, commitment, t: proof.t });
+
+    const left = await combine(fromHex(proof.z1), fromHex(proof.z2));
+    return pointEquals(left, pointAdd(T, pointMultiply(c, C)));
+  } catch (error) {
+    return false;
+  }
+}
+
+// OR-proof that bit commitment P commits to 0 or 1, i.e. P = r*H or P - G = r*H
+async function proveBit(P, bit, r, context, index) {
+  const H = await pedersenH();
+  const statements = [P, pointAdd(P, pointNegate(G))];
+  const fake = 1 - bit;
+
+  const cFake = randomScalar();
+  const zFake = randomScalar();
+  const tFake = pointAdd(pointMultiply(zFake, H), pointNegate(pointMultiply(cFake, statements[fake])));
+
+  const k = randomScalar();
+  const tReal = pointMultiply(k, H);
+
+  const t = bit === 0 ? [tReal, tFake] : [tFake, tReal];
+  const c = await hashToScalar({
+    domain: 'srcp-zkp/bit',
+    context,
+    index,
+    commitment: encodePoint(P),
+    t: t.map(encodePoint)
+  });
+
+  const cReal = mod(c - cFake, n);
+  const zReal = mod(k + cReal * r, n);
+
+  const challenges = bit === 0 ? [cReal, cFake] : [cFake, cReal];
+  const responses = bit === 0 ? [zReal, zFake] : [zFake, zReal];
+  return {
+    c0: toHex(challenges[0]),
+    c1: toHex(challenges[1]),
+    z0: toHex(responses[0]),
+    z1: toHex(responses[1])
+  };
+}
+
+async function verifyBit(P, proof, context, index) {
+  const H = await pedersenH();
+  const statements = [P, pointAdd(P, pointNegate(G))];
+  const challenges = [fromHex(proof.c0), fromHex(proof.c1)];
+  const responses = [fromHex(proof.z0), fromHex(proof.z1)];
+
+  // T_j = z_j*H - c_j*P_j
+  const t = [0, 1].map(j =>
+    pointAdd(pointMultiply(responses[j], H), pointNegate(pointMultiply(challenges[j], statements[j])))
+  );
+  const c = await hashToScalar({
+    domain: 'srcp-zkp/bit',
+    context,
+    index,
+    commitment: encodePoint(P),
+    t: t.map(encodePoint)
+  });
+
+  return mod(challenges[0] + challenges[1], n) === c;
+}
+
+/**
+ * Prove the value committed with `blinding` lies in [0, 2^bits)
+ *
+ * @param {number|bigint} value - Committed value
+ * @param {bigint} blinding - Its blinding factor
+ * @param {number} bits - Range size, 1..MAX_RANGE_BITS
+ * @param {*} context - Statement bound into every challenge
+ * @returns {Promise<object>} { bits, commitments, proofs }
+ */
+export async function proveRange(value, blinding, bits, context) {
+  const v = BigInt(value);
+  if (!Number.isInteger(bits) || bits < 1 || bits > MAX_RANGE_BITS) {
+    throw new Error(`Range must be 1..${MAX_RANGE_BITS} bits`);
+  }
+  if (v < 0n || v >= 1n << BigInt(bits)) {
+    throw new Error(`Value out of range [0, 2^${bits})`);
+  }
+
+  // Bit blindings weighted by 2^i sum to the commitment's blinding
+  const blindings = [];
+  let sum = 0n;
+  for (let i = 0; i < bits - 1; i++) {
+    const r = randomScalar();
+    blindings.push(r);
+    sum = mod(sum + (r << BigInt(i)), n);
+  }
+  blindings.push(mod((blinding - sum) * modInverse(1n << BigInt(bits - 1), n), n));
+
+  const commitments = [];
+  const proofs = [];
+  for (let i = 0; i < bits; i++) {
+    const bit = Number((v >> BigInt(i)) & 1n);
+    const P = await combine(BigInt(bit), blindings[i]);
+    commitments.push(encodePoint(P));
+    proofs.push(await proveBit(P, bit, blindings[i], context, i));
+  }
+
+  return { bits, commitments, proofs };
+}
+
+/**
+ * Verify proveRange() against commitment point `C`
+ *
+ * @param {object|null} C - Commitment point (see decodePoint)
+ * @param {object} proof - From proveRange()
+ * @param {*} context - Same context as the prover's
+ * @returns {Promise<boolean>}
+ */
+export async function verifyRange(C, proof, context) {
+  try {
+    const { bits, commitments, proofs } = proof;
+    if (!Number.isInteger(bits) || bits < 1 || bits > MAX_RANGE_BITS ||
+        commitments.length !== bits || proofs.length !== bits) {
+      return false;
+    }
+
+    let total = null;
+    for (let i = 0; i < bits; i++) {
+      const P = decodePoint(commitments[i]);
+      if (!(await verifyBit(P, proofs[i], context, i))) {
+        return false;
+      }
+      total = pointAdd(total, pointMultiply(1n << BigInt(i), P));
+    }
+
+    return pointEquals(total, C);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Bits needed to represent `value` (at least 1)
+ */
+export function bitLength(value) {
+  return Math.max(1, BigInt(value).toString(2).length);
+}
+
+/**
+ * Prove the committed value is in [min, max]
+ * Two range proofs: value - min and max - value both fit in
+ * bitLength(max - min) bits, derived from C without new commitments.
+ *
+ * @returns {Promise<object>} { lower, upper }
+ */
+export async function proveBounded(value, blinding, min, max, context) {
+  if (BigInt(value) < BigInt(min) || BigInt(value) > BigInt(max)) {
+    throw new Error('Value not in range');
+  }
+  const bits = bitLength(BigInt(max) - BigInt(min));
+  return {
+    lower: await proveRange(BigInt(value) - BigInt(min), blinding, bits, { context, side: 'lower' }),
+    upper: await proveRange(BigInt(max) - BigInt(value), mod(-blinding, n), bits, { context, side: 'upper' })
+  };
+}
+
+/**
+ * Verify proveBounded() for `commitment` (hex)
+ */
+export async function verifyBounded(commitment, proof, min, max, context) {
+  try {
+    const C = decodePoint(commitment);
+    const bits = bitLength(BigInt(max) - BigInt(min));
+    if (!proof || proof.lower.bits !== bits || proof.upper.bits !== bits || BigInt(max) < BigInt(min)) {
+      return false;
+    }
+
+    // C - min*G commits to value - min; max*G - C to max - value
+    const lower = pointAdd(C, pointNegate(pointMultiply(mod(BigInt(min), n))));
+    const upper = pointAdd(pointMultiply(mod(BigInt(max), n)), pointNegate(C));
+
+    return await verifyRange(lower, proof.lower, { context, side: 'lower' }) &&
+      await verifyRange(upper, proof.upper, { context, side: 'upper' });
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Prove the committed value is at least `threshold`
+ * value - threshold must fit in `bits` bits (default 32).
+ */
+export async function proveAtLeast(value, blinding, threshold, context, bits = 32) {
+  if (BigInt(value) < BigInt(threshold)) {
+    throw new Error('Value below threshold');
+  }
+  return await proveRange(BigInt(value) - BigInt(threshold), blinding, bits, { context, side: 'lower' });
+}
+
+/**
+ * Verify proveAtLeast() for `commitment` (hex)
+ */
+export async function verifyAtLeast(commitment, proof, threshold, context) {
+  try {
+    const C = decodePoint(commitment);
+    const lower = pointAdd(C, pointNegate(pointMultiply(mod(BigInt(threshold), n))));
+    return await verifyRange(lower, proof, { context, side: 'lower' });
+  } catch (error) {
+    return false;
+  }
+}
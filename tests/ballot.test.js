@@ -0,0 +1,276 @@
+/**
+ * SRCP007 - Ballot Test Suite
+ * Tests for linkable ring signatures and anonymous one-per-voter elections
+ */
+
+import { generateRingKey, keyImage, ringSign, ringVerify } from '../src/ring-signature.js';
+import {
+  createElection,
+  getElection,
+  registerVoter,
+  getVoterRing,
+  closeRegistration,
+  getClosedRing,
+  castBallot,
+  tallyElection,
+  REGISTER_ACTION,
+  CLOSE_ACTION,
+  VOTE_ACTION
+} from '../src/ballot.js';
+import { Identity } from '../src/identity.js';
+import { Ledger, LedgerEntry } from '../src/ledger.js';
+import { Federation } from '../src/federation.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Election with `count` registered voters; the organizer closes
+// registration and voting opens at pulse 11
+async function setupElection(count, { eligibleOnly = true, close = true } = {}) {
+  const ledger = new Ledger();
+  const organizer = await Identity.create('organizer');
+  const voters = [];
+  for (let i = 0; i < count; i++) {
+    voters.push(await Identity.create(`voter${i}`));
+  }
+
+  const election = await createElection(ledger, organizer, {
+    title: 'Raise storage quota',
+    options: ['yes', 'no'],
+    eligible: eligibleOnly ? voters.map(v => v.did) : null,
+    registrationEnds: 10,
+    votingEnds: 20
+  }, 1);
+
+  const keys = [];
+  for (const [i, voter] of voters.entries()) {
+    keys.push(await registerVoter(ledger, voter, election, 2 + i));
+  }
+  if (close) {
+    await closeRegistration(ledger, organizer, election, 11);
+  }
+  return { ledger, organizer, voters, election, keys };
+}
+
+test('Ring signatures verify for members only', async () => {
+  const members = [generateRingKey(), generateRingKey(), generateRingKey()];
+  const ring = members.map(m => m.publicKey);
+
+  const signature = await ringSign('hello', ring, members[1].secret, 'scope');
+  assert.ok(await ringVerify('hello', ring, signature, 'scope'), 'Member signature verifies');
+  assert.ok(!(await ringVerify('hullo', ring, signature, 'scope')), 'Bound to the message');
+  assert.ok(!(await ringVerify('hello', [ring[1], ring[0], ring[2]], signature, 'scope')), 'Bound to the ring');
+  assert.ok(!(await ringVerify('hello', ring, signature, 'other')), 'Bound to the scope');
+
+  await assert.rejects(
+    () => ringSign('hello', ring, generateRingKey().secret, 'scope'),
+    /not a member/,
+    'Outsider cannot sign'
+  );
+});
+
+test('Key images link signatures within a scope only', async () => {
+  const members = [generateRingKey(), generateRingKey()];
+  const ring = members.map(m => m.publicKey);
+
+  const first = await ringSign('a', ring, members[0].secret, 'election-1');
+  const second = await ringSign('b', ring, members[0].secret, 'election-1');
+  const other = await ringSign('a', ring, members[1].secret, 'election-1');
+  const elsewhere = await ringSign('a', ring, members[0].secret, 'election-2');
+
+  assert.equal(first.keyImage, second.keyImage, 'Same signer, same scope');
+  assert.equal(first.keyImage, await keyImage(members[0].secret, 'election-1'), 'Image is deterministic');
+  assert.ok(first.keyImage !== other.keyImage, 'Different signers differ');
+  assert.ok(first.keyImage !== elsewhere.keyImage, 'Different scopes differ');
+
+  const swapped = { ...first, keyImage: other.keyImage };
+  assert.ok(!(await ringVerify('a', ring, swapped, 'election-1')), 'Key image cannot be swapped');
+});
+
+test('Only eligible DIDs register, once, inside the window', async () => {
+  const { ledger, voters, election } = await setupElection(2, { close: false });
+  const outsider = await Identity.create('outsider');
+
+  await assert.rejects(() => registerVoter(ledger, outsider, election, 5), /not eligible/, 'Ineligible DID');
+  await assert.rejects(() => registerVoter(ledger, voters[0], election, 5), /already registered/, 'Second registration');
+  await assert.rejects(() => registerVoter(ledger, voters[0], election, 11), /closed/, 'After registration closes');
+
+  assert.equal(getVoterRing(ledger, election).length, 2, 'One key per voter');
+});
+
+test('Ballots are counted once per voter and reveal no DID', async () => {
+  const { ledger, voters, election, keys } = await setupElection(4, { eligibleOnly: false });
+
+  await castBallot(ledger, keys[0], election, 'yes', 11);
+  await castBallot(ledger, keys[1], election, 'no', 12);
+  await castBallot(ledger, keys[2], election, 'yes', 13);
+  const repeat = await castBallot(ledger, keys[0], election, 'no', 14);
+
+  const ballots = ledger.getEntriesByAction(VOTE_ACTION);
+  const voterDIDs = new Set(voters.map(v => v.did));
+  assert.ok(ballots.every(entry => !voterDIDs.has(entry.did)), 'Ballots are not signed by voter DIDs');
+  assert.ok(ballots.every(entry => !JSON.stringify(entry.data).includes(keys[0].publicKey)), 'Ballots do not name a voting key');
+
+  const result = await tallyElection(ledger, election.id);
+  assert.equal(result.voters, 4, 'Ring size');
+  assert.equal(result.counts.yes, 2, 'Yes votes');
+  assert.equal(result.counts.no, 1, 'No votes');
+  assert.equal(result.rejected.length, 1, 'Repeat ballot rejected');
+  assert.equal(result.rejected[0].hash, repeat.hash, 'Later ballot is the one rejected');
+  assert.equal(result.rejected[0].reason, 'Voter already cast a ballot', 'Rejection reason');
+});
+
+test('Forged and out-of-window ballots are rejected', async () => {
+  const { ledger, election, keys } = await setupElection(3);
+
+  await assert.rejects(() => castBallot(ledger, keys[0], election, 'yes', 10), /closed/, 'Before voting opens');
+  await assert.rejects(() => castBallot(ledger, keys[0], election, 'maybe', 11), /Unknown option/, 'Unknown option');
+
+  const honest = await castBallot(ledger, keys[0], election, 'yes', 11);
+
+  // Replay the signature with a different choice
+  const forger = await Identity.create('forger');
+  await ledger.createEntry(forger, VOTE_ACTION, { ...honest.data, choice: 'no' }, 12);
+
+  // Ring signature by a key that never registered
+  const outsider = generateRingKey();
+  const ring = getClosedRing(ledger, election);
+  const message = { domain: 'srcp-ballot/vote', electionId: election.id, choice: 'no' };
+  const outsiderSignature = await ringSign(message, [...ring, outsider.publicKey], outsider.secret, election.id);
+  await ledger.createEntry(forger, VOTE_ACTION, { ...honest.data, choice: 'no', signature: outsiderSignature }, 13);
+
+  // Valid ballot submitted after voting closes
+  const lateSignature = await ringSign(message, ring, keys[1].secret, election.id);
+  await ledger.createEntry(forger, VOTE_ACTION, { ...honest.data, choice: 'no', signature: lateSignature }, 21);
+
+  const result = await tallyElection(ledger, election.id);
+  assert.equal(result.counts.yes, 1, 'Honest ballot counted');
+  assert.equal(result.counts.no, 0, 'No forged ballot counted');
+  assert.equal(
+    result.rejected.map(r => r.reason).join('|'),
+    'Invalid ring signature|Invalid ring signature|Cast outside the voting window',
+    'Rejection reasons'
+  );
+});
+
+test('The organizer freezes the ring: late registrations change nothing', async () => {
+  const { ledger, organizer, voters, election, keys } = await setupElection(2, { eligibleOnly: false, close: false });
+
+  await assert.rejects(() => castBallot(ledger, keys[0], election, 'yes', 11), /has not been closed/, 'Voting waits for the close');
+  await assert.rejects(() => closeRegistration(ledger, voters[0], election, 11), /Only the organizer/, 'Voters cannot close');
+  await assert.rejects(() => closeRegistration(ledger, organizer, election, 10), /closes after/, 'Not before the window ends');
+  const ring = await closeRegistration(ledger, organizer, election, 11);
+  assert.equal(ring.length, 2, 'Registered keys frozen');
+  await assert.rejects(() => closeRegistration(ledger, organizer, election, 12), /already closed/, 'Closed once');
+
+  await castBallot(ledger, keys[0], election, 'yes', 12);
+  await castBallot(ledger, keys[1], election, 'no', 13);
+
+  // Registration appended after voting, backdated into the window
+  const late = await Identity.create('late');
+  await ledger.createEntry(late, REGISTER_ACTION, { electionId: election.id, votingKey: generateRingKey().publicKey }, 4);
+  assert.equal(getVoterRing(ledger, election).length, 3, 'Late registration is on the ledger');
+
+  const result = await tallyElection(ledger, election.id);
+  assert.equal(`${result.counts.yes}:${result.counts.no}`, '1:1', 'Both ballots still counted');
+  assert.equal(result.voters, 2, 'Frozen ring used');
+  assert.equal(result.rejected.length, 0, 'Nothing rejected');
+
+  // Rings stuffed with keys nobody registered, or frozen twice, are refused
+  const stuffed = await setupElection(1, { close: false });
+  await stuffed.ledger.createEntry(stuffed.organizer, CLOSE_ACTION,
+    { electionId: stuffed.election.id, ring: [...getVoterRing(stuffed.ledger, stuffed.election), generateRingKey().publicKey] }, 11);
+  await assert.rejects(() => tallyElection(stuffed.ledger, stuffed.election.id), /unregistered keys/, 'Stuffed ring');
+
+  await ledger.createEntry(organizer, CLOSE_ACTION, { electionId: election.id, ring: [ring[0]] }, 14);
+  await assert.rejects(() => tallyElection(ledger, election.id), /conflicting voter rings/, 'Equivocating organizer');
+});
+
+test('Tally is reproducible from an exported ledger', async () => {
+  const { ledger, election, keys } = await setupElection(3);
+  await castBallot(ledger, keys[2], election, 'no', 15);
+  await castBallot(ledger, keys[1], election, 'no', 16);
+
+  const replica = new Ledger();
+  for (const entry of ledger.entries) {
+    await replica.append(LedgerEntry.fromJSON(JSON.parse(JSON.stringify(entry.toJSON()))));
+  }
+
+  const original = await tallyElection(ledger, election.id);
+  const replayed = await tallyElection(replica, election.id);
+  assert.equal(JSON.stringify(replayed), JSON.stringify(original), 'Same result on a replica');
+  assert.equal(replayed.counts.no, 2, 'Counts survive export');
+});
+
+test('Elections resolve to the organizer-signed definition only', async () => {
+  const { ledger, election, keys } = await setupElection(2);
+  const mallory = await Identity.create('mallory');
+
+  // Same ID, Mallory as organizer, other options, backdated before the original
+  const forged = { ...election, organizer: mallory.did, options: ['no', 'never'], eligible: null, opened: 0 };
+  const copy = new Ledger();
+  await copy.createEntry(mallory, 'ballot:election', forged, 0);
+  // Or the original definition re-signed by Mallory
+  await copy.createEntry(mallory, 'ballot:election', election, 0);
+
+  const merged = await Federation.mergeLedgers(ledger, copy);
+  assert.equal(merged.getEntriesByAction('ballot:election').length, 3, 'Forgeries are on the merged ledger');
+  assert.equal(JSON.stringify(await getElection(merged, election.id)), JSON.stringify(election), 'Merged replica sees the original');
+  assert.equal(JSON.stringify(await getElection(ledger, election.id)), JSON.stringify(election), 'Origin replica agrees');
+  assert.equal(await getElection(copy, election.id), null, 'Forgeries alone define nothing');
+
+  await castBallot(merged, keys[0], election, 'yes', 12);
+  const result = await tallyElection(merged, election.id);
+  assert.equal(result.counts.yes, 1, 'Original options counted');
+});
+
+// Run all tests
+export async function runBallotTests() {
+  console.log('🗳️ Running Ballot Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runBallotTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
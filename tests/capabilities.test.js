@@ -0,0 +1,348 @@
+/**
+ * SRCP007 - Capabilities Test Suite
+ * Tests for capability tokens, delegation chains and their consumers
+ */
+
+import {
+  delegateCapability,
+  createInvocation,
+  capabilityCovers,
+  CapabilityVerifier,
+  CapabilityError
+} from '../src/capabilities.js';
+import { Kernel, verifyExport } from '../src/kernel.js';
+import { createTransactionRegistry } from '../src/transaction-registry.js';
+import { MessagingProtocol } from '../src/messaging-protocol.js';
+import { Identity } from '../src/identity.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Re-sign an edited token, as an attacker holding `identity` could
+async function resign(identity, token) {
+  const { signature, ...body } = token;
+  return { ...body, signature: await identity.sign(body) };
+}
+
+// Spends up to `amount` of the principal's tokens
+const walletHandler = {
+  validate(payload) {
+    if (typeof payload.amount !== 'number') throw new Error('wallet.spend requires an amount');
+  },
+  caveats(payload) {
+    return { amount: payload.amount };
+  },
+  async reduce(state, tx, { principal }) {
+    const spent = { ...(state.extensions.wallet || {}) };
+    spent[principal] = (spent[principal] || 0) + tx.payload.amount;
+    return { extensions: { wallet: spent } };
+  }
+};
+
+const registry = createTransactionRegistry({ 'wallet.spend': walletHandler });
+
+async function bootKernel(identity) {
+  let tick = 10;
+  return await Kernel.boot({
+    adapters: {
+      clock: { now: () => tick },
+      nonce: { generate: () => `n${tick++}` }
+    },
+    identity,
+    config: { transactionRegistry: registry }
+  });
+}
+
+test('Owner grants a narrow capability', async () => {
+  const alice = await Identity.create('Alice');
+  const bot = await Identity.create('Bot');
+  const verifier = new CapabilityVerifier();
+
+  const token = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/feed`, ability: 'feed/post' }
+  ], { pulse: 1, expires: 100 });
+
+  const request = { invoker: bot.did, resource: `${alice.did}/feed`, ability: 'feed/post', pulse: 50 };
+  assert.ok((await verifier.verify(token, request)).valid, 'Bot may post');
+  assert.equal((await verifier.verify(token, request)).owner, alice.did, 'Owner reported');
+
+  assert.ok(!(await verifier.verify(token, { ...request, ability: 'feed/delete' })).valid, 'Other ability');
+  assert.ok(!(await verifier.verify(token, { ...request, resource: `${alice.did}/wallet` })).valid, 'Other resource');
+  assert.ok(!(await verifier.verify(token, { ...request, invoker: alice.did })).valid, 'Other invoker');
+  assert.equal((await verifier.verify(token, { ...request, pulse: 101 })).reason, 'Capability expired', 'Expired');
+
+  await assert.rejects(() => verifier.authorize(token, { ...request, pulse: 101 }), /Capability denied/, 'authorize throws');
+  const error = await assert.rejects(() => verifier.authorize(token, { ...request, pulse: 101 }));
+  assert.ok(error instanceof CapabilityError && error.code === 'CAPABILITY_DENIED', 'CapabilityError');
+});
+
+test('Nobody can grant resources they do not own', async () => {
+  const alice = await Identity.create('Alice');
+  const mallory = await Identity.create('Mallory');
+  const verifier = new CapabilityVerifier();
+
+  await assert.rejects(
+    () => delegateCapability(mallory, mallory.did, [{ resource: `${alice.did}/feed`, ability: 'feed/post' }], { pulse: 1, expires: 10 }),
+    /does not own/,
+    'Helper refuses'
+  );
+
+  // Hand-made token claiming Alice as issuer with Mallory's key
+  const own = await delegateCapability(mallory, mallory.did, [{ resource: `${mallory.did}/feed`, ability: 'feed/post' }], { pulse: 1, expires: 10 });
+  const forged = await resign(mallory, {
+    ...own,
+    issuer: alice.did,
+    capabilities: [{ resource: `${alice.did}/feed`, ability: 'feed/post', caveats: {} }]
+  });
+  const result = await verifier.verify(forged, { invoker: mallory.did, resource: `${alice.did}/feed`, ability: 'feed/post', pulse: 5 });
+  assert.ok(!result.valid && /Invalid capability signature/.test(result.reason), 'Key does not belong to issuer');
+});
+
+test('Re-delegation must attenuate', async () => {
+  const alice = await Identity.create('Alice');
+  const bot = await Identity.create('Bot');
+  const helper = await Identity.create('Helper');
+  const verifier = new CapabilityVerifier();
+
+  const root = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/wallet`, ability: 'token/*', caveats: { amount: 10 } }
+  ], { pulse: 1, expires: 100 });
+
+  const narrowed = await delegateCapability(bot, helper.did, [
+    { resource: `${alice.did}/wallet`, ability: 'token/transfer', caveats: { amount: 3 } }
+  ], { pulse: 2, expires: 50, proofs: [root] });
+
+  const request = { invoker: helper.did, resource: `${alice.did}/wallet`, ability: 'token/transfer', pulse: 20 };
+  assert.ok((await verifier.verify(narrowed, { ...request, caveats: { amount: 3 } })).valid, 'Within the chain');
+  assert.ok(!(await verifier.verify(narrowed, { ...request, caveats: { amount: 5 } })).valid, 'Above the narrowed limit');
+  assert.ok(!(await verifier.verify(narrowed, request)).valid, 'Caveat must be stated');
+
+  await assert.rejects(
+    () => delegateCapability(bot, helper.did, [
+      { resource: `${alice.did}/wallet`, ability: 'token/transfer', caveats: { amount: 20 } }
+    ], { pulse: 2, expires: 50, proofs: [root] }),
+    /No proof grants/,
+    'Raising the limit'
+  );
+  await assert.rejects(
+    () => delegateCapability(bot, helper.did, [
+      { resource: `${alice.did}/wallet`, ability: 'token/transfer', caveats: { amount: 3 } }
+    ], { pulse: 2, expires: 200, proofs: [root] }),
+    /No proof grants/,
+    'Outliving the proof'
+  );
+
+  assert.ok(capabilityCovers(
+    { resource: alice.did, ability: '*', caveats: {} },
+    { resource: `${alice.did}/feed/photos`, ability: 'feed/post', caveats: {} }
+  ), 'Root resource and wildcard cover everything');
+});
+
+test('Escalated links fail verification', async () => {
+  const alice = await Identity.create('Alice');
+  const bot = await Identity.create('Bot');
+  const helper = await Identity.create('Helper');
+  const verifier = new CapabilityVerifier();
+
+  const root = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/feed`, ability: 'feed/post' }
+  ], { pulse: 1, expires: 100 });
+
+  // Built by hand to skip the helper's attenuation check
+  const ownToken = await delegateCapability(bot, helper.did, [
+    { resource: `${bot.did}/feed`, ability: 'feed/post' }
+  ], { pulse: 2, expires: 50 });
+  const escalated = await resign(bot, {
+    ...ownToken,
+    capabilities: [{ resource: alice.did, ability: '*', caveats: {} }],
+    proofs: [root]
+  });
+
+  const result = await verifier.verify(escalated, {
+    invoker: helper.did, resource: `${alice.did}/wallet`, ability: 'token/transfer', pulse: 10
+  });
+  assert.ok(!result.valid, 'Wider than its proof');
+
+  const expiredRoot = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/feed`, ability: 'feed/post' }
+  ], { pulse: 1, expires: 5 });
+  const child = await delegateCapability(bot, helper.did, [
+    { resource: `${alice.did}/feed`, ability: 'feed/post' }
+  ], { pulse: 2, expires: 5, proofs: [expiredRoot] });
+  const late = await verifier.verify(child, { invoker: helper.did, resource: `${alice.did}/feed`, ability: 'feed/post', pulse: 6 });
+  assert.equal(late.reason, 'Capability expired', 'Chain expires with its proof');
+});
+
+test('Kernel accepts delegated transactions within their caveats', async () => {
+  const alice = await Identity.create('Alice');
+  const bot = await Identity.create('Bot');
+  const room = await Identity.create('Room');
+  const kernel = await bootKernel(room);
+
+  const capability = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/kernel`, ability: 'tx/wallet.spend', caveats: { amount: 10 } }
+  ], { pulse: 1, expires: 100 });
+
+  const spend = await kernel.createSignedTransaction(bot, 'wallet.spend', { amount: 7, onBehalfOf: alice.did, capability });
+  await kernel.submitTransaction(spend);
+  assert.equal(kernel.getState().extensions.wallet[alice.did], 7, 'Charged to the principal');
+
+  const tooMuch = await kernel.createSignedTransaction(bot, 'wallet.spend', { amount: 11, onBehalfOf: alice.did, capability });
+  await assert.rejects(() => kernel.submitTransaction(tooMuch), /KERNEL_UNAUTHORIZED/, 'Above the limit');
+
+  const mallory = await Identity.create('Mallory');
+  const stolen = await kernel.createSignedTransaction(mallory, 'wallet.spend', { amount: 1, onBehalfOf: alice.did, capability });
+  await assert.rejects(() => kernel.submitTransaction(stolen), /not issued to/, 'Token of someone else');
+
+  const bare = await kernel.createSignedTransaction(bot, 'wallet.spend', { amount: 1, onBehalfOf: alice.did });
+  await assert.rejects(() => kernel.submitTransaction(bare), /requires onBehalfOf and capability/, 'No token');
+
+  assert.ok((await verifyExport(await kernel.export(), { registry })).valid, 'Export verifies');
+});
+
+test('Kernel checks its own delegated transactions', async () => {
+  const alice = await Identity.create('Alice');
+  const bot = await Identity.create('Bot');
+  const kernel = await bootKernel(bot);
+
+  const capability = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/kernel`, ability: 'tx/ledger.append' }
+  ], { pulse: 1, expires: 100 });
+
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { text: 'for alice' }, onBehalfOf: alice.did, capability });
+  const [tx] = (await kernel.export()).transactions;
+  assert.equal(tx.payload.onBehalfOf, alice.did, 'Delegation kept through prepare()');
+
+  await assert.rejects(
+    () => kernel.executeTransaction('wallet.spend', { amount: 1, onBehalfOf: alice.did, capability }),
+    /KERNEL_UNAUTHORIZED/,
+    'Ability not granted'
+  );
+});
+
+// In-process network: delivery resolves once the receiver has handled it
+function createHub() {
+  const nodes = new Map();
+  return {
+    connect(did) {
+      const handlers = new Map();
+      nodes.set(did, handlers);
+      return {
+        on(type, handler) {
+          if (!handlers.has(type)) handlers.set(type, []);
+          handlers.get(type).push(handler);
+        },
+        async sendMessage(targetDID, type, payload) {
+          const target = nodes.get(targetDID);
+          if (!target) return false;
+          const copy = JSON.parse(JSON.stringify(payload));
+          await Promise.all((target.get(`message:${type}`) || []).map(handler => handler(did, copy)));
+          return true;
+        },
+        getConnectedPeers() {
+          return [];
+        }
+      };
+    }
+  };
+}
+
+async function join(hub, identity) {
+  let tick = 0;
+  let counter = 0;
+  const messaging = new MessagingProtocol(
+    identity,
+    hub.connect(identity.did),
+    { tick: () => ++tick, advance: () => ++tick },
+    { next: () => `${identity.did}:${counter++}` }
+  );
+  await messaging.initialize();
+  return messaging;
+}
+
+test('Messaging accepts messages sent on behalf with a capability', async () => {
+  const hub = createHub();
+  const alice = await Identity.create('Alice');
+  const bot = await Identity.create('Bot');
+  const bob = await Identity.create('Bob');
+
+  const botMessaging = await join(hub, bot);
+  const bobMessaging = await join(hub, bob);
+  bobMessaging.useCapabilities(new CapabilityVerifier({ clock: { now: () => 50 } }));
+
+  const rejected = [];
+  bobMessaging.on('message:rejected', event => rejected.push(event.reason));
+
+  const capability = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/messaging`, ability: 'message/send' }
+  ], { pulse: 1, expires: 100 });
+
+  await botMessaging.sendMessage(bob.did, 'Alice is away', [], { onBehalfOf: alice.did, capability });
+  assert.equal(bobMessaging.getConversation(bot.did).length, 1, 'Delivered');
+
+  const feedOnly = await delegateCapability(alice, bot.did, [
+    { resource: `${alice.did}/feed`, ability: 'feed/post' }
+  ], { pulse: 1, expires: 100 });
+  await botMessaging.sendMessage(bob.did, 'Pay me', [], { onBehalfOf: alice.did, capability: feedOnly });
+  assert.equal(bobMessaging.getConversation(bot.did).length, 1, 'Wrong capability dropped');
+  assert.equal(rejected.length, 1, 'Rejection reported');
+
+  // A valid invocation cannot be reused for other content
+  const message = await botMessaging.sendMessage(alice.did, 'original', [], { onBehalfOf: alice.did, capability });
+  const invocation = await createInvocation(bot, capability, {
+    resource: `${alice.did}/messaging`, ability: 'message/send', payload: { other: true }
+  });
+  await bobMessaging.handleChatMessage(bot.did, { ...message, to: bob.did, content: 'altered', invocation });
+  assert.equal(rejected.length, 2, 'Altered message dropped');
+});
+
+// Run all tests
+export async function runCapabilitiesTests() {
+  console.log('🎟️ Running Capabilities Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCapabilitiesTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
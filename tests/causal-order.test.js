@@ -0,0 +1,185 @@
+/**
+ * SRCP007 - Causal Order Test Suite
+ * Tests for hybrid logical clocks and the deterministic total order
+ */
+
+import { createCausalClock, compareStamps } from '../src/clock.js';
+import { orderEntries, orderTransactions } from '../src/causal-order.js';
+import { Federation } from '../src/federation.js';
+import { Ledger, LedgerEntry } from '../src/ledger.js';
+import { Identity } from '../src/identity.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  throws: (fn, message) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error(`${message}: expected throw`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const hashesOf = (items) => items.map(item => item.hash).join();
+
+test('Causal clock ticks monotonically', () => {
+  const clock = createCausalClock('did:srcp:a');
+  const first = clock.tick();
+  const second = clock.tick();
+
+  assert.ok(compareStamps(first, second) < 0, 'Second tick should be later');
+  assert.equal(second.node, 'did:srcp:a', 'Stamp carries node DID');
+  assert.equal(compareStamps(clock.peek(), second), 0, 'Peek returns last stamp');
+});
+
+test('Receive orders later stamps after the remote one', () => {
+  const a = createCausalClock('did:srcp:a');
+  const b = createCausalClock('did:srcp:b');
+
+  for (let i = 0; i < 5; i++) a.tick();
+  const sent = a.tick();
+
+  const received = b.receive(sent);
+  assert.ok(compareStamps(received, sent) > 0, 'Receipt follows send');
+  assert.ok(compareStamps(b.tick(), sent) > 0, 'Later local events follow send');
+});
+
+test('Causal clock follows an injected physical clock', () => {
+  let now = 100;
+  const clock = createCausalClock('did:srcp:a', { physical: { now: () => now } });
+
+  assert.equal(clock.tick().wall, 100, 'Wall from physical clock');
+  assert.equal(clock.tick().counter, 1, 'Counter breaks ties within a wall tick');
+
+  // Remote ahead of our physical time
+  const received = clock.receive({ wall: 150, counter: 4, node: 'did:srcp:b' });
+  assert.equal(received.wall, 150, 'Adopts remote wall');
+  assert.equal(received.counter, 5, 'Counter past remote');
+
+  now = 200;
+  const later = clock.tick();
+  assert.equal(later.wall, 200, 'Physical time catches up');
+  assert.equal(later.counter, 0, 'Counter resets');
+});
+
+test('Stamps tie-break on node DID', () => {
+  const a = { wall: 1, counter: 2, node: 'did:srcp:a' };
+  const b = { wall: 1, counter: 2, node: 'did:srcp:b' };
+
+  assert.ok(compareStamps(a, b) < 0, 'Node DID orders equal stamps');
+  assert.ok(compareStamps(b, a) > 0, 'Comparison is antisymmetric');
+  assert.throws(() => createCausalClock('did:srcp:a').receive({ wall: 1 }), 'Malformed stamp');
+});
+
+test('Transactions order identically from any arrival order', () => {
+  const txs = [
+    { hash: 'c', stamp: { wall: 0, counter: 2, node: 'x' } },
+    { hash: 'a', stamp: { wall: 0, counter: 1, node: 'y' } },
+    { hash: 'b', stamp: { wall: 0, counter: 1, node: 'x' } },
+    { hash: 'd', pulse: 1 }
+  ];
+
+  const forward = orderTransactions(txs);
+  const backward = orderTransactions([...txs].reverse());
+
+  assert.equal(hashesOf(forward), 'd,b,a,c', 'Total order');
+  assert.equal(hashesOf(backward), hashesOf(forward), 'Order independent of input');
+});
+
+test('Entries never precede their chain predecessor', async () => {
+  const alice = await Identity.create('Alice');
+  const ledger = new Ledger();
+
+  // Skewed stamps: the second entry claims to be older than the first
+  const first = await ledger.createEntry(alice, 'post', { n: 1 }, 1, {
+    stamp: { wall: 50, counter: 0, node: 'did:srcp:a' }
+  });
+  const second = await ledger.createEntry(alice, 'post', { n: 2 }, 2, {
+    stamp: { wall: 10, counter: 0, node: 'did:srcp:a' }
+  });
+
+  const ordered = orderEntries([second, first]);
+  assert.equal(hashesOf(ordered), hashesOf([first, second]), 'Chain order wins over stamps');
+
+  const fromPresent = orderEntries([second], { present: [first.hash] });
+  assert.equal(hashesOf(fromPresent), second.hash, 'Predecessor already present');
+});
+
+test('Stamp is covered by the entry signature', async () => {
+  const alice = await Identity.create('Alice');
+  const entry = await LedgerEntry.create(alice, 'post', { text: 'hi' }, 1, null, {
+    stamp: { wall: 0, counter: 3, node: 'did:srcp:a' }
+  });
+
+  const restored = LedgerEntry.fromJSON(JSON.parse(JSON.stringify(entry.toJSON())));
+  assert.ok(await restored.verify(), 'Round-tripped entry verifies');
+
+  restored.stamp = { wall: 0, counter: 0, node: 'did:srcp:a' };
+  assert.ok(!(await restored.verify()), 'Re-stamped entry fails verification');
+});
+
+test('mergeLedgers converges regardless of argument order', async () => {
+  const alice = await Identity.create('Alice');
+  const bob = await Identity.create('Bob');
+  const clockA = createCausalClock('did:srcp:node-a');
+  const clockB = createCausalClock('did:srcp:node-b');
+
+  const left = new Ledger();
+  const right = new Ledger();
+
+  const shared = await left.createEntry(alice, 'post', { n: 0 }, 1, { stamp: clockA.tick() });
+  await right.append(shared);
+  clockB.receive(shared.stamp);
+
+  // Concurrent edits on both sides
+  await left.createEntry(alice, 'post', { n: 1 }, 2, { stamp: clockA.tick() });
+  await right.createEntry(bob, 'post', { n: 1 }, 2, { stamp: clockB.tick() });
+  await right.createEntry(bob, 'post', { n: 2 }, 3, { stamp: clockB.tick() });
+
+  const one = await Federation.mergeLedgers(left, right);
+  const two = await Federation.mergeLedgers(right, left);
+
+  assert.equal(one.entries.length, 4, 'All entries merged');
+  assert.equal(hashesOf(one.entries), hashesOf(two.entries), 'Same sequence both ways');
+  assert.equal(one.entries[0].hash, shared.hash, 'Causally first entry first');
+});
+
+// Run all tests
+export async function runCausalOrderTests() {
+  console.log('🕰️  Running Causal Order Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCausalOrderTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
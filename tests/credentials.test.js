@@ -0,0 +1,201 @@
+/**
+ * SRCP007 - Credentials Test Suite
+ * Tests for issuing, presenting, verifying and revoking credentials
+ */
+
+import {
+  issueCredential,
+  presentCredential,
+  verifyCredential,
+  verifyPresentation,
+  revokeCredential,
+  isCredentialRevoked
+} from '../src/credentials.js';
+import { DIDDocument, DIDResolver } from '../src/did-document.js';
+import { Identity } from '../src/identity.js';
+import { Ledger } from '../src/ledger.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+async function setup() {
+  const issuer = await Identity.create('SkillSwap');
+  const alice = await Identity.create('Alice');
+  const { credential, disclosures } = await issueCredential(
+    issuer,
+    alice.did,
+    { skill: 'carpentry', level: 3, verifiedBy: 'workshop' },
+    { type: 'SkillCredential', pulse: 10, expires: 100 }
+  );
+  return { issuer, alice, credential, disclosures };
+}
+
+test('Issued credential verifies and hides its claims', async () => {
+  const { issuer, alice, credential } = await setup();
+
+  assert.equal(credential.issuer, issuer.did, 'Issuer');
+  assert.equal(credential.credentialSubject.id, alice.did, 'Subject');
+  assert.equal(credential.type[1], 'SkillCredential', 'Type');
+  assert.equal(credential.credentialSubject.claimDigests.length, 3, 'One digest per claim');
+  assert.ok(!JSON.stringify(credential).includes('carpentry'), 'Claim values hidden');
+  assert.ok(!JSON.stringify(credential).includes('verifiedBy'), 'Claim names hidden');
+
+  assert.ok((await verifyCredential(credential, { pulse: 50 })).valid, 'Valid in window');
+  assert.equal((await verifyCredential(credential, { pulse: 101 })).reason, 'Credential expired', 'Expired');
+  assert.equal((await verifyCredential(credential, { pulse: 5 })).reason, 'Credential not yet issued', 'Early');
+});
+
+test('Tampered credentials are rejected', async () => {
+  const { credential } = await setup();
+  const mallory = await Identity.create('Mallory');
+
+  const retargeted = {
+    ...credential,
+    credentialSubject: { ...credential.credentialSubject, id: mallory.did }
+  };
+  assert.ok(!(await verifyCredential(retargeted)).valid, 'Changed subject');
+
+  const forged = {
+    ...credential,
+    issuer: mallory.did,
+    proof: { ...credential.proof, verificationMethod: mallory.did }
+  };
+  assert.ok(!(await verifyCredential(forged)).valid, 'Claimed another issuer');
+});
+
+test('Presentation discloses only the chosen claims', async () => {
+  const { issuer, alice, credential, disclosures } = await setup();
+
+  const presentation = await presentCredential(alice, credential, disclosures, ['skill'], {
+    challenge: 'nonce-1',
+    pulse: 20
+  });
+  assert.ok(!JSON.stringify(presentation).includes('workshop'), 'Undisclosed claim absent');
+
+  const result = await verifyPresentation(presentation, { challenge: 'nonce-1', pulse: 20 });
+  assert.ok(result.valid, `Presentation valid: ${result.reason}`);
+  assert.equal(result.issuer, issuer.did, 'Issuer reported');
+  assert.equal(result.claims.skill, 'carpentry', 'Disclosed claim');
+  assert.equal(Object.keys(result.claims).length, 1, 'Only one claim');
+
+  const replay = await verifyPresentation(presentation, { challenge: 'nonce-2', pulse: 20 });
+  assert.equal(replay.reason, 'Presentation challenge mismatch', 'Replayed to another verifier');
+});
+
+test('Forged disclosures and foreign holders are rejected', async () => {
+  const { alice, credential, disclosures } = await setup();
+  const mallory = await Identity.create('Mallory');
+
+  const inflated = disclosures.map(d => d.name === 'level' ? { ...d, value: 9 } : d);
+  const presentation = await presentCredential(alice, credential, inflated, ['level'], { challenge: 'n', pulse: 20 });
+  const result = await verifyPresentation(presentation, { challenge: 'n' });
+  assert.ok(!result.valid && /Disclosure does not match/.test(result.reason), 'Changed claim value');
+
+  await assert.rejects(
+    () => presentCredential(mallory, credential, disclosures, ['skill'], { challenge: 'n', pulse: 20 }),
+    /is not the holder/,
+    'Non-subject cannot present'
+  );
+
+  // Mallory replays Alice's presentation under her own signature
+  const honest = await presentCredential(alice, credential, disclosures, ['skill'], { challenge: 'n', pulse: 20 });
+  const { proof, ...body } = honest;
+  const stolen = {
+    ...body,
+    holder: mallory.did,
+    proof: { ...proof, verificationMethod: mallory.did, publicKey: mallory.publicKeyJWK, signature: await mallory.sign({ ...body, holder: mallory.did }) }
+  };
+  assert.equal((await verifyPresentation(stolen, { challenge: 'n' })).reason, 'Presentation holder is not the credential subject', 'Stolen credential');
+});
+
+test('Issuer revokes through the ledger', async () => {
+  const { issuer, alice, credential, disclosures } = await setup();
+  const ledger = new Ledger();
+
+  await revokeCredential(ledger, issuer, credential, 30, { reason: 'certificate withdrawn' });
+  assert.equal(ledger.getEntriesByAction('credential:revoke').length, 1, 'Revocation recorded');
+
+  assert.ok(await isCredentialRevoked(ledger, credential), 'Revoked');
+  assert.ok(!(await isCredentialRevoked(ledger, credential, 29)), 'Not revoked before the entry');
+  assert.ok((await verifyCredential(credential, { pulse: 29, ledger })).valid, 'Valid before revocation');
+  assert.equal((await verifyCredential(credential, { pulse: 30, ledger })).reason, 'Credential revoked', 'Invalid after');
+
+  const presentation = await presentCredential(alice, credential, disclosures, ['skill'], { challenge: 'n', pulse: 40 });
+  assert.ok(!(await verifyPresentation(presentation, { challenge: 'n', pulse: 40, ledger })).valid, 'Presentation rejected');
+});
+
+test('Only the issuer can revoke', async () => {
+  const { credential } = await setup();
+  const mallory = await Identity.create('Mallory');
+  const ledger = new Ledger();
+
+  await assert.rejects(() => revokeCredential(ledger, mallory, credential, 30), /Only the issuer/, 'Helper refuses');
+
+  // A hand-made revocation by someone else is ignored
+  await ledger.createEntry(mallory, 'credential:revoke', { credentialId: credential.id, reason: null }, 30);
+  assert.ok(!(await isCredentialRevoked(ledger, credential)), 'Foreign revocation ignored');
+});
+
+test('Credentials survive issuer key rotation with a resolver', async () => {
+  const { issuer, credential } = await setup();
+  const didDocument = await DIDDocument.create(issuer);
+  await didDocument.rotate(issuer, 50);
+
+  const resolver = new DIDResolver();
+  await resolver.register(didDocument.toJSON());
+  assert.ok((await verifyCredential(credential, { pulse: 60, resolver })).valid, 'Signed with the key of its time');
+
+  const { credential: later } = await issueCredential(issuer, credential.credentialSubject.id, { member: true }, { pulse: 55 });
+  assert.ok((await verifyCredential(later, { resolver })).valid, 'Signed with the rotated key');
+});
+
+// Run all tests
+export async function runCredentialsTests() {
+  console.log('🪪 Running Credentials Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCredentialsTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
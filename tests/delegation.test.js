@@ -0,0 +1,197 @@
+/**
+ * SRCP007 - Delegation Test Suite
+ * Tests for topic delegation on the ledger and delegated tallies
+ */
+
+import {
+  delegate,
+  revokeDelegation,
+  getDelegations,
+  tallyWithDelegation,
+  karmaWeight,
+  DELEGATE_ACTION
+} from '../src/delegation.js';
+import { TruthRankEngine, Category, Verdict } from '../src/truthrank-engine.js';
+import { KarmaSystem } from '../src/karma.js';
+import { Identity } from '../src/identity.js';
+import { Ledger, LedgerEntry } from '../src/ledger.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+async function setup(names) {
+  const ledger = new Ledger();
+  const people = {};
+  for (const name of names) {
+    people[name] = await Identity.create(name);
+  }
+  return { ledger, people };
+}
+
+const one = () => 1;
+
+test('Delegated weight flows transitively to the first direct voter', async () => {
+  const { ledger, people: { alice, bob, carol, dave } } = await setup(['alice', 'bob', 'carol', 'dave']);
+  await delegate(ledger, alice, { topic: Category.SCIENCE, delegate: bob.did }, 1);
+  await delegate(ledger, bob, { topic: Category.SCIENCE, delegate: carol.did }, 2);
+
+  const delegations = getDelegations(ledger, Category.SCIENCE);
+  const tally = tallyWithDelegation({ [carol.did]: 'yes', [dave.did]: 'no' }, delegations, one);
+  assert.equal(tally.totals.yes, 3, 'Carol votes for alice and bob');
+  assert.equal(tally.totals.no, 1, 'Dave votes alone');
+  assert.equal(tally.representedBy[alice.did], carol.did, 'Alice represented by carol');
+
+  // Bob votes himself: he and alice leave carol's chain
+  const override = tallyWithDelegation({ [carol.did]: 'yes', [bob.did]: 'no' }, delegations, one);
+  assert.equal(override.totals.yes, 1, 'Carol keeps only her own weight');
+  assert.equal(override.weights[bob.did], 2, 'Bob votes for alice');
+});
+
+test('Delegations are per topic and overridable per subject', async () => {
+  const { ledger, people: { alice, bob, carol } } = await setup(['alice', 'bob', 'carol']);
+  await delegate(ledger, alice, { topic: Category.SCIENCE, delegate: bob.did }, 1);
+  await delegate(ledger, alice, { topic: 'governance', delegate: carol.did }, 2);
+  await delegate(ledger, alice, { topic: Category.SCIENCE, delegate: carol.did, subject: 'claim-7' }, 3);
+
+  assert.equal(getDelegations(ledger, Category.SCIENCE).get(alice.did), bob.did, 'Science goes to bob');
+  assert.equal(getDelegations(ledger, 'governance').get(alice.did), carol.did, 'Governance goes to carol');
+  assert.equal(getDelegations(ledger, Category.SCIENCE, { subject: 'claim-7' }).get(alice.did), carol.did,
+    'claim-7 overrides the topic');
+  assert.equal(getDelegations(ledger, Category.HEALTH).size, 0, 'Other topics untouched');
+
+  await revokeDelegation(ledger, alice, { topic: Category.SCIENCE }, 4);
+  assert.ok(!getDelegations(ledger, Category.SCIENCE).has(alice.did), 'Revoked');
+  assert.ok(getDelegations(ledger, Category.SCIENCE, { pulse: 3 }).has(alice.did), 'Still delegated at pulse 3');
+  assert.equal(ledger.getEntriesByAction(DELEGATE_ACTION).length, 4, 'Every change is a ledger entry');
+});
+
+test('Cycles are refused and dropped deterministically', async () => {
+  const { ledger, people: { alice, bob, carol } } = await setup(['alice', 'bob', 'carol']);
+  await delegate(ledger, alice, { topic: Category.SCIENCE, delegate: bob.did }, 1);
+  await delegate(ledger, bob, { topic: Category.SCIENCE, delegate: carol.did }, 2);
+
+  await assert.rejects(
+    () => delegate(ledger, carol, { topic: Category.SCIENCE, delegate: alice.did }, 3),
+    /cycle/,
+    'Closing the cycle is refused'
+  );
+  await assert.rejects(
+    () => delegate(ledger, carol, { topic: Category.SCIENCE, delegate: carol.did }, 3),
+    /yourself/,
+    'Self-delegation is refused'
+  );
+
+  // Recorded anyway (e.g. concurrently on another replica): the last edge is dropped
+  await ledger.createEntry(carol, DELEGATE_ACTION, { topic: Category.SCIENCE, delegate: alice.did, subject: null }, 3);
+  const delegations = getDelegations(ledger, Category.SCIENCE);
+  assert.ok(!delegations.has(carol.did), 'Cycle-closing edge ignored');
+  assert.equal(delegations.size, 2, 'Earlier edges kept');
+});
+
+test('Karma weights count through delegation', async () => {
+  const { ledger, people: { alice, bob, carol } } = await setup(['alice', 'bob', 'carol']);
+  await delegate(ledger, alice, { topic: 'governance', delegate: bob.did }, 1);
+  const karma = { [alice.did]: 1000, [bob.did]: 10, [carol.did]: 100 };
+
+  const tally = tallyWithDelegation(
+    { [bob.did]: 'yes', [carol.did]: 'no' },
+    getDelegations(ledger, 'governance'),
+    karmaWeight(did => karma[did] || 0)
+  );
+  assert.equal(
+    tally.totals.yes,
+    KarmaSystem.getVotingWeight(1000) + KarmaSystem.getVotingWeight(10),
+    'Bob carries alice\'s karma'
+  );
+  assert.equal(tally.totals.no, KarmaSystem.getVotingWeight(100), 'Carol votes alone');
+});
+
+test('TruthRank claims are recounted with delegated weight', async () => {
+  const { ledger, people: { alice } } = await setup(['alice']);
+  const expert = new TruthRankEngine({ username: 'expert' });
+
+  // Claim and votes recorded as voteOnClaim() would, without the wall clock
+  const claim = {
+    id: 'claim-1',
+    title: 'Water boils at 100C',
+    category: Category.SCIENCE,
+    votes: { verified: 0, false: 0, disputed: 0 },
+    consensus: { verdict: Verdict.UNVERIFIED },
+    truthScore: 0
+  };
+  expert.claims.set(claim.id, claim);
+  expert.votes.set('expert:claim-1', { claimId: claim.id, voter: 'expert', verdict: Verdict.VERIFIED, weight: 2 });
+  expert.votes.set('skeptic:claim-1', { claimId: claim.id, voter: 'skeptic', verdict: Verdict.FALSE, weight: 3 });
+  expert.tallyClaim(claim.id, new Map(), () => 5);
+  assert.equal(claim.consensus.verdict, Verdict.FALSE, 'Skeptic wins alone');
+
+  await delegate(ledger, alice, { topic: Category.SCIENCE, delegate: 'expert' }, 1);
+  const tally = expert.tallyClaim(claim.id, getDelegations(ledger, claim.category, { subject: claim.id }), () => 5);
+  assert.equal(tally.representedBy[alice.did], 'expert', 'Alice follows the expert');
+  assert.equal(claim.votes.verified, 2 + 5, 'Expert counts alice\'s weight');
+  assert.equal(claim.consensus.verdict, Verdict.VERIFIED, 'Delegation changes the consensus');
+});
+
+test('Delegation graph survives a replica of the ledger', async () => {
+  const { ledger, people: { alice, bob } } = await setup(['alice', 'bob']);
+  await delegate(ledger, alice, { topic: Category.SCIENCE, delegate: bob.did }, 1);
+
+  const replica = new Ledger();
+  for (const entry of ledger.entries) {
+    await replica.append(LedgerEntry.fromJSON(JSON.parse(JSON.stringify(entry.toJSON()))));
+  }
+  const original = getDelegations(ledger, Category.SCIENCE);
+  const replayed = getDelegations(replica, Category.SCIENCE);
+  assert.equal(JSON.stringify([...replayed]), JSON.stringify([...original]), 'Same graph on a replica');
+});
+
+// Run all tests
+export async function runDelegationTests() {
+  console.log('🔗 Running Delegation Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDelegationTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
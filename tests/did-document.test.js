@@ -0,0 +1,246 @@
+/**
+ * SRCP007 - DID Document Test Suite
+ * Tests for key rotation, revocation and key resolution by pulse
+ */
+
+import { DIDDocument, DIDResolver, DuplicityError, keyFingerprint } from '../src/did-document.js';
+import { Identity } from '../src/identity.js';
+import { Ledger } from '../src/ledger.js';
+import { Kernel } from '../src/kernel.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('Rotation keeps the DID and switches keys at the rotation pulse', async () => {
+  const alice = await Identity.create('Alice');
+  const did = alice.did;
+  const document = await DIDDocument.create(alice);
+  const oldKey = alice.publicKeyJWK;
+
+  await document.rotate(alice, 10);
+
+  assert.equal(alice.did, did, 'DID unchanged');
+  assert.ok(alice.publicKeyJWK !== oldKey, 'Identity holds the new key');
+  assert.ok(await document.isValidKey(oldKey, 9), 'Old key valid before rotation');
+  assert.ok(!(await document.isValidKey(oldKey, 10)), 'Old key invalid from rotation');
+  assert.ok(await document.isValidKey(alice.publicKeyJWK, 10), 'New key valid from rotation');
+  assert.ok(!(await document.isValidKey(alice.publicKeyJWK, 9)), 'New key not valid before rotation');
+
+  const restored = await DIDDocument.fromJSON(JSON.parse(JSON.stringify(document.toJSON())));
+  assert.equal(restored.headHash, document.headHash, 'Document round-trips');
+});
+
+test('Identity.verify resolves the key valid at a pulse', async () => {
+  const alice = await Identity.create('Alice');
+  const document = await DIDDocument.create(alice);
+  const resolver = new DIDResolver();
+
+  const before = await alice.sign({ msg: 'before' });
+  const oldKey = alice.publicKeyJWK;
+  await document.rotate(alice, 5);
+  await resolver.register(document);
+  const after = await alice.sign({ msg: 'after' });
+
+  const did = alice.did;
+  assert.ok(await Identity.verify(oldKey, { msg: 'before' }, before, { did, pulse: 4, resolver }), 'Old key at old pulse');
+  assert.ok(!(await Identity.verify(oldKey, { msg: 'before' }, before, { did, pulse: 5, resolver })), 'Old key after rotation');
+  assert.ok(await Identity.verify(alice.publicKeyJWK, { msg: 'after' }, after, { did, pulse: 5, resolver }), 'New key');
+  assert.ok(!(await Identity.verify(alice.publicKeyJWK, { msg: 'after' }, after, { did })), 'New key needs a resolver');
+});
+
+test('Ledger chain continues across a rotation', async () => {
+  const alice = await Identity.create('Alice');
+  const document = await DIDDocument.create(alice);
+  const resolver = new DIDResolver();
+  const ledger = new Ledger({ resolver });
+
+  await ledger.createEntry(alice, 'post', { n: 1 }, 1);
+  await document.rotate(alice, 2);
+  await resolver.register(document);
+  await ledger.createEntry(alice, 'post', { n: 2 }, 2);
+
+  assert.equal((await ledger.getEntriesByDID(alice.did)).length, 2, 'Both entries under one DID');
+  assert.ok((await ledger.verifyAll()).allValid, 'History verifies with resolver');
+
+  const unresolved = await Ledger.import(ledger.export(3));
+  assert.equal(unresolved.entries.length, 1, 'Rotated-key entry needs the resolver');
+
+  const resolved = await Ledger.import(ledger.export(3), { resolver });
+  assert.equal(resolved.entries.length, 2, 'Import with resolver keeps both');
+});
+
+test('Recovery key rotates out a compromised key and revokes it retroactively', async () => {
+  const alice = await Identity.create('Alice');
+  const recovery = await Identity.create('Alice recovery');
+  const document = await DIDDocument.create(alice, { recovery: [recovery.publicKeyJWK] });
+  const resolver = new DIDResolver();
+  const ledger = new Ledger({ resolver });
+
+  await ledger.createEntry(alice, 'post', { honest: true }, 1);
+  const compromised = alice.publicKeyJWK;
+
+  // Attacker signs with the stolen key at pulse 5
+  const forged = await ledger.createEntry(alice, 'post', { honest: false }, 5);
+
+  // The thief cannot wipe out the honest history with the stolen key
+  await assert.rejects(
+    async () => document.revoke(alice, await keyFingerprint(compromised), 6, { effective: 0 }),
+    /Only a recovery key may revoke/,
+    'Current key cannot revoke retroactively'
+  );
+
+  await document.revoke(recovery, await keyFingerprint(compromised), 8, { effective: 4 });
+  await assert.rejects(() => document.rotate(alice, 8), /revoked/, 'Revoked key cannot rotate');
+
+  await document.rotate(alice, 8, { signer: recovery });
+  await resolver.register(document);
+
+  assert.ok(!(await forged.verify({ resolver })), 'Signature after compromise rejected');
+  assert.ok(await ledger.entries[0].verify({ resolver }), 'Earlier signature still valid');
+  assert.ok(await document.isValidKey(alice.publicKeyJWK, 8), 'Recovered key valid');
+});
+
+test('Key events are checked on every load', async () => {
+  const alice = await Identity.create('Alice');
+  const recovery = await Identity.create('Alice recovery');
+  const mallory = await Identity.create('Mallory');
+  const document = await DIDDocument.create(alice, { recovery: [recovery.publicKeyJWK] });
+
+  await assert.rejects(
+    () => document.rotate(alice, 1, { recovery: [mallory.publicKeyJWK] }),
+    /Only a recovery key/,
+    'Current key cannot replace recovery keys'
+  );
+  await assert.rejects(
+    () => document.revoke(mallory, 'x', 1),
+    /neither the current key nor a recovery key/,
+    'Uncommitted signer'
+  );
+
+  await document.rotate(alice, 3);
+  const json = JSON.parse(JSON.stringify(document.toJSON()));
+
+  const backdated = JSON.parse(JSON.stringify(json));
+  backdated.events[1].pulse = 0;
+  await assert.rejects(() => DIDDocument.fromJSON(backdated), /Invalid signature/, 'Tampered pulse');
+
+  const hijacked = JSON.parse(JSON.stringify(json));
+  hijacked.events[1].publicKey = mallory.publicKeyJWK;
+  await assert.rejects(() => DIDDocument.fromJSON(hijacked), /Invalid signature/, 'Swapped key');
+
+  const foreign = JSON.parse(JSON.stringify(json));
+  foreign.did = mallory.did;
+  await assert.rejects(() => DIDDocument.fromJSON(foreign), /Key event for/, 'Wrong DID');
+});
+
+test('Resolver accepts extensions and flags duplicity', async () => {
+  const alice = await Identity.create('Alice');
+  const recovery = await Identity.create('Alice recovery');
+  const document = await DIDDocument.create(alice, { recovery: [recovery.publicKeyJWK] });
+  const resolver = new DIDResolver();
+
+  await resolver.register(document.toJSON());
+  const stale = document.toJSON();
+
+  // Legitimate rotation extends the log
+  const exported = await alice.export();
+  await document.rotate(alice, 2);
+  await resolver.register(document);
+  await resolver.register(stale);
+  assert.equal(resolver.resolve(alice.did).events.length, 2, 'Stale document ignored');
+
+  // A thief holding the old key forks the log
+  const thief = await Identity.import(exported);
+  const fork = await DIDDocument.fromJSON(stale);
+  await fork.rotate(thief, 2);
+  const error = await assert.rejects(() => resolver.register(fork), /Duplicity/, 'Key-signed fork');
+  assert.ok(error instanceof DuplicityError, 'DuplicityError raised');
+  assert.equal(error.events.length, 2, 'Both events attached as evidence');
+
+  // Recovery overrides a key-signed event
+  const recovered = await DIDDocument.fromJSON(stale);
+  await recovered.rotate(thief, 2, { signer: recovery });
+  await resolver.register(recovered);
+  assert.ok(await resolver.isValidKey(alice.did, thief.publicKeyJWK, 2), 'Recovery branch wins');
+});
+
+test('Kernel accepts transactions from rotated authors through a resolver', async () => {
+  const room = await Identity.create('room');
+  const alice = await Identity.create('alice');
+  const document = await DIDDocument.create(alice);
+  const resolver = new DIDResolver();
+
+  let tick = 100;
+  const kernel = await Kernel.boot({
+    adapters: {
+      clock: { now: () => tick },
+      nonce: { generate: () => `n${tick++}` },
+      resolver
+    },
+    identity: room
+  });
+
+  await document.rotate(alice, 50);
+  await resolver.register(document);
+
+  const tx = await kernel.createSignedTransaction(alice, 'ledger.append', { action: 'post', data: { rotated: true } });
+  await kernel.submitTransaction(tx);
+  assert.equal(kernel.getState().ledgerSize, 1, 'Entry appended');
+
+  const unresolved = await Kernel.boot({
+    adapters: { clock: { now: () => 100 }, nonce: { generate: () => 'other' } },
+    identity: room
+  });
+  await assert.rejects(() => unresolved.submitTransaction(tx), /INVALID_SIGNATURE/, 'Rejected without resolver');
+});
+
+// Run all tests
+export async function runDIDDocumentTests() {
+  console.log('🔑 Running DID Document Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runDIDDocumentTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
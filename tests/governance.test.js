@@ -0,0 +1,311 @@
+/**
+ * SRCP007 - Governance Test Suite
+ * Tests for proposals, karma-weighted voting, deposits and execution
+ */
+
+import {
+  createGovernanceHandlers,
+  getProposal,
+  getBalance,
+  getEconomics,
+  getGovernance,
+  GOVERNANCE_TOPIC,
+  ProposalStatus
+} from '../src/governance.js';
+import { DELEGATE_ACTION } from '../src/delegation.js';
+import { Kernel, verifyExport } from '../src/kernel.js';
+import { createTransactionRegistry } from '../src/transaction-registry.js';
+import { createMemoryStorage } from '../src/storage.js';
+import { SovereignEngine } from '../src/engine.js';
+import { TokenEconomics } from '../src/token-economics.js';
+import { Identity } from '../src/identity.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Sets a DID's karma, standing in for the application's karma bookkeeping
+const karmaHandler = {
+  reduce(state, tx) {
+    return { extensions: { karma: { ...(state.extensions.karma || {}), [tx.payload.did]: tx.payload.karma } } };
+  }
+};
+
+const registry = createTransactionRegistry({
+  ...createGovernanceHandlers(),
+  'karma.set': karmaHandler
+});
+
+const costChange = { type: 'economics.set_cost', params: { action: 'upload', cost: 3 } };
+
+// Kernel whose pulse is set by the test; `members` vote through signed transactions
+async function setup(count = 3) {
+  const clock = { pulse: 1, now() { return this.pulse; } };
+  let nonce = 0;
+  const kernel = await Kernel.boot({
+    adapters: { clock, nonce: { generate: () => `n${nonce++}` } },
+    config: { transactionRegistry: registry }
+  });
+
+  const members = [];
+  for (let i = 0; i < count; i++) {
+    members.push(await Identity.create(`member${i}`));
+  }
+
+  const vote = async (member, proposalId, choice) =>
+    await kernel.submitTransaction(
+      await kernel.createSignedTransaction(member, 'governance.vote', { proposalId, choice })
+    );
+
+  return { kernel, clock, members, vote, state: () => kernel.getState() };
+}
+
+test('Passed proposal executes its action', async () => {
+  const { kernel, clock, members, vote, state } = await setup();
+  const proposer = state().identity.did;
+
+  await kernel.executeTransaction('governance.propose', { title: 'Uploads cost 3', action: costChange });
+  const proposal = getProposal(state(), 'proposal-1');
+  assert.equal(proposal.status, ProposalStatus.ACTIVE, 'Proposal open');
+  assert.equal(proposal.votingEnds, 101, 'Voting window in pulses');
+  assert.equal(getBalance(state(), proposer), TokenEconomics.INITIAL_BALANCE - 50, 'Deposit locked');
+
+  for (const member of members) {
+    await kernel.executeTransaction('karma.set', { did: member.did, karma: 99 });
+  }
+  clock.pulse = 50;
+  await vote(members[0], 'proposal-1', 'yes');
+  await vote(members[1], 'proposal-1', 'yes');
+  await vote(members[2], 'proposal-1', 'no');
+
+  await assert.rejects(
+    () => kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' }),
+    /open until pulse 101/,
+    'Cannot finalize during voting'
+  );
+
+  clock.pulse = 102;
+  await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+  const finalized = getProposal(state(), 'proposal-1');
+  assert.equal(finalized.status, ProposalStatus.PASSED, 'Passed');
+  assert.equal(finalized.tally.yes, 42, 'Karma-weighted yes (2 x 21)');
+  assert.equal(getBalance(state(), proposer), TokenEconomics.INITIAL_BALANCE, 'Deposit refunded');
+
+  await kernel.executeTransaction('governance.execute', { proposalId: 'proposal-1' });
+  assert.equal(getEconomics(state()).costs.upload, 3, 'Cost changed');
+  assert.equal(getProposal(state(), 'proposal-1').status, ProposalStatus.EXECUTED, 'Executed');
+  assert.equal(TokenEconomics.COSTS.upload, 2, 'Global costs untouched by the reducer');
+
+  await assert.rejects(
+    () => kernel.executeTransaction('governance.execute', { proposalId: 'proposal-1' }),
+    /only passed proposals execute/,
+    'Executes once'
+  );
+});
+
+test('Votes are weighted by karma, once per DID, inside the window', async () => {
+  const { kernel, clock, members, vote, state } = await setup();
+  await kernel.executeTransaction('karma.set', { did: members[0].did, karma: 999 });
+  await kernel.executeTransaction('karma.set', { did: members[1].did, karma: 9 });
+  await kernel.executeTransaction('karma.set', { did: members[2].did, karma: 9 });
+
+  await kernel.executeTransaction('governance.propose', { title: 'Uploads cost 3', action: costChange });
+  await vote(members[0], 'proposal-1', 'no');
+  await vote(members[1], 'proposal-1', 'yes');
+  await vote(members[2], 'proposal-1', 'yes');
+
+  await assert.rejects(() => vote(members[1], 'proposal-1', 'no'), /already voted/, 'Second vote');
+  clock.pulse = 200;
+  const late = await Identity.create('late');
+  await assert.rejects(() => vote(late, 'proposal-1', 'yes'), /closed/, 'After the window');
+
+  await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+  const { tally, status } = getProposal(state(), 'proposal-1');
+  assert.equal(tally.no, 31, 'High-karma vote weight');
+  assert.equal(tally.yes, 22, 'Lower-karma votes (2 x 11)');
+  assert.equal(status, ProposalStatus.REJECTED, 'Outvoted');
+
+  await assert.rejects(
+    () => kernel.executeTransaction('governance.execute', { proposalId: 'proposal-1' }),
+    /is rejected/,
+    'Rejected proposal does not execute'
+  );
+});
+
+test('Deposit is burned without quorum', async () => {
+  const { kernel, clock, members, vote, state } = await setup(1);
+  const proposer = state().identity.did;
+
+  await kernel.executeTransaction('governance.propose', { title: 'Quiet proposal', action: costChange });
+  await vote(members[0], 'proposal-1', 'yes');
+
+  clock.pulse = 102;
+  await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+  assert.equal(getProposal(state(), 'proposal-1').status, ProposalStatus.EXPIRED, 'Expired');
+  assert.equal(getBalance(state(), proposer), TokenEconomics.INITIAL_BALANCE - 50, 'Deposit burned');
+});
+
+test('Delegated governance votes count at finalization', async () => {
+  const { kernel, clock, members, vote, state } = await setup(4);
+  const [voter, delegator, overrider, late] = members;
+  for (const member of members) {
+    await kernel.executeTransaction('karma.set', { did: member.did, karma: 99 });
+  }
+  const delegateTo = async (member, to, pulse) => {
+    clock.pulse = pulse;
+    await kernel.submitTransaction(await kernel.createSignedTransaction(member, 'ledger.append', {
+      action: DELEGATE_ACTION, data: { topic: GOVERNANCE_TOPIC, delegate: to, subject: null }
+    }));
+  };
+
+  await kernel.executeTransaction('governance.propose', { title: 'Uploads cost 3', action: costChange });
+  await delegateTo(delegator, voter.did, 10);
+  await delegateTo(overrider, voter.did, 10);
+  await vote(voter, 'proposal-1', 'yes');
+  await vote(overrider, 'proposal-1', 'no');
+  await delegateTo(late, voter.did, 150);
+
+  await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+  const { tally, status } = getProposal(state(), 'proposal-1');
+  assert.equal(tally.yes, 42, 'Delegator\'s weight follows its delegate');
+  assert.equal(tally.no, 21, 'Voting directly overrides the delegation');
+  assert.equal(status, ProposalStatus.PASSED, 'Delegated weight counts toward quorum');
+});
+
+test('Rule changes apply to later proposals only', async () => {
+  const { kernel, clock, members, vote, state } = await setup();
+  for (const member of members) {
+    await kernel.executeTransaction('karma.set', { did: member.did, karma: 99 });
+  }
+
+  await kernel.executeTransaction('governance.propose', {
+    title: 'Longer votes, bigger deposits',
+    action: { type: 'governance.set_params', params: { votingPeriod: 500, deposit: 2000 } }
+  });
+  await kernel.executeTransaction('governance.propose', { title: 'Uploads cost 3', action: costChange });
+  for (const member of members) {
+    await vote(member, 'proposal-1', 'yes');
+  }
+
+  clock.pulse = 102;
+  await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+  await kernel.executeTransaction('governance.execute', { proposalId: 'proposal-1' });
+  assert.equal(getGovernance(state()).params.votingPeriod, 500, 'Params changed');
+  assert.equal(getProposal(state(), 'proposal-2').votingEnds, 101, 'Open proposal keeps its window');
+
+  await assert.rejects(
+    () => kernel.executeTransaction('governance.propose', { title: 'Too expensive', action: costChange }),
+    /deposit of 2000 exceeds balance/,
+    'New deposit applies'
+  );
+  await assert.rejects(
+    () => kernel.executeTransaction('governance.propose', { title: 'Bad', action: { type: 'kernel.shutdown', params: {} } }),
+    /Unknown governance action/,
+    'Unknown action'
+  );
+});
+
+test('Governance replays to the same state from the export', async () => {
+  const { kernel, clock, members, vote } = await setup(2);
+  await kernel.executeTransaction('governance.propose', { title: 'Uploads cost 3', action: costChange });
+  await vote(members[0], 'proposal-1', 'yes');
+  await vote(members[1], 'proposal-1', 'abstain');
+  clock.pulse = 150;
+  await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+
+  const result = await verifyExport(await kernel.export(), { registry });
+  assert.equal(result.transactionCount, 4, 'All governance transactions exported');
+  assert.equal(result.stateHash, kernel.getState().stateHash, 'Replay reaches the same state');
+});
+
+test('Engines charge the governed costs of their kernel, also after a restore', async () => {
+  const clock = { pulse: 1, now() { return this.pulse; } };
+  let nonce = 0;
+  const adapters = () => ({ clock, nonce: { generate: () => `n${nonce++}` } });
+  const identity = await Identity.create('network');
+  const storage = createMemoryStorage();
+  const kernel = await Kernel.boot({
+    adapters: { ...adapters(), storage },
+    identity,
+    config: { transactionRegistry: registry }
+  });
+  const members = [];
+  for (let i = 0; i < 3; i++) {
+    members.push(await Identity.create(`member${i}`));
+  }
+
+  await kernel.executeTransaction('governance.propose', { title: 'Uploads cost 3', action: costChange });
+  for (const member of members) {
+    await kernel.executeTransaction('karma.set', { did: member.did, karma: 99 });
+    await kernel.submitTransaction(
+      await kernel.createSignedTransaction(member, 'governance.vote', { proposalId: 'proposal-1', choice: 'yes' })
+    );
+  }
+  clock.pulse = 102;
+  await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+  await kernel.executeTransaction('governance.execute', { proposalId: 'proposal-1' });
+
+  const engine = new SovereignEngine(identity, { kernel });
+  assert.equal(TokenEconomics.getCost('upload', engine.costs), 3, 'Cost applied to the engine');
+  assert.equal(TokenEconomics.COSTS.upload, 2, 'Global costs untouched');
+  assert.ok(!TokenEconomics.canAfford(2, 'upload', engine.costs), 'Engine charges the new cost');
+
+  // Restoring replays without emitting proposal.executed; the cost still applies
+  const restored = await Kernel.restore(storage, {
+    adapters: adapters(),
+    identity,
+    config: { transactionRegistry: registry }
+  });
+  const restoredEngine = new SovereignEngine(identity, { kernel: restored });
+  assert.equal(restoredEngine.costs.upload, 3, 'Restored engine charges the governed cost');
+});
+
+// Run all tests
+export async function runGovernanceTests() {
+  console.log('🏛️ Running Governance Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runGovernanceTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
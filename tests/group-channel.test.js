@@ -0,0 +1,326 @@
+/**
+ * SRCP007 - Group Channel Test Suite
+ * Tests for signed channel membership, sender keys and rekeying
+ */
+
+import { GroupChannel } from '../src/group-channel.js';
+import { MessagingProtocol } from '../src/messaging-protocol.js';
+import { createPrekeys, publishPrekeys, findPrekeyBundle } from '../src/x3dh.js';
+import { Identity } from '../src/identity.js';
+import { Canonical } from '../src/canonical.js';
+import { Ledger } from '../src/ledger.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+async function people(...names) {
+  const result = {};
+  for (const name of names) {
+    result[name] = await Identity.create(name);
+  }
+  return result;
+}
+
+// In-process network recording everything it relays
+function createHub() {
+  const nodes = new Map();
+  const relayed = [];
+
+  return {
+    relayed,
+    connect(did) {
+      const handlers = new Map();
+      nodes.set(did, handlers);
+
+      return {
+        on(type, handler) {
+          if (!handlers.has(type)) handlers.set(type, []);
+          handlers.get(type).push(handler);
+        },
+        async sendMessage(targetDID, type, payload) {
+          const target = nodes.get(targetDID);
+          if (!target) return false;
+          const copy = JSON.parse(JSON.stringify(payload));
+          relayed.push({ from: did, to: targetDID, type, payload: copy });
+          await Promise.all((target.get(`message:${type}`) || []).map(handler => handler(did, copy)));
+          return true;
+        },
+        getConnectedPeers() {
+          return [];
+        }
+      };
+    }
+  };
+}
+
+async function join(hub, registry, identity) {
+  let tick = 0;
+  let counter = 0;
+  const messaging = new MessagingProtocol(
+    identity,
+    hub.connect(identity.did),
+    { tick: () => ++tick, advance: () => ++tick },
+    { next: () => `${identity.did.slice(-8)}:${counter++}` }
+  );
+  await messaging.initialize();
+
+  const { bundle, secrets } = await createPrekeys(identity, { oneTimePrekeys: 3 });
+  await publishPrekeys(registry, identity, bundle, 1);
+  messaging.useEncryption(secrets, {
+    getPrekeyBundle: did => findPrekeyBundle(registry, did),
+    publishPrekeys: published => publishPrekeys(registry, identity, published, 1)
+  });
+  return messaging;
+}
+
+async function network(...names) {
+  const hub = createHub();
+  const registry = new Ledger();
+  const ids = await people(...names);
+  const nodes = {};
+  for (const name of names) {
+    nodes[name] = await join(hub, registry, ids[name]);
+  }
+  return { hub, ids, nodes };
+}
+
+const contents = (node, channelDID) => node.channels.get(channelDID).messages.map(m => m.content).join('|');
+
+test('Membership operations need an admin signature', async () => {
+  const { alice, bob, carol } = await people('alice', 'bob', 'carol');
+  const channel = await GroupChannel.create(alice, { name: 'ops' });
+  await channel.add(bob.did, bob.publicKeyJWK);
+  assert.equal(channel.epoch, 2, 'Create and add applied');
+
+  const bobCopy = await GroupChannel.fromOperations(bob, channel.did, channel.getOperations());
+  await assert.rejects(() => bobCopy.add(carol.did, carol.publicKeyJWK), /Only admins/, 'Member cannot add');
+  await assert.rejects(() => channel.add(carol.did, bob.publicKeyJWK), /does not belong/, 'Key must match DID');
+
+  // Hand-made operation by a non-admin is ignored by everyone
+  const head = await Canonical.hash(channel.getOperations().pop());
+  const body = { channel: channel.did, type: 'add', member: carol.did, publicKey: carol.publicKeyJWK, admin: false,
+    parents: [head], by: bob.did, byKey: bob.publicKeyJWK };
+  assert.ok(!(await channel.merge([{ ...body, signature: await bob.sign(body) }])), 'Unauthorized add has no effect');
+  assert.ok(!(await channel.merge([{ ...body, by: alice.did, byKey: alice.publicKeyJWK, signature: await bob.sign(body) }])),
+    'Forged signature has no effect');
+  assert.ok(!channel.isMember(carol.did), 'Carol stays out');
+
+  await bobCopy.remove(bob.did);
+  await channel.merge(bobCopy.getOperations());
+  assert.ok(!channel.isMember(bob.did), 'Members may remove themselves');
+});
+
+test('Concurrent operations converge in every order', async () => {
+  const { alice, bob, carol, dave } = await people('alice', 'bob', 'carol', 'dave');
+  const channel = await GroupChannel.create(alice, { name: 'race' });
+  await channel.add(bob.did, bob.publicKeyJWK, { admin: true });
+  const bobCopy = await GroupChannel.fromOperations(bob, channel.did, channel.getOperations());
+
+  // Concurrently: alice adds carol and removes bob; bob adds dave
+  const aliceOps = [await channel.add(carol.did, carol.publicKeyJWK), await channel.remove(bob.did)];
+  const bobOps = [await bobCopy.add(dave.did, dave.publicKeyJWK)];
+
+  await channel.merge(bobOps);
+  await bobCopy.merge(aliceOps);
+  assert.equal(channel.members.join(), bobCopy.members.join(), 'Same members');
+  assert.equal(channel.epoch, bobCopy.epoch, 'Same epoch');
+  assert.ok(!channel.isMember(dave.did), "Bob's concurrent add loses to his removal");
+  assert.ok(!channel.isMember(bob.did), 'Bob removed');
+  assert.ok(channel.isMember(carol.did), "Alice's add applied");
+});
+
+test('Removed admins cannot backdate operations', async () => {
+  const { alice, bob, sock } = await people('alice', 'bob', 'sock');
+  const channel = await GroupChannel.create(alice, { name: 'backdate' });
+  const addBob = await channel.add(bob.did, bob.publicKeyJWK, { admin: true });
+  await channel.remove(bob.did);
+  const epoch = channel.epoch;
+
+  // Bob, removed, signs an add listing only what he saw before his removal
+  const body = { channel: channel.did, type: 'add', member: sock.did, publicKey: sock.publicKeyJWK, admin: false,
+    parents: [await Canonical.hash(addBob)], by: bob.did, byKey: bob.publicKeyJWK };
+  await channel.merge([{ ...body, signature: await bob.sign(body) }]);
+  assert.ok(!channel.isMember(sock.did), 'Backdated add rejected');
+  assert.equal(channel.epoch, epoch, 'Nothing applied');
+
+  // Naming the removal as seen does not help either
+  const after = { ...body, parents: [await Canonical.hash(channel.getOperations().pop())] };
+  await channel.merge([{ ...after, signature: await bob.sign(after) }]);
+  assert.ok(!channel.isMember(sock.did), 'Add after removal rejected');
+
+  // Operations waiting for unknown parents are not applied
+  const orphan = { ...body, by: alice.did, byKey: alice.publicKeyJWK, parents: ['0'.repeat(64)] };
+  await channel.merge([{ ...orphan, signature: await alice.sign(orphan) }]);
+  assert.ok(!channel.isMember(sock.did), 'Orphan waits for its parents');
+
+  // Copies rebuilt from the log, forged operations included, agree
+  const copy = await GroupChannel.fromOperations(alice, channel.did, channel.getOperations());
+  assert.equal(copy.members.join(), channel.members.join(), 'Same members');
+  await channel.add(sock.did, sock.publicKeyJWK);
+  assert.ok(channel.isMember(sock.did), 'Alice can still add after the skipped operations');
+});
+
+test('Outsiders cannot found the channel again or merge into it', async () => {
+  const { ids, nodes } = await network('alice', 'bob', 'mallory');
+  const { mallory } = ids;
+  const channel = await nodes.alice.createChannel('owned', [ids.bob.did]);
+  const [create] = channel.getOperations();
+  assert.equal(channel.did, `did:srcp:channel/${await Canonical.hash(create)}`, 'DID derived from the create');
+
+  // Mallory founds "the same" channel and adds herself under the real create
+  const sign = async body => ({ ...body, signature: await mallory.sign(body) });
+  const forged = await sign({ channel: channel.did, type: 'create', name: 'mine', nonce: 'x', member: mallory.did,
+    publicKey: mallory.publicKeyJWK, parents: [], by: mallory.did, byKey: mallory.publicKeyJWK });
+  const grafted = await sign({ channel: channel.did, type: 'add', member: mallory.did, publicKey: mallory.publicKeyJWK,
+    admin: true, parents: [await Canonical.hash(create)], by: mallory.did, byKey: mallory.publicKeyJWK });
+  const count = channel.operations.size;
+  assert.ok(!(await channel.merge([forged, grafted])), 'Second create and outsider operation ignored');
+  assert.equal(channel.operations.size, count, 'Nothing stored');
+  assert.equal(channel.creator, ids.alice.did, 'Alice still founder');
+
+  // Sent over an end-to-end session, with the genuine log around them
+  const rejected = [];
+  nodes.bob.on('message:rejected', event => rejected.push(event.reason));
+  await nodes.mallory._sendSecureChannel(ids.bob.did, {
+    action: 'operations',
+    channelDID: channel.did,
+    operations: [...channel.getOperations(), forged, grafted]
+  });
+  assert.equal(rejected[0], `${mallory.did} is not a member of ${channel.did}`, 'Operations from outsiders refused');
+  assert.ok(nodes.bob.channels.get(channel.did).isMember(ids.bob.did), 'Bob keeps the channel');
+  assert.equal(nodes.bob.channels.get(channel.did).admins.join(), ids.alice.did, 'Alice sole admin');
+});
+
+test('Sender keys encrypt for members and sign for the sender', async () => {
+  const { alice, bob, carol } = await people('alice', 'bob', 'carol');
+  const channel = await GroupChannel.create(alice, { name: 'keys' });
+  await channel.add(bob.did, bob.publicKeyJWK);
+  await channel.add(carol.did, carol.publicKeyJWK);
+  const bobCopy = await GroupChannel.fromOperations(bob, channel.did, channel.getOperations());
+  const carolCopy = await GroupChannel.fromOperations(carol, channel.did, channel.getOperations());
+
+  await assert.rejects(() => channel.encrypt('x'), /No sender key/, 'Key must be rotated first');
+  const key = channel.rotateSenderKey();
+  bobCopy.receiveSenderKey(alice.did, key);
+  carolCopy.receiveSenderKey(alice.did, key);
+
+  const first = await channel.encrypt({ content: 'one' });
+  const second = await channel.encrypt({ content: 'two' });
+  assert.equal((await bobCopy.decrypt(second)).content, 'two', 'Out of order');
+  assert.equal((await bobCopy.decrypt(first)).content, 'one', 'Skipped key kept');
+  await assert.rejects(() => bobCopy.decrypt(first), /cannot be decrypted/, 'Replay rejected');
+
+  // Carol holds alice's chain but cannot sign as alice
+  const forged = { ...first, iteration: 5 };
+  await assert.rejects(() => carolCopy.decrypt(forged), /signature/, 'Impersonation rejected');
+});
+
+test('Encrypted channels deliver to members without cleartext on the wire', async () => {
+  const { hub, ids, nodes } = await network('alice', 'bob', 'carol');
+  const channel = await nodes.alice.createChannel('plans', [ids.bob.did, ids.carol.did]);
+
+  await nodes.alice.sendChannelMessage(channel.did, 'first');
+  await nodes.bob.sendChannelMessage(channel.did, 'second');
+  await nodes.carol.sendChannelMessage(channel.did, 'third');
+
+  for (const name of ['alice', 'bob', 'carol']) {
+    assert.equal(contents(nodes[name], channel.did), 'first|second|third', `${name} reads everything`);
+  }
+  const wire = JSON.stringify(hub.relayed);
+  assert.ok(!wire.includes('first') && !wire.includes('plans'), 'Content and name stay encrypted');
+  assert.ok(hub.relayed.every(r => r.type !== 'channel' || r.payload.message.ciphertext), 'Channel messages sealed');
+});
+
+test('Removed members cannot read on, added members cannot read back', async () => {
+  const { hub, ids, nodes } = await network('alice', 'bob', 'carol', 'dave');
+  const channel = await nodes.alice.createChannel('team', [ids.bob.did, ids.carol.did]);
+  await nodes.alice.sendChannelMessage(channel.did, 'before');
+  const carolCopy = nodes.carol.channels.get(channel.did);
+
+  const removed = [];
+  nodes.carol.on('channel:removed', event => removed.push(event.channelDID));
+  await nodes.alice.removeChannelMember(channel.did, ids.carol.did);
+  assert.equal(removed[0], channel.did, 'Carol told she was removed');
+
+  await nodes.alice.addChannelMembers(channel.did, [ids.dave.did]);
+  await nodes.bob.sendChannelMessage(channel.did, 'after');
+
+  assert.equal(contents(nodes.alice, channel.did), 'before|after', 'Alice reads on');
+  assert.equal(contents(nodes.dave, channel.did), 'after', 'Dave sees only later messages');
+
+  const sealed = hub.relayed.filter(r => r.type === 'channel').pop().payload.message;
+  await assert.rejects(() => carolCopy.decrypt(sealed), /not from a member|No sender key/, 'Carol cannot decrypt');
+  assert.ok(nodes.alice.channels.get(channel.did).epoch > carolCopy.epoch, 'Channel rekeyed');
+});
+
+test('Leaving rekeys and cleartext channel traffic is rejected', async () => {
+  const { ids, nodes } = await network('alice', 'bob', 'carol');
+  const channel = await nodes.alice.createChannel('leave', [ids.bob.did, ids.carol.did]);
+
+  await nodes.bob.leaveChannel(channel.did);
+  assert.ok(!nodes.bob.channels.has(channel.did), 'Bob left');
+  assert.ok(!nodes.carol.channels.get(channel.did).isMember(ids.bob.did), 'Carol saw Bob leave');
+
+  await nodes.carol.sendChannelMessage(channel.did, 'bob is gone');
+  assert.equal(contents(nodes.alice, channel.did), 'bob is gone', 'Remaining members talk');
+
+  const rejected = [];
+  nodes.alice.on('message:rejected', event => rejected.push(event.reason));
+  await nodes.alice.handleChannelMessage(ids.bob.did, {
+    action: 'invite',
+    channel: { did: 'did:srcp:channel/fake', name: 'fake', members: [ids.alice.did], messages: [] }
+  });
+  assert.equal(rejected[0], 'Unencrypted channel message', 'Cleartext invite refused');
+  assert.ok(!nodes.alice.channels.has('did:srcp:channel/fake'), 'No fake channel');
+});
+
+// Run all tests
+export async function runGroupChannelTests() {
+  console.log('👥 Running Group Channel Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runGroupChannelTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
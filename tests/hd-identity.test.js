@@ -0,0 +1,137 @@
+/**
+ * SRCP007 - HD Identity Test Suite
+ * Tests for P-256 arithmetic and deterministic hierarchical key derivation
+ */
+
+import { P256, pointMultiply, pointAdd, pointNegate, isOnCurve, scalarToJWK } from '../src/p256.js';
+import { HDIdentity, KeyDerivation } from '../src/srcp-v6-unified.js';
+import { Identity } from '../src/identity.js';
+import { Canonical } from '../src/canonical.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const MNEMONIC = 'abandon ability able about above absent absorb abstract absurd abuse access accident';
+
+// Test vectors for MNEMONIC - changing them breaks every restored identity
+const VECTORS = {
+  identityScalar: 'ab76756bc7976957ef24808f821064b30b0073ed06e35c91982ad8ed8868d1ba',
+  identityX: 'archBEPfqcHN2fFI73Jtof0w8dwKmtEY7x0KcjN-JQE',
+  identityDID: 'did:srcp:identity:818815b72202f00b07d2561077f361e4',
+  votingDID: 'did:srcp:voting:36c565ce20f2416090ec86438cd2b770'
+};
+
+test('Curve arithmetic matches known points', () => {
+  const twoG = pointMultiply(2n);
+  assert.equal(twoG.x.toString(16), '7cf27b188d034f7e8a52380304b51ac3c08969e277f21b35a60b48fc47669978', '2G x');
+  assert.equal(twoG.y.toString(16), '7775510db8ed040293d9ac69f7430dbba7dade63ce982299e04b79d227873d1', '2G y');
+
+  assert.ok(isOnCurve(P256.G), 'Generator on curve');
+  assert.equal(pointMultiply(P256.n), null, 'nG is infinity');
+  assert.equal(pointAdd(P256.G, pointNegate(P256.G)), null, 'G - G is infinity');
+
+  const fiveG = pointMultiply(5n);
+  const sum = pointAdd(pointMultiply(2n), pointMultiply(3n));
+  assert.ok(sum.x === fiveG.x && sum.y === fiveG.y, '2G + 3G = 5G');
+});
+
+test('Public points agree with Web Crypto', async () => {
+  const { privateKey } = await Identity.generateKeyPair();
+  const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+  const d = BigInt(`0x${Canonical.arrayBufferToHex(Canonical.base64ToArrayBuffer(
+    jwk.d.replace(/-/g, '+').replace(/_/g, '/').padEnd(44, '=')
+  ))}`);
+
+  const derived = scalarToJWK(d);
+  assert.equal(derived.x, jwk.x, 'x coordinate');
+  assert.equal(derived.y, jwk.y, 'y coordinate');
+});
+
+test('Same mnemonic derives the same keys across runs', async () => {
+  const first = await HDIdentity.create(MNEMONIC, 'Alice');
+  const second = await HDIdentity.create(MNEMONIC, 'Alice');
+
+  assert.equal(await first.getDID(), VECTORS.identityDID, 'Identity DID vector');
+  assert.equal(await second.getDID(), VECTORS.identityDID, 'Stable identity DID');
+  assert.equal(await first.getDID('voting'), VECTORS.votingDID, 'Voting DID vector');
+
+  const other = await HDIdentity.create(`${MNEMONIC} zoo`, 'Alice');
+  assert.ok(await other.getDID() !== VECTORS.identityDID, 'Different mnemonic, different key');
+});
+
+test('Derived scalars match the test vectors', async () => {
+  const hd = await HDIdentity.create(MNEMONIC, 'Alice');
+  const seed = await KeyDerivation._deriveChild(hd.masterSeed, 0);
+  assert.equal((await KeyDerivation._seedToScalar(seed)).toString(16), VECTORS.identityScalar, 'Scalar');
+
+  const { publicKey } = await hd.getKey('identity');
+  assert.equal((await crypto.subtle.exportKey('jwk', publicKey)).x, VECTORS.identityX, 'Public x');
+
+  await assert.rejects(() => KeyDerivation.deriveKey(hd.masterSeed, "m/44'/x'"), /Invalid derivation path/, 'Bad path');
+  await assert.rejects(() => KeyDerivation.deriveKey(hd.masterSeed, 'm/0', 'P-384'), /Unsupported curve/, 'Other curve');
+});
+
+test('Mnemonic restores a full signing identity', async () => {
+  const original = await HDIdentity.create(MNEMONIC, 'Alice');
+  const payload = { text: 'signed on the old device' };
+  const signature = await original.toIdentity().then(identity => identity.sign(payload));
+
+  const restored = await HDIdentity.restoreIdentity(MNEMONIC, 'Alice');
+  assert.equal(restored.username, 'Alice', 'Username');
+  assert.ok(await Identity.isKeyFor(restored.did, restored.publicKeyJWK), 'DID derives from key');
+  assert.ok(await Identity.verify(restored.publicKeyJWK, payload, signature), 'Old signature verifies');
+
+  const exported = await restored.export();
+  assert.equal((await Identity.import(exported)).did, restored.did, 'Exports like any identity');
+});
+
+// Run all tests
+export async function runHDIdentityTests() {
+  console.log('🌳 Running HD Identity Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runHDIdentityTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
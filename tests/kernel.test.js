@@ -15,8 +15,11 @@
  * - Improved test isolation
  */
 
-import { Kernel, bootSealed, verifyExport } from '../src/kernel.js';
+import { Kernel, bootSealed, verifyExport, verifyCheckpoint } from '../src/kernel.js';
 import { Identity } from '../src/identity.js';
+import { Canonical } from '../src/canonical.js';
+import { LedgerEntry } from '../src/ledger.js';
+import { createCausalClock, compareStamps } from '../src/clock.js';
 
 // Test adapters
 class TestClock {
@@ -462,6 +465,485 @@ runner.test('Kernel prevents non-deterministic functions', async () => {
   }
 });
 
+// Test 14: Application transaction types
+const counterHandler = {
+  validate(payload) {
+    if (typeof payload.by !== 'number') {
+      throw new Error('counter.increment requires a numeric by field');
+    }
+  },
+  async reduce(state, tx) {
+    const current = state.extensions.counter || { value: 0 };
+    return { extensions: { counter: { value: current.value + tx.payload.by } } };
+  }
+};
+
+runner.test('Registered transaction types update extension state', async () => {
+  const kernel = await Kernel.boot({
+    adapters: { clock: new TestClock(), nonce: new TestNonce() }
+  });
+  kernel.registerTransactionType('counter.increment', counterHandler);
+
+  const before = kernel.getState().stateHash;
+  await kernel.executeTransaction('counter.increment', { by: 2 });
+  await kernel.executeTransaction('counter.increment', { by: 3 });
+
+  assertEquals(kernel.getState().extensions.counter.value, 5, 'Counter should be 5');
+  assert(kernel.getState().stateHash !== before, 'Extension state should change hash');
+
+  const verification = await kernel.verifyIntegrity();
+  assert(verification.valid, 'Replay should reproduce extension state');
+});
+
+runner.test('Registered transaction payloads are validated', async () => {
+  const kernel = await Kernel.boot({
+    adapters: { clock: new TestClock(), nonce: new TestNonce() },
+    config: { transactionHandlers: { 'counter.increment': counterHandler } }
+  });
+
+  try {
+    await kernel.executeTransaction('counter.increment', { by: 'two' });
+    throw new Error('Should have rejected payload');
+  } catch (error) {
+    assert(error.message.includes('numeric by'), 'Should use handler validator');
+  }
+
+  try {
+    await kernel.executeTransaction('counter.decrement', { by: 1 });
+    throw new Error('Should have rejected unknown type');
+  } catch (error) {
+    assert(error.message.includes('Unknown transaction type'), 'Should reject unknown type');
+  }
+});
+
+runner.test('Built-in transaction types cannot be overridden', async () => {
+  const kernel = await Kernel.boot({
+    adapters: { clock: new TestClock(), nonce: new TestNonce() }
+  });
+
+  try {
+    kernel.registerTransactionType('ledger.append', counterHandler);
+    throw new Error('Should not allow override');
+  } catch (error) {
+    assert(error.message.includes('built-in'), 'Should protect built-in types');
+  }
+});
+
+runner.test('Application reducers cannot replace core state', async () => {
+  const kernel = await Kernel.boot({
+    adapters: { clock: new TestClock(), nonce: new TestNonce() },
+    config: {
+      transactionHandlers: {
+        'rogue.reset': {
+          reduce(state) {
+            return { ledger: new state.ledger.constructor(), nonces: [], extensions: {} };
+          }
+        }
+      }
+    }
+  });
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 1 } });
+  const before = kernel.getState().stateHash;
+
+  try {
+    await kernel.executeTransaction('rogue.reset', {});
+    throw new Error('Should have rejected the reducer');
+  } catch (error) {
+    assert(error.message.includes('INVALID_MUTATION'), 'Should reject core mutations');
+    assert(error.message.includes('ledger, nonces'), 'Should name the core fields');
+  }
+  assertEquals(kernel.getState().stateHash, before, 'State unchanged');
+  assertEquals(kernel.getState().ledgerSize, 1, 'Ledger kept');
+});
+
+runner.test('verifyExport checks application transaction types', async () => {
+  const kernel = await Kernel.boot({
+    adapters: { clock: new TestClock(), nonce: new TestNonce() },
+    config: { transactionHandlers: { 'counter.increment': counterHandler } }
+  });
+  await kernel.executeTransaction('counter.increment', { by: 1 });
+  const exported = await kernel.export();
+
+  const withRegistry = await verifyExport(exported, {
+    registry: kernel.getTransactionRegistry()
+  });
+  assert(withRegistry.valid, 'Export should verify with kernel registry');
+
+  const withoutRegistry = await verifyExport(exported);
+  assert(!withoutRegistry.valid, 'Unknown types should fail verification');
+});
+
+runner.test('Checkpoints are taken on the configured cadence', async () => {
+  const clock = new TestClock(100);
+  const kernel = await Kernel.boot({
+    adapters: { clock, nonce: new TestNonce() },
+    config: { checkpointInterval: 2 }
+  });
+
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 1 } });
+  assertEquals(kernel.getCheckpoint(), null, 'No checkpoint before interval');
+
+  clock.tick();
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 2 } });
+  const checkpoint = kernel.getCheckpoint();
+  assertEquals(checkpoint.transactionCount, 2, 'Checkpoint at transaction 2');
+  assertEquals(checkpoint.stateHash, kernel.getState().stateHash, 'Checkpoint state hash');
+
+  const verification = await verifyCheckpoint(checkpoint);
+  assert(verification.valid, `Checkpoint should verify: ${verification.errors.join(', ')}`);
+});
+
+runner.test('Kernel boots from checkpoint and replays only the tail', async () => {
+  const identity = await Identity.create('checkpoint-test');
+  const clock = new TestClock(100);
+  const kernel = await Kernel.boot({
+    adapters: { clock, nonce: new TestNonce() },
+    identity,
+    config: { transactionHandlers: { 'counter.increment': counterHandler } }
+  });
+
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 1 } });
+  await kernel.executeTransaction('counter.increment', { by: 4 });
+  const checkpoint = await kernel.createCheckpoint();
+
+  clock.tick();
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 2 } });
+  await kernel.executeTransaction('counter.increment', { by: 1 });
+  const tail = kernel.getTransactionLog().slice(checkpoint.transactionCount);
+
+  const resumed = await Kernel.fromCheckpoint(checkpoint, {
+    adapters: { clock: new TestClock(200), nonce: new TestNonce(1000) },
+    identity,
+    config: { transactionHandlers: { 'counter.increment': counterHandler } },
+    transactions: tail
+  });
+
+  assertEquals(resumed.getState().stateHash, kernel.getState().stateHash, 'Same state as full history');
+  assertEquals(resumed.getState().extensions.counter.value, 5, 'Extension state carried over');
+  assertEquals(resumed.getTransactionLog().length, 2, 'Only the tail is held');
+
+  const integrity = await resumed.verifyIntegrity();
+  assert(integrity.valid, 'Integrity replays from checkpoint');
+});
+
+runner.test('Pruned kernel exports checkpoint plus suffix', async () => {
+  const kernel = await Kernel.boot({
+    adapters: { clock: new TestClock(100), nonce: new TestNonce() }
+  });
+
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 1 } });
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 2 } });
+  await kernel.createCheckpoint();
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 3 } });
+
+  assertEquals(await kernel.prune(), 2, 'Should prune two transactions');
+  assertEquals(kernel.getTransactionLog().length, 1, 'Tail remains');
+  assert((await kernel.verifyIntegrity()).valid, 'Pruned kernel verifies');
+
+  const exported = await kernel.export();
+  assert(exported.checkpoint, 'Export carries checkpoint');
+  const verification = await verifyExport(exported);
+  assert(verification.valid, 'Checkpoint plus suffix should verify');
+  assertEquals(verification.checkpointTransactionCount, 2, 'Checkpoint count reported');
+
+  const tampered = JSON.parse(JSON.stringify(exported));
+  tampered.checkpoint.state.extensions = { forged: true };
+  const rejected = await verifyExport(tampered);
+  assert(!rejected.valid, 'Tampered checkpoint should fail');
+});
+
+runner.test('Checkpoint tails must be signed and reproduce the state hash', async () => {
+  const identity = await Identity.create('tail-test');
+  const mallory = await Identity.create('mallory');
+  const kernel = await Kernel.boot({
+    adapters: { clock: new TestClock(100), nonce: new TestNonce() },
+    identity
+  });
+
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 1 } });
+  const checkpoint = await kernel.createCheckpoint();
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { n: 2 } });
+  await kernel.executeTransaction('state.snapshot', {});
+  await kernel.prune();
+  const exported = JSON.parse(JSON.stringify(await kernel.export()));
+
+  const forgedHash = JSON.parse(JSON.stringify(exported));
+  forgedHash.state.stateHash = 'f'.repeat(64);
+  const replayed = await verifyExport(forgedHash);
+  assert(!replayed.valid, 'Forged state hash should fail');
+  assertEquals(replayed.errors[0].index, 'replay', 'Caught by replaying the tail');
+
+  const forgedSignature = JSON.parse(JSON.stringify(exported));
+  const tx = forgedSignature.transactions[1];
+  tx.signature = await mallory.sign({ hash: tx.hash, nonce: tx.nonce });
+  const unsigned = await verifyExport(forgedSignature);
+  assert(!unsigned.valid, 'Tail signed by another key should fail');
+  assertEquals(unsigned.errors[0].error, 'Invalid signature', 'Signature checked');
+
+  const boot = (transactions) => Kernel.fromCheckpoint(checkpoint, {
+    adapters: { clock: new TestClock(200), nonce: new TestNonce(1000) },
+    identity,
+    transactions
+  });
+  for (const [transactions, code] of [
+    [forgedSignature.transactions, 'INVALID_TRANSACTION'],
+    [[exported.transactions[0], exported.transactions[0]], 'REPLAY_ATTACK']
+  ]) {
+    try {
+      await boot(transactions);
+      throw new Error(`Boot should have failed with ${code}`);
+    } catch (error) {
+      assertEquals(error.code, code, 'Boot refuses the tail');
+    }
+  }
+  assertEquals((await boot(exported.transactions)).getState().stateHash, exported.state.stateHash, 'Genuine tail boots');
+});
+
+async function bootRoom(identity) {
+  return await Kernel.boot({
+    adapters: { clock: new TestClock(500), nonce: new TestNonce() },
+    identity,
+    config: { transactionHandlers: { 'counter.increment': counterHandler } }
+  });
+}
+
+runner.test('Replicas apply transactions signed by foreign identities', async () => {
+  const room = await Identity.create('room');
+  const alice = await Identity.create('alice');
+  const bob = await Identity.create('bob');
+
+  const replicaA = await bootRoom(room);
+  const replicaB = await bootRoom(room);
+
+  const fromAlice = await replicaA.createSignedTransaction(alice, 'ledger.append', {
+    action: 'post', data: { text: 'hi from alice' }
+  }, { nonce: 'n1' });
+  await replicaA.submitTransaction(fromAlice);
+  await replicaB.submitTransaction(fromAlice);
+
+  // Same nonce string is fine in a different author's nonce space
+  const fromBob = await replicaB.createSignedTransaction(bob, 'counter.increment', { by: 3 }, { nonce: 'n1' });
+  await replicaA.submitTransaction(fromBob);
+  await replicaB.submitTransaction(fromBob);
+
+  assertEquals(replicaA.getState().stateHash, replicaB.getState().stateHash, 'Replicas should converge');
+  assertEquals(replicaA.getState().extensions.counter.value, 3, 'Bob\'s increment applied');
+
+  const ledger = replicaA._state.ledger;
+  assertEquals(ledger.entries[0].did, alice.did, 'Entry authored by Alice');
+
+  assert((await replicaA.verifyIntegrity()).valid, 'Replay reproduces foreign transactions');
+  const exported = await replicaA.export();
+  const verification = await verifyExport(exported, { registry: replicaA.getTransactionRegistry() });
+  assert(verification.valid, 'Export with foreign transactions verifies');
+});
+
+runner.test('Foreign transactions are replay-protected per author', async () => {
+  const room = await Identity.create('room');
+  const alice = await Identity.create('alice');
+  const kernel = await bootRoom(room);
+
+  const tx = await kernel.createSignedTransaction(alice, 'counter.increment', { by: 1 }, { nonce: 'once' });
+  await kernel.submitTransaction(tx);
+
+  try {
+    await kernel.submitTransaction(tx);
+    throw new Error('Should have rejected replay');
+  } catch (error) {
+    assertEquals(error.code, 'REPLAY_ATTACK', 'Replay should be detected');
+  }
+});
+
+runner.test('Tampered or misattributed foreign transactions are rejected', async () => {
+  const room = await Identity.create('room');
+  const alice = await Identity.create('alice');
+  const mallory = await Identity.create('mallory');
+  const kernel = await bootRoom(room);
+
+  const tx = await kernel.createSignedTransaction(alice, 'counter.increment', { by: 1 });
+
+  const tampered = { ...tx, payload: { by: 100 } };
+  try {
+    await kernel.submitTransaction(tampered);
+    throw new Error('Should have rejected tampered payload');
+  } catch (error) {
+    assertEquals(error.code, 'INVALID_SIGNATURE', 'Tampered payload');
+  }
+
+  const impersonated = { ...tx, author: { did: alice.did, publicKey: mallory.publicKeyJWK } };
+  try {
+    await kernel.submitTransaction(impersonated);
+    throw new Error('Should have rejected impersonation');
+  } catch (error) {
+    assertEquals(error.code, 'INVALID_SIGNATURE', 'Impersonation');
+  }
+
+  // Mallory validly signs a transaction carrying Alice's signed ledger entry
+  const aliceAppend = await kernel.createSignedTransaction(alice, 'ledger.append', {
+    action: 'post', data: { text: 'alice' }
+  });
+  const author = { did: mallory.did, publicKey: mallory.publicKeyJWK };
+  const hijack = { ...aliceAppend, nonce: 'mallory-1', author };
+  hijack.hash = await Canonical.hash({
+    type: hijack.type,
+    payload: hijack.payload,
+    nonce: hijack.nonce,
+    pulse: hijack.pulse,
+    author: mallory.did
+  });
+  hijack.signature = await mallory.sign({ hash: hijack.hash, nonce: hijack.nonce });
+  try {
+    await kernel.submitTransaction(hijack);
+    throw new Error('Should have rejected entry signed by someone else');
+  } catch (error) {
+    assert(error.message.includes('is not the author'), 'Entry signer must be the author');
+  }
+  assertEquals(kernel.getState().ledgerSize, 0, 'No entries appended');
+});
+
+runner.test('Foreign ledger entries must be signed and extend the author\'s chain', async () => {
+  const room = await Identity.create('room');
+  const mallory = await Identity.create('mallory');
+  const kernel = await bootRoom(room);
+
+  // Mallory re-signs her transaction around an entry of her choosing
+  const withEntry = async (entry, nonce) => {
+    const tx = await kernel.createSignedTransaction(mallory, 'ledger.append', { action: 'post', data: { text: 'x' } });
+    const forged = { ...tx, nonce, payload: { ...tx.payload, _ledgerEntry: entry.toJSON() } };
+    forged.hash = await Canonical.hash({
+      type: forged.type,
+      payload: forged.payload,
+      nonce: forged.nonce,
+      pulse: forged.pulse,
+      author: mallory.did
+    });
+    forged.signature = await mallory.sign({ hash: forged.hash, nonce: forged.nonce });
+    return forged;
+  };
+  const rejects = async (tx, pattern, message) => {
+    try {
+      await kernel.submitTransaction(tx);
+      throw new Error(`${message}: should have been rejected`);
+    } catch (error) {
+      assert(pattern.test(error.message), `${message}: ${error.message}`);
+    }
+  };
+
+  const first = await LedgerEntry.create(mallory, 'post', { text: 'one' }, 500, { prevHash: null, height: 1 });
+  const tampered = LedgerEntry.fromJSON({ ...first.toJSON(), data: { text: 'edited' } });
+  await rejects(await withEntry(tampered, 'm-1'), /Invalid signature/, 'Tampered entry');
+
+  const unsigned = LedgerEntry.fromJSON({ ...first.toJSON(), signature: null });
+  await rejects(await withEntry(unsigned, 'm-2'), /Invalid signature/, 'Unsigned entry');
+
+  await kernel.submitTransaction(await withEntry(first, 'm-3'));
+  const fork = await LedgerEntry.create(mallory, 'post', { text: 'other one' }, 500, { prevHash: null, height: 1 });
+  await rejects(await withEntry(fork, 'm-4'), /Equivocation/, 'Forked entry');
+
+  const skipped = await LedgerEntry.create(mallory, 'post', { text: 'three' }, 500, { prevHash: first.hash, height: 3 });
+  await rejects(await withEntry(skipped, 'm-5'), /Chain break/, 'Entry skipping a height');
+
+  assertEquals(kernel.getState().ledgerSize, 1, 'Only the valid entry appended');
+});
+
+runner.test('Replicas merging concurrent transactions converge on one order', async () => {
+  const room = await Identity.create('room');
+  const alice = await Identity.create('alice');
+  const bob = await Identity.create('bob');
+  const config = { transactionHandlers: { 'counter.increment': counterHandler } };
+
+  const bootReplica = (name) => Kernel.boot({
+    adapters: {
+      clock: new TestClock(500),
+      nonce: new TestNonce(),
+      causalClock: createCausalClock(`${room.did}#${name}`)
+    },
+    identity: room,
+    config
+  });
+  const replicaA = await bootReplica('a');
+  const replicaB = await bootReplica('b');
+
+  // Concurrent submissions, each replica sees only its own
+  await replicaA.submitTransaction(await replicaA.createSignedTransaction(alice, 'ledger.append', {
+    action: 'post', data: { text: 'first from alice' }
+  }));
+  await replicaA.submitTransaction(await replicaA.createSignedTransaction(alice, 'ledger.append', {
+    action: 'post', data: { text: 'second from alice' }
+  }));
+  await replicaB.submitTransaction(await replicaB.createSignedTransaction(bob, 'ledger.append', {
+    action: 'post', data: { text: 'hi from bob' }
+  }));
+  await replicaB.submitTransaction(await replicaB.createSignedTransaction(bob, 'counter.increment', { by: 2 }));
+
+  const logA = replicaA.getTransactionLog();
+  const logB = replicaB.getTransactionLog();
+  const mergedA = await replicaA.mergeTransactions(logB);
+  const mergedB = await replicaB.mergeTransactions(logA);
+
+  assertEquals(mergedA.merged, 2, 'A merges Bob\'s transactions');
+  assertEquals(mergedB.merged, 2, 'B merges Alice\'s transactions');
+  assertEquals(mergedA.rejected.length, 0, 'Nothing rejected');
+  assertEquals(replicaA.getState().stateHash, replicaB.getState().stateHash, 'Replicas converge');
+  assertEquals(
+    replicaA.getTransactionLog().map(tx => tx.hash).join(),
+    replicaB.getTransactionLog().map(tx => tx.hash).join(),
+    'Same transaction order'
+  );
+  assertEquals(replicaA.getState().ledgerSize, 3, 'All entries present');
+  assert((await replicaA.verifyIntegrity()).valid, 'Merged history replays');
+
+  // Later local transactions are stamped after everything merged
+  const next = await replicaA.createSignedTransaction(alice, 'counter.increment', { by: 1 });
+  const latest = replicaB.getTransactionLog().map(tx => tx.stamp).sort(compareStamps).pop();
+  assert(compareStamps(next.stamp, latest) > 0, 'Clock advanced past merged stamps');
+
+  const again = await replicaA.mergeTransactions(logB);
+  assertEquals(again.merged, 0, 'Merging twice is a no-op');
+});
+
+runner.test('Merging before a checkpoint moves it, so prune keeps every transaction', async () => {
+  const room = await Identity.create('room');
+  const alice = await Identity.create('alice');
+  const bob = await Identity.create('bob');
+
+  const bootReplica = (name) => Kernel.boot({
+    adapters: {
+      clock: new TestClock(500),
+      nonce: new TestNonce(),
+      causalClock: createCausalClock(`${room.did}#${name}`)
+    },
+    identity: room
+  });
+  const replicaA = await bootReplica('a');
+  const replicaB = await bootReplica('b');
+
+  await replicaA.submitTransaction(await replicaA.createSignedTransaction(alice, 'ledger.append', {
+    action: 'post', data: { text: 'first from alice' }
+  }));
+  await replicaA.submitTransaction(await replicaA.createSignedTransaction(alice, 'ledger.append', {
+    action: 'post', data: { text: 'second from alice' }
+  }));
+  await replicaA.createCheckpoint();
+
+  // Bob's transaction sorts between Alice's two, inside the checkpoint
+  await replicaB.submitTransaction(await replicaB.createSignedTransaction(bob, 'ledger.append', {
+    action: 'post', data: { text: 'hi from bob' }
+  }));
+  await replicaA.mergeTransactions(replicaB.getTransactionLog());
+  await replicaB.mergeTransactions(replicaA.getTransactionLog());
+  assertEquals(replicaA.getTransactionLog()[1].hash, replicaB.getTransactionLog()[1].hash, 'Bob in the middle');
+
+  const checkpoint = replicaA.getCheckpoint();
+  assertEquals(checkpoint.transactionCount, 3, 'Checkpoint covers the merged log');
+  assertEquals(checkpoint.stateHash, replicaA.getState().stateHash, 'Checkpoint matches merged state');
+
+  assertEquals(await replicaA.prune(), 3, 'Whole merged log pruned');
+  assertEquals(replicaA.getState().ledgerSize, 3, 'Bob\'s entry kept');
+  assertEquals(replicaA.getState().stateHash, replicaB.getState().stateHash, 'Still converged');
+  assert((await replicaA.verifyIntegrity()).valid, 'Pruned history verifies');
+});
+
 // ADDED: Export function for test runner
 export async function runKernelTests() {
   console.log('🧪 Running Kernel Tests\n');
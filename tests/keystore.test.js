@@ -0,0 +1,176 @@
+/**
+ * SRCP007 - Keystore Test Suite
+ * Tests for passphrase-protected identity and seed export
+ */
+
+import {
+  encryptKeystore,
+  decryptKeystore,
+  isKeystore,
+  KeystoreKind,
+  DEFAULT_ITERATIONS,
+  MIN_ITERATIONS,
+  MAX_ITERATIONS
+} from '../src/keystore.js';
+import { Identity } from '../src/identity.js';
+import { HDIdentity } from '../src/srcp-v6-unified.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Lowest accepted KDF cost keeps the suite fast; the default is checked separately
+const FAST = { iterations: MIN_ITERATIONS };
+
+test('Encrypted identity export round-trips', async () => {
+  const alice = await Identity.create('Alice');
+  const keystore = await alice.exportEncrypted('correct horse battery staple', FAST);
+
+  assert.ok(isKeystore(keystore), 'Keystore shape');
+  assert.equal(keystore.meta.did, alice.did, 'DID readable without passphrase');
+  assert.ok(!JSON.stringify(keystore).includes('"d"'), 'No plaintext private key');
+
+  const restored = await Identity.importEncrypted(keystore, 'correct horse battery staple');
+  assert.equal(restored.did, alice.did, 'Same DID');
+
+  const signature = await restored.sign({ hello: 'world' });
+  assert.ok(await Identity.verify(alice.publicKeyJWK, { hello: 'world' }, signature), 'Restored key signs');
+});
+
+test('Wrong passphrase is rejected', async () => {
+  const alice = await Identity.create('Alice');
+  const keystore = await alice.exportEncrypted('right', FAST);
+
+  await assert.rejects(() => Identity.importEncrypted(keystore, 'wrong'), /Wrong passphrase/, 'Wrong passphrase');
+  await assert.rejects(() => alice.exportEncrypted(''), /passphrase required/, 'Empty passphrase');
+});
+
+test('Header tampering fails like a wrong passphrase', async () => {
+  const alice = await Identity.create('Alice');
+  const mallory = await Identity.create('Mallory');
+  const keystore = await alice.exportEncrypted('secret', { iterations: 2 * MIN_ITERATIONS });
+
+  const relabeled = { ...keystore, meta: { ...keystore.meta, did: mallory.did } };
+  await assert.rejects(() => Identity.importEncrypted(relabeled, 'secret'), /Wrong passphrase/, 'Swapped DID');
+
+  const weakened = { ...keystore, kdf: { ...keystore.kdf, iterations: MIN_ITERATIONS } };
+  await assert.rejects(() => Identity.importEncrypted(weakened, 'secret'), /Wrong passphrase/, 'Lowered iterations');
+
+  const future = { ...keystore, version: 2 };
+  await assert.rejects(() => Identity.importEncrypted(future, 'secret'), /Unsupported keystore version/, 'Unknown version');
+});
+
+test('KDF iterations outside the accepted range are refused', async () => {
+  const alice = await Identity.create('Alice');
+  const keystore = await alice.exportEncrypted('secret', FAST);
+  const withIterations = iterations => ({ ...keystore, kdf: { ...keystore.kdf, iterations } });
+
+  for (const iterations of [1, MIN_ITERATIONS - 1, MAX_ITERATIONS + 1, 2 ** 40, MIN_ITERATIONS + 0.5, '100000']) {
+    await assert.rejects(
+      () => Identity.importEncrypted(withIterations(iterations), 'secret'),
+      /iterations must be between/,
+      `Import with ${iterations} iterations`
+    );
+  }
+  await assert.rejects(
+    () => alice.exportEncrypted('secret', { iterations: 1000 }),
+    /iterations must be between/,
+    'Export below the floor'
+  );
+});
+
+test('KDF parameters are embedded with a strong default', async () => {
+  const keystore = await encryptKeystore(KeystoreKind.IDENTITY, { secret: 1 }, 'pass');
+
+  assert.equal(keystore.kdf.name, 'PBKDF2', 'KDF name');
+  assert.equal(keystore.kdf.iterations, DEFAULT_ITERATIONS, 'Default iterations');
+  assert.ok(keystore.kdf.salt, 'Salt embedded');
+  assert.equal((await decryptKeystore(keystore, 'pass')).secret, 1, 'Decrypts');
+
+  const again = await encryptKeystore(KeystoreKind.IDENTITY, { secret: 1 }, 'pass', FAST);
+  assert.ok(again.kdf.salt !== keystore.kdf.salt, 'Fresh salt per keystore');
+});
+
+test('Plaintext exports migrate to keystores', async () => {
+  const alice = await Identity.create('Alice');
+  const legacy = await alice.export();
+
+  const keystore = await Identity.migrateExport(legacy, 'secret', FAST);
+  const restored = await Identity.importEncrypted(keystore, 'secret');
+  assert.equal(restored.did, legacy.did, 'Migrated DID');
+
+  await assert.rejects(
+    () => Identity.migrateExport({ ...legacy, version: '4.0.0' }, 'secret', FAST),
+    /Unsupported identity version/,
+    'Unknown legacy version'
+  );
+});
+
+test('HD seeds migrate from mnemonics and round-trip', async () => {
+  const mnemonic = 'abandon ability able about above absent absorb abstract absurd abuse access accident';
+  const original = await HDIdentity.create(mnemonic, 'Alice');
+
+  const keystore = await HDIdentity.migrateMnemonic(mnemonic, 'Alice', 'secret', FAST);
+  assert.equal(keystore.kind, KeystoreKind.HD_SEED, 'Seed keystore');
+  assert.ok(!JSON.stringify(keystore).includes('abandon'), 'Mnemonic not stored');
+
+  const restored = await HDIdentity.importEncrypted(keystore, 'secret');
+  assert.equal(restored.username, 'Alice', 'Username');
+  assert.equal(
+    Array.from(restored.masterSeed).join(),
+    Array.from(original.masterSeed).join(),
+    'Same master seed'
+  );
+
+  await assert.rejects(() => Identity.importEncrypted(keystore, 'secret'), /Expected keystore kind identity/, 'Kind checked');
+});
+
+// Run all tests
+export async function runKeystoreTests() {
+  console.log('🔐 Running Keystore Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runKeystoreTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
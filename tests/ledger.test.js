@@ -3,7 +3,7 @@
  * Tests for append-only cryptographic ledger
  */
 
-import { Ledger, LedgerEntry } from '../src/ledger.js';
+import { Ledger, LedgerEntry, EquivocationError } from '../src/ledger.js';
 import { Identity } from '../src/identity.js';
 
 const assert = {
@@ -261,6 +261,117 @@ test('Large ledger performance', async () => {
   console.log(`   ⏱️  Added 100 entries in ${duration}ms`);
 });
 
+// Hash Chain Tests
+test('Linked entries chain to the previous entry of the same DID', async () => {
+  const ledger = new Ledger();
+  const alice = await Identity.create('Alice');
+  const bob = await Identity.create('Bob');
+
+  const first = await ledger.createEntry(alice, 'action', { i: 1 }, 1000);
+  await ledger.createEntry(bob, 'action', { i: 2 }, 1001);
+  const second = await ledger.createEntry(alice, 'action', { i: 3 }, 1002);
+
+  assert.equal(first.height, 1, 'First entry should be height 1');
+  assert.equal(first.prevHash, null, 'First entry has no predecessor');
+  assert.equal(second.height, 2, 'Second entry should be height 2');
+  assert.equal(second.prevHash, first.hash, 'Should link to previous entry');
+  assert.ok(await second.verify(), 'Linked entry should verify');
+
+  const result = await ledger.verifyAll();
+  assert.ok(result.allValid, 'Chained ledger should be valid');
+  assert.equal(result.chainBreaks.length, 0, 'Should have no chain breaks');
+});
+
+test('Tampering with a link invalidates the signature', async () => {
+  const ledger = new Ledger();
+  const identity = await Identity.create('Alice');
+
+  await ledger.createEntry(identity, 'action', {}, 1000);
+  const entry = await ledger.createEntry(identity, 'action', {}, 1001);
+
+  entry.prevHash = 'f'.repeat(64);
+  assert.ok(!(await entry.verify()), 'Modified link should not verify');
+});
+
+test('Verify reports dropped and reordered entries', async () => {
+  const ledger = new Ledger();
+  const identity = await Identity.create('Alice');
+
+  for (let i = 0; i < 3; i++) {
+    await ledger.createEntry(identity, 'action', { i }, 1000 + i);
+  }
+
+  // Silently drop the middle entry
+  ledger.entries.splice(1, 1);
+  let result = await ledger.verifyAll();
+  assert.ok(!result.allValid, 'Dropped entry should be detected');
+  assert.equal(result.chainBreaks[0].reason, 'height-gap', 'Should report height gap');
+
+  // Reorder remaining entries
+  ledger.entries.reverse();
+  result = await ledger.verifyAll();
+  assert.ok(result.chainBreaks.length > 0, 'Reordering should be detected');
+});
+
+test('Append rejects entries that do not extend the chain head', async () => {
+  const ledger = new Ledger();
+  const identity = await Identity.create('Alice');
+
+  await ledger.createEntry(identity, 'action', {}, 1000);
+  const skipped = await LedgerEntry.create(identity, 'action', {}, 1001, {
+    prevHash: 'a'.repeat(64),
+    height: 3
+  });
+
+  try {
+    await ledger.append(skipped);
+    throw new Error('Should have rejected chain break');
+  } catch (error) {
+    assert.ok(error.message.includes('Chain break'), 'Should report chain break');
+  }
+});
+
+test('Equivocation produces a verifiable fraud proof', async () => {
+  const ledger = new Ledger();
+  const identity = await Identity.create('Alice');
+
+  const link = ledger.nextLink(identity.did);
+  const honest = await LedgerEntry.create(identity, 'pay', { to: 'bob' }, 1000, link);
+  const conflicting = await LedgerEntry.create(identity, 'pay', { to: 'carol' }, 1000, link);
+
+  await ledger.append(honest);
+
+  let proof = null;
+  try {
+    await ledger.append(conflicting);
+  } catch (error) {
+    assert.ok(error instanceof EquivocationError, 'Should raise EquivocationError');
+    proof = error.fraudProof;
+  }
+
+  assert.ok(proof, 'Should produce fraud proof');
+  assert.equal(proof.did, identity.did, 'Proof should name the DID');
+  assert.equal(proof.height, 1, 'Proof should name the height');
+
+  const portable = JSON.parse(JSON.stringify(proof));
+  const verification = await Ledger.verifyFraudProof(portable);
+  assert.ok(verification.valid, 'Fraud proof should verify');
+
+  portable.entries[1].data = portable.entries[0].data;
+  const forged = await Ledger.verifyFraudProof(portable);
+  assert.ok(!forged.valid, 'Tampered fraud proof should not verify');
+});
+
+test('Find equivocations across a set of entries', async () => {
+  const identity = await Identity.create('Alice');
+  const link = { prevHash: null, height: 1 };
+  const a = await LedgerEntry.create(identity, 'action', { v: 'a' }, 1000, link);
+  const b = await LedgerEntry.create(identity, 'action', { v: 'b' }, 1000, link);
+
+  const proofs = Ledger.findEquivocations([a, a, b]);
+  assert.equal(proofs.length, 1, 'Should find one equivocation');
+});
+
 // Run all tests
 export async function runLedgerTests() {
   console.log('📖 Running Ledger Tests...\n');
@@ -0,0 +1,264 @@
+/**
+ * SRCP007 - Mailbox Test Suite
+ * Tests for store-and-forward delivery through relay peers
+ */
+
+import {
+  Mailbox,
+  MailboxRelay,
+  MailboxMessageType,
+  advertiseMailbox,
+  findMailbox
+} from '../src/mailbox.js';
+import { P2PTransport } from '../src/p2p-transport.js';
+import { Identity } from '../src/identity.js';
+import { Ledger } from '../src/ledger.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// In-process network whose nodes can go offline
+function createHub() {
+  const nodes = new Map();
+  const relayed = [];
+
+  return {
+    relayed,
+    setOnline(did, online) {
+      nodes.get(did).online = online;
+    },
+    connect(did) {
+      const node = { online: true, handlers: new Map() };
+      nodes.set(did, node);
+
+      return {
+        on(type, handler) {
+          node.handlers.set(type, handler);
+        },
+        async sendMessage(targetDID, type, payload) {
+          const target = nodes.get(targetDID);
+          if (!target || !target.online || !node.online) return false;
+          const copy = JSON.parse(JSON.stringify(payload));
+          relayed.push({ from: did, to: targetDID, type, payload: copy });
+          const handler = target.handlers.get(`message:${type}`);
+          if (handler) await handler(did, copy);
+          return true;
+        }
+      };
+    }
+  };
+}
+
+// Alice sends, Bob receives through relays R1 and R2
+async function setup({ relays = 1, ttl, quota } = {}) {
+  const hub = createHub();
+  const registry = new Ledger();
+  const directory = { getMailbox: did => findMailbox(registry, did) };
+  const clock = { time: 0, now() { return this.time; } };
+
+  const alice = await Identity.create('alice');
+  const bob = await Identity.create('bob');
+  const relayNodes = [];
+  for (let i = 0; i < relays; i++) {
+    const identity = await Identity.create(`relay${i}`);
+    const relay = new MailboxRelay(identity, hub.connect(identity.did), { clock, ttl, quota });
+    relay.initialize();
+    relayNodes.push(relay);
+  }
+
+  const aliceMail = new Mailbox(alice, hub.connect(alice.did), directory);
+  const bobMail = new Mailbox(bob, hub.connect(bob.did), directory);
+  aliceMail.initialize();
+  bobMail.initialize();
+  await advertiseMailbox(registry, bob, relayNodes.map(r => r.identity.did), 1);
+  await advertiseMailbox(registry, alice, relayNodes.map(r => r.identity.did), 1);
+
+  const inbox = [];
+  bobMail.deliver = (from, type, payload) => inbox.push({ from, type, payload });
+  return { hub, registry, clock, alice, bob, relays: relayNodes, aliceMail, bobMail, inbox };
+}
+
+test('Mailboxes are advertised on the registry ledger', async () => {
+  const registry = new Ledger();
+  const bob = await Identity.create('bob');
+  const mallory = await Identity.create('mallory');
+
+  assert.equal(await findMailbox(registry, bob.did), null, 'Nothing advertised');
+  await advertiseMailbox(registry, bob, ['did:srcp:r1'], 1);
+  await advertiseMailbox(registry, bob, ['did:srcp:r2', 'did:srcp:r3'], 2);
+  assert.equal((await findMailbox(registry, bob.did)).relays.join(), 'did:srcp:r2,did:srcp:r3', 'Latest wins');
+
+  await registry.createEntry(mallory, 'registry:mailbox', { did: bob.did, publicKey: mallory.publicKeyJWK, relays: ['x'] }, 3);
+  assert.equal((await findMailbox(registry, bob.did)).relays.length, 2, 'Others cannot advertise for Bob');
+
+  await advertiseMailbox(registry, bob, [], 4);
+  assert.equal(await findMailbox(registry, bob.did), null, 'Withdrawn');
+});
+
+test('Offline recipients collect sealed mail and receipt it', async () => {
+  const { hub, alice, bob, relays, aliceMail, bobMail, inbox } = await setup();
+  const delivered = [];
+  aliceMail.on('mailbox:delivered', event => delivered.push(event.id));
+
+  hub.setOnline(bob.did, false);
+  const id = await aliceMail.deposit(bob.did, 'chat', { text: 'while you were out' });
+  assert.equal(relays[0].getStats().messages, 1, 'Relay holds the message');
+  assert.ok(aliceMail.outbox.get(id).stored.includes(relays[0].identity.did), 'Relay confirmed storage');
+
+  const deposit = hub.relayed.find(r => r.type === MailboxMessageType.DEPOSIT).payload;
+  assert.ok(!JSON.stringify(deposit).includes('while you were out'), 'Relay cannot read content');
+  assert.ok(!JSON.stringify(deposit).includes(alice.did), 'Relay does not learn the sender');
+
+  hub.setOnline(bob.did, true);
+  assert.equal(await bobMail.fetch(), 1, 'One relay asked');
+  assert.equal(inbox.length, 1, 'Delivered');
+  assert.equal(inbox[0].from, alice.did, 'Sender authenticated');
+  assert.equal(inbox[0].payload.text, 'while you were out', 'Content intact');
+  assert.equal(relays[0].getStats().messages, 0, 'Acknowledged mail dropped');
+  assert.equal(delivered[0], id, 'Receipt reached the sender');
+  assert.equal(aliceMail.getUndelivered().length, 0, 'Nothing outstanding');
+});
+
+test('Mail left with several relays is delivered once', async () => {
+  const { hub, bob, relays, aliceMail, bobMail, inbox } = await setup({ relays: 2 });
+  hub.setOnline(bob.did, false);
+  await aliceMail.deposit(bob.did, 'chat', 'one');
+  await aliceMail.deposit(bob.did, 'chat', 'two');
+  hub.setOnline(bob.did, true);
+
+  await bobMail.fetch();
+  assert.equal(inbox.map(m => m.payload).join(), 'one,two', 'Each message once');
+  assert.ok(relays.every(r => r.getStats().messages === 0), 'Both relays acknowledged');
+
+  // The same deposit again (e.g. a retry) is not delivered twice
+  const again = hub.relayed.find(r => r.type === MailboxMessageType.DEPOSIT).payload;
+  await relays[0].handleDeposit(hub.relayed[0].from, again);
+  await bobMail.fetch();
+  assert.equal(inbox.length, 2, 'Duplicate dropped');
+  assert.equal(relays[0].getStats().messages, 0, 'Duplicate acknowledged');
+});
+
+test('Relays enforce quota and TTL', async () => {
+  const { hub, clock, bob, relays, aliceMail, bobMail, inbox } = await setup({ ttl: 100, quota: { messages: 2, bytes: 100000 } });
+  const refused = [];
+  aliceMail.on('mailbox:refused', event => refused.push(event.reason));
+  hub.setOnline(bob.did, false);
+
+  await aliceMail.deposit(bob.did, 'chat', 'first');
+  clock.time = 50;
+  await aliceMail.deposit(bob.did, 'chat', 'second');
+  await aliceMail.deposit(bob.did, 'chat', 'third');
+  assert.ok(/is full/.test(refused[0]), 'Quota enforced');
+
+  clock.time = 120;
+  relays[0].purge();
+  assert.equal(relays[0].getStats().messages, 1, 'Expired message dropped');
+
+  hub.setOnline(bob.did, true);
+  await bobMail.fetch();
+  assert.equal(inbox.map(m => m.payload).join(), 'second', 'Only live mail delivered');
+  assert.equal(aliceMail.getUndelivered().length, 2, 'Refused and expired stay undelivered');
+});
+
+test('Relays and recipients reject forged requests and mail', async () => {
+  const { hub, bob, relays, aliceMail, bobMail, inbox } = await setup();
+  const mallory = await Identity.create('mallory');
+  const malloryTransport = hub.connect(mallory.did);
+  const relay = relays[0];
+
+  hub.setOnline(bob.did, false);
+  const id = await aliceMail.deposit(bob.did, 'chat', 'private');
+  hub.setOnline(bob.did, true);
+
+  const forgedFetch = { action: 'fetch', relay: relay.identity.did, did: bob.did, publicKey: mallory.publicKeyJWK };
+  forgedFetch.signature = await mallory.sign({ action: 'fetch', relay: relay.identity.did, did: bob.did });
+  assert.ok(!(await relay.handleFetch(mallory.did, forgedFetch)), 'Fetch for someone else refused');
+  assert.ok(!(await relay.handleFetch(bob.did, forgedFetch)), 'Fetch signed by the wrong key refused');
+  assert.ok(!(await relay.handleAck(bob.did, { ...forgedFetch, action: 'ack', ids: [id] })), 'Forged ack refused');
+  assert.equal(relay.getStats().messages, 1, 'Mail still held');
+
+  // A deposit sealed to Bob but claiming another sender's signature
+  const rejected = [];
+  bobMail.on('mailbox:rejected', event => rejected.push(event.reason));
+  const held = relay.boxes.get(bob.did).get(id).item;
+  await malloryTransport.sendMessage(relay.identity.did, MailboxMessageType.DEPOSIT, { ...held, id: 'forged' });
+  await bobMail.fetch();
+  assert.ok(/does not match/.test(rejected[0]), 'Re-labelled mail rejected');
+  assert.equal(inbox.length, 1, 'Only the genuine message delivered');
+  assert.equal(relay.getStats().messages, 0, 'Rejected mail acknowledged too');
+});
+
+test('P2PTransport leaves undeliverable messages in mailboxes', async () => {
+  const { hub, bob, aliceMail, bobMail } = await setup();
+  const transport = new P2PTransport(aliceMail.identity);
+  transport.useMailbox(aliceMail);
+  hub.setOnline(bob.did, false);
+
+  const held = await transport.holdMessage({ to: bob.did, type: 'chat', payload: 'queued' });
+  assert.equal(held, false, 'Not reported delivered');
+  assert.equal(transport.pendingMessages.length, 0, 'Not queued in memory');
+  assert.equal(aliceMail.getUndelivered().length, 1, 'Deposited');
+
+  await transport.holdMessage({ to: bob.did, type: MailboxMessageType.FETCH, payload: {} });
+  assert.equal(transport.pendingMessages.length, 1, 'Relay traffic never deposited');
+
+  // Mail collected by a transport reaches its message handlers
+  const bobTransport = new P2PTransport(bob);
+  const received = [];
+  bobTransport.on('message:chat', (from, payload) => received.push(payload));
+  bobTransport.useMailbox(bobMail);
+  hub.setOnline(bob.did, true);
+  await bobMail.fetch();
+  assert.equal(received[0], 'queued', 'Handled as if sent directly');
+});
+
+// Run all tests
+export async function runMailboxTests() {
+  console.log('📬 Running Mailbox Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMailboxTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
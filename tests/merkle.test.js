@@ -0,0 +1,195 @@
+/**
+ * SRCP007 - Merkle Tree Test Suite
+ * Tests for incremental Merkle tree, inclusion and consistency proofs
+ */
+
+import { MerkleTree } from '../src/merkle.js';
+import { Ledger } from '../src/ledger.js';
+import { Federation } from '../src/federation.js';
+import { Identity } from '../src/identity.js';
+import { Canonical } from '../src/canonical.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+async function entryHashes(count) {
+  const hashes = [];
+  for (let i = 0; i < count; i++) {
+    hashes.push(await Canonical.hash({ leaf: i }));
+  }
+  return hashes;
+}
+
+async function buildTree(hashes) {
+  const tree = new MerkleTree();
+  for (const hash of hashes) {
+    await tree.append(hash);
+  }
+  return tree;
+}
+
+// Reference (non-incremental) RFC 6962 Merkle tree hash
+async function referenceRoot(hashes) {
+  if (hashes.length === 1) return await MerkleTree.hashLeaf(hashes[0]);
+  let k = 1;
+  while (k * 2 < hashes.length) k *= 2;
+  return await MerkleTree.hashChildren(
+    await referenceRoot(hashes.slice(0, k)),
+    await referenceRoot(hashes.slice(k))
+  );
+}
+
+test('Incremental root matches reference tree hash', async () => {
+  const hashes = await entryHashes(13);
+  const tree = await buildTree(hashes);
+
+  for (let size = 1; size <= hashes.length; size++) {
+    assert.equal(
+      await tree.root(size),
+      await referenceRoot(hashes.slice(0, size)),
+      `Root for size ${size}`
+    );
+  }
+});
+
+test('Empty tree has the well-known empty root', async () => {
+  const tree = new MerkleTree();
+  assert.equal(
+    await tree.root(),
+    'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+    'Empty root should be SHA-256 of empty string'
+  );
+});
+
+test('Every inclusion proof verifies', async () => {
+  const hashes = await entryHashes(11);
+  const tree = await buildTree(hashes);
+
+  for (let size = 1; size <= hashes.length; size++) {
+    const root = await tree.root(size);
+    for (let index = 0; index < size; index++) {
+      const proof = await tree.inclusionProof(index, size);
+      assert.ok(
+        await MerkleTree.verifyInclusion(hashes[index], proof, root),
+        `Inclusion of ${index} in ${size}`
+      );
+    }
+  }
+});
+
+test('Inclusion proof rejects wrong entry, index or root', async () => {
+  const hashes = await entryHashes(7);
+  const tree = await buildTree(hashes);
+  const root = await tree.root();
+  const proof = await tree.inclusionProof(3);
+
+  assert.ok(!(await MerkleTree.verifyInclusion(hashes[4], proof, root)), 'Wrong entry');
+  assert.ok(!(await MerkleTree.verifyInclusion(hashes[3], { ...proof, index: 2 }, root)), 'Wrong index');
+  assert.ok(!(await MerkleTree.verifyInclusion(hashes[3], proof, await tree.root(6))), 'Wrong root');
+
+  const tampered = { ...proof, path: [...proof.path] };
+  tampered.path[0] = hashes[0];
+  assert.ok(!(await MerkleTree.verifyInclusion(hashes[3], tampered, root)), 'Tampered path');
+});
+
+test('Every consistency proof verifies', async () => {
+  const hashes = await entryHashes(10);
+  const tree = await buildTree(hashes);
+
+  for (let newSize = 1; newSize <= hashes.length; newSize++) {
+    const newRoot = await tree.root(newSize);
+    for (let oldSize = 1; oldSize <= newSize; oldSize++) {
+      const proof = await tree.consistencyProof(oldSize, newSize);
+      assert.ok(
+        await MerkleTree.verifyConsistency(proof, await tree.root(oldSize), newRoot),
+        `Consistency ${oldSize} -> ${newSize}`
+      );
+    }
+  }
+});
+
+test('Consistency proof rejects rewritten history', async () => {
+  const hashes = await entryHashes(8);
+  const tree = await buildTree(hashes);
+
+  const forked = await buildTree([...hashes.slice(0, 2), await Canonical.hash({ forged: true }), ...hashes.slice(3)]);
+  const proof = await forked.consistencyProof(3);
+
+  assert.ok(
+    !(await MerkleTree.verifyConsistency(proof, await tree.root(3), await forked.root())),
+    'Fork should not be consistent with original prefix'
+  );
+});
+
+test('Ledger maintains its tree on append', async () => {
+  const ledger = new Ledger();
+  const identity = await Identity.create('Alice');
+
+  for (let i = 0; i < 5; i++) {
+    await ledger.createEntry(identity, 'action', { i }, 1000 + i);
+  }
+
+  const root = await ledger.getMerkleRoot();
+  assert.equal(root, await referenceRoot(ledger.entries.map(e => e.hash)), 'Ledger root');
+
+  const proof = await ledger.getInclusionProof(ledger.entries[2].hash);
+  assert.ok(await MerkleTree.verifyInclusion(ledger.entries[2].hash, proof, root), 'Ledger inclusion');
+
+  const snapshot = await Federation.createManifest(ledger, 1004);
+  await ledger.createEntry(identity, 'action', { i: 5 }, 1005);
+  const manifest = await Federation.createManifest(ledger);
+  const consistency = await Federation.proveConsistency(ledger, snapshot.treeSize);
+  assert.ok(await Federation.verifyConsistency(consistency, snapshot, manifest), 'Manifest consistency');
+});
+
+test('Light client verifies inclusion from a manifest', async () => {
+  const ledger = new Ledger();
+  const identity = await Identity.create('Alice');
+  const mine = await ledger.createEntry(identity, 'post', { text: 'mine' }, 1000);
+  await ledger.createEntry(identity, 'post', { text: 'other' }, 1001);
+
+  const manifest = await Federation.createManifest(ledger);
+  const proof = await Federation.proveInclusion(ledger, mine.hash);
+
+  assert.ok(await Federation.verifyInclusion(mine.hash, proof, manifest), 'Entry should be included');
+});
+
+// Run all tests
+export async function runMerkleTests() {
+  console.log('🌳 Running Merkle Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMerkleTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
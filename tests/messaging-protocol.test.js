@@ -0,0 +1,255 @@
+/**
+ * SRCP007 - Messaging Protocol Test Suite
+ * Tests for X3DH, Double Ratchet sessions and end-to-end encrypted messages
+ */
+
+import { MessagingProtocol, SECURE_ENVELOPE_VERSION } from '../src/messaging-protocol.js';
+import {
+  createPrekeys,
+  verifyPrekeyBundle,
+  publishPrekeys,
+  findPrekeyBundle,
+  initiateSession,
+  acceptSession
+} from '../src/x3dh.js';
+import { DoubleRatchet } from '../src/double-ratchet.js';
+import { Identity } from '../src/identity.js';
+import { Ledger } from '../src/ledger.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// In-process network recording everything it relays
+function createHub() {
+  const nodes = new Map();
+  const relayed = [];
+
+  return {
+    relayed,
+    connect(did) {
+      const handlers = new Map();
+      nodes.set(did, handlers);
+
+      return {
+        on(type, handler) {
+          if (!handlers.has(type)) handlers.set(type, []);
+          handlers.get(type).push(handler);
+        },
+        async sendMessage(targetDID, type, payload) {
+          const target = nodes.get(targetDID);
+          if (!target) return false;
+          const copy = JSON.parse(JSON.stringify(payload));
+          relayed.push({ from: did, to: targetDID, type, payload: copy });
+          await Promise.all((target.get(`message:${type}`) || []).map(handler => handler(did, copy)));
+          return true;
+        },
+        getConnectedPeers() {
+          return [];
+        }
+      };
+    }
+  };
+}
+
+async function join(hub, identity, registry) {
+  let tick = 0;
+  let counter = 0;
+  const messaging = new MessagingProtocol(
+    identity,
+    hub.connect(identity.did),
+    { tick: () => ++tick, advance: () => ++tick },
+    { next: () => `${identity.did}:${counter++}` }
+  );
+  await messaging.initialize();
+
+  if (registry) {
+    const { bundle, secrets } = await createPrekeys(identity, { oneTimePrekeys: 3 });
+    await publishPrekeys(registry, identity, bundle, 1);
+    messaging.useEncryption(secrets, { getPrekeyBundle: did => findPrekeyBundle(registry, did) });
+  }
+  return messaging;
+}
+
+async function setupPair() {
+  const alice = await Identity.create('Alice');
+  const bob = await Identity.create('Bob');
+  const bobKeys = await createPrekeys(bob, { oneTimePrekeys: 2 });
+  const started = await initiateSession(alice, bobKeys.bundle);
+  const accepted = await acceptSession(bob, bobKeys.secrets, started.handshake);
+  return { alice, bob, bobKeys, started, accepted };
+}
+
+async function ratchets() {
+  const { started, accepted } = await setupPair();
+  return {
+    aliceSession: await DoubleRatchet.initiate(started.sharedSecret, started.remoteKey, started.associatedData),
+    bobSession: await DoubleRatchet.respond(accepted.sharedSecret, accepted.ratchetKey, accepted.associatedData)
+  };
+}
+
+test('X3DH derives one secret bound to both DIDs', async () => {
+  const { alice, bob, bobKeys, started, accepted } = await setupPair();
+  assert.ok(await verifyPrekeyBundle(bobKeys.bundle), 'Bundle verifies');
+  assert.equal(accepted.sharedSecret, started.sharedSecret, 'Same shared secret');
+  assert.equal(JSON.stringify(accepted.associatedData), JSON.stringify(started.associatedData), 'Same associated data');
+  assert.equal(started.associatedData.initiator, alice.did, 'Initiator named');
+
+  const mallory = await Identity.create('Mallory');
+  const forged = { ...bobKeys.bundle, signedPrekey: (await createPrekeys(mallory)).bundle.signedPrekey };
+  assert.ok(!(await verifyPrekeyBundle(forged)), 'Swapped prekey detected');
+  await assert.rejects(() => initiateSession(alice, forged), /Invalid prekey bundle/, 'Forged bundle refused');
+
+  const impostor = { ...started.handshake, identityKey: mallory.publicKeyJWK };
+  await assert.rejects(() => acceptSession(bob, bobKeys.secrets, impostor), /does not belong/, 'Wrong DID key refused');
+});
+
+test('Ratchet sessions exchange messages in both directions and out of order', async () => {
+  const { aliceSession, bobSession } = await ratchets();
+  await assert.rejects(() => bobSession.encrypt('too early'), /before receiving/, 'Responder waits for a message');
+
+  const first = await aliceSession.encrypt({ text: 'one' });
+  const second = await aliceSession.encrypt({ text: 'two' });
+  const third = await aliceSession.encrypt({ text: 'three' });
+  assert.equal((await bobSession.decrypt(third)).text, 'three', 'Later message first');
+  assert.equal((await bobSession.decrypt(first)).text, 'one', 'Skipped key kept');
+
+  const reply = await bobSession.encrypt({ text: 'back' });
+  assert.ok(reply.header.dh.x !== first.header.dh.x, 'Reply uses a new ratchet key');
+  assert.equal((await aliceSession.decrypt(reply)).text, 'back', 'Reply decrypts');
+  assert.equal((await bobSession.decrypt(second)).text, 'two', 'Old chain still readable');
+});
+
+test('Replayed and altered messages are rejected without harming the session', async () => {
+  const { aliceSession, bobSession } = await ratchets();
+  const message = await aliceSession.encrypt('hello');
+  await bobSession.decrypt(message);
+
+  await assert.rejects(() => bobSession.decrypt(message), /cannot be decrypted/, 'Replay rejected');
+  const next = await aliceSession.encrypt('again');
+  await assert.rejects(
+    () => bobSession.decrypt({ ...next, header: { ...next.header, pn: next.header.pn + 1 } }),
+    /cannot be decrypted/,
+    'Altered header rejected'
+  );
+  assert.equal(await bobSession.decrypt(next), 'again', 'Session still works');
+});
+
+test('Session state does not decrypt earlier messages', async () => {
+  const { aliceSession, bobSession } = await ratchets();
+  const early = await aliceSession.encrypt('before');
+  await bobSession.decrypt(early);
+  await aliceSession.decrypt(await bobSession.encrypt('ack'));
+  await bobSession.decrypt(await aliceSession.encrypt('after'));
+
+  // An attacker copying Bob's whole session now still cannot read `early`
+  const stolen = DoubleRatchet.fromJSON(bobSession.toJSON());
+  await assert.rejects(() => stolen.decrypt(early), /cannot be decrypted/, 'Forward secrecy');
+});
+
+test('MessagingProtocol encrypts direct messages end to end', async () => {
+  const hub = createHub();
+  const registry = new Ledger();
+  const alice = await Identity.create('Alice');
+  const bob = await Identity.create('Bob');
+  const aliceMessaging = await join(hub, alice, registry);
+  const bobMessaging = await join(hub, bob, registry);
+
+  await aliceMessaging.sendMessage(bob.did, 'meet at noon');
+  await aliceMessaging.sendMessage(bob.did, 'bring the keys');
+  await bobMessaging.sendMessage(alice.did, 'see you there');
+
+  assert.equal(bobMessaging.getConversation(alice.did).map(m => m.content).join('|'),
+    'meet at noon|bring the keys|see you there', 'Bob reads Alice');
+  assert.equal(aliceMessaging.getConversation(bob.did)[2].content, 'see you there', 'Alice reads Bob');
+
+  const chats = hub.relayed.filter(r => r.type === 'chat' || r.type === 'secure');
+  assert.ok(chats.every(r => r.type === 'secure'), 'No cleartext chat on the wire');
+  assert.ok(!JSON.stringify(chats).includes('noon'), 'Relay cannot read content');
+  assert.equal(chats[0].payload.version, SECURE_ENVELOPE_VERSION, 'Versioned envelope');
+  assert.ok(chats[1].payload.handshake, 'Handshake repeated until a reply');
+  assert.equal(chats[2].payload.handshake, null, 'Reply carries no handshake');
+  assert.equal(chats[2].payload.session, chats[0].payload.session, 'Same session both ways');
+});
+
+test('Encrypted messaging rejects cleartext, replays and unknown envelopes', async () => {
+  const hub = createHub();
+  const registry = new Ledger();
+  const alice = await Identity.create('Alice');
+  const bob = await Identity.create('Bob');
+  const carol = await Identity.create('Carol');
+  const aliceMessaging = await join(hub, alice, registry);
+  const bobMessaging = await join(hub, bob, registry);
+  const carolMessaging = await join(hub, carol);
+
+  const rejected = [];
+  bobMessaging.on('message:rejected', event => rejected.push(event.reason));
+
+  await carolMessaging.sendMessage(bob.did, 'plain text');
+  assert.equal(rejected[0], 'Unencrypted message', 'Cleartext refused');
+
+  await aliceMessaging.sendMessage(bob.did, 'hi');
+  const envelope = hub.relayed.find(r => r.type === 'secure').payload;
+  await bobMessaging.handleSecureMessage(alice.did, envelope);
+  assert.ok(/cannot be decrypted/.test(rejected[rejected.length - 1]), 'Replayed envelope refused');
+
+  await bobMessaging.handleSecureMessage(alice.did, { ...envelope, version: 2 });
+  assert.ok(/Unsupported envelope version/.test(rejected[rejected.length - 1]), 'Unknown version refused');
+
+  await bobMessaging.handleSecureMessage(carol.did, envelope);
+  assert.ok(/arrived from/.test(rejected[rejected.length - 1]), 'Misrouted envelope refused');
+  assert.equal(bobMessaging.getConversation(alice.did).length, 1, 'Only the original delivered');
+
+  await assert.rejects(() => aliceMessaging.sendMessage(carol.did, 'hello'), /No prekey bundle/, 'No bundle, no message');
+  assert.equal(aliceMessaging.getConversation(carol.did).length, 0, 'Unsent message not stored');
+});
+
+// Run all tests
+export async function runMessagingProtocolTests() {
+  console.log('🔐 Running Messaging Protocol Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runMessagingProtocolTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * SRCP007 - Set Reconciliation Test Suite
+ * Tests for range-based reconciliation and Federation.sync
+ */
+
+import { RangeReconciler } from '../src/reconciliation.js';
+import { Federation } from '../src/federation.js';
+import { Ledger } from '../src/ledger.js';
+import { Identity } from '../src/identity.js';
+import { Canonical } from '../src/canonical.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  deepEqual: (actual, expected, message) => {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+async function hashRange(from, to) {
+  const hashes = [];
+  for (let i = from; i < to; i++) {
+    hashes.push(await Canonical.hash({ item: i }));
+  }
+  return hashes;
+}
+
+// Drive a full reconciliation between two in-memory sets
+async function reconcileSets(local, remote, options = {}) {
+  const initiator = new RangeReconciler(local, options);
+  const responder = new RangeReconciler(remote, options);
+
+  let ranges = await initiator.initiate();
+  let rounds = 0;
+  while (ranges.length > 0) {
+    rounds++;
+    const reply = await responder.respond(JSON.parse(JSON.stringify(ranges)));
+    ranges = await initiator.reconcile(reply);
+  }
+
+  return { ...initiator.result(), rounds };
+}
+
+// In-memory peer: requests go through JSON like a real transport
+function connect(responder) {
+  return async (request) => JSON.parse(JSON.stringify(await responder(JSON.parse(JSON.stringify(request)))));
+}
+
+test('Identical sets reconcile in one round', async () => {
+  const hashes = await hashRange(0, 300);
+  const result = await reconcileSets(hashes, [...hashes].reverse());
+
+  assert.equal(result.rounds, 1, 'Rounds');
+  assert.deepEqual(result.have, [], 'Have');
+  assert.deepEqual(result.need, [], 'Need');
+});
+
+test('Finds exact symmetric difference', async () => {
+  const shared = await hashRange(0, 400);
+  const onlyLocal = await hashRange(400, 407);
+  const onlyRemote = await hashRange(500, 511);
+
+  const result = await reconcileSets([...shared, ...onlyLocal], [...shared, ...onlyRemote]);
+
+  assert.deepEqual(result.have, [...onlyLocal].sort(), 'Have should be local-only hashes');
+  assert.deepEqual(result.need, [...onlyRemote].sort(), 'Need should be remote-only hashes');
+  assert.ok(result.rounds <= 4, `Should take few rounds, took ${result.rounds}`);
+});
+
+test('Handles empty sides', async () => {
+  const hashes = await hashRange(0, 100);
+
+  const pull = await reconcileSets([], hashes);
+  assert.deepEqual(pull.need, [...hashes].sort(), 'Empty initiator needs everything');
+  assert.deepEqual(pull.have, [], 'Empty initiator has nothing');
+
+  const push = await reconcileSets(hashes, []);
+  assert.deepEqual(push.have, [...hashes].sort(), 'Empty responder lacks everything');
+  assert.deepEqual(push.need, [], 'Empty responder offers nothing');
+});
+
+test('Small branching still converges', async () => {
+  const a = await hashRange(0, 200);
+  const b = [...(await hashRange(3, 200)), ...(await hashRange(900, 902))];
+
+  const result = await reconcileSets(a, b, { branching: 2, idListThreshold: 2 });
+
+  assert.deepEqual(result.have, (await hashRange(0, 3)).sort(), 'Have');
+  assert.deepEqual(result.need, (await hashRange(900, 902)).sort(), 'Need');
+});
+
+test('Rejects malformed ranges', async () => {
+  const reconciler = new RangeReconciler([]);
+  let threw = false;
+  try {
+    await reconciler.respond([{ mode: 'bogus', lower: '', upper: null }]);
+  } catch (error) {
+    threw = true;
+  }
+  assert.ok(threw, 'Unknown mode should throw');
+});
+
+test('Federation.sync pulls out-of-order entries from a peer', async () => {
+  const alice = await Identity.create('Alice');
+  const bob = await Identity.create('Bob');
+
+  const local = new Ledger();
+  const remote = new Ledger();
+
+  // Shared history
+  for (let i = 0; i < 3; i++) {
+    const entry = await local.createEntry(alice, 'post', { i }, 10 + i);
+    await remote.append(entry);
+  }
+
+  // Local-only entry, and remote entries with lower pulses than ours
+  await local.createEntry(alice, 'post', { local: true }, 100);
+  await remote.createEntry(bob, 'post', { n: 1 }, 1);
+  await remote.createEntry(bob, 'post', { n: 2 }, 2);
+
+  const result = await Federation.sync(local, connect(Federation.createSyncResponder(remote)));
+
+  assert.ok(result.synced, 'Should sync');
+  assert.equal(result.newEntries, 2, 'Should receive both of Bob\'s entries');
+  assert.equal(result.have.length, 1, 'Peer lacks our local-only entry');
+  assert.equal(result.rejected.length, 0, 'Nothing rejected');
+  assert.equal((await local.getEntriesByDID(bob.did)).length, 2, 'Bob\'s chain present locally');
+
+  // Reverse direction brings the peer up to date
+  const back = await Federation.sync(remote, connect(Federation.createSyncResponder(local)));
+  assert.equal(back.newEntries, 1, 'Peer receives our entry');
+
+  const again = await Federation.sync(local, connect(Federation.createSyncResponder(remote)));
+  assert.ok(!again.synced, 'Should already be in sync');
+  assert.equal(again.rounds, 1, 'In-sync check is one round');
+});
+
+test('Federation.sync rejects tampered entries', async () => {
+  const alice = await Identity.create('Alice');
+  const local = new Ledger();
+  const remote = new Ledger();
+  await remote.createEntry(alice, 'post', { text: 'original' }, 1);
+
+  const responder = Federation.createSyncResponder(remote);
+  const evil = async (request) => {
+    const reply = await connect(responder)(request);
+    if (reply.type === 'entries') {
+      reply.entries[0].data = { text: 'forged' };
+    }
+    return reply;
+  };
+
+  const result = await Federation.sync(local, evil);
+
+  assert.equal(result.newEntries, 0, 'Tampered entry should not be appended');
+  assert.equal(result.rejected.length, 1, 'Tampered entry reported');
+  assert.equal(local.entries.length, 0, 'Local ledger unchanged');
+});
+
+// Run all tests
+export async function runReconciliationTests() {
+  console.log('🔄 Running Reconciliation Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runReconciliationTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
@@ -0,0 +1,232 @@
+/**
+ * SRCP007 - Signaling Server Test Suite
+ * Tests for DID-authenticated PeerJS registration and signaling relay
+ */
+
+import { request } from 'node:http';
+import { SignalingServer, REGISTER_DOMAIN } from '../src/signaling-server.js';
+import { NodeWebSocket, CloseCode } from '../src/websocket.js';
+import { P2PTransport } from '../src/p2p-transport.js';
+import { Identity } from '../src/identity.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// PeerJS client connection, speaking the server protocol by hand
+function peerSocket(port, id, token, { key = 'peerjs', path = '/' } = {}) {
+  // PeerJS ends the path with '/'
+  const base = path.replace(/\/?$/, '/');
+  const socket = new NodeWebSocket(`ws://127.0.0.1:${port}${base}peerjs?key=${key}&id=${id}&token=${token}&version=1.5.5`);
+  const inbox = [];
+  const waiting = [];
+  socket.onmessage = ({ data }) => {
+    const message = JSON.parse(data);
+    if (waiting.length > 0) waiting.shift()(message);
+    else inbox.push(message);
+  };
+  socket.closed = new Promise(resolve => {
+    socket.onclose = event => {
+      // Fail waiting tests instead of hanging them
+      waiting.splice(0).forEach(waiter => waiter({ type: 'CLOSED', code: event.code }));
+      resolve(event);
+    };
+  });
+  socket.next = () => inbox.length > 0
+    ? Promise.resolve(inbox.shift())
+    : new Promise(resolve => waiting.push(resolve));
+  socket.inbox = inbox;
+  socket.sendJSON = message => socket.send(JSON.stringify(message));
+  return socket;
+}
+
+// fetch on node:http (Node's own fetch reads the clock, which the suite runner forbids)
+function fetch(url) {
+  const { port, pathname } = new URL(url);
+  return get(port, pathname).then(({ status, body }) => ({
+    ok: status === 200,
+    status,
+    json: async () => JSON.parse(body)
+  }));
+}
+
+// Registered peer: transport, PeerJS id, open socket
+async function register(port, name, server = { host: '127.0.0.1', port, path: '/', secure: false }) {
+  const identity = await Identity.create(name);
+  const transport = new P2PTransport(identity, { peerServers: [{ ...server, authenticate: true }], fetch });
+  const id = transport.didToPeerJSId(identity.did);
+  const token = await transport.registrationToken(transport.peerServers[0], id);
+  const socket = peerSocket(port, id, token, server);
+  const opened = await socket.next();
+  assert.equal(opened.type, 'OPEN', `${name} registered`);
+  return { identity, transport, id, token, socket };
+}
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    request({ host: '127.0.0.1', port, path }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on('error', reject).end();
+  });
+}
+
+async function withServer(options, fn) {
+  const server = new SignalingServer(options);
+  const port = await server.listen(0);
+  try {
+    await fn(server, port);
+  } finally {
+    await server.close();
+  }
+}
+
+test('P2PTransport takes its signaling servers from options', async () => {
+  const identity = await Identity.create('config');
+  const defaults = new P2PTransport(identity);
+  assert.equal(defaults.peerServers[0].host, '0.peerjs.com', 'Public PeerJS cloud by default');
+
+  const own = { host: 'signal.example.org', port: 443, path: '/srcp', secure: true, authenticate: true };
+  const stun = [{ urls: 'stun:stun.example.org:3478' }];
+  const transport = new P2PTransport(identity, { peerServers: [own], stunServers: stun });
+  assert.equal(transport.peerServers.length, 1, 'Configured servers replace the defaults');
+  assert.equal(transport.peerServers[0], own, 'Configured server used');
+  assert.equal(transport.stunServers, stun, 'Configured ICE servers used');
+});
+
+test('Registration requires a signed, fresh challenge', async () => {
+  await withServer({}, async (server, port) => {
+    const { identity, id, token, socket } = await register(port, 'alice');
+    assert.ok(/^[A-Za-z0-9_-]+$/.test(token), 'Token is URL-safe');
+    assert.equal(server.getConnectedIds().join(), id, 'Alice connected');
+
+    const challenge = await get(port, '/peerjs/challenge');
+    assert.equal(challenge.status, 200, 'Challenge served');
+    assert.equal(challenge.headers['access-control-allow-origin'], '*', 'Challenge readable cross-origin');
+    const { nonce } = JSON.parse(challenge.body);
+
+    // Mallory signs Alice's id with Mallory's own key
+    const mallory = await Identity.create('mallory');
+    const forged = Buffer.from(JSON.stringify({
+      nonce,
+      publicKey: mallory.publicKeyJWK,
+      signature: await mallory.sign({ domain: REGISTER_DOMAIN, nonce, id })
+    })).toString('base64url');
+    const impostor = peerSocket(port, id, forged);
+    const refused = await impostor.next();
+    assert.equal(refused.type, 'ERROR', 'Impostor refused');
+    assert.equal(refused.payload.msg, 'Authentication failed', 'Refusal reason');
+    assert.equal((await impostor.closed).code, CloseCode.UNAUTHORIZED, 'Impostor disconnected');
+
+    // The nonce was spent by the failed attempt, even with Alice's key
+    const replay = Buffer.from(JSON.stringify({
+      nonce,
+      publicKey: identity.publicKeyJWK,
+      signature: await identity.sign({ domain: REGISTER_DOMAIN, nonce, id })
+    })).toString('base64url');
+    const replayed = peerSocket(port, id, replay);
+    assert.equal((await replayed.next()).type, 'ERROR', 'Spent nonce refused');
+
+    const wrongKey = peerSocket(port, id, token, { key: 'other' });
+    assert.equal((await wrongKey.next()).type, 'INVALID-KEY', 'Unknown API key refused');
+    assert.equal(server.getConnectedIds().join(), id, 'Alice still the only peer');
+    socket.close();
+  });
+});
+
+test('Offers, answers and candidates are relayed with the authenticated source', async () => {
+  await withServer({}, async (server, port) => {
+    const alice = await register(port, 'alice');
+    const bob = await register(port, 'bob');
+
+    alice.socket.sendJSON({ type: 'HEARTBEAT' });
+    alice.socket.sendJSON({ type: 'OFFER', src: 'spoofed', dst: bob.id, payload: { sdp: 'offer', connectionId: 'dc_1' } });
+    const offer = await bob.socket.next();
+    assert.equal(offer.type, 'OFFER', 'Offer relayed');
+    assert.equal(offer.src, alice.id, 'Source set by the server');
+    assert.equal(offer.payload.sdp, 'offer', 'Payload relayed');
+
+    bob.socket.sendJSON({ type: 'ANSWER', dst: alice.id, payload: { sdp: 'answer', connectionId: 'dc_1' } });
+    bob.socket.sendJSON({ type: 'CANDIDATE', dst: alice.id, payload: { candidate: 'c1', connectionId: 'dc_1' } });
+    const answer = await alice.socket.next();
+    const candidate = await alice.socket.next();
+    assert.equal(`${answer.type}:${answer.src}`, `ANSWER:${bob.id}`, 'Answer relayed');
+    assert.equal(candidate.payload.candidate, 'c1', 'Candidate relayed');
+    assert.equal(alice.socket.inbox.length, 0, 'Heartbeat not answered');
+
+    alice.socket.sendJSON({ type: 'OFFER', dst: 'nobody', payload: {} });
+    const expired = await alice.socket.next();
+    assert.equal(`${expired.type}:${expired.src}`, 'EXPIRE:nobody', 'Offer to an absent peer expires');
+
+    alice.socket.sendJSON({ type: 'BOGUS', dst: bob.id });
+    assert.equal((await alice.socket.next()).payload.msg, 'Message unrecognized', 'Unknown types refused');
+
+    alice.socket.close();
+    bob.socket.close();
+  });
+});
+
+test('Reconnects reuse the session token and newer registrations replace older', async () => {
+  await withServer({ path: '/srcp', key: 'team' }, async (server, port) => {
+    const options = { host: '127.0.0.1', port, path: '/srcp', key: 'team', secure: false };
+    const alice = await register(port, 'alice', options);
+
+    // PeerJS reconnect() after a dropped socket: same id and token
+    alice.socket.close();
+    await alice.socket.closed;
+    const reconnected = peerSocket(port, alice.id, alice.token, options);
+    assert.equal((await reconnected.next()).type, 'OPEN', 'Reconnect accepted');
+
+    // Registering again (e.g. another tab) takes the id over
+    const token = await alice.transport.registrationToken(options, alice.id);
+    const tab = peerSocket(port, alice.id, token, options);
+    assert.equal((await tab.next()).type, 'OPEN', 'New registration accepted');
+    assert.equal((await reconnected.closed).code, CloseCode.REPLACED, 'Old connection replaced');
+
+    const stale = peerSocket(port, alice.id, alice.token, options);
+    assert.equal((await stale.next()).type, 'ERROR', 'Superseded token refused');
+    assert.equal(server.getConnectedIds().length, 1, 'One connection per id');
+
+    assert.equal((await get(port, '/peerjs/challenge')).status, 404, 'Challenge only under the configured path and key');
+    tab.close();
+  });
+});
+
+export async function runSignalingServerTests() {
+  console.log('📡 Running Signaling Server Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSignalingServerTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
@@ -0,0 +1,319 @@
+/**
+ * SRCP007 - Social Recovery Test Suite
+ * Tests for Shamir sharing, sealed boxes and guardian-based key recovery
+ */
+
+import { splitSecret, combineShares } from '../src/shamir.js';
+import { sealBox, openBox } from '../src/sealed-box.js';
+import { setupSocialRecovery, RecoveryGuardian, RecoverySession } from '../src/social-recovery.js';
+import { DIDDocument, DIDResolver } from '../src/did-document.js';
+import { MessagingProtocol } from '../src/messaging-protocol.js';
+import { Identity } from '../src/identity.js';
+import { Ledger } from '../src/ledger.js';
+import { Canonical } from '../src/canonical.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const hex = (bytes) => Canonical.arrayBufferToHex(bytes);
+
+// In-process network: delivery resolves once the receiver has handled it
+function createHub() {
+  const nodes = new Map();
+
+  return {
+    connect(did) {
+      const handlers = new Map();
+      nodes.set(did, handlers);
+
+      return {
+        on(type, handler) {
+          if (!handlers.has(type)) handlers.set(type, []);
+          handlers.get(type).push(handler);
+        },
+        async sendMessage(targetDID, type, payload) {
+          const target = nodes.get(targetDID);
+          if (!target) return false;
+          const copy = JSON.parse(JSON.stringify(payload));
+          await Promise.all((target.get(`message:${type}`) || []).map(handler => handler(did, copy)));
+          return true;
+        },
+        getConnectedPeers() {
+          return [];
+        }
+      };
+    }
+  };
+}
+
+async function join(hub, identity) {
+  let tick = 0;
+  let counter = 0;
+  const messaging = new MessagingProtocol(
+    identity,
+    hub.connect(identity.did),
+    { tick: () => ++tick, advance: () => ++tick },
+    { next: () => `${identity.did}:${counter++}` }
+  );
+  await messaging.initialize();
+  return messaging;
+}
+
+async function setupAlice(hub, { guardianCount = 3, threshold = 2 } = {}) {
+  const alice = await Identity.create('Alice');
+  const didDocument = await DIDDocument.create(alice);
+  const aliceMessaging = await join(hub, alice);
+
+  const guardians = [];
+  for (let i = 0; i < guardianCount; i++) {
+    const identity = await Identity.create(`Guardian ${i}`);
+    guardians.push({ identity, guardian: new RecoveryGuardian(identity, await join(hub, identity)) });
+  }
+
+  const plan = await setupSocialRecovery(alice, didDocument, aliceMessaging, {
+    guardians: guardians.map(({ identity }) => ({ did: identity.did, publicKey: identity.publicKeyJWK })),
+    threshold,
+    pulse: 1
+  });
+
+  return { alice, aliceMessaging, didDocument, guardians, plan };
+}
+
+async function startSession(hub, plan) {
+  const device = await Identity.create('Alice new device');
+  const session = new RecoverySession(device, await join(hub, device), plan);
+  const requestId = await session.request(10);
+  return { device, session, requestId };
+}
+
+test('Any threshold of shares recovers the secret', () => {
+  const secret = new Uint8Array([0, 0, 7, ...new Array(29).fill(0).map((_, i) => i * 7 % 256)]);
+  const shares = splitSecret(secret, { shares: 5, threshold: 3 });
+
+  assert.equal(shares.length, 5, 'Share count');
+  assert.equal(hex(combineShares([shares[0], shares[2], shares[4]])), hex(secret), 'Shares 1,3,5');
+  assert.equal(hex(combineShares([shares[3], shares[1], shares[0]])), hex(secret), 'Shares 4,2,1');
+  assert.equal(hex(combineShares(shares)), hex(secret), 'All shares');
+
+  let partial = null;
+  try {
+    partial = hex(combineShares(shares.slice(0, 2)));
+  } catch (error) {
+    // Usually does not even fit the secret length
+  }
+  assert.ok(partial !== hex(secret), 'Two shares reveal nothing');
+});
+
+test('Shamir rejects invalid parameters and shares', async () => {
+  const secret = new Uint8Array(32).fill(1);
+
+  await assert.rejects(async () => splitSecret(secret, { shares: 2, threshold: 3 }), /Invalid threshold/, 'M > N');
+  await assert.rejects(async () => splitSecret(new Uint8Array(65), { shares: 3, threshold: 2 }), /1\.\.64 bytes/, 'Too long');
+
+  const shares = splitSecret(secret, { shares: 3, threshold: 2 });
+  await assert.rejects(async () => combineShares([shares[0], shares[0]]), /Duplicate/, 'Duplicate index');
+  await assert.rejects(async () => combineShares([{ ...shares[0], value: 'zz' }]), /Malformed/, 'Bad value');
+});
+
+test('Sealed boxes open only for their recipient', async () => {
+  const bob = await Identity.create('Bob');
+  const eve = await Identity.create('Eve');
+
+  const box = await sealBox(bob.publicKeyJWK, { secret: 'for bob' });
+  assert.equal((await openBox(bob, box)).secret, 'for bob', 'Recipient opens');
+
+  await assert.rejects(() => openBox(eve, box), /cannot be opened/, 'Other identity');
+
+  const tampered = { ...box, ciphertext: Canonical.arrayBufferToBase64(new Uint8Array(40)) };
+  await assert.rejects(() => openBox(bob, tampered), /cannot be opened/, 'Modified box');
+});
+
+test('Guardians hold sealed shares after setup', async () => {
+  const hub = createHub();
+  const { alice, didDocument, guardians, plan } = await setupAlice(hub);
+
+  assert.equal(plan.guardians.length, 3, 'Plan lists guardians');
+  assert.equal(didDocument.recovery.length, 1, 'Recovery key committed');
+  for (const { guardian } of guardians) {
+    assert.ok(guardian.held.has(alice.did), 'Guardian holds a share');
+  }
+
+  // A share is useless to anyone but its guardian
+  const { box } = guardians[0].guardian.held.get(alice.did);
+  await assert.rejects(() => openBox(guardians[1].identity, box), /cannot be opened/, 'Other guardian');
+});
+
+test('Threshold approvals rotate the lost key', async () => {
+  const hub = createHub();
+  const { alice, didDocument, guardians, plan } = await setupAlice(hub);
+  const lostKey = alice.publicKeyJWK;
+
+  const { session, requestId } = await startSession(hub, plan);
+  assert.equal(guardians[0].guardian.pendingRequests().length, 1, 'Guardian sees the request');
+
+  await guardians[0].guardian.approve(requestId, 11);
+  assert.ok(!session.isReady(), 'One approval is not enough');
+  await assert.rejects(() => session.recoverKey(), /needs 2 approvals/, 'Below threshold');
+
+  await guardians[2].guardian.approve(requestId, 11);
+  assert.equal(session.approvals, 2, 'Two approvals');
+
+  const { identity } = await session.complete(didDocument, 12);
+  assert.equal(identity.did, alice.did, 'Same DID after recovery');
+  assert.ok(await didDocument.isValidKey(identity.publicKeyJWK, 12), 'New key valid');
+  assert.ok(!(await didDocument.isValidKey(lostKey, 12)), 'Lost key retired');
+  assert.equal(didDocument.recovery.length, 0, 'Spent recovery key cleared');
+
+  const resolver = new DIDResolver();
+  await resolver.register(didDocument.toJSON());
+  const ledger = new Ledger({ resolver });
+  await ledger.createEntry(identity, 'post', { text: 'back again' }, 12);
+  assert.ok((await ledger.verifyAll()).allValid, 'Recovered identity signs for the DID');
+});
+
+test('Approvals from non-guardians are ignored', async () => {
+  const hub = createHub();
+  const { guardians, plan } = await setupAlice(hub, { guardianCount: 2, threshold: 2 });
+  const { device, session, requestId } = await startSession(hub, plan);
+
+  // Mallory holds no share but answers anyway
+  const mallory = await Identity.create('Mallory');
+  const malloryMessaging = await join(hub, mallory);
+  const body = {
+    type: 'approval',
+    from: mallory.did,
+    to: device.did,
+    did: plan.did,
+    requestId,
+    pulse: 11,
+    box: await sealBox(device.publicKeyJWK, { share: { index: 2, value: 'ff', length: 32 } })
+  };
+  await malloryMessaging.sendRecoveryMessage(device.did, {
+    body,
+    publicKey: mallory.publicKeyJWK,
+    signature: await mallory.sign(body)
+  });
+
+  await guardians[0].guardian.approve(requestId, 11);
+  assert.equal(session.approvals, 1, 'Only the guardian counted');
+
+  // Forged sender field fails signature verification
+  await malloryMessaging.sendRecoveryMessage(device.did, {
+    body: { ...body, from: guardians[1].identity.did },
+    publicKey: mallory.publicKeyJWK,
+    signature: await mallory.sign({ ...body, from: guardians[1].identity.did })
+  });
+  assert.equal(session.approvals, 1, 'Impersonated guardian ignored');
+});
+
+test('Sealed shares that do not open are rejected', async () => {
+  const hub = createHub();
+  const { alice, aliceMessaging, guardians, plan } = await setupAlice(hub, { guardianCount: 2, threshold: 2 });
+  const { device, session, requestId } = await startSession(hub, plan);
+  const corrupt = (box) => ({ ...box, ciphertext: `AAAA${box.ciphertext.slice(4)}` });
+  const signed = async (identity, body) => ({ body, publicKey: identity.publicKeyJWK, signature: await identity.sign(body) });
+
+  // Guardian 0 is sent a share it cannot open
+  const { guardian, identity } = guardians[0];
+  const held = guardian.held.get(alice.did);
+  const guardianRejected = [];
+  guardian.messaging.on('message:rejected', event => guardianRejected.push(event));
+  await aliceMessaging.sendRecoveryMessage(identity.did, await signed(alice, {
+    type: 'share',
+    from: alice.did,
+    to: identity.did,
+    pulse: 2,
+    plan,
+    box: corrupt(held.box)
+  }));
+  assert.equal(guardianRejected.length, 1, 'Guardian reports the corrupt share');
+  assert.equal(guardian.held.get(alice.did), held, 'Guardian keeps the share it holds');
+
+  // Guardian 1 approves with a box the device cannot open
+  const deviceRejected = [];
+  session.messaging.on('message:rejected', event => deviceRejected.push(event));
+  await guardians[1].guardian.messaging.sendRecoveryMessage(device.did, await signed(guardians[1].identity, {
+    type: 'approval',
+    from: guardians[1].identity.did,
+    to: device.did,
+    did: plan.did,
+    requestId,
+    pulse: 11,
+    box: corrupt(await sealBox(device.publicKeyJWK, { share: { index: 2, value: 'ff', length: 32 } }))
+  }));
+  assert.equal(deviceRejected.length, 1, 'Device reports the corrupt approval');
+  assert.equal(deviceRejected[0].from, guardians[1].identity.did, 'Rejection names the guardian');
+  assert.equal(session.approvals, 0, 'Corrupt approval not counted');
+
+  await guardian.approve(requestId, 11);
+  assert.equal(session.approvals, 1, 'Session still takes approvals');
+});
+
+test('Current key may commit recovery keys only once', async () => {
+  const alice = await Identity.create('Alice');
+  const first = await Identity.create('Recovery 1');
+  const second = await Identity.create('Recovery 2');
+  const didDocument = await DIDDocument.create(alice);
+
+  await didDocument.setRecoveryKeys(alice, [first.publicKeyJWK], 1);
+  await assert.rejects(
+    () => didDocument.setRecoveryKeys(alice, [second.publicKeyJWK], 2),
+    /Only a recovery key/,
+    'Current key cannot replace recovery keys'
+  );
+
+  await didDocument.setRecoveryKeys(first, [second.publicKeyJWK], 2);
+  const restored = await DIDDocument.fromJSON(JSON.parse(JSON.stringify(didDocument.toJSON())));
+  assert.equal(restored.recovery.length, 1, 'Replacement replays');
+});
+
+// Run all tests
+export async function runSocialRecoveryTests() {
+  console.log('🛟 Running Social Recovery Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSocialRecoveryTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
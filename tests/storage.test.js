@@ -0,0 +1,273 @@
+/**
+ * SRCP007 - Storage Test Suite
+ * Tests for kernel persistence, write-ahead ordering and crash recovery
+ */
+
+import { mkdtemp, rm, appendFile, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Kernel } from '../src/kernel.js';
+import { Identity } from '../src/identity.js';
+import { createMemoryStorage, committedTransactions, StorageRecord } from '../src/storage.js';
+import { createFileStorage } from '../src/storage-fs.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+function testClock(start = 1000) {
+  let tick = start;
+  return { now: () => tick, advance: () => ++tick };
+}
+
+function testNonce(prefix) {
+  let counter = 0;
+  return { generate: () => `${prefix}_${counter++}` };
+}
+
+const counterHandler = {
+  validate(payload) {
+    if (typeof payload.by !== 'number') {
+      throw new Error('counter.increment requires a numeric by field');
+    }
+  },
+  async reduce(state, tx) {
+    const current = state.extensions.counter || { value: 0 };
+    if (current.value + tx.payload.by < 0) {
+      throw new Error('Counter cannot go negative');
+    }
+    return { extensions: { counter: { value: current.value + tx.payload.by } } };
+  }
+};
+
+const config = { transactionHandlers: { 'counter.increment': counterHandler } };
+
+async function bootWithWork(storage, identity) {
+  const clock = testClock();
+  const kernel = await Kernel.boot({
+    adapters: { clock, nonce: testNonce('boot'), storage },
+    identity,
+    config
+  });
+
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { text: 'hello' } });
+  clock.advance();
+  await kernel.executeTransaction('counter.increment', { by: 2 });
+  clock.advance();
+  await kernel.executeTransaction('ledger.append', { action: 'post', data: { text: 'again' } });
+
+  return { kernel, clock };
+}
+
+function restoreAdapters(prefix = 'restore') {
+  return { clock: testClock(2000), nonce: testNonce(prefix) };
+}
+
+test('Restore rebuilds state from memory storage', async () => {
+  const identity = await Identity.create('Alice');
+  const storage = createMemoryStorage();
+  const { kernel } = await bootWithWork(storage, identity);
+
+  const restored = await Kernel.restore(storage, { adapters: restoreAdapters(), identity, config });
+
+  assert.equal(restored.getState().stateHash, kernel.getState().stateHash, 'State hash');
+  assert.equal(restored.getState().transactionCount, 3, 'Transaction count');
+  assert.equal(restored.getState().ledgerSize, 2, 'Ledger size');
+  assert.equal(restored.getState().extensions.counter.value, 2, 'Extension state');
+  assert.ok((await restored.verifyIntegrity()).valid, 'Restored kernel should verify');
+
+  // Restored kernel keeps extending the same chain
+  await restored.executeTransaction('ledger.append', { action: 'post', data: { text: 'after' } });
+  assert.ok((await restored.verifyIntegrity()).valid, 'Should verify after new transaction');
+});
+
+test('Boot refuses storage that already holds a kernel', async () => {
+  const identity = await Identity.create('Alice');
+  const storage = createMemoryStorage();
+  await bootWithWork(storage, identity);
+
+  await assert.rejects(
+    () => Kernel.boot({ adapters: { clock: testClock(), nonce: testNonce('x'), storage }, identity }),
+    /STORAGE_INITIALIZED/,
+    'Second boot'
+  );
+});
+
+test('Restore requires the original identity', async () => {
+  const storage = createMemoryStorage();
+  await bootWithWork(storage, await Identity.create('Alice'));
+  const mallory = await Identity.create('Mallory');
+
+  await assert.rejects(
+    () => Kernel.restore(storage, { adapters: restoreAdapters(), identity: mallory, config }),
+    /INVALID_IDENTITY/,
+    'Wrong identity'
+  );
+});
+
+test('Crash before commit discards the transaction', async () => {
+  const identity = await Identity.create('Alice');
+  const inner = createMemoryStorage();
+  let crash = false;
+
+  // Simulated power loss: the commit record never reaches storage
+  const storage = {
+    ...inner,
+    async append(record) {
+      if (crash && record.kind === StorageRecord.COMMIT) {
+        throw new Error('Simulated crash');
+      }
+      return inner.append(record);
+    }
+  };
+
+  const { kernel } = await bootWithWork(storage, identity);
+  const committedHash = kernel.getState().stateHash;
+
+  crash = true;
+  await assert.rejects(
+    () => kernel.executeTransaction('counter.increment', { by: 5 }),
+    /Simulated crash/,
+    'Crashing transaction'
+  );
+  assert.equal(kernel.getState().stateHash, committedHash, 'In-memory state not advanced');
+
+  const { uncommitted } = committedTransactions(await inner.readLog());
+  assert.equal(uncommitted.length, 1, 'Pending record left behind');
+
+  const restored = await Kernel.restore(inner, { adapters: restoreAdapters(), identity, config });
+  assert.equal(restored.getState().stateHash, committedHash, 'Restored to last commit');
+  assert.equal(restored.getState().extensions.counter.value, 2, 'Crashed increment not applied');
+
+  const after = committedTransactions(await inner.readLog());
+  assert.equal(after.uncommitted.length, 0, 'Pending record resolved as aborted');
+});
+
+test('Failed state transitions are logged as aborted', async () => {
+  const identity = await Identity.create('Alice');
+  const storage = createMemoryStorage();
+  const { kernel } = await bootWithWork(storage, identity);
+
+  await assert.rejects(
+    () => kernel.executeTransaction('counter.increment', { by: -10 }),
+    /negative/,
+    'Reducer error'
+  );
+
+  const records = await storage.readLog();
+  assert.equal(records[records.length - 1].kind, StorageRecord.ABORT, 'Abort recorded');
+
+  const restored = await Kernel.restore(storage, { adapters: restoreAdapters(), identity, config });
+  assert.equal(restored.getState().stateHash, kernel.getState().stateHash, 'Abort not replayed');
+});
+
+test('File storage survives restart and a torn final record', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'srcp-storage-'));
+
+  try {
+    const identity = await Identity.create('Alice');
+    const { kernel } = await bootWithWork(createFileStorage(dir), identity);
+    const expected = kernel.getState().stateHash;
+
+    // Crash mid-write: half a record with no trailing newline
+    await appendFile(join(dir, 'transactions.log'), '{"kind":"pending","tx":{"type":"led');
+
+    const storage = createFileStorage(dir);
+    const restored = await Kernel.restore(storage, { adapters: restoreAdapters(), identity, config });
+    assert.equal(restored.getState().stateHash, expected, 'Restored from disk');
+
+    const text = await readFile(join(dir, 'transactions.log'), 'utf8');
+    assert.ok(text.endsWith('\n'), 'Torn record truncated');
+
+    await restored.executeTransaction('counter.increment', { by: 1 });
+    const again = await Kernel.restore(createFileStorage(dir), {
+      adapters: restoreAdapters('again'),
+      identity,
+      config
+    });
+    assert.equal(again.getState().stateHash, restored.getState().stateHash, 'Appends after repair replay');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('Restore resumes from a stored checkpoint after compaction', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'srcp-storage-'));
+
+  try {
+    const identity = await Identity.create('Alice');
+    const clock = testClock();
+    const kernel = await Kernel.boot({
+      adapters: { clock, nonce: testNonce('boot'), storage: createFileStorage(dir) },
+      identity,
+      config: { ...config, checkpointInterval: 2 }
+    });
+
+    for (let i = 0; i < 5; i++) {
+      clock.advance();
+      await kernel.executeTransaction('counter.increment', { by: 1 });
+    }
+    assert.equal(kernel.getCheckpoint().transactionCount, 4, 'Latest checkpoint');
+
+    assert.equal(await kernel.prune(), 4, 'Pruned transactions');
+    const { committed } = committedTransactions(await createFileStorage(dir).readLog());
+    assert.equal(committed.length, 1, 'Log compacted to the tail');
+
+    const restored = await Kernel.restore(createFileStorage(dir), { adapters: restoreAdapters(), identity, config });
+    assert.equal(restored.getState().stateHash, kernel.getState().stateHash, 'Restored state');
+    assert.equal(restored.getState().extensions.counter.value, 5, 'Counter value');
+    assert.equal(restored.getTransactionLog().length, 1, 'Only the tail replayed');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Run all tests
+export async function runStorageTests() {
+  console.log('💾 Running Storage Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runStorageTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
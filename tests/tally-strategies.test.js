@@ -0,0 +1,220 @@
+/**
+ * SRCP007 - Tally Strategies Test Suite
+ * Tests for one-per-DID, quadratic and conviction governance tallies
+ */
+
+import { createGovernanceHandlers, getProposal, getBalance, ProposalStatus } from '../src/governance.js';
+import { TallyStrategies, TallyStrategy } from '../src/tally-strategies.js';
+import { Kernel, verifyExport } from '../src/kernel.js';
+import { createTransactionRegistry } from '../src/transaction-registry.js';
+import { TokenEconomics } from '../src/token-economics.js';
+import { Identity } from '../src/identity.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const registry = createTransactionRegistry({
+  ...createGovernanceHandlers({ params: { quorum: 3, convictionPeriod: 40 } }),
+  'karma.set': {
+    reduce(state, tx) {
+      return { extensions: { karma: { ...(state.extensions.karma || {}), [tx.payload.did]: tx.payload.karma } } };
+    }
+  }
+});
+
+const INITIAL = TokenEconomics.INITIAL_BALANCE;
+
+// Kernel with one open proposal using `strategy`; voting ends at pulse 101
+async function setup(strategy, count = 3) {
+  const clock = { pulse: 1, now() { return this.pulse; } };
+  let nonce = 0;
+  const kernel = await Kernel.boot({
+    adapters: { clock, nonce: { generate: () => `n${nonce++}` } },
+    config: { transactionRegistry: registry }
+  });
+  await kernel.executeTransaction('governance.propose', {
+    title: 'Uploads cost 3',
+    strategy,
+    action: { type: 'economics.set_cost', params: { action: 'upload', cost: 3 } }
+  });
+
+  const members = [];
+  for (let i = 0; i < count; i++) {
+    members.push(await Identity.create(`member${i}`));
+  }
+
+  const send = async (member, type, payload) =>
+    await kernel.submitTransaction(await kernel.createSignedTransaction(member, type, { proposalId: 'proposal-1', ...payload }));
+
+  const finalize = async () => {
+    clock.pulse = 102;
+    await kernel.executeTransaction('governance.finalize', { proposalId: 'proposal-1' });
+    return getProposal(kernel.getState(), 'proposal-1');
+  };
+
+  return { kernel, clock, members, send, finalize, state: () => kernel.getState() };
+}
+
+test('One DID, one vote ignores karma', async () => {
+  const { kernel, members, send, finalize } = await setup(TallyStrategy.ONE_PER_DID);
+  await kernel.executeTransaction('karma.set', { did: members[0].did, karma: 9999 });
+
+  await send(members[0], 'governance.vote', { choice: 'no' });
+  await send(members[1], 'governance.vote', { choice: 'yes' });
+  await send(members[2], 'governance.vote', { choice: 'yes' });
+
+  const proposal = await finalize();
+  assert.equal(proposal.strategy, TallyStrategy.ONE_PER_DID, 'Strategy recorded');
+  assert.equal(proposal.tally.no, 1, 'High karma still weighs 1');
+  assert.equal(proposal.status, ProposalStatus.PASSED, 'Majority of DIDs wins');
+});
+
+test('Quadratic votes cost their square in tokens', async () => {
+  const { members, send, finalize, state } = await setup(TallyStrategy.QUADRATIC, 4);
+
+  await send(members[0], 'governance.vote', { choice: 'no', votes: 30 });
+  assert.equal(getBalance(state(), members[0].did), INITIAL - 900, '30 votes cost 900');
+  await assert.rejects(
+    () => send(members[1], 'governance.vote', { choice: 'yes', votes: 32 }),
+    /costs 1024, balance is 1000/,
+    'Cannot buy more than the balance allows'
+  );
+  await assert.rejects(
+    () => send(members[1], 'governance.vote', { choice: 'yes' }),
+    /votes must be a positive integer/,
+    'Votes required'
+  );
+
+  for (const member of members.slice(1)) {
+    await send(member, 'governance.vote', { choice: 'yes', votes: 11 });
+  }
+
+  const proposal = await finalize();
+  assert.equal(proposal.tally.yes, 33, 'Three voters with 11 votes (363 tokens in total)');
+  assert.equal(proposal.tally.no, 30, 'One whale with 30 votes (900 tokens)');
+  assert.equal(proposal.status, ProposalStatus.PASSED, 'Breadth beats depth');
+  assert.equal(getBalance(state(), members[0].did), INITIAL - 900, 'Credits are spent, not refunded');
+});
+
+test('Conviction grows with time staked', async () => {
+  const { clock, members, send, finalize, state } = await setup(TallyStrategy.CONVICTION);
+
+  clock.pulse = 41;
+  await send(members[0], 'governance.vote', { choice: 'yes', stake: 100 });  // 60 pulses: full weight
+  clock.pulse = 81;
+  await send(members[1], 'governance.vote', { choice: 'no', stake: 150 });   // 20 pulses: half weight
+  assert.equal(getBalance(state(), members[1].did), INITIAL - 150, 'Stake locked');
+
+  const strategy = TallyStrategies[TallyStrategy.CONVICTION];
+  const open = getProposal(state(), 'proposal-1');
+  assert.equal(strategy.weight(open.votes[members[0].did], open), 100, 'Capped at the stake');
+  assert.equal(strategy.weight(open.votes[members[1].did], open), 75, 'Linear in time staked');
+
+  const proposal = await finalize();
+  assert.equal(proposal.status, ProposalStatus.PASSED, 'Early conviction outweighs a late larger stake');
+  assert.equal(getBalance(state(), members[0].did), INITIAL, 'Stake returned');
+  assert.equal(getBalance(state(), members[1].did), INITIAL, 'Losing stake returned too');
+});
+
+test('Conviction votes can be withdrawn before the end', async () => {
+  const { clock, members, send, finalize, state } = await setup(TallyStrategy.CONVICTION);
+
+  await send(members[0], 'governance.vote', { choice: 'no', stake: 500 });
+  clock.pulse = 60;
+  await send(members[0], 'governance.withdraw', {});
+  assert.equal(getBalance(state(), members[0].did), INITIAL, 'Stake back on withdrawal');
+  await assert.rejects(() => send(members[0], 'governance.withdraw', {}), /has not voted/, 'Nothing left to withdraw');
+
+  await send(members[0], 'governance.vote', { choice: 'yes', stake: 10 });
+  await send(members[1], 'governance.vote', { choice: 'yes', stake: 10 });
+
+  const proposal = await finalize();
+  assert.equal(proposal.tally.no, 0, 'Withdrawn vote not counted');
+  assert.equal(proposal.tally.yes, 20, 'Re-cast vote counts');
+
+  const karma = await setup(TallyStrategy.KARMA);
+  await karma.send(karma.members[0], 'governance.vote', { choice: 'yes' });
+  await assert.rejects(
+    () => karma.send(karma.members[0], 'governance.withdraw', {}),
+    /cannot be withdrawn/,
+    'Other strategies are final'
+  );
+});
+
+test('Unknown strategies are rejected', async () => {
+  const { kernel } = await setup(TallyStrategy.KARMA, 0);
+  await assert.rejects(
+    () => kernel.executeTransaction('governance.propose', {
+      title: 'Plutocracy',
+      strategy: 'token-weighted',
+      action: { type: 'economics.set_cost', params: { action: 'upload', cost: 3 } }
+    }),
+    /Unknown tally strategy/,
+    'Unknown strategy'
+  );
+});
+
+test('Every strategy replays to the same tally', async () => {
+  for (const strategy of Object.values(TallyStrategy)) {
+    const { kernel, clock, members, send, finalize } = await setup(strategy, 2);
+    await send(members[0], 'governance.vote', { choice: 'yes', votes: 2, stake: 30 });
+    clock.pulse = 70;
+    await send(members[1], 'governance.vote', { choice: 'no', votes: 1, stake: 30 });
+    const proposal = await finalize();
+
+    const result = await verifyExport(await kernel.export(), { registry });
+    assert.equal(result.stateHash, kernel.getState().stateHash, `${strategy} replays`);
+    assert.ok(proposal.tally.total > 0, `${strategy} counted`);
+  }
+});
+
+// Run all tests
+export async function runTallyStrategiesTests() {
+  console.log('⚖️ Running Tally Strategies Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTallyStrategiesTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
@@ -0,0 +1,193 @@
+/**
+ * SRCP007 - Threshold ElGamal Test Suite
+ * Tests for homomorphic tallying, distributed key generation and t-of-n decryption
+ */
+
+import {
+  createDealing,
+  verifyDealingShare,
+  combineDealings,
+  dealThresholdKey,
+  encrypt,
+  addCiphertexts,
+  createDecryptionShare,
+  verifyDecryptionShare,
+  combineDecryptionShares
+} from '../src/threshold-elgamal.js';
+import { ThresholdEngine } from '../src/srcp-v6-unified.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const decryptionShares = (keyShares, ciphertext) =>
+  Promise.all(keyShares.map(keyShare => createDecryptionShare(keyShare, ciphertext)));
+
+test('Encrypt and decrypt round-trip', async () => {
+  const { key, keyShares } = dealThresholdKey({ shares: 3, threshold: 2 });
+  const first = encrypt(key.publicKey, 42);
+  const second = encrypt(key.publicKey, 42);
+  assert.ok(first.c1 !== second.c1, 'Encryption is randomized');
+
+  const shares = await decryptionShares(keyShares.slice(0, 2), first);
+  assert.equal(await combineDecryptionShares(key, first, shares), 42, 'Plaintext recovered');
+
+  const zero = encrypt(key.publicKey, 0);
+  assert.equal(await combineDecryptionShares(key, zero, await decryptionShares(keyShares.slice(1), zero)), 0, 'Zero decrypts');
+});
+
+test('Votes are tallied while encrypted', async () => {
+  const { key, keyShares } = dealThresholdKey({ shares: 5, threshold: 3 });
+  const votes = [1, 0, 1, 1, 0, 1, 1];
+  const tally = addCiphertexts(...votes.map(vote => encrypt(key.publicKey, vote)));
+
+  const shares = await decryptionShares([keyShares[0], keyShares[2], keyShares[4]], tally);
+  assert.equal(await combineDecryptionShares(key, tally, shares), 5, 'Yes votes counted');
+});
+
+test('Any t of n shares decrypt; fewer do not', async () => {
+  const { key, keyShares } = dealThresholdKey({ shares: 4, threshold: 3 });
+  const ciphertext = encrypt(key.publicKey, 1234);
+  const all = await decryptionShares(keyShares, ciphertext);
+
+  for (const subset of [[0, 1, 2], [1, 2, 3], [0, 2, 3], [3, 0, 1]]) {
+    const value = await combineDecryptionShares(key, ciphertext, subset.map(i => all[i]));
+    assert.equal(value, 1234, `Subset ${subset}`);
+  }
+
+  await assert.rejects(
+    () => combineDecryptionShares(key, ciphertext, [all[0], all[1], all[1]]),
+    /needs 3 valid shares, have 2/,
+    'Duplicate share does not count twice'
+  );
+});
+
+test('Incorrect decryption shares are rejected', async () => {
+  const { key, keyShares } = dealThresholdKey({ shares: 3, threshold: 2 });
+  const ciphertext = encrypt(key.publicKey, 7);
+  const other = encrypt(key.publicKey, 9);
+  const [first, second, third] = await decryptionShares(keyShares, ciphertext);
+
+  assert.ok(await verifyDecryptionShare(key, ciphertext, first), 'Honest share verifies');
+
+  const forged = { ...first, share: second.share };
+  assert.ok(!(await verifyDecryptionShare(key, ciphertext, forged)), 'Wrong share value rejected');
+  assert.ok(!(await verifyDecryptionShare(key, other, first)), 'Share bound to its ciphertext');
+  assert.ok(!(await verifyDecryptionShare(key, ciphertext, { ...first, index: 2 })), 'Share bound to its holder');
+
+  assert.equal(await combineDecryptionShares(key, ciphertext, [forged, second, third]), 7, 'Forged share skipped');
+  await assert.rejects(
+    () => combineDecryptionShares(key, ciphertext, [forged, second]),
+    /needs 2 valid shares/,
+    'Forged share cannot complete the threshold'
+  );
+});
+
+test('Distributed key generation without a dealer', async () => {
+  const parties = 3;
+  const dealings = Array.from({ length: parties }, () => createDealing({ shares: parties, threshold: 2 }));
+  const commitments = dealings.map(dealing => dealing.commitments);
+
+  assert.ok(verifyDealingShare(commitments[0], dealings[0].shares[1]), 'Share matches commitments');
+  assert.ok(!verifyDealingShare(commitments[1], dealings[0].shares[1]), 'Share of another dealing rejected');
+
+  const members = [];
+  for (let index = 1; index <= parties; index++) {
+    members.push(combineDealings(commitments, dealings.map(dealing => dealing.shares[index - 1]), { shares: parties }));
+  }
+  assert.equal(members[0].key.publicKey, members[2].key.publicKey, 'Everyone derives the same public key');
+
+  const { key } = members[0];
+  const ciphertext = encrypt(key.publicKey, 321);
+  const shares = await decryptionShares([members[2].keyShare, members[0].keyShare], ciphertext);
+  assert.equal(await combineDecryptionShares(key, ciphertext, shares), 321, 'Joint key decrypts');
+
+  const tampered = { ...dealings[1].shares[0], value: dealings[2].shares[0].value };
+  await assert.rejects(
+    async () => combineDealings(commitments, [dealings[0].shares[0], tampered, dealings[2].shares[0]], { shares: parties }),
+    /dealing 1 does not match/,
+    'Bad dealing share detected'
+  );
+});
+
+test('Sealed-bid auction: only the decrypted totals are revealed', async () => {
+  const engine = new ThresholdEngine();
+  const keyShares = engine.setup({ shares: 3, threshold: 2 });
+
+  const bids = { alice: 150, bob: 320, carol: 275 };
+  const sealed = {};
+  for (const [bidder, amount] of Object.entries(bids)) {
+    sealed[bidder] = await engine.encrypt(amount);
+  }
+
+  const opened = {};
+  for (const [bidder, ciphertext] of Object.entries(sealed)) {
+    const shares = [
+      await engine.decryptionShare(keyShares[0], ciphertext),
+      await engine.decryptionShare(keyShares[2], ciphertext)
+    ];
+    assert.ok(await engine.verifyShare(ciphertext, shares[0]), 'Committee share verifies');
+    opened[bidder] = await engine.thresholdDecrypt(ciphertext, shares, { maxValue: 1000 });
+  }
+  assert.equal(opened.bob, 320, 'Highest bid opened');
+  assert.equal(opened.alice + opened.carol, 425, 'Other bids opened');
+
+  const total = await engine.add(...Object.values(sealed));
+  const shares = await decryptionShares(keyShares.slice(1), total);
+  await assert.rejects(
+    () => engine.thresholdDecrypt(total, shares, { maxValue: 500 }),
+    /larger than 500/,
+    'Plaintext above maxValue is reported'
+  );
+  assert.equal(await engine.thresholdDecrypt(total, shares, { maxValue: 1000 }), 745, 'Total of bids');
+});
+
+// Run all tests
+export async function runThresholdElGamalTests() {
+  console.log('🗳️ Running Threshold ElGamal Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runThresholdElGamalTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
@@ -0,0 +1,336 @@
+/**
+ * SRCP007 - Transport Test Suite
+ * Tests for the transport contract, the simulated network and the
+ * WebSocket relay transport
+ */
+
+import { connect } from 'node:net';
+import { request } from 'node:http';
+import { isTransport, Transport } from '../src/transport.js';
+import { MemoryNetwork } from '../src/memory-transport.js';
+import { WebSocketTransport } from '../src/websocket-transport.js';
+import { WebSocketRelay, NodeWebSocket, CloseCode, HELLO_DOMAIN } from '../src/websocket-relay.js';
+import { P2PTransport } from '../src/p2p-transport.js';
+import { MessagingProtocol } from '../src/messaging-protocol.js';
+import { createPrekeys, publishPrekeys, findPrekeyBundle } from '../src/x3dh.js';
+import { Identity } from '../src/identity.js';
+import { Ledger } from '../src/ledger.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const next = (transport, event) => new Promise(resolve => transport.on(event, resolve));
+
+// Transports on a fresh network, joined, recording what they receive
+async function nodes(network, ...dids) {
+  const result = {};
+  for (const did of dids) {
+    const transport = network.transport(did);
+    transport.inbox = [];
+    transport.on('message:ping', (from, payload) => transport.inbox.push(`${from}:${payload}`));
+    await transport.initialize();
+    result[did] = transport;
+  }
+  return result;
+}
+
+async function encryptedMessaging(transport, identity, registry) {
+  let tick = 0;
+  let counter = 0;
+  const messaging = new MessagingProtocol(
+    identity,
+    transport,
+    { tick: () => ++tick, advance: () => ++tick },
+    { next: () => `${identity.did}:${counter++}` }
+  );
+  await messaging.initialize();
+  const { bundle, secrets } = await createPrekeys(identity, { oneTimePrekeys: 2 });
+  await publishPrekeys(registry, identity, bundle, 1);
+  messaging.useEncryption(secrets, { getPrekeyBundle: did => findPrekeyBundle(registry, did) });
+  return messaging;
+}
+
+// Raw WebSocket handshake, for speaking the wire protocol by hand
+function rawSocket(port) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(port, '127.0.0.1', () => {
+      socket.write([
+        'GET / HTTP/1.1',
+        `Host: 127.0.0.1:${port}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        '', ''
+      ].join('\r\n'));
+    });
+    let received = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      received = Buffer.concat([received, chunk]);
+      const end = received.indexOf('\r\n\r\n');
+      if (end >= 0 && !socket.upgraded) {
+        socket.upgraded = received.subarray(0, end).toString();
+        socket.frames = received.subarray(end + 4);
+        resolve(socket);
+      } else if (socket.upgraded) {
+        socket.frames = Buffer.concat([socket.frames, chunk]);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+test('Every transport implements the contract', async () => {
+  const identity = await Identity.create('contract');
+  const network = new MemoryNetwork();
+  assert.ok(isTransport(network.transport('did:srcp:a')), 'MemoryTransport');
+  assert.ok(isTransport(new WebSocketTransport(identity, 'ws://127.0.0.1:1', { WebSocket: NodeWebSocket })), 'WebSocketTransport');
+  assert.ok(isTransport(new P2PTransport(identity)), 'P2PTransport');
+  assert.ok(!isTransport({ sendMessage() {} }), 'Partial object rejected');
+
+  const transport = new Transport('did:srcp:base');
+  await assert.rejects(() => transport.sendMessage('x', 'y', {}), /does not implement sendMessage/, 'Abstract methods throw');
+  const seen = [];
+  const handler = (from, payload) => seen.push(payload);
+  transport.on('message:ping', handler);
+  transport.on('message:received', ({ type }) => seen.push(type));
+  await transport.handleIncomingMessage('did:srcp:x', { type: 'ping', payload: 1 });
+  transport.off('message:ping', handler);
+  await transport.handleIncomingMessage('did:srcp:x', { type: 'ping', payload: 2 });
+  assert.equal(seen.join(), '1,ping,ping', 'Handlers routed and removed');
+});
+
+test('Simulated network applies latency and seeded loss', async () => {
+  const network = new MemoryNetwork({ latency: (from, to) => (to === 'c' ? 5 : 2) });
+  const { a, b, c } = await nodes(network, 'a', 'b', 'c');
+
+  assert.ok(await a.sendMessage('c', 'ping', 'slow'), 'Accepted');
+  await a.sendMessage('b', 'ping', 'fast');
+  assert.equal(b.inbox.length, 0, 'Nothing before time passes');
+  await network.advance(2);
+  assert.equal(b.inbox.join(), 'a:fast', 'Fast message arrived');
+  assert.equal(c.inbox.length, 0, 'Slow message still in flight');
+  await network.flush();
+  assert.equal(c.inbox.join(), 'a:slow', 'Slow message arrived');
+  assert.equal(network.now, 5, 'Logical time');
+  assert.ok(!(await a.sendMessage('z', 'ping', 'x')), 'Unknown peer unreachable');
+
+  const run = async seed => {
+    const lossy = new MemoryNetwork({ loss: 0.5, seed });
+    const { x, y } = await nodes(lossy, 'x', 'y');
+    for (let i = 0; i < 20; i++) await x.sendMessage('y', 'ping', i);
+    return y.inbox.join();
+  };
+  const first = await run(7);
+  assert.equal(await run(7), first, 'Same seed, same losses');
+  assert.ok(first.split(',').length < 20 && first.length > 0, 'Some lost, some delivered');
+});
+
+test('Partitions cut peers off and heal', async () => {
+  const network = new MemoryNetwork({ latency: 1 });
+  const { a, b, c } = await nodes(network, 'a', 'b', 'c');
+  const events = [];
+  a.on('peer:disconnected', ({ did }) => events.push(`-${did}`));
+  a.on('peer:connected', ({ did }) => events.push(`+${did}`));
+
+  await a.sendMessage('c', 'ping', 'in flight');
+  network.partition(['a', 'b'], ['c']);
+  assert.equal(a.getConnectedPeers().join(), 'b', 'Only own side reachable');
+  assert.ok(!(await a.sendMessage('c', 'ping', 'blocked')), 'Across the partition fails');
+  await network.flush();
+  assert.equal(c.inbox.length, 0, 'In-flight message dropped');
+
+  network.heal();
+  await a.sendMessage('c', 'ping', 'healed');
+  await network.flush();
+  assert.equal(c.inbox.join(), 'a:healed', 'Delivered after healing');
+  assert.equal(events.join(), '-c,+c', 'Peer events');
+
+  c.shutdown();
+  assert.equal(events[events.length - 1], '-c', 'Leaving disconnects');
+  assert.equal(b.getConnectedPeers().join(), 'a', 'Left the network');
+});
+
+test('MessagingProtocol runs headless on the simulated network', async () => {
+  const network = new MemoryNetwork({ latency: 3 });
+  const registry = new Ledger();
+  const alice = await Identity.create('alice');
+  const bob = await Identity.create('bob');
+  const aliceTransport = network.transport(alice.did);
+  const bobTransport = network.transport(bob.did);
+  await aliceTransport.initialize();
+  await bobTransport.initialize();
+  const aliceMessaging = await encryptedMessaging(aliceTransport, alice, registry);
+  const bobMessaging = await encryptedMessaging(bobTransport, bob, registry);
+
+  await aliceMessaging.sendMessage(bob.did, 'over the simulated network');
+  await network.flush();
+  assert.equal(bobMessaging.getConversation(alice.did)[0].content, 'over the simulated network', 'Delivered');
+  assert.ok(network.stats.delivered >= 2, 'Message and read receipt');
+});
+
+test('WebSocket relay carries authenticated transports', async () => {
+  const relay = new WebSocketRelay();
+  const port = await relay.listen(0);
+  const url = `ws://127.0.0.1:${port}`;
+  const registry = new Ledger();
+  const alice = await Identity.create('alice');
+  const bob = await Identity.create('bob');
+  const aliceTransport = new WebSocketTransport(alice, url, { WebSocket: NodeWebSocket });
+  const bobTransport = new WebSocketTransport(bob, url, { WebSocket: NodeWebSocket });
+
+  try {
+    await aliceTransport.initialize();
+    const joined = next(aliceTransport, 'peer:connected');
+    await bobTransport.initialize();
+    assert.equal((await joined).did, bob.did, 'Peer announced');
+    assert.equal(bobTransport.getConnectedPeers().join(), alice.did, 'Peers listed on welcome');
+
+    const aliceMessaging = await encryptedMessaging(aliceTransport, alice, registry);
+    const bobMessaging = await encryptedMessaging(bobTransport, bob, registry);
+    const received = next(bobMessaging, 'message:new');
+    assert.ok(await aliceMessaging.sendMessage(bob.did, 'x'.repeat(100000)).then(m => m.delivered), 'Relay delivered');
+    assert.equal((await received).message.content.length, 100000, 'Large message intact');
+    assert.ok(!(await aliceTransport.sendMessage('did:srcp:nobody', 'chat', {})), 'Unknown DID not delivered');
+
+    const left = next(aliceTransport, 'peer:disconnected');
+    bobTransport.shutdown();
+    assert.equal((await left).did, bob.did, 'Departure announced');
+  } finally {
+    aliceTransport.shutdown();
+    bobTransport.shutdown();
+    await relay.close();
+  }
+});
+
+test('Handler errors stay with the receiver', async () => {
+  const network = new MemoryNetwork({ latency: 2 });
+  const { a, b } = await nodes(network, 'a', 'b');
+  const errors = [];
+  b.on('message:error', ({ from, type, error }) => errors.push(`${from}:${type}:${error.message}`));
+  b.on('message:boom', (from, payload) => payload.missing.field);
+
+  assert.ok(await a.sendMessage('b', 'boom', null), 'Sender unaffected');
+  await network.flush();
+  await b.handleIncomingMessage('a', null);
+  assert.equal(errors.length, 2, 'Failures reported as message:error');
+  assert.ok(errors[0].startsWith('a:boom:'), 'Handler error attributed to sender and type');
+  assert.equal(errors[1], 'a:undefined:Malformed message', 'Malformed message reported');
+  await a.sendMessage('b', 'ping', 'still up');
+  await network.flush();
+  assert.equal(b.inbox.join(), 'a:still up', 'Receiver keeps handling messages');
+
+  const relay = new WebSocketRelay();
+  const port = await relay.listen(0);
+  const alice = await Identity.create('alice');
+  const bob = await Identity.create('bob');
+  const aliceTransport = new WebSocketTransport(alice, `ws://127.0.0.1:${port}`, { WebSocket: NodeWebSocket });
+  const bobTransport = new WebSocketTransport(bob, `ws://127.0.0.1:${port}`, { WebSocket: NodeWebSocket });
+  try {
+    await aliceTransport.initialize();
+    await bobTransport.initialize();
+    bobTransport.on('message:public-feed', (from, message) => message.type);
+    const failed = next(bobTransport, 'message:error');
+    assert.ok(await aliceTransport.sendMessage(bob.did, 'public-feed', null), 'Relayed');
+    assert.equal((await failed).type, 'public-feed', 'Remote handler error caught');
+
+    const pinged = new Promise(resolve => bobTransport.on('message:ping', (from, payload) => resolve(payload)));
+    await aliceTransport.sendMessage(bob.did, 'ping', 'after');
+    assert.equal(await pinged, 'after', 'Connection survives');
+  } finally {
+    aliceTransport.shutdown();
+    bobTransport.shutdown();
+    await relay.close();
+  }
+});
+
+test('WebSocket relay rejects impostors and protocol violations', async () => {
+  const relay = new WebSocketRelay({ maxMessageBytes: 1024 });
+  const port = await relay.listen(0);
+  const alice = await Identity.create('alice');
+  const mallory = await Identity.create('mallory');
+
+  try {
+    // Signed by Mallory, claiming Alice's DID
+    const impostor = new WebSocketTransport(mallory, `ws://127.0.0.1:${port}`, { WebSocket: NodeWebSocket });
+    impostor.myDID = alice.did;
+    await assert.rejects(() => impostor.initialize(), /Authentication failed/, 'Wrong key refused');
+    assert.equal(relay.getConnectedDIDs().length, 0, 'Nobody connected');
+
+    const status = await new Promise(resolve => {
+      request({ port, host: '127.0.0.1' }, response => resolve(response.statusCode)).end();
+    });
+    assert.equal(status, 426, 'Plain HTTP asks for an upgrade');
+
+    // Unmasked client frame: the relay closes with a protocol error
+    const socket = await rawSocket(port);
+    assert.ok(socket.upgraded.startsWith('HTTP/1.1 101'), 'Handshake accepted');
+    assert.ok(socket.upgraded.includes('s3pPLMBiTxaQ9kYGzzhZRbK+xOo='), 'RFC 6455 accept key');
+    const closed = new Promise(resolve => socket.on('close', resolve));
+    socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+    await closed;
+    const close = socket.frames.subarray(socket.frames.lastIndexOf(0x88));
+    assert.equal(close.readUInt16BE(2), CloseCode.PROTOCOL_ERROR, 'Closed with 1002');
+
+    // Oversized message: closed with 1009
+    const client = new NodeWebSocket(`ws://127.0.0.1:${port}`);
+    const code = await new Promise(resolve => {
+      client.onopen = () => client.send(JSON.stringify({ type: 'hello', padding: 'x'.repeat(2000), domain: HELLO_DOMAIN }));
+      client.onclose = event => resolve(event.code);
+    });
+    assert.equal(code, CloseCode.TOO_BIG, 'Closed with 1009');
+  } finally {
+    await relay.close();
+  }
+});
+
+// Run all tests
+export async function runTransportTests() {
+  console.log('🔌 Running Transport Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTransportTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}
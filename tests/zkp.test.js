@@ -0,0 +1,180 @@
+/**
+ * SRCP007 - Zero-Knowledge Proof Test Suite
+ * Tests for Pedersen commitments, opening proofs and range proofs
+ */
+
+import {
+  commit,
+  verifyOpening,
+  proveOpening,
+  verifyOpeningProof,
+  proveRange,
+  verifyRange,
+  proveBounded,
+  verifyBounded,
+  pedersenH
+} from '../src/zkp.js';
+import { P256, decodePoint, encodePoint, isOnCurve, pointMultiply } from '../src/p256.js';
+import { ZKPProver, ZKPVerifier } from '../src/srcp-v6-unified.js';
+
+const assert = {
+  equal: (actual, expected, message) => {
+    if (actual !== expected) throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  },
+  ok: (value, message) => {
+    if (!value) throw new Error(message);
+  },
+  rejects: async (fn, pattern, message) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: unexpected error ${error.message}`);
+      }
+      return error;
+    }
+    throw new Error(`${message}: expected rejection`);
+  }
+};
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+test('Points round-trip and H is an independent generator', async () => {
+  const H = await pedersenH();
+  assert.ok(isOnCurve(H), 'H on curve');
+  assert.ok(H.x !== P256.G.x, 'H differs from G');
+
+  const point = pointMultiply(12345n);
+  const decoded = decodePoint(encodePoint(point));
+  assert.ok(decoded.x === point.x && decoded.y === point.y, 'Compressed round-trip');
+  await assert.rejects(async () => decodePoint(`02${'ff'.repeat(32)}`), /not on the curve|Malformed/, 'Off-curve x');
+});
+
+test('Commitments hide and bind', async () => {
+  const first = await commit(42);
+  const second = await commit(42);
+  assert.ok(first.commitment !== second.commitment, 'Fresh blinding hides equal values');
+
+  assert.ok(await verifyOpening(first.commitment, 42, first.blinding), 'Opens to its value');
+  assert.ok(!(await verifyOpening(first.commitment, 43, first.blinding)), 'Does not open to another value');
+});
+
+test('Opening proofs verify and reject tampering', async () => {
+  const { commitment, blinding } = await commit(7);
+  const proof = await proveOpening(commitment, 7, blinding, 'ctx');
+
+  assert.ok(await verifyOpeningProof(commitment, proof, 'ctx'), 'Valid');
+  assert.ok(!(await verifyOpeningProof(commitment, proof, 'other')), 'Other context');
+  assert.ok(!(await verifyOpeningProof((await commit(7)).commitment, proof, 'ctx')), 'Other commitment');
+  assert.ok(!(await verifyOpeningProof(commitment, { ...proof, z1: '1' }, 'ctx')), 'Edited response');
+
+  // Knowing a wrong opening does not help
+  const wrong = await proveOpening(commitment, 8, blinding, 'ctx');
+  assert.ok(!(await verifyOpeningProof(commitment, wrong, 'ctx')), 'Wrong value');
+});
+
+test('Range proofs accept values in range only', async () => {
+  const { commitment, blinding } = await commit(5);
+  const C = decodePoint(commitment);
+  const proof = await proveRange(5, blinding, 4, 'ctx');
+
+  assert.ok(await verifyRange(C, proof, 'ctx'), 'Valid 4-bit proof');
+  assert.ok(!(await verifyRange(C, proof, 'other')), 'Other context');
+  assert.ok(!(await verifyRange(decodePoint((await commit(5)).commitment), proof, 'ctx')), 'Other commitment');
+
+  await assert.rejects(() => proveRange(16, blinding, 4, 'ctx'), /out of range/, 'Honest prover refuses');
+  await assert.rejects(() => proveRange(-1, blinding, 4, 'ctx'), /out of range/, 'Negative');
+});
+
+test('Forged bit proofs fail', async () => {
+  // A bit commitment to 2 cannot borrow the proof of a real bit
+  const { blinding } = await commit(1);
+  const proof = await proveRange(1, blinding, 1, 'ctx');
+  const two = await commit(2, blinding);
+  assert.ok(!(await verifyRange(decodePoint(two.commitment), proof, 'ctx')), 'Sum mismatch');
+
+  const swapped = clone(proof);
+  swapped.commitments[0] = two.commitment;
+  assert.ok(!(await verifyRange(decodePoint(two.commitment), swapped, 'ctx')), 'Bit commits to 2');
+
+  const edited = clone(proof);
+  edited.proofs[0].c0 = edited.proofs[0].c1;
+  assert.ok(!(await verifyRange(decodePoint((await commit(1, blinding)).commitment), edited, 'ctx')), 'Edited challenge');
+
+  // Claiming fewer bits than were proved
+  const big = await commit(9);
+  const wide = await proveRange(9, big.blinding, 4, 'ctx');
+  const narrowed = { ...wide, bits: 3, commitments: wide.commitments.slice(0, 3), proofs: wide.proofs.slice(0, 3) };
+  assert.ok(!(await verifyRange(decodePoint(big.commitment), narrowed, 'ctx')), 'Dropped high bit');
+});
+
+test('Bounded proofs pin both ends', async () => {
+  const { commitment, blinding } = await commit(750);
+  const proof = await proveBounded(750, blinding, 500, 1000, 'karma');
+
+  assert.ok(await verifyBounded(commitment, proof, 500, 1000, 'karma'), 'In range');
+  assert.ok(!(await verifyBounded(commitment, proof, 800, 1000, 'karma')), 'Raised minimum');
+  assert.ok(!(await verifyBounded(commitment, proof, 500, 700, 'karma')), 'Lowered maximum');
+  await assert.rejects(() => proveBounded(1001, blinding, 500, 1000, 'karma'), /not in range/, 'Above maximum');
+});
+
+test('ZKPVerifier rejects forged and edited v6 proofs', async () => {
+  const karma = await ZKPProver.proveKarmaRange(750, 500, 1000);
+  assert.ok(await ZKPVerifier.verify(karma), 'Karma range');
+  assert.ok(!(await ZKPVerifier.verify({ ...karma, minKarma: 800 })), 'Edited bound');
+  assert.ok(!(await ZKPVerifier.verify({
+    type: 'karma_range',
+    commitment: karma.commitment,
+    proof: { valueHash: 'anything' }
+  })), 'Fields present but no proof');
+
+  const credit = await ZKPProver.proveCreditworthiness(720, 650, 'salt-1');
+  assert.ok(await ZKPVerifier.verify(credit), 'Credit score');
+  assert.ok(!(await ZKPVerifier.verify({ ...credit, threshold: 700 })), 'Raised threshold');
+  assert.equal(
+    (await ZKPProver.proveCreditworthiness(720, 650, 'salt-1')).commitment,
+    credit.commitment,
+    'Salt reproduces the commitment'
+  );
+
+  const vote = await ZKPProver.proveVotingEligibility(300, 100, 'proposal-1');
+  assert.ok(await ZKPVerifier.verify(vote), 'Vote eligibility');
+  assert.ok(!(await ZKPVerifier.verify({ ...vote, proposalId: 'proposal-2' })), 'Replayed for another proposal');
+  assert.ok(!(await ZKPVerifier.verify({ ...vote, proof: credit.proof })), 'Proof of another statement');
+
+  await assert.rejects(() => ZKPProver.proveVotingEligibility(50, 100, 'proposal-1'), /below voting weight/, 'Ineligible');
+});
+
+// Run all tests
+export async function runZKPTests() {
+  console.log('🕵️ Running Zero-Knowledge Proof Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`✅ ${test.name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${test.name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed, ${tests.length} total\n`);
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runZKPTests().then(results => {
+    process.exit(results.failed > 0 ? 1 : 0);
+  });
+}